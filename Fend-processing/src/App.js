@@ -1,7 +1,6 @@
-import { useEffect, useState, useMemo, useCallback } from "react";
-import { BrowserRouter as Router, Routes, Route, useParams, useNavigate } from "react-router-dom";
-import jsPDF from "jspdf";
-import autoTable from "jspdf-autotable";
+import { Fragment, useEffect, useState, useMemo, useCallback, useRef } from "react";
+import { BrowserRouter as Router, Routes, Route, Link, useParams, useLocation } from "react-router-dom";
+import { saveInvoiceCopy, loadInvoiceCopy, removeInvoiceCopy, queueChange, listChanges, updateChange, removeChange, removeChangesFor } from "./offlineStore";
 
 const apiBaseUrl = process.env.REACT_APP_API_BASE_URL || "http://localhost:5000";
 
@@ -11,26 +10,33 @@ const apiRequest = async (path, options = {}) => {
   const res = await fetch(apiBaseUrl + path, finalOptions);
   if (!res.ok) {
     const text = await res.text();
-    throw new Error(text || "Request failed");
+    const error = new Error(text || "Request failed");
+    // Keep the status and JSON body around, e.g. for 422 field errors
+    error.status = res.status;
+    try { error.body = JSON.parse(text); } catch (e) { error.body = null; }
+    throw error;
   }
   const contentType = res.headers.get("content-type") || "";
   if (contentType.includes("application/json")) {
     return res.json();
   }
+  // Downloads, e.g. the dashboard's CSV / Excel / Tally exports
+  if (DOWNLOAD_TYPES.some((type) => contentType.includes(type))) {
+    return res.blob();
+  }
   return null;
 };
 
-const blobToBase64 = (blob) =>
-  new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onloadend = () => {
-      const result = reader.result || "";
-      const parts = String(result).split(",");
-      resolve(parts[1] || "");
-    };
-    reader.onerror = reject;
-    reader.readAsDataURL(blob);
-  });
+const DOWNLOAD_TYPES = ["text/csv", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", "application/xml"];
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
 
 const safeParse = (val) => {
   if (!val) return [];
@@ -48,11 +54,22 @@ const num = (v) => {
   return isNaN(n) ? 0 : n;
 };
 const normalizeRows = (inv) => {
+  if (Array.isArray(inv.items)) {
+    return inv.items.map((it) => ({
+      productname: it.productname ?? "",
+      description: it.description ?? "",
+      quantity: it.quantity ?? "",
+      units: it.units ?? "",
+      rate: it.rate ?? "",
+      gst_rate: it.gst_rate ?? "",
+    }));
+  }
   const productname = safeParse(inv.productname);
   const description = safeParse(inv.description);
   const quantity = safeParse(inv.quantity);
   const units = safeParse(inv.units);
   const rate = safeParse(inv.rate);
+  const gstRate = safeParse(inv.gst_rate);
   const maxLen = Math.max(productname.length, description.length, quantity.length, units.length, rate.length);
   const rows = [];
   for (let i = 0; i < maxLen; i++) {
@@ -62,6 +79,7 @@ const normalizeRows = (inv) => {
       quantity: quantity[i] ?? "",
       units: units[i] ?? "",
       rate: rate[i] ?? "",
+      gst_rate: gstRate[i] ?? "",
     };
     const hasAny = String(row.productname).trim() || String(row.description).trim() || String(row.quantity).trim() || String(row.units).trim() || String(row.rate).trim();
     if (hasAny) rows.push(row);
@@ -69,77 +87,825 @@ const normalizeRows = (inv) => {
   return rows;
 };
 
-// ---------------- PDF Generation ----------------
-const generatePDFBlob = (invoiceLike) => {
-  const rows = normalizeRows(invoiceLike);
-  const doc = new jsPDF();
-  doc.setFontSize(18);
-  doc.text("INVOICE", 105, 20, { align: "center" });
-  doc.setFontSize(12);
-  doc.text(`Invoice No: ${invoiceLike.invoice_number ?? ""}`, 20, 40);
-  doc.text(`Dealer: ${invoiceLike.Dealer ?? ""}`, 20, 50);
-  doc.text(`Phone: ${invoiceLike.phonenumber ?? ""}`, 20, 60);
-  doc.text(`Date: ${invoiceLike.invoice_date ?? ""}`, 20, 70);
-  doc.text(`Status: ${invoiceLike.status ?? ""}`, 20, 80);
-
-  let total = 0;
-  const tableData = rows.map((r) => {
-    const qty = num(r.quantity);
-    const rate = num(r.rate);
-    const line = qty * rate;
-    total += line;
-    return [r.productname || "", r.description || "", String(qty), r.units || "", rate.toFixed(2), line.toFixed(2)];
+// ---------------- Totals & GST ----------------
+// Mirrors computeInvoiceTotals in backend/server.js for the live preview while
+// editing. The server recomputes on save/approve and its numbers are the ones that count.
+const toPaise = (v) => Math.round((v + Number.EPSILON) * 100);
+const computeTotals = (rows, settings = {}) => {
+  const { tax_type = "CGST_SGST", default_gst_rate = 0, round_grand_total = true } = settings;
+  const sums = { subtotal: 0, cgst: 0, sgst: 0, igst: 0 };
+  const lines = rows.map((r) => {
+    const gstRate = String(r.gst_rate ?? "").trim() === "" ? num(default_gst_rate) : num(r.gst_rate);
+    const amount = toPaise(num(r.quantity) * num(r.rate));
+    const tax = Math.round(amount * gstRate / 100);
+    const cgst = tax_type === "IGST" ? 0 : Math.round(tax / 2);
+    const sgst = tax_type === "IGST" ? 0 : tax - cgst;
+    const igst = tax_type === "IGST" ? tax : 0;
+    sums.subtotal += amount; sums.cgst += cgst; sums.sgst += sgst; sums.igst += igst;
+    return { ...r, gst_rate: gstRate, amount: amount / 100 };
   });
+  const taxTotal = sums.cgst + sums.sgst + sums.igst;
+  const beforeRounding = sums.subtotal + taxTotal;
+  const total = round_grand_total ? Math.round(beforeRounding / 100) * 100 : beforeRounding;
+  return {
+    lines,
+    totals: {
+      tax_type,
+      subtotal: sums.subtotal / 100,
+      cgst: sums.cgst / 100,
+      sgst: sums.sgst / 100,
+      igst: sums.igst / 100,
+      tax_total: taxTotal / 100,
+      round_off: (total - beforeRounding) / 100,
+      total: total / 100,
+    },
+  };
+};
+
+// GST rates aren't the customer's to change: like the server, an edited line takes the
+// rate the invoice already has for that product, new products the default rate
+const productKey = (name) => String(name ?? "").trim().toLowerCase();
+const withInvoiceGstRates = (rows, items = []) => {
+  const rates = new Map(items.map((it) => [productKey(it.productname), it.gst_rate]));
+  return rows.map((r) => ({ ...r, gst_rate: rates.get(productKey(r.productname)) ?? "" }));
+};
+
+// Label/value pairs shown under the line items (table and PDF)
+const totalsBreakdown = (totals) => {
+  const t = totals || {};
+  const rows = [["Subtotal", num(t.subtotal)]];
+  if (t.tax_type === "IGST") {
+    rows.push(["IGST", num(t.igst)]);
+  } else {
+    rows.push(["CGST", num(t.cgst)], ["SGST", num(t.sgst)]);
+  }
+  if (num(t.round_off) !== 0) rows.push(["Round off", num(t.round_off)]);
+  rows.push(["Total", num(t.total)]);
+  return rows;
+};
+
+// ---------------- Revision History ----------------
+const ACTION_LABELS = {
+  imported: "Original",
+  created: "Original (extracted by n8n)",
+  updated: "Edited",
+  approved: "Approved",
+  changes_requested: "Changes requested",
+  rejected: "Rejected",
+  cancelled: "Cancelled",
+};
+const formatChangeField = (field) =>
+  field.replace(/^items\.(\d+)\.?(.*)$/, (_, i, f) => `Line ${Number(i) + 1}${f ? ` ${f}` : ""}`);
+const formatChangeValue = (v) => {
+  if (v === null || v === undefined || v === "") return "—";
+  if (typeof v === "object") {
+    const qty = v.quantity !== null && v.quantity !== undefined ? `${v.quantity} ${v.units || ""}`.trim() : "";
+    const rate = v.rate !== null && v.rate !== undefined ? `@ ${v.rate}` : "";
+    return [v.productname, qty, rate].filter(Boolean).join(" ");
+  }
+  return String(v);
+};
+
+// 422 errors from the API -> { "Dealer": "...", "rows.2.rate": "..." }
+// Line items are sent without blank rows, so `sentRows` maps the sent index back to the edit row.
+const toFieldErrors = (errors, sentRows) => {
+  const out = {};
+  for (const { field, message } of errors || []) {
+    const item = /^items\.(\d+)\.(.+)$/.exec(field);
+    const key = item ? `rows.${sentRows[Number(item[1])] ?? item[1]}.${item[2]}` : field === "dealer" ? "Dealer" : field;
+    if (!out[key]) out[key] = message;
+  }
+  return out;
+};
+
+const FieldError = ({ message }) =>
+  message ? <div style={{color:"#dc3545", fontSize:"0.85rem", marginTop:4}}>{message}</div> : null;
+
+// ---------------- Edit conflicts ----------------
+// A save answered 412: someone changed the invoice after it was loaded. Fields only
+// one side changed merge by themselves; where both changed, the user picks a side.
+const MERGE_FIELDS = [["reference_number", "Reference"], ["Dealer", "Dealer"], ["phonenumber", "Phone"], ["invoice_date", "Date"]];
+const ROW_FIELDS = ["productname", "description", "quantity", "units", "rate", "gst_rate"];
+const rowsKey = (rows) => JSON.stringify(rows.map((r) => ROW_FIELDS.map((f) => String(r[f] ?? "").trim())));
+const rowsLabel = (rows) => rows.map((r) => `${r.productname || "?"} × ${r.quantity || 0}`).join(", ") || "no items";
 
-  autoTable(doc, {
-    startY: 95,
-    head: [["Product", "Description", "Quantity", "Units", "Rate", "Amount"]],
-    body: [...tableData, ["", "", "", "", "Total", total.toFixed(2)]],
-    theme: "grid",
-    styles: { halign: "center", valign: "middle" },
+// base = the invoice the edit started from, mine = the edit, theirs = the server's copy now
+const diffEdits = (base, mine, theirs) => {
+  const baseRows = normalizeRows(base);
+  const theirRows = normalizeRows(theirs);
+  return [
+    ...MERGE_FIELDS.map(([key, label]) => ({
+      key, label,
+      base: String(base[key] ?? ""), mine: String(mine[key] ?? ""), theirs: String(theirs[key] ?? ""),
+    })),
+    {
+      key: "rows", label: "Line items",
+      base: rowsKey(baseRows), mine: rowsKey(mine.rows), theirs: rowsKey(theirRows),
+      shown: { mine: rowsLabel(mine.rows), theirs: rowsLabel(theirRows) },
+    },
+  ]
+    .filter((f) => f.mine !== f.theirs)
+    .map((f) => {
+      const mineChanged = f.mine !== f.base;
+      const theirsChanged = f.theirs !== f.base;
+      return { ...f, conflict: mineChanged && theirsChanged, pick: mineChanged ? "mine" : "theirs" };
+    });
+};
+
+function ConflictPanel({ conflict, onPick, onMerge, onDiscard }) {
+  const { fields, theirs } = conflict;
+  const editable = (theirs.access?.actions || []).includes("edit");
+  const cell = { padding:"0.5rem", border:"1px solid #eed", textAlign:"left", verticalAlign:"top" };
+  const choice = (f, side, text) => (
+    <label style={{ cursor: f.conflict ? "pointer" : "default", fontWeight: f.pick === side ? "bold" : "normal", color: f.pick === side ? "#000" : "#888" }}>
+      {f.conflict && <input type="radio" checked={f.pick === side} onChange={()=>onPick(f.key, side)} style={{marginRight:6}} />}
+      {text || "—"}
+    </label>
+  );
+  return (
+    <div style={{ border:"2px solid #fd7e14", background:"#fff8f0", borderRadius:10, padding:15, marginBottom:20 }}>
+      <b>⚠️ This invoice was changed while you were editing it.</b>
+      <p style={{ margin:"6px 0 12px", color:"#555" }}>
+        {!editable
+          ? `It is ${theirs.status} now, so your changes can't be saved any more.`
+          : fields.some((f) => f.conflict)
+            ? "Where you both changed something, pick the version to keep. Everything else is merged for you."
+            : "Your changes don't overlap with theirs and can be merged as they are."}
+      </p>
+      {editable && fields.length > 0 && (
+        <div style={{ overflowX:"auto" }}>
+          <table style={{ borderCollapse:"collapse", width:"100%", marginBottom:12, fontSize:"0.95rem" }}>
+            <thead><tr><th style={cell}></th><th style={cell}>Yours</th><th style={cell}>Latest</th></tr></thead>
+            <tbody>
+              {fields.map((f) => (
+                <tr key={f.key} style={{ background: f.conflict ? "#ffe8cc" : undefined }}>
+                  <td style={cell}><b>{f.label}</b></td>
+                  <td style={cell}>{choice(f, "mine", f.shown ? f.shown.mine : f.mine)}</td>
+                  <td style={cell}>{choice(f, "theirs", f.shown ? f.shown.theirs : f.theirs)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div style={{ display:"flex", gap:10, flexWrap:"wrap" }}>
+        {editable && <button onClick={onMerge} style={{ padding:"8px 14px", cursor:"pointer", border:"none", borderRadius:6, background:"#007bff", color:"white", fontWeight:"bold" }}>Merge and keep editing</button>}
+        <button onClick={onDiscard} style={{ padding:"8px 14px", cursor:"pointer", border:"none", borderRadius:6, background:"#6c757d", color:"white", fontWeight:"bold" }}>Discard my changes</button>
+      </div>
+    </div>
+  );
+}
+
+// ---------------- Offline mode ----------------
+// Invoices opened here are kept in IndexedDB and shown from there without a connection.
+// Edits and approvals made offline wait in an outbox and go out oldest first once the
+// connection is back, each with If-Match for the version it was made on, so a change
+// someone else made meanwhile comes back as a conflict instead of being overwritten.
+// Only a request that never reached the server (fetch rejects with a TypeError) counts
+// as offline; anything the server answered is a real failure and is shown as one.
+const isNetworkError = (e) => !e.status && (e instanceof TypeError || !navigator.onLine);
+// The link was revoked or has expired, or the invoice is gone
+const isLinkGone = (e) => e.status === 401 || e.status === 404;
+
+// What a change that didn't go through shows, e.g. "otp is required" for a 422
+const changeError = (e) => {
+  const first = e.body?.errors?.[0];
+  return first ? `${first.field} ${first.message}` : e.body?.error || "Request failed";
+};
+
+const sendChange = (change, version) =>
+  apiRequest(change.kind === "save" ? `/invoices/${change.token}` : `/invoices/${change.token}/approve`, {
+    method: change.kind === "save" ? "PUT" : "POST",
+    headers: { "Content-Type": "application/json", "If-Match": `"${version}"` },
+    body: JSON.stringify(change.payload),
   });
 
-  const finalY = doc.lastAutoTable?.finalY ?? 120;
-  doc.text("Authorized Signature: ____________________", 20, finalY + 20);
-  return doc.output("blob");
+const replayOutbox = async () => {
+  // token -> version the server answered our last replayed change with
+  const versions = {};
+  // An invoice whose earlier change didn't go through keeps the rest of its queue
+  const blocked = new Set();
+  const changes = (await listChanges()).sort((a, b) => a.id - b.id);
+  for (const change of changes) {
+    if (change.status !== "pending" || blocked.has(change.token)) {
+      blocked.add(change.token);
+      continue;
+    }
+    // Approvals queued before a signature was required would only come back with a 422
+    if (change.kind === "approve" && !change.payload.signature) {
+      blocked.add(change.token);
+      await updateChange({ ...change, status: "failed", error: "approvals now need your signature, please approve again" });
+      continue;
+    }
+    try {
+      const saved = await sendChange(change, versions[change.token] ?? change.version);
+      versions[change.token] = saved.version;
+      await removeChange(change.id);
+    } catch (e) {
+      if (isNetworkError(e)) return; // Still offline, try again later
+      console.error(e);
+      blocked.add(change.token);
+      if (isLinkGone(e)) await removeInvoiceCopy(change.token);
+      // An approval for a total the invoice no longer has is reviewed again, not dropped
+      const reconcile = change.kind === "approve" && e.status === 409 && e.body?.expected_total !== undefined;
+      await updateChange({
+        ...change,
+        status: e.status === 412 && e.body?.current ? "conflict" : reconcile ? "reconcile" : "failed",
+        error: changeError(e),
+        current: e.body?.current || null,
+        ...(reconcile ? { expected_total: e.body.expected_total, received_total: e.body.received_total } : {}),
+      });
+    }
+  }
 };
 
+// One replay at a time, also across tabs where the browser supports Web Locks
+let replaying = null;
+const syncOutbox = () => {
+  if (!replaying) {
+    const run = navigator.locks ? navigator.locks.request("invoice-outbox", replayOutbox) : replayOutbox();
+    replaying = run.finally(() => { replaying = null; });
+  }
+  return replaying;
+};
+
+function useOfflineSync() {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [changes, setChanges] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+
+  const refresh = useCallback(() => listChanges().then(setChanges).catch(console.error), []);
+  const sync = useCallback(async () => {
+    setSyncing(true);
+    try {
+      await syncOutbox();
+    } catch (error) {
+      console.error(error);
+    } finally {
+      setSyncing(false);
+      await refresh();
+    }
+  }, [refresh]);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  return { online, changes, syncing, sync, refresh };
+}
+
+const CHANGE_LABELS = { save: "Edit", approve: "Approval" };
+const formatSavedAt = (ms) => new Date(ms).toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short" });
+
+// Offline / waiting / syncing / failed, for the invoice on screen
+function SyncStatus({ online, syncing, queued, savedCopyAt, onSync, onDismiss }) {
+  const waiting = queued.filter((c) => c.status === "pending");
+  const failed = queued.filter((c) => c.status === "failed" || (c.status === "conflict" && c.kind !== "save"));
+  const reconcile = queued.filter((c) => c.status === "reconcile");
+  if (online && !syncing && !savedCopyAt && waiting.length === 0 && failed.length === 0 && reconcile.length === 0) return null;
+  const box = (color, background) => ({ border:`1px solid ${color}`, background, borderRadius:10, padding:"10px 14px", marginBottom:12, fontSize:"0.95rem" });
+  return (
+    <>
+      {(!online || savedCopyAt || waiting.length > 0 || syncing) && (
+        <div style={{ ...box("#adb5bd", "#f1f3f5"), display:"flex", justifyContent:"space-between", alignItems:"center", gap:10, flexWrap:"wrap" }}>
+          <span>
+            {syncing ? "🔄 Syncing changes…" : !online ? "📴 You're offline." : "🌐 Back online."}
+            {savedCopyAt && ` Showing the copy saved on this device ${formatSavedAt(savedCopyAt)}.`}
+            {waiting.length > 0 && !syncing && ` ${waiting.length} change${waiting.length === 1 ? "" : "s"} waiting to sync.`}
+          </span>
+          {online && !syncing && waiting.length > 0 && (
+            <button onClick={onSync} style={{ padding:"6px 12px", cursor:"pointer", border:"none", borderRadius:6, background:"#007bff", color:"white", fontWeight:"bold" }}>Sync now</button>
+          )}
+        </div>
+      )}
+      {failed.map((c) => (
+        <div key={c.id} style={{ ...box("#dc3545", "#fff5f5"), display:"flex", justifyContent:"space-between", alignItems:"center", gap:10, flexWrap:"wrap" }}>
+          <span>❌ {CHANGE_LABELS[c.kind]} made offline on {formatSavedAt(c.createdAt)} wasn't accepted: {c.error}</span>
+          <button onClick={()=>onDismiss(c.id)} style={{ padding:"6px 12px", cursor:"pointer", border:"none", borderRadius:6, background:"#6c757d", color:"white", fontWeight:"bold" }}>Dismiss</button>
+        </div>
+      ))}
+      {reconcile.map((c) => (
+        <div key={c.id} style={{ ...box("#fd7e14", "#fff4e6"), display:"flex", justifyContent:"space-between", alignItems:"center", gap:10, flexWrap:"wrap" }}>
+          <span>⚠️ You approved ₹{c.received_total} on {formatSavedAt(c.createdAt)} while offline, but the invoice total is now ₹{c.expected_total}. Please check the invoice below and approve it again.</span>
+          <button onClick={()=>onDismiss(c.id)} style={{ padding:"6px 12px", cursor:"pointer", border:"none", borderRadius:6, background:"#fd7e14", color:"white", fontWeight:"bold" }}>Review again</button>
+        </div>
+      ))}
+    </>
+  );
+}
+
+// Every revision compared with the original n8n extraction (revision 0)
+function HistoryPanel({ token, invoice }) {
+  const [open, setOpen] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+
+  useEffect(() => {
+    if (!open) return;
+    (async () => {
+      try {
+        const data = await apiRequest(`/invoices/${token}/revisions`);
+        if (Array.isArray(data)) setRevisions(data);
+      } catch (error) {
+        console.error(error);
+      }
+    })();
+  }, [open, token, invoice]);
+
+  return (
+    <div style={{marginTop:30}}>
+      <button className="action-btn" onClick={()=>setOpen(!open)} style={{padding:"8px 16px", fontSize:"1rem", cursor:"pointer", border:"1px solid #ddd", borderRadius:6, background:"#fff", fontWeight:"bold"}}>
+        {open ? "Hide History" : "Show History"}
+      </button>
+      {open && (
+        <div style={{marginTop:15, border:"1px solid #eee", borderRadius:8}}>
+          {revisions.length === 0 && <div style={{padding:20, textAlign:"center", color:"#888"}}>No history yet</div>}
+          {revisions.map((rev) => (
+            <div key={rev.revision} style={{padding:12, borderBottom:"1px solid #eee"}}>
+              <div style={{fontWeight:600}}>
+                #{rev.revision} {ACTION_LABELS[rev.action] || rev.action}
+                <span style={{fontWeight:"normal", color:"#666", fontSize:"0.9rem"}}> · {rev.actor?.type} · {new Date(rev.created_at).toLocaleString()}</span>
+              </div>
+              {rev.revision > 0 && (
+                rev.changes_from_original.length === 0 ? (
+                  <div style={{fontSize:"0.9rem", color:"#888", marginTop:6}}>Same as the original</div>
+                ) : (
+                  <table style={{width:"100%", borderCollapse:"collapse", marginTop:8, fontSize:"0.9rem"}}>
+                    <thead>
+                      <tr style={{background:"#f7f7f7"}}>
+                        <th style={{textAlign:"left", padding:6}}>Field</th>
+                        <th style={{textAlign:"left", padding:6}}>Original</th>
+                        <th style={{textAlign:"left", padding:6}}>After this revision</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rev.changes_from_original.map((c) => (
+                        <tr key={c.field}>
+                          <td style={{padding:6, borderTop:"1px solid #eee"}}>{formatChangeField(c.field)}</td>
+                          <td style={{padding:6, borderTop:"1px solid #eee", color:"#dc3545", textDecoration:"line-through"}}>{formatChangeValue(c.from)}</td>
+                          <td style={{padding:6, borderTop:"1px solid #eee", color:"#28a745"}}>{formatChangeValue(c.to)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------------- Comments ----------------
+// Threads from GET .../comments, about the whole invoice or one line item. Customers
+// load them with their link (request = apiRequest), operators by invoice id
+// (request = adminRequest). `lines` are the product names, for commenting on a line.
+const COMMENT_AUTHORS = { customer: "Customer", operator: "Support", service: "System" };
+const commentLineLabel = (c) =>
+  c.line === null ? null : `Item ${c.line + 1}${c.line_item?.productname ? `: ${c.line_item.productname}` : ""}`;
+
+function CommentsPanel({ path, request, canPost, lines = [], refreshKey }) {
+  const [threads, setThreads] = useState([]);
+  const [draft, setDraft] = useState({ body: "", line: "" });
+  const [replies, setReplies] = useState({});
+  const [posting, setPosting] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    try {
+      const res = await request(path);
+      setThreads(res?.data || []);
+    } catch (e) { console.error(e); }
+  }, [path, request]);
+
+  useEffect(() => { load(); }, [load, refreshKey]);
+
+  const post = async (payload, done) => {
+    setPosting(true);
+    setError("");
+    try {
+      await request(path, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(payload) });
+      done();
+      await load();
+    } catch (e) {
+      console.error(e);
+      const issue = e.body?.errors?.[0];
+      setError(issue ? `${issue.field} ${issue.message}` : e.body?.error || "Couldn't post the comment");
+    } finally { setPosting(false); }
+  };
+  const postComment = () => post(
+    { body: draft.body, line: draft.line === "" ? null : Number(draft.line) },
+    () => setDraft({ body: "", line: "" })
+  );
+  const postReply = (thread) => post(
+    { body: replies[thread.id] || "", parent_id: thread.id },
+    () => setReplies((s) => ({ ...s, [thread.id]: "" }))
+  );
+
+  const input = { padding:"0.45rem 0.6rem", fontSize:"0.95rem", border:"1px solid #bbb", borderRadius:6, boxSizing:"border-box" };
+  const button = { padding:"6px 12px", cursor:"pointer", border:"none", borderRadius:6, background:"#007bff", color:"white", fontWeight:"bold" };
+  const count = threads.reduce((n, t) => n + 1 + t.replies.length, 0);
+  return (
+    <div style={{marginTop:30}}>
+      <div style={{fontWeight:"bold", fontSize:"1.05rem", marginBottom:10}}>💬 Comments ({count})</div>
+      {threads.length === 0 && <div style={{color:"#888", marginBottom:10}}>No comments yet</div>}
+      {threads.map((t) => (
+        <div key={t.id} style={{border:"1px solid #eee", borderRadius:8, padding:12, marginBottom:10}}>
+          {commentLineLabel(t) && <div style={{fontSize:"0.85rem", color:"#007bff", marginBottom:4}}>{commentLineLabel(t)}</div>}
+          {[t, ...t.replies].map((c, i) => (
+            <div key={c.id} style={i ? {marginTop:8, marginLeft:16, paddingLeft:10, borderLeft:"3px solid #eee"} : undefined}>
+              <div style={{fontSize:"0.85rem", color:"#666"}}><b>{COMMENT_AUTHORS[c.author.type] || c.author.type}</b> · {new Date(c.created_at).toLocaleString()}</div>
+              <div style={{whiteSpace:"pre-wrap"}}>{c.body}</div>
+            </div>
+          ))}
+          {canPost && (
+            <div style={{display:"flex", gap:8, marginTop:10, marginLeft:16}}>
+              <input value={replies[t.id] || ""} onChange={e=>setReplies((s) => ({ ...s, [t.id]: e.target.value }))} placeholder="Reply" style={{...input, flex:1}} />
+              <button disabled={posting || !(replies[t.id] || "").trim()} onClick={()=>postReply(t)} style={button}>Reply</button>
+            </div>
+          )}
+        </div>
+      ))}
+      {canPost && (
+        <div style={{display:"grid", gap:8}}>
+          <select value={draft.line} onChange={e=>setDraft((s) => ({ ...s, line: e.target.value }))} style={{...input, maxWidth:320}}>
+            <option value="">About the whole invoice</option>
+            {lines.map((name, i) => <option key={i} value={i}>{`Item ${i + 1}${name ? `: ${name}` : ""}`}</option>)}
+          </select>
+          <textarea value={draft.body} onChange={e=>setDraft((s) => ({ ...s, body: e.target.value }))} rows={3} placeholder="Write a comment" style={input} />
+          <div><button disabled={posting || !draft.body.trim()} onClick={postComment} style={button}>Post comment</button></div>
+        </div>
+      )}
+      <FieldError message={error} />
+    </div>
+  );
+}
+
+// ---------------- Approval ----------------
+// Approving takes a signature (drawn or typed) and, when the business requires it, the
+// code sent to the invoice's phone. The server keeps both as approval evidence.
+const SIGNATURE_WIDTH = 400;
+const SIGNATURE_HEIGHT = 120;
+
+function SignaturePad({ onChange }) {
+  const canvasRef = useRef(null);
+  const drawing = useRef(false);
+
+  const point = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return [(e.clientX - rect.left) * SIGNATURE_WIDTH / rect.width, (e.clientY - rect.top) * SIGNATURE_HEIGHT / rect.height];
+  };
+  const start = (e) => {
+    const ctx = canvasRef.current.getContext("2d");
+    canvasRef.current.setPointerCapture(e.pointerId);
+    drawing.current = true;
+    ctx.lineWidth = 2.5;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.strokeStyle = "#111";
+    ctx.beginPath();
+    ctx.moveTo(...point(e));
+  };
+  const move = (e) => {
+    if (!drawing.current) return;
+    const ctx = canvasRef.current.getContext("2d");
+    ctx.lineTo(...point(e));
+    ctx.stroke();
+  };
+  const end = () => {
+    if (!drawing.current) return;
+    drawing.current = false;
+    onChange(canvasRef.current.toDataURL("image/png"));
+  };
+  const clear = () => {
+    canvasRef.current.getContext("2d").clearRect(0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+    onChange(null);
+  };
+
+  return (
+    <div>
+      <canvas ref={canvasRef} width={SIGNATURE_WIDTH} height={SIGNATURE_HEIGHT} onPointerDown={start} onPointerMove={move} onPointerUp={end} onPointerCancel={end}
+        style={{width:"100%", maxWidth:SIGNATURE_WIDTH, aspectRatio:`${SIGNATURE_WIDTH} / ${SIGNATURE_HEIGHT}`, border:"1px dashed #999", borderRadius:6, background:"#fff", touchAction:"none", display:"block"}} />
+      <button type="button" onClick={clear} style={{marginTop:6, padding:"4px 10px", cursor:"pointer", border:"1px solid #bbb", borderRadius:6, background:"#fff"}}>Clear</button>
+    </div>
+  );
+}
+
+function ApprovalPanel({ token, otpRequired, onConfirm, onBack }) {
+  const [type, setType] = useState("drawn");
+  const [name, setName] = useState("");
+  const [image, setImage] = useState(null);
+  const [otp, setOtp] = useState("");
+  const [otpSent, setOtpSent] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState("");
+
+  const sendCode = async () => {
+    setSending(true);
+    setError("");
+    try {
+      setOtpSent(await apiRequest(`/invoices/${token}/approval-otp`, { method: "POST" }));
+    } catch (e) {
+      console.error(e);
+      setError(isNetworkError(e) ? "You're offline, the code can't be sent right now" : e.body?.error || "Couldn't send the code");
+    } finally { setSending(false); }
+  };
+
+  const signed = name.trim() && (type === "typed" || image);
+  const ready = signed && (otp ? /^\d{6}$/.test(otp) : !otpRequired);
+  const confirm = () => onConfirm({
+    signature: { type, name: name.trim(), ...(type === "drawn" ? { image } : {}) },
+    ...(otp ? { otp } : {}),
+  });
+
+  const input = { padding:"0.5rem 0.75rem", fontSize:"1rem", border:"2px solid #007bff", borderRadius:6, boxSizing:"border-box" };
+  const tab = (active) => ({ padding:"6px 14px", cursor:"pointer", border:"1px solid #28a745", borderRadius:6, background: active ? "#28a745" : "#fff", color: active ? "#fff" : "#28a745", fontWeight:"bold" });
+  return (
+    <div style={{ border:"2px solid #28a745", background:"#f3fbf5", borderRadius:10, padding:15, marginTop:30, display:"grid", gap:10 }}>
+      <b>Sign to approve</b>
+      <input value={name} onChange={e=>setName(e.target.value)} placeholder="Your full name" maxLength={100} style={{...input, maxWidth:400}} />
+      <div style={{display:"flex", gap:8}}>
+        <button type="button" onClick={()=>setType("drawn")} style={tab(type === "drawn")}>Draw</button>
+        <button type="button" onClick={()=>setType("typed")} style={tab(type === "typed")}>Type</button>
+      </div>
+      {type === "drawn" ? (
+        <SignaturePad onChange={setImage} />
+      ) : (
+        <div style={{maxWidth:SIGNATURE_WIDTH, minHeight:60, border:"1px dashed #999", borderRadius:6, background:"#fff", padding:"8px 14px", fontFamily:"'Times New Roman', serif", fontStyle:"italic", fontSize:"2rem", boxSizing:"border-box"}}>
+          {name.trim() || <span style={{color:"#bbb"}}>Your name</span>}
+        </div>
+      )}
+      <div style={{display:"flex", gap:10, flexWrap:"wrap", alignItems:"center"}}>
+        <button type="button" disabled={sending} onClick={sendCode} style={{padding:"6px 12px", cursor:"pointer", border:"none", borderRadius:6, background:"#007bff", color:"white", fontWeight:"bold"}}>
+          {otpSent ? "Send a new code" : "Send code to my phone"}
+        </button>
+        <input value={otp} onChange={e=>setOtp(e.target.value.replace(/\D/g, "").slice(0, 6))} inputMode="numeric" placeholder="6-digit code" style={{...input, width:140}} />
+        <span style={{fontSize:"0.9rem", color:"#555"}}>
+          {otpSent ? `Sent to ${otpSent.phone}` : otpRequired ? "A code is required to approve" : "Optional: confirms your phone number"}
+        </span>
+      </div>
+      <FieldError message={error} />
+      <div style={{display:"flex", gap:10, flexWrap:"wrap"}}>
+        <button className="action-btn" disabled={!ready} onClick={confirm} style={{padding:"10px 18px", fontSize:"1rem", cursor:"pointer", border:"none", borderRadius:6, background:"#28a745", color:"white", fontWeight:"bold", opacity: ready ? 1 : 0.6}}>Confirm approval</button>
+        <button className="action-btn" onClick={onBack} style={{padding:"10px 18px", fontSize:"1rem", cursor:"pointer", border:"none", borderRadius:6, background:"#6c757d", color:"white", fontWeight:"bold"}}>Back</button>
+      </div>
+    </div>
+  );
+}
+
+// The stored approval evidence (signature, time, verified phone, document hash)
+function ApprovalRecord({ token, version }) {
+  const [approval, setApproval] = useState(null);
+
+  useEffect(() => {
+    apiRequest(`/invoices/${token}/approval`).then(setApproval, (e) => {
+      if (e.status !== 404) console.error(e);
+      setApproval(null);
+    });
+  }, [token, version]);
+
+  if (!approval) return null;
+  return (
+    <div style={{ border:"1px solid #cfe8d5", background:"#f3fbf5", borderRadius:10, padding:"12px 15px", marginTop:20, fontSize:"0.95rem", lineHeight:1.8 }}>
+      <div style={{fontWeight:"bold", marginBottom:6}}>✍️ Approval record</div>
+      {approval.signature_image ? (
+        <img src={approval.signature_image} alt={`Signature of ${approval.signer_name}`} style={{maxWidth:220, display:"block", background:"#fff", border:"1px solid #eee", borderRadius:6}} />
+      ) : approval.signer_name && (
+        <div style={{fontFamily:"'Times New Roman', serif", fontStyle:"italic", fontSize:"1.6rem"}}>{approval.signer_name}</div>
+      )}
+      <div>Approved by {approval.signer_name || "the back office"} on {new Date(approval.approved_at).toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short" })}</div>
+      <div>{approval.otp_verified ? `✅ Phone ${approval.phone} verified by code` : "Phone not verified by code"}</div>
+      <div style={{color:"#666", wordBreak:"break-all"}} title={approval.document_hash}>Document SHA-256: {approval.document_hash.slice(0, 16)}…</div>
+    </div>
+  );
+}
+
+// ---------------- Tenant Branding ----------------
+// Name / logo / colours of the business behind the link (or the host)
+function useTenantBranding(token) {
+  const [branding, setBranding] = useState(null);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        // The API may live on another host, so say which one the app was opened on
+        const params = new URLSearchParams({ host: window.location.host });
+        if (token) params.set("token", token);
+        const data = await apiRequest(`/tenant?${params}`);
+        setBranding(data || null);
+        if (data?.name) document.title = data.name;
+      } catch (error) {
+        console.error(error);
+      }
+    })();
+  }, [token]);
+
+  return branding;
+}
+
+function BrandTitle({ branding }) {
+  return (
+    <div className="invoice-title" style={{ display:"flex", alignItems:"center", gap:10, fontWeight:600, fontSize:"1.4rem", color:branding?.colors?.primary }}>
+      {branding?.logo && <img src={branding.logo} alt="" style={{ height:32, width:"auto" }} />}
+      {branding?.name || "Invoice Management"}
+    </div>
+  );
+}
+
+// Where the approval webhook stands (mirrored from the outbox)
+const WEBHOOK_LABELS = { PENDING: "⏳ Being sent", SENT: "✅ Sent", FAILED: "⚠️ Retrying", DEAD: "❌ Not delivered" };
+
+// Statuses the "Not approved" list shows (the server's OPEN_STATUSES)
+const PENDING_STATUSES = ["CREATED", "DRAFT", "CHANGES_REQUESTED"];
+
 function InvoicePage() {
-  const { uuid, phone } = useParams();
-  const navigate = useNavigate();
+  const { token } = useParams();
+  const branding = useTenantBranding(token);
   const [invoice, setInvoice] = useState(null);
   const [editId, setEditId] = useState(null);
   const [editData, setEditData] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  // { theirs, fields } after a save was refused because the invoice changed meanwhile
+  const [conflict, setConflict] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [pending, setPending] = useState([]);
+  // When set, the invoice shown is the copy saved on this device (offline)
+  const [savedCopyAt, setSavedCopyAt] = useState(null);
+  const [loadError, setLoadError] = useState("");
+  const { online, changes, syncing, sync, refresh } = useOfflineSync();
+  const queued = useMemo(() => changes.filter((c) => c.token === token), [changes, token]);
+  // Not approved invoices of the same phone, fetched page by page as the list scrolls
+  const [pending, setPending] = useState({ data: [], next_cursor: null, total: 0 });
+  const [pendingQuery, setPendingQuery] = useState("");
+  const [pendingLoading, setPendingLoading] = useState(false);
   const [showPending, setShowPending] = useState(false);
+  // Server-Sent Events not handled yet, oldest first; an effect below works through them
+  const [liveEvents, setLiveEvents] = useState([]);
+  // Someone else changed the invoice while this page was editing it
+  const [remoteChange, setRemoteChange] = useState(false);
+  // { reason, comments: { [line]: text } } while the request-changes form is open
+  const [changeRequest, setChangeRequest] = useState(null);
+  const [approving, setApproving] = useState(false);
+  // Bumped to reload the comment thread
+  const [commentsKey, setCommentsKey] = useState(0);
 
-  const fetchInvoice = useCallback(async () => {
-    setLoading(true);
+  // quiet: refresh in place, without the loading screen (live updates)
+  const fetchInvoice = useCallback(async (quiet = false) => {
+    if (!quiet) setLoading(true);
     try {
-      const data = await apiRequest(`/invoices/${uuid}/${phone}`);
+      const data = await apiRequest(`/invoices/${token}`);
       setInvoice(data || null);
+      setSavedCopyAt(null);
+      setLoadError("");
+      if (data) saveInvoiceCopy(token, data).catch(console.error);
     } catch (error) {
       console.error(error);
-      alert("Failed to load invoice");
+      if (isLinkGone(error)) {
+        // Don't keep showing a copy of an invoice this link no longer opens
+        removeInvoiceCopy(token).catch(console.error);
+        setInvoice(null);
+        setSavedCopyAt(null);
+        setLoadError(error.body?.error || "This link no longer works.");
+        return;
+      }
+      if (!isNetworkError(error)) {
+        if (!quiet) alert("Failed to load invoice");
+        return;
+      }
+      const copy = await loadInvoiceCopy(token).catch(() => null);
+      if (copy) {
+        setInvoice(copy.invoice);
+        setSavedCopyAt(copy.savedAt);
+      } else {
+        setLoadError("You're offline and this invoice hasn't been opened on this device before.");
+      }
     } finally {
       setLoading(false);
     }
-  }, [uuid, phone]);
+  }, [token]);
 
-  useEffect(() => { fetchInvoice(); }, [fetchInvoice]);
+  // Queued offline changes go out first, so the invoice loaded afterwards includes them
+  useEffect(() => {
+    const load = () => sync().then(fetchInvoice);
+    load();
+    window.addEventListener("online", load);
+    return () => window.removeEventListener("online", load);
+  }, [sync, fetchInvoice]);
 
+  // An offline edit the server refused because the invoice changed meanwhile opens the
+  // same merge view as a live conflict
   useEffect(() => {
-    (async () => {
-      if (!phone) return;
-      try {
-        const data = await apiRequest(`/invoices/pending?phone=${phone}`);
-        if (Array.isArray(data)) setPending(data);
-      } catch (error) {
-        console.error(error);
-      }
-    })();
-  }, [phone]);
+    const parked = queued.find((c) => c.kind === "save" && c.status === "conflict");
+    if (!parked || conflict) return;
+    setEditData(parked.edit);
+    setConflict({ theirs: parked.current, fields: diffEdits(parked.base, parked.edit, parked.current), queued: true });
+  }, [queued, conflict]);
+
+  const pendingPath = useCallback((cursor) => {
+    const params = new URLSearchParams({ limit: "20" });
+    if (pendingQuery.trim()) params.set("q", pendingQuery.trim());
+    if (cursor) params.set("cursor", cursor);
+    return `/invoices/${token}/pending?${params}`;
+  }, [token, pendingQuery]);
+
+  // Bumped by every fetchPending, so an answer for an older search (or a page of the
+  // previous results) that arrives late is dropped
+  const pendingRequest = useRef(0);
+  const fetchPending = useCallback(async (cursor = null) => {
+    if (!token) return;
+    const request = ++pendingRequest.current;
+    try {
+      setPendingLoading(true);
+      const page = await apiRequest(pendingPath(cursor));
+      if (request !== pendingRequest.current) return;
+      setPending((s) => ({ ...page, data: cursor ? [...s.data, ...page.data] : page.data }));
+    } catch (error) {
+      console.error(error);
+    } finally {
+      if (request === pendingRequest.current) setPendingLoading(false);
+    }
+  }, [token, pendingPath]);
+
+  // Live updates: the first page again, merged over the list so the pages already
+  // scrolled in stay
+  const refreshPendingHead = useCallback(async () => {
+    if (!token) return;
+    const request = pendingRequest.current;
+    try {
+      const page = await apiRequest(pendingPath(null));
+      if (request !== pendingRequest.current) return;
+      setPending((s) => {
+        const fresh = new Set(page.data.map((p) => p.uuid));
+        return {
+          total: page.total,
+          next_cursor: s.data.length > 0 ? s.next_cursor : page.next_cursor,
+          data: [...page.data, ...s.data.filter((p) => !fresh.has(p.uuid))],
+        };
+      });
+    } catch (error) {
+      console.error(error);
+    }
+  }, [token, pendingPath]);
+
+  // First page on load, and again (debounced) while typing in the search box
+  useEffect(() => {
+    const timer = setTimeout(() => fetchPending(), 300);
+    return () => clearTimeout(timer);
+  }, [fetchPending]);
+
+  // Live updates: the server pushes "invoice" when this invoice changes, "pending" when
+  // another invoice of this phone does and "resync" when it may have missed something
+  useEffect(() => {
+    if (!token || typeof EventSource === "undefined") return;
+    const source = new EventSource(`${apiBaseUrl}/invoices/${token}/events`);
+    const listen = (name) => source.addEventListener(name, (e) => setLiveEvents((q) => [...q, { name, ...JSON.parse(e.data) }]));
+    ["invoice", "pending", "resync"].forEach(listen);
+    return () => source.close();
+  }, [token]);
+
+  useEffect(() => {
+    if (liveEvents.length === 0) return;
+    setLiveEvents([]);
+
+    // The list: an invoice that left it is dropped here, anything else (new, edited,
+    // or a resync) takes one request for the first page
+    const closed = new Set(liveEvents
+      .filter((e) => e.name !== "resync" && !PENDING_STATUSES.includes(e.status))
+      .map((e) => e.invoice_id));
+    if (closed.size > 0) {
+      setPending((s) => {
+        const data = s.data.filter((p) => !closed.has(p.uuid));
+        return { ...s, data, total: Math.max(0, s.total - (s.data.length - data.length)) };
+      });
+    }
+    if (liveEvents.some((e) => e.name === "resync" || PENDING_STATUSES.includes(e.status))) refreshPendingHead();
+
+    // This invoice: only the latest event matters
+    const latest = liveEvents.filter((e) => e.name !== "pending").pop();
+    if (!latest || !invoice) return;
+    setCommentsKey((k) => k + 1);
+    // Our own save / approval comes back as an event too
+    if (latest.name === "invoice" && latest.version === invoice.version && latest.webhook_status === invoice.webhook_status) return;
+    if (editId) {
+      // Don't pull the form from under the user; a save will show what changed
+      setRemoteChange(true);
+    } else {
+      fetchInvoice(true);
+    }
+  }, [liveEvents, invoice, editId, fetchInvoice, refreshPendingHead]);
+
+  const handlePendingScroll = (e) => {
+    const el = e.currentTarget;
+    if (pending.next_cursor && !pendingLoading && el.scrollTop + el.clientHeight >= el.scrollHeight - 40) {
+      fetchPending(pending.next_cursor);
+    }
+  };
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -155,40 +921,57 @@ function InvoicePage() {
   // Close dropdown when route changes
   useEffect(() => {
     setShowPending(false);
-  }, [uuid, phone]);
+  }, [token]);
 
   // Edit handlers
   const handleEdit = () => {
     const rows = normalizeRows(invoice);
     setEditId(invoice.phonenumber);
     setEditData({ ...invoice, rows });
+    setFieldErrors({});
+    setConflict(null);
+    setRemoteChange(false);
+  };
+  const clearFieldError = (key) => setFieldErrors((s) => {
+    if (!s[key]) return s;
+    const { [key]: _, ...rest } = s;
+    return rest;
+  });
+  const handleChangeHeader = (field, value) => {
+    clearFieldError(field);
+    setEditData((s) => ({ ...s, [field]: value ?? "" }));
   };
-  const handleChangeHeader = (field, value) => setEditData((s) => ({ ...s, [field]: value ?? "" }));
   const handleRowChange = (index, field, value) => {
+    clearFieldError(`rows.${index}.${field}`);
     setEditData((s) => {
       const rows = [...s.rows];
       rows[index] = { ...rows[index], [field]: value ?? "" };
       return { ...s, rows };
     });
   };
-  const addRow = () => setEditData((s) => ({ ...s, rows: [...s.rows, { productname:"", description:"", quantity:"", units:"", rate:"" }] }));
-  const removeRow = (i) => setEditData((s) => ({ ...s, rows: s.rows.filter((_, idx) => idx !== i) }));
+  const addRow = () => setEditData((s) => ({ ...s, rows: [...s.rows, { productname:"", description:"", quantity:"", units:"", rate:"", gst_rate: "" }] }));
+  const removeRow = (i) => {
+    // Row indexes shift, so row errors no longer point at the right inputs
+    setFieldErrors((s) => Object.fromEntries(Object.entries(s).filter(([key]) => !key.startsWith("rows."))));
+    setEditData((s) => ({ ...s, rows: s.rows.filter((_, idx) => idx !== i) }));
+  };
 
   const calcEditTotals = useMemo(() => {
-    if (!editId || !editData?.rows) return { lines: [], total: 0 };
-    const lines = editData.rows.map((r) => num(r.quantity) * num(r.rate));
-    const total = lines.reduce((a, b) => a + b, 0);
-    return { lines, total };
-  }, [editId, editData]);
+    if (!editId || !editData?.rows) return computeTotals([]);
+    return computeTotals(withInvoiceGstRates(editData.rows, invoice?.items), invoice?.totals);
+  }, [editId, editData, invoice]);
 
   const handleSave = async () => {
+    const sentRows = [];
     try {
       setLoading(true);
-      const rows = (editData.rows || []).filter((r) =>
-        String(r.productname).trim() || String(r.description).trim() || String(r.quantity).trim() || String(r.units).trim() || String(r.rate).trim()
-      );
+      const rows = (editData.rows || []).filter((r, i) => {
+        const keep = String(r.productname).trim() || String(r.description).trim() || String(r.quantity).trim() || String(r.units).trim() || String(r.rate).trim();
+        if (keep) sentRows.push(i);
+        return keep;
+      });
       const payload = {
-        invoice_number: editData.invoice_number ?? "",
+        reference_number: editData.reference_number ?? "",
         Dealer: editData.Dealer ?? "",
         phonenumber: editData.phonenumber ?? "",
         invoice_date: editData.invoice_date ?? "",
@@ -197,58 +980,203 @@ function InvoicePage() {
         quantity: JSON.stringify(rows.map(r=>r.quantity ?? "")),
         units: JSON.stringify(rows.map(r=>r.units ?? "")),
         rate: JSON.stringify(rows.map(r=>r.rate ?? "")),
-        amount: calcEditTotals.total,
-        total: calcEditTotals.total,
-        status: "DRAFT",
       };
-      const saved = await apiRequest(`/invoices/${uuid}/${editId}`, {
-        method: "PUT",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-      alert("💾 Saved!");
-
-      // If phone number changed, navigate to new URL
-      if (saved && saved.phonenumber && String(saved.phonenumber) !== String(phone)) {
-        navigate(`/${uuid}/${saved.phonenumber}`);
+      // The link is tied to the invoice, not the phone, so it survives a phone change.
+      // If-Match makes the server refuse the save if someone else saved in between.
+      try {
+        await apiRequest(`/invoices/${token}`, {
+          method: "PUT",
+          headers: { "Content-Type": "application/json", "If-Match": `"${editData.version}"` },
+          body: JSON.stringify(payload),
+        });
+      } catch (e) {
+        if (!isNetworkError(e)) throw e;
+        // Offline: queue the save and show it as saved on this device until it syncs
+        await queueChange({ token, kind: "save", payload, version: editData.version, base: invoice, edit: { ...editData, rows } });
+        const local = {
+          ...invoice,
+          ...Object.fromEntries(MERGE_FIELDS.map(([key]) => [key, payload[key]])),
+          items: withInvoiceGstRates(rows, invoice.items),
+          totals: { ...invoice.totals, ...computeTotals(withInvoiceGstRates(rows, invoice.items), invoice.totals).totals },
+        };
+        await saveInvoiceCopy(token, local);
+        setInvoice(local);
+        setFieldErrors({});
+        setEditId(null);
+        await refresh();
+        alert("📴 You're offline. Saved on this device, it will sync when you're back online.");
         return;
       }
+      alert("💾 Saved!");
 
+      setFieldErrors({});
       setEditId(null);
+      setRemoteChange(false);
       await fetchInvoice();
-    } catch(e) { console.error(e); alert("❌ Save failed"); } finally { setLoading(false); }
+    } catch(e) {
+      console.error(e);
+      if (e.status === 422 && e.body?.errors) {
+        setFieldErrors(toFieldErrors(e.body.errors, sentRows));
+        alert("❌ Please fix the highlighted fields");
+      } else if (e.status === 412 && e.body?.current) {
+        setRemoteChange(false);
+        setConflict({ theirs: e.body.current, fields: diffEdits(invoice, editData, e.body.current) });
+        window.scrollTo(0, 0);
+      } else {
+        alert("❌ Save failed");
+      }
+    } finally { setLoading(false); }
   };
 
-  const handleApprove = async () => {
+  // `approval`: { signature, otp } from the approval panel
+  const handleApprove = async (approval) => {
     try {
       setLoading(true);
-      const rows = normalizeRows(invoice);
-      const total = rows.map(r=>num(r.quantity)*num(r.rate)).reduce((a,b)=>a+b,0);
+      // The total on screen (see `shown`), worked out here from the lines rather than
+      // echoed back; the server refuses the approval if its own total differs
+      const payload = { total: computeTotals(normalizeRows(invoice), invoice.totals).totals.total, ...approval };
+      // The PDF is rendered by the server
+      try {
+        await apiRequest(`/invoices/${token}/approve`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", "If-Match": `"${invoice.version}"` },
+          body: JSON.stringify(payload),
+        });
+      } catch (e) {
+        if (!isNetworkError(e)) throw e;
+        await queueChange({ token, kind: "approve", payload, version: invoice.version });
+        setApproving(false);
+        await refresh();
+        alert("📴 You're offline. The approval will be sent when you're back online.");
+        return;
+      }
 
-      const pdfBlob = generatePDFBlob({ ...invoice, status:"APPROVED" });
-      const pdfBase64 = await blobToBase64(pdfBlob);
-      await apiRequest(`/invoices/${uuid}/${invoice.phonenumber}/approve`, {
+      alert("✅ Approved, PDF generated & webhook queued!");
+      setApproving(false);
+      await fetchInvoice();
+    } catch(e) {
+      console.error(e);
+      const issue = e.body?.errors?.[0];
+      if (e.status === 422 && issue) {
+        // Wrong / expired code or a missing signature: keep the panel open to fix it
+        alert(`❌ ${issue.field === "otp" ? "Code" : "Signature"} ${issue.message}`);
+      } else if (e.status === 409 && e.body?.expected_total !== undefined) {
+        setApproving(false);
+        alert(`⚠️ The invoice total is ₹${e.body.expected_total}, not the ₹${e.body.received_total} shown here. Please review it again before approving.`);
+        await fetchInvoice();
+      } else if (e.status === 412) {
+        setApproving(false);
+        alert("⚠️ This invoice was changed since you opened it. Please review the latest version before approving.");
+        await fetchInvoice();
+      } else {
+        alert("❌ Approve failed");
+      }
+    } finally { setLoading(false); }
+  };
+
+  // Conflict view: pick a side per field, then keep editing on top of the latest version
+  const pickConflictSide = (key, side) => setConflict((c) => ({
+    ...c,
+    fields: c.fields.map((f) => (f.key === key ? { ...f, pick: side } : f)),
+  }));
+  // A conflict from the outbox also drops the rest of that invoice's queue, which was
+  // made on top of the refused edit
+  const dropQueued = async () => {
+    if (!conflict.queued) return;
+    await removeChangesFor(token);
+    await refresh();
+  };
+  const mergeConflict = async () => {
+    await dropQueued();
+    const merged = { ...conflict.theirs, rows: normalizeRows(conflict.theirs) };
+    conflict.fields.forEach((f) => {
+      if (f.pick === "mine") merged[f.key] = f.key === "rows" ? editData.rows : editData[f.key];
+    });
+    setInvoice(conflict.theirs);
+    setEditId(conflict.theirs.phonenumber);
+    setEditData(merged);
+    setFieldErrors({});
+    setConflict(null);
+  };
+  const discardConflict = async () => {
+    await dropQueued();
+    setInvoice(conflict.theirs);
+    setEditId(null);
+    setFieldErrors({});
+    setConflict(null);
+  };
+
+  // Request changes: a reason plus optional comments on single line items
+  const handleRequestChanges = async () => {
+    const comments = Object.entries(changeRequest.comments)
+      .filter(([, body]) => body.trim())
+      .map(([line, body]) => ({ line: Number(line), body: body.trim() }));
+    try {
+      setLoading(true);
+      await apiRequest(`/invoices/${token}/request-changes`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          invoice_number: invoice.invoice_number,
-          phonenumber: invoice.phonenumber,
-          total,
-          pdfBase64,
-        }),
+        body: JSON.stringify({ reason: changeRequest.reason.trim(), comments }),
       });
+      alert("✏️ Changes requested, we'll get back to you");
+      setChangeRequest(null);
+      setCommentsKey((k) => k + 1);
+      await fetchInvoice();
+    } catch(e) {
+      console.error(e);
+      const issue = e.body?.errors?.[0];
+      alert(issue ? `❌ ${issue.field === "reason" ? "Please say what needs to change" : `${issue.field} ${issue.message}`}` : "❌ Request failed");
+    } finally { setLoading(false); }
+  };
 
-      alert("✅ Approved, PDF uploaded & webhook sent!");
+  // Reject (invoice is wrong) / Cancel (invoice shouldn't exist), both with a reason
+  const handleClose = async (action) => {
+    const reason = window.prompt(action === "reject" ? "Why are you rejecting this invoice?" : "Why are you cancelling this invoice?");
+    if (!reason || !reason.trim()) return;
+    try {
+      setLoading(true);
+      await apiRequest(`/invoices/${token}/${action}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ reason: reason.trim() }),
+      });
+      alert(action === "reject" ? "🛑 Invoice rejected" : "🛑 Invoice cancelled");
       await fetchInvoice();
-    } catch(e) { console.error(e); alert("❌ Approve failed"); } finally { setLoading(false); }
+    } catch(e) { console.error(e); alert(`❌ ${action === "reject" ? "Reject" : "Cancel"} failed`); } finally { setLoading(false); }
+  };
+
+  const dismissChange = async (id) => {
+    await removeChange(id);
+    await refresh();
   };
 
   if(loading) return <p style={{textAlign:"center"}}>Loading...</p>;
+  if(!invoice && loadError) return (
+    <div style={{textAlign:"center"}}>
+      <p>{loadError}</p>
+      <button onClick={()=>fetchInvoice()} style={{padding:"8px 16px", cursor:"pointer", border:"none", borderRadius:6, background:"#007bff", color:"white", fontWeight:"bold"}}>Retry</button>
+    </div>
+  );
   if(!invoice) return <p style={{textAlign:"center"}}>Invoice not found!</p>;
 
   const rows = normalizeRows(invoice);
-  const total = rows.map(r=>num(r.quantity)*num(r.rate)).reduce((a,b)=>a+b,0);
   const isEditing = editId === invoice.phonenumber;
+  const rowError = (i, field) => fieldErrors[`rows.${i}.${field}`];
+  const invalidBorder = (message) => (message ? { borderColor: "#dc3545" } : null);
+  // The server decides which actions the current status and link allow
+  // Nothing more to do here while an approval made offline waits to be sent
+  const approvalQueued = queued.some((c) => c.kind === "approve" && c.status === "pending");
+  const actions = approvalQueued ? [] : invoice.access?.actions || [];
+  const can = (action) => actions.includes(action);
+  const statusColors = { CHANGES_REQUESTED:"#fd7e14", APPROVED:"#28a745", SENT:"#17a2b8", PAID:"#0b5", REJECTED:"#dc3545", CANCELLED:"#6c757d" };
+  const statusBadge = (
+    <span style={{padding:"2px 10px", borderRadius:12, background:statusColors[invoice.status] || "#ffc107", color:"white", fontWeight:"bold", fontSize:"0.9rem"}}>{String(invoice.status).replace(/_/g, " ")}</span>
+  );
+  // Saved invoices show the server's breakdown, edits show the live preview. An invoice
+  // up for approval shows the totals worked out here from its lines: that is the total
+  // the customer approves
+  const viewed = computeTotals(rows, invoice.totals);
+  const shown = isEditing ? calcEditTotals : { lines: viewed.lines, totals: can("approve") ? { ...invoice.totals, ...viewed.totals } : invoice.totals };
 
   // Responsive styles
   // You can move these styles to a CSS file for better maintainability.
@@ -339,7 +1267,7 @@ function InvoicePage() {
         padding:"12px 8px"
       }}>
         <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", maxWidth:800, margin:"0 auto" }}>
-          <div className="invoice-title" style={{ fontWeight:600, fontSize:"1.4rem" }}>Invoice Management</div>
+          <BrandTitle branding={branding} />
           <div className="pending-dropdown" style={{ position:"relative", minWidth:200 }}>
             <button 
               onClick={() => setShowPending(!showPending)}
@@ -349,12 +1277,12 @@ function InvoicePage() {
                 cursor:"pointer",
                 border:"1px solid #ddd",
                 borderRadius:6,
-                background:"#007bff",
+                background:branding?.colors?.primary || "#007bff",
                 color:"white",
                 fontWeight:"bold"
               }}
             >
-              Not Approved ({pending.length})
+              Not Approved ({pending.total})
             </button>
             {showPending && (
               <div className="pending-dropdown-content" style={{ 
@@ -372,13 +1300,16 @@ function InvoicePage() {
                 border:"1px solid #ddd",
                 zIndex:1000
               }}>
-                <div style={{ padding:12, borderBottom:"1px solid #eee", fontWeight:600 }}>Not approved</div>
-                <div style={{ maxHeight:"calc(65vh - 50px)", overflowY:"auto" }}>
-                  {pending.length === 0 && <div style={{ padding:20, textAlign:"center", color:"#888" }}>All approved</div>}
-                  {pending.map((p)=>{
-                    const isActive = String(p.uuid) === String(uuid) && String(p.phonenumber) === String(phone);
+                <div style={{ padding:12, borderBottom:"1px solid #eee", fontWeight:600 }}>
+                  Not approved
+                  <input value={pendingQuery} onChange={e=>setPendingQuery(e.target.value)} placeholder="Search number, dealer, product" style={{ display:"block", width:"100%", marginTop:8, padding:"6px 8px", fontSize:14, border:"1px solid #ccc", borderRadius:6, boxSizing:"border-box", fontWeight:"normal" }} />
+                </div>
+                <div onScroll={handlePendingScroll} style={{ maxHeight:"calc(65vh - 90px)", overflowY:"auto" }}>
+                  {pending.data.length === 0 && !pendingLoading && <div style={{ padding:20, textAlign:"center", color:"#888" }}>{pendingQuery.trim() ? "No matches" : "All approved"}</div>}
+                  {pending.data.map((p)=>{
+                    const isActive = String(p.uuid) === String(invoice.id);
                     return (
-                      <a key={p.uuid} href={`/${p.uuid}/${p.phonenumber}`} style={{ textDecoration:"none", display:"block" }}>
+                      <a key={p.uuid} href={`/i/${p.token}`} style={{ textDecoration:"none", display:"block" }}>
                         <div style={{ 
                           borderBottom:"1px solid #eee", 
                           padding:12,
@@ -389,12 +1320,19 @@ function InvoicePage() {
                         onMouseEnter={(e) => { if (!isActive) e.currentTarget.style.background = "#f5f5f5"; }}
                         onMouseLeave={(e) => { if (!isActive) e.currentTarget.style.background = "#fff"; }}
                         >
-                          <div style={{ color:"#0b5", fontWeight:600, fontSize:14 }}>{p.phonenumber}</div>
-                          <div style={{ fontSize:12, color:"#666" }}>{p.Dealer || "Unknown"}</div>
+                          <div style={{ display:"flex", justifyContent:"space-between", gap:10 }}>
+                            <span style={{ color:"#0b5", fontWeight:600, fontSize:14 }}>{p.invoice_number || p.reference_number || p.phonenumber}</span>
+                            {p.total !== null && <span style={{ fontWeight:600, fontSize:14 }}>₹{p.total.toFixed(2)}</span>}
+                          </div>
+                          <div style={{ display:"flex", justifyContent:"space-between", gap:10, fontSize:12, color:"#666" }}>
+                            <span>{p.Dealer || "Unknown"}</span>
+                            <span>{p.invoice_date || new Date(p.created_at).toLocaleDateString()}</span>
+                          </div>
                         </div>
                       </a>
                     );
                   })}
+                  {pendingLoading && <div style={{ padding:12, textAlign:"center", color:"#888", fontSize:12 }}>Loading…</div>}
                 </div>
               </div>
             )}
@@ -410,22 +1348,37 @@ function InvoicePage() {
         background:"#f7f7f7"
       }}>
         <div style={cardContainer}>
-        <h2 className="invoice-title" style={{marginBottom:20, fontSize:"1.4rem"}}>INVOICE: {isEditing ? <input value={editData.invoice_number ?? ""} onChange={e=>handleChangeHeader("invoice_number", e.target.value)} style={{width:"100%", maxWidth:300, padding:"12px 14px", fontSize:"1rem", border:"2px solid #007bff", borderRadius:6, outline:"none"}}/> : invoice.invoice_number}</h2>
+        <SyncStatus online={online} syncing={syncing} queued={queued} savedCopyAt={savedCopyAt} onSync={()=>sync().then(fetchInvoice)} onDismiss={dismissChange} />
+        {remoteChange && isEditing && !conflict && (
+          <div style={{ border:"1px solid #ffc107", background:"#fff9e6", borderRadius:10, padding:"10px 14px", marginBottom:12, fontSize:"0.95rem" }}>
+            🔔 Someone else just changed this invoice. When you save, you'll see what changed and can merge.
+          </div>
+        )}
+        {conflict && <ConflictPanel conflict={conflict} onPick={pickConflictSide} onMerge={mergeConflict} onDiscard={discardConflict} />}
+        {/* The invoice number is allocated by the server when the invoice is approved */}
+        <h2 className="invoice-title" style={{marginBottom:20, fontSize:"1.4rem"}}>INVOICE: {invoice.invoice_number || <span style={{color:"#888", fontWeight:"normal", fontSize:"1rem"}}>number assigned on approval</span>}</h2>
 
         {isEditing ? (
           <div className="invoice-fields" style={{ display:"grid", gap:15, marginBottom:20 }}>
-            <div><label style={{fontSize:"1rem", fontWeight:"bold", display:"block", marginBottom:5}}>Dealer:</label> <input value={editData.Dealer ?? ""} onChange={e=>handleChangeHeader("Dealer", e.target.value)} style={{width:"100%", maxWidth:400, padding:"0.5rem 0.75rem", fontSize:"1rem", border:"2px solid #007bff", borderRadius:6, outline:"none", boxSizing:"border-box"}}/></div>
-            <div><label style={{fontSize:"1rem", fontWeight:"bold", display:"block", marginBottom:5}}>Phone:</label> <input value={editData.phonenumber ?? ""} onChange={e=>handleChangeHeader("phonenumber", e.target.value)} type="tel" style={{width:"100%", maxWidth:400, padding:"0.5rem 0.75rem", fontSize:"1rem", border:"2px solid #007bff", borderRadius:6, outline:"none", boxSizing:"border-box"}}/></div>
-            <div><label style={{fontSize:"1rem", fontWeight:"bold", display:"block", marginBottom:5}}>Date:</label> <input value={editData.invoice_date ?? ""} onChange={e=>handleChangeHeader("invoice_date", e.target.value)} type="date" style={{width:"100%", maxWidth:400, padding:"0.5rem 0.75rem", fontSize:"1rem", border:"2px solid #007bff", borderRadius:6, outline:"none", boxSizing:"border-box"}}/></div>
-            <div className="invoice-status" style={{fontSize:"1rem", padding:"0.5rem 0.75rem", background:"#f0f0f0", borderRadius:6}}><b>Status:</b> {invoice.status}</div>
+            <div><label style={{fontSize:"1rem", fontWeight:"bold", display:"block", marginBottom:5}}>Reference:</label> <input value={editData.reference_number ?? ""} onChange={e=>handleChangeHeader("reference_number", e.target.value)} style={{width:"100%", maxWidth:400, padding:"0.5rem 0.75rem", fontSize:"1rem", border:`2px solid ${fieldErrors.reference_number ? "#dc3545" : "#007bff"}`, borderRadius:6, outline:"none", boxSizing:"border-box"}}/><FieldError message={fieldErrors.reference_number} /></div>
+            <div><label style={{fontSize:"1rem", fontWeight:"bold", display:"block", marginBottom:5}}>Dealer:</label> <input value={editData.Dealer ?? ""} onChange={e=>handleChangeHeader("Dealer", e.target.value)} style={{width:"100%", maxWidth:400, padding:"0.5rem 0.75rem", fontSize:"1rem", border:`2px solid ${fieldErrors.Dealer ? "#dc3545" : "#007bff"}`, borderRadius:6, outline:"none", boxSizing:"border-box"}}/><FieldError message={fieldErrors.Dealer} /></div>
+            <div><label style={{fontSize:"1rem", fontWeight:"bold", display:"block", marginBottom:5}}>Phone:</label> <input value={editData.phonenumber ?? ""} onChange={e=>handleChangeHeader("phonenumber", e.target.value)} type="tel" style={{width:"100%", maxWidth:400, padding:"0.5rem 0.75rem", fontSize:"1rem", border:`2px solid ${fieldErrors.phonenumber ? "#dc3545" : "#007bff"}`, borderRadius:6, outline:"none", boxSizing:"border-box"}}/><FieldError message={fieldErrors.phonenumber} /></div>
+            <div><label style={{fontSize:"1rem", fontWeight:"bold", display:"block", marginBottom:5}}>Date:</label> <input value={editData.invoice_date ?? ""} onChange={e=>handleChangeHeader("invoice_date", e.target.value)} type="date" style={{width:"100%", maxWidth:400, padding:"0.5rem 0.75rem", fontSize:"1rem", border:`2px solid ${fieldErrors.invoice_date ? "#dc3545" : "#007bff"}`, borderRadius:6, outline:"none", boxSizing:"border-box"}}/><FieldError message={fieldErrors.invoice_date} /></div>
+            <div className="invoice-status" style={{fontSize:"1rem", padding:"0.5rem 0.75rem", background:"#f0f0f0", borderRadius:6}}><b>Status:</b> {statusBadge}</div>
           </div>
         ) : (
           <div className="invoice-header" style={{ lineHeight:2, fontSize:"1rem", marginBottom:20 }}>
+            {invoice.reference_number && <><b>REFERENCE:</b> {invoice.reference_number}<br/></>}
             <b>DEALER:</b> {invoice.Dealer}<br/>
             <b>PHONE:</b> {invoice.phonenumber}<br/>
             <b>DATE:</b> {invoice.invoice_date}<br/>
-            <b>STATUS:</b> {invoice.status}<br/>
-            {invoice.pdf_url && <div style={{marginTop:10}}><a href={invoice.pdf_url} target="_blank" rel="noreferrer" style={{fontSize:"1rem"}}>📄 View PDF</a></div>}
+            <b>STATUS:</b> {statusBadge}<br/>
+            {invoice.webhook_status && <><b>DELIVERY:</b> {WEBHOOK_LABELS[invoice.webhook_status] || invoice.webhook_status}<br/></>}
+            {invoice.status_reason && <><b>REASON:</b> {invoice.status_reason}<br/></>}
+            <div style={{marginTop:10, display:"flex", gap:15, flexWrap:"wrap"}}>
+              <a href={`${apiBaseUrl}/invoices/${token}/pdf/preview`} target="_blank" rel="noreferrer" style={{fontSize:"1rem"}}>📄 View PDF</a>
+              <a href={`${apiBaseUrl}/invoices/${token}/pdf`} style={{fontSize:"1rem"}}>⬇️ Download PDF</a>
+            </div>
           </div>
         )}
 
@@ -438,22 +1391,24 @@ function InvoicePage() {
               <th style={cellPad}>QUANTITY</th>
               <th style={cellPad}>UNITS</th>
               <th style={cellPad}>RATE</th>
+              <th style={cellPad}>GST %</th>
               <th style={cellPad}>AMOUNT</th>
               {isEditing && <th style={cellPad}>ACTION</th>}
             </tr>
           </thead>
           <tbody>
             {(isEditing ? editData.rows : rows).map((r,i)=>{
-              const amount = num(r.quantity)*num(r.rate);
+              const amount = shown.lines[i]?.amount ?? 0;
               return (
                 <tr key={i}>
                   {isEditing ? (
                     <>
-                      <td style={cellPad}><input value={r.productname ?? ""} onChange={e=>handleRowChange(i,"productname",e.target.value)} style={inputBase} onFocus={(e)=>e.target.style.borderColor="#28a745"} onBlur={(e)=>e.target.style.borderColor="#007bff"} /></td>
-                      <td style={cellPad}><input value={r.description ?? ""} onChange={e=>handleRowChange(i,"description",e.target.value)} style={inputBase} onFocus={(e)=>e.target.style.borderColor="#28a745"} onBlur={(e)=>e.target.style.borderColor="#007bff"} /></td>
-                      <td style={cellPad}><input value={r.quantity ?? ""} onChange={e=>handleRowChange(i,"quantity",e.target.value)} type="number" style={{...inputBase, textAlign:"right"}} onFocus={(e)=>e.target.style.borderColor="#28a745"} onBlur={(e)=>e.target.style.borderColor="#007bff"} /></td>
-                      <td style={cellPad}><input value={r.units ?? ""} onChange={e=>handleRowChange(i,"units",e.target.value)} style={inputBase} onFocus={(e)=>e.target.style.borderColor="#28a745"} onBlur={(e)=>e.target.style.borderColor="#007bff"} /></td>
-                      <td style={cellPad}><input value={r.rate ?? ""} onChange={e=>handleRowChange(i,"rate",e.target.value)} type="number" style={{...inputBase, textAlign:"right"}} onFocus={(e)=>e.target.style.borderColor="#28a745"} onBlur={(e)=>e.target.style.borderColor="#007bff"} /></td>
+                      <td style={cellPad}><input value={r.productname ?? ""} onChange={e=>handleRowChange(i,"productname",e.target.value)} style={{...inputBase, ...invalidBorder(rowError(i,"productname"))}} onFocus={(e)=>e.target.style.borderColor="#28a745"} onBlur={(e)=>e.target.style.borderColor=rowError(i,"productname") ? "#dc3545" : "#007bff"} /><FieldError message={rowError(i,"productname")} /></td>
+                      <td style={cellPad}><input value={r.description ?? ""} onChange={e=>handleRowChange(i,"description",e.target.value)} style={{...inputBase, ...invalidBorder(rowError(i,"description"))}} onFocus={(e)=>e.target.style.borderColor="#28a745"} onBlur={(e)=>e.target.style.borderColor=rowError(i,"description") ? "#dc3545" : "#007bff"} /><FieldError message={rowError(i,"description")} /></td>
+                      <td style={cellPad}><input value={r.quantity ?? ""} onChange={e=>handleRowChange(i,"quantity",e.target.value)} type="number" style={{...inputBase, ...invalidBorder(rowError(i,"quantity")), textAlign:"right"}} onFocus={(e)=>e.target.style.borderColor="#28a745"} onBlur={(e)=>e.target.style.borderColor=rowError(i,"quantity") ? "#dc3545" : "#007bff"} /><FieldError message={rowError(i,"quantity")} /></td>
+                      <td style={cellPad}><input value={r.units ?? ""} onChange={e=>handleRowChange(i,"units",e.target.value)} style={{...inputBase, ...invalidBorder(rowError(i,"units"))}} onFocus={(e)=>e.target.style.borderColor="#28a745"} onBlur={(e)=>e.target.style.borderColor=rowError(i,"units") ? "#dc3545" : "#007bff"} /><FieldError message={rowError(i,"units")} /></td>
+                      <td style={cellPad}><input value={r.rate ?? ""} onChange={e=>handleRowChange(i,"rate",e.target.value)} type="number" style={{...inputBase, ...invalidBorder(rowError(i,"rate")), textAlign:"right"}} onFocus={(e)=>e.target.style.borderColor="#28a745"} onBlur={(e)=>e.target.style.borderColor=rowError(i,"rate") ? "#dc3545" : "#007bff"} /><FieldError message={rowError(i,"rate")} /></td>
+                      <td style={{...cellPad, textAlign:"right"}}>{shown.lines[i]?.gst_rate}</td>
                       <td style={{...cellPad, textAlign:"right"}}>{amount.toFixed(2)}</td>
                       <td style={cellPad}><button className="action-btn" onClick={()=>removeRow(i)} style={{padding:"8px 16px", fontSize:"1rem", cursor:"pointer", border:"none", borderRadius:6, background:"#dc3545", color:"white", fontWeight:"bold", width:"100%"}}>Remove</button></td>
                     </>
@@ -464,54 +1419,572 @@ function InvoicePage() {
                       <td style={{...cellPad, textAlign:"right"}}>{r.quantity}</td>
                       <td style={cellPad}>{r.units}</td>
                       <td style={{...cellPad, textAlign:"right"}}>{r.rate}</td>
+                      <td style={{...cellPad, textAlign:"right"}}>{shown.lines[i]?.gst_rate}</td>
                       <td style={{...cellPad, textAlign:"right"}}>{amount.toFixed(2)}</td>
                     </>
                   )}
                 </tr>
               )
             })}
-            <tr>
-              <td colSpan={5} style={{...cellPad, textAlign:"right", fontWeight:"bold"}}>TOTAL</td>
-              <td style={{...cellPad, fontWeight:"bold", textAlign:"right"}}>{isEditing ? calcEditTotals.total.toFixed(2) : total.toFixed(2)}</td>
-              {isEditing && <td style={cellPad}></td>}
-            </tr>
+            {totalsBreakdown(shown.totals).map(([label, value]) => {
+              const isTotal = label === "Total";
+              return (
+                <tr key={label}>
+                  <td colSpan={6} style={{...cellPad, textAlign:"right", fontWeight: isTotal ? "bold" : "normal"}}>{label.toUpperCase()}</td>
+                  <td style={{...cellPad, fontWeight: isTotal ? "bold" : "normal", textAlign:"right"}}>{value.toFixed(2)}</td>
+                  {isEditing && <td style={cellPad}></td>}
+                </tr>
+              );
+            })}
           </tbody>
         </table>
         </div>
 
+        {approving && !isEditing && can("approve") && (
+          <ApprovalPanel token={token} otpRequired={Boolean(invoice.access?.otp_required)} onConfirm={handleApprove} onBack={()=>setApproving(false)} />
+        )}
+
+        {changeRequest && !isEditing && (
+          <div style={{ border:"2px solid #fd7e14", background:"#fff8f0", borderRadius:10, padding:15, marginTop:30, display:"grid", gap:10 }}>
+            <b>What needs to change?</b>
+            <textarea value={changeRequest.reason} onChange={e=>setChangeRequest((s) => ({ ...s, reason: e.target.value }))} rows={3} placeholder="e.g. The rate for cement should be 340" style={{padding:"0.5rem 0.75rem", fontSize:"1rem", border:"2px solid #007bff", borderRadius:6, boxSizing:"border-box"}} />
+            {rows.length > 0 && <div style={{fontSize:"0.95rem", color:"#555"}}>Comments on single items (optional):</div>}
+            {rows.map((r, i) => (
+              <label key={i} style={{fontSize:"0.95rem"}}>
+                Item {i + 1}: {r.productname || "—"} ({r.quantity} {r.units} @ {r.rate})
+                <input value={changeRequest.comments[i] || ""} onChange={e=>setChangeRequest((s) => ({ ...s, comments: { ...s.comments, [i]: e.target.value } }))} style={{display:"block", width:"100%", marginTop:4, padding:"0.4rem 0.6rem", fontSize:"0.95rem", border:"1px solid #bbb", borderRadius:6, boxSizing:"border-box"}} />
+              </label>
+            ))}
+            <div style={{display:"flex", gap:10, flexWrap:"wrap"}}>
+              <button className="action-btn" disabled={!changeRequest.reason.trim()} onClick={handleRequestChanges} style={{padding:"10px 18px", fontSize:"1rem", cursor:"pointer", border:"none", borderRadius:6, background:"#fd7e14", color:"white", fontWeight:"bold"}}>Send request</button>
+              <button className="action-btn" onClick={()=>setChangeRequest(null)} style={{padding:"10px 18px", fontSize:"1rem", cursor:"pointer", border:"none", borderRadius:6, background:"#6c757d", color:"white", fontWeight:"bold"}}>Back</button>
+            </div>
+          </div>
+        )}
+
         <div style={{display:"flex", gap:15, marginTop:30, flexWrap:"wrap"}}>
           {isEditing ? (
             <>
               <button className="action-btn" onClick={addRow} style={{padding:"10px 18px", fontSize:"1rem", cursor:"pointer", border:"none", borderRadius:6, background:"#007bff", color:"white", fontWeight:"bold"}}>Add Item</button>
               <button className="action-btn" onClick={handleSave} style={{padding:"10px 18px", fontSize:"1rem", cursor:"pointer", border:"none", borderRadius:6, background:"#28a745", color:"white", fontWeight:"bold"}}>Save</button>
             </>
-          ) : (
+          ) : actions.length > 0 ? (
             <>
-              <button className="action-btn" onClick={handleEdit} style={{padding:"10px 18px", fontSize:"1rem", cursor:"pointer", border:"none", borderRadius:6, background:"#007bff", color:"white", fontWeight:"bold"}}>Edit</button>
-              <button className="action-btn" onClick={handleApprove} style={{padding:"10px 18px", fontSize:"1rem", cursor:"pointer", border:"none", borderRadius:6, background:"#28a745", color:"white", fontWeight:"bold"}}>Approve</button>
+              {can("edit") && <button className="action-btn" onClick={handleEdit} style={{padding:"10px 18px", fontSize:"1rem", cursor:"pointer", border:"none", borderRadius:6, background:"#007bff", color:"white", fontWeight:"bold"}}>Edit</button>}
+              {can("approve") && !approving && <button className="action-btn" onClick={()=>{ setApproving(true); setChangeRequest(null); }} style={{padding:"10px 18px", fontSize:"1rem", cursor:"pointer", border:"none", borderRadius:6, background:"#28a745", color:"white", fontWeight:"bold"}}>Approve</button>}
+              {can("request_changes") && !changeRequest && <button className="action-btn" onClick={()=>{ setChangeRequest({ reason: "", comments: {} }); setApproving(false); }} style={{padding:"10px 18px", fontSize:"1rem", cursor:"pointer", border:"none", borderRadius:6, background:"#fd7e14", color:"white", fontWeight:"bold"}}>Request Changes</button>}
+              {can("reject") && <button className="action-btn" onClick={()=>handleClose("reject")} style={{padding:"10px 18px", fontSize:"1rem", cursor:"pointer", border:"none", borderRadius:6, background:"#dc3545", color:"white", fontWeight:"bold"}}>Reject</button>}
+              {can("cancel") && <button className="action-btn" onClick={()=>handleClose("cancel")} style={{padding:"10px 18px", fontSize:"1rem", cursor:"pointer", border:"none", borderRadius:6, background:"#6c757d", color:"white", fontWeight:"bold"}}>Cancel Invoice</button>}
             </>
+          ) : approvalQueued ? (
+            <div style={{fontSize:"0.95rem", color:"#666"}}>⏳ Approved on this device, waiting to be sent.</div>
+          ) : invoice.access?.scope !== "edit" ? (
+            <div style={{fontSize:"0.95rem", color:"#666"}}>🔒 This link is view-only.</div>
+          ) : (
+            <div style={{fontSize:"0.95rem", color:"#666"}}>This invoice is {String(invoice.status).toLowerCase()} and can no longer be changed.</div>
           )}
         </div>
+
+        {!isEditing && ["APPROVED", "SENT", "PAID"].includes(invoice.status) && <ApprovalRecord token={token} version={invoice.version} />}
+        {!isEditing && <CommentsPanel path={`/invoices/${token}/comments`} request={apiRequest} canPost={invoice.access?.scope === "edit"} lines={rows.map((r) => r.productname)} refreshKey={commentsKey} />}
+        {!isEditing && <HistoryPanel token={token} invoice={invoice} />}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function HomePage() {
+  const branding = useTenantBranding(null);
+  return (
+    <div style={{textAlign:'center',marginTop:50}}>
+      <div style={{display:"inline-block"}}><BrandTitle branding={branding} /></div>
+      <p>Open the invoice link you received on WhatsApp to view your invoice.</p>
+    </div>
+  );
+}
+
+// ---------------- Operator dashboard ----------------
+// Operators sign in with a tenant API key (invoices:read; bulk actions also need
+// invoices:write / webhooks:manage). The key is kept for this browser session only.
+const ADMIN_KEY_STORAGE = "adminApiKey";
+const INVOICE_STATUSES = ["CREATED", "DRAFT", "CHANGES_REQUESTED", "APPROVED", "SENT", "PAID", "REJECTED", "CANCELLED"];
+const WEBHOOK_STATUSES = ["PENDING", "SENT", "FAILED", "DEAD"];
+// Accounting exports of the filtered invoices (approved ones unless a status is picked)
+const EXPORT_FORMATS = [["csv", "CSV", "csv"], ["xlsx", "Excel", "xlsx"], ["tally", "Tally XML", "xml"]];
+const EMPTY_FILTERS = { q:"", status:"", dealer:"", date_from:"", date_to:"", webhook_status:"", min_total:"", max_total:"" };
+const ADMIN_COLUMNS = [
+  ["invoice_number", "Invoice #"],
+  ["invoice_date", "Date"],
+  ["dealer", "Dealer"],
+  [null, "Phone"],
+  [null, "Products"],
+  ["total", "Total"],
+  ["status", "Status"],
+  [null, "Webhook"],
+  [null, "Comments"],
+  ["created_at", "Received"],
+];
+
+function AdminLogin({ onLogin, error }) {
+  const [key, setKey] = useState("");
+  return (
+    <form onSubmit={(e)=>{ e.preventDefault(); if (key.trim()) onLogin(key.trim()); }} style={{maxWidth:380, margin:"80px auto", padding:24, background:"#fff", borderRadius:14, boxShadow:"0 8px 16px rgba(0,0,0,0.08)", fontFamily:"Segoe UI, sans-serif"}}>
+      <h2 style={{marginTop:0}}>Back office</h2>
+      <label style={{fontWeight:"bold", display:"block", marginBottom:5}}>API key</label>
+      <input value={key} onChange={e=>setKey(e.target.value)} type="password" autoFocus style={{width:"100%", padding:"0.5rem 0.75rem", fontSize:"1rem", border:"2px solid #007bff", borderRadius:6, boxSizing:"border-box"}} />
+      <FieldError message={error} />
+      <button type="submit" style={{marginTop:15, padding:"10px 18px", fontSize:"1rem", cursor:"pointer", border:"none", borderRadius:6, background:"#007bff", color:"white", fontWeight:"bold"}}>Sign in</button>
+    </form>
+  );
+}
+
+// Shared by the dashboard and the reports page, so one sign-in covers both
+function useAdminSession() {
+  const [apiKey, setApiKey] = useState(() => sessionStorage.getItem(ADMIN_KEY_STORAGE) || "");
+  const [error, setError] = useState("");
+
+  // What the key may do, so the dashboard only offers that
+  const [scopes, setScopes] = useState([]);
+
+  const adminRequest = useCallback((path, options = {}) =>
+    apiRequest(path, { ...options, headers: { ...options.headers, "x-api-key": apiKey } }), [apiKey]);
+
+  useEffect(() => {
+    setScopes([]);
+    if (!apiKey) return;
+    adminRequest("/api-keys/current").then((data) => setScopes(data?.scopes || [])).catch(console.error);
+  }, [apiKey, adminRequest]);
+
+  const login = (key) => {
+    sessionStorage.setItem(ADMIN_KEY_STORAGE, key);
+    setError("");
+    setApiKey(key);
+  };
+  const logout = useCallback((message = "") => {
+    sessionStorage.removeItem(ADMIN_KEY_STORAGE);
+    setApiKey("");
+    setError(message);
+  }, []);
+
+  return { apiKey, scopes, error, setError, adminRequest, login, logout };
+}
+
+function AdminHeader({ branding, onLogout }) {
+  const { pathname } = useLocation();
+  const navLink = (to, label) => (
+    <Link to={to} style={{ fontWeight:"bold", textDecoration:"none", color: pathname === to ? "#007bff" : "#555" }}>{label}</Link>
+  );
+  return (
+    <div style={{ background:"#fff", boxShadow:"0 2px 8px rgba(0,0,0,0.11)", padding:"12px 8px" }}>
+      <div style={{ display:"flex", gap:20, alignItems:"center", maxWidth:1200, margin:"0 auto" }}>
+        <BrandTitle branding={branding} />
+        {navLink("/admin", "Invoices")}
+        {navLink("/admin/reports", "Reports")}
+        <button onClick={()=>onLogout()} style={{ marginLeft:"auto", padding:"8px 14px", fontSize:"0.95rem", cursor:"pointer", border:"none", borderRadius:6, color:"white", fontWeight:"bold", background:"#6c757d" }}>Sign out</button>
+      </div>
+    </div>
+  );
+}
+
+function AdminPage() {
+  const branding = useTenantBranding(null);
+  const { apiKey, scopes, error, setError, adminRequest, login, logout } = useAdminSession();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Filters only apply on "Search", not on every keystroke
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState("-created_at");
+  const [page, setPage] = useState(1);
+  const [list, setList] = useState({ data: [], total: 0, total_pages: 0 });
+  const [selected, setSelected] = useState([]);
+  const [exportFormat, setExportFormat] = useState("csv");
+  const [loading, setLoading] = useState(false);
+  // Invoice whose comment thread is shown under its row
+  const [openComments, setOpenComments] = useState(null);
+
+  const fetchList = useCallback(async () => {
+    if (!apiKey) return;
+    const params = new URLSearchParams({ sort, page: String(page), per_page: "25" });
+    Object.entries(applied).forEach(([k, v]) => { if (String(v).trim()) params.set(k, String(v).trim()); });
+    try {
+      setLoading(true);
+      setList(await adminRequest(`/invoices?${params}`));
+      setSelected([]);
+      setError("");
+    } catch(e) {
+      console.error(e);
+      if (e.status === 401 || e.status === 403) logout("That API key was not accepted");
+      else setError(e.body?.errors ? e.body.errors.map((x) => `${x.field} ${x.message}`).join(", ") : "Failed to load invoices");
+    } finally { setLoading(false); }
+  }, [apiKey, applied, sort, page, adminRequest, logout, setError]);
+
+  useEffect(() => { fetchList(); }, [fetchList]);
+
+  if (!apiKey) return <AdminLogin onLogin={login} error={error} />;
+
+  const setFilter = (field, value) => setFilters((s) => ({ ...s, [field]: value }));
+  const search = (e) => {
+    e.preventDefault();
+    setApplied(filters);
+    setPage(1);
+  };
+  const reset = () => {
+    setFilters(EMPTY_FILTERS);
+    setApplied(EMPTY_FILTERS);
+    setPage(1);
+  };
+  const toggleSort = (key) => setSort((s) => (s === key ? `-${key}` : key));
+  const toggleSelected = (id) => setSelected((s) => (s.includes(id) ? s.filter((x) => x !== id) : [...s, id]));
+  const allSelected = list.data.length > 0 && list.data.every((r) => selected.includes(r.uuid));
+  const toggleAll = () => setSelected(allSelected ? [] : list.data.map((r) => r.uuid));
+
+  const runExport = async () => {
+    const params = new URLSearchParams({ format: exportFormat });
+    Object.entries(applied).forEach(([k, v]) => { if (String(v).trim()) params.set(k, String(v).trim()); });
+    const extension = EXPORT_FORMATS.find(([format]) => format === exportFormat)[2];
+    try {
+      setLoading(true);
+      const blob = await adminRequest(`/exports/invoices?${params}`);
+      downloadBlob(blob, `invoices-${applied.date_from || "all"}-to-${applied.date_to || new Date().toISOString().slice(0, 10)}.${extension}`);
+    } catch(e) {
+      console.error(e);
+      alert(`❌ ${e.body?.error || "Export failed"}`);
+    } finally { setLoading(false); }
+  };
+
+  // Search results carry no links; one is minted when the invoice is opened (edit for
+  // keys that may change invoices, view otherwise). The tab opens first so the popup
+  // blocker lets it through.
+  const openInvoice = async (id) => {
+    const tab = window.open("", "_blank");
+    try {
+      const { link } = await adminRequest(`/invoices/${id}/links`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ scope: scopes.includes("invoices:write") ? "edit" : "view" }),
+      });
+      if (tab) {
+        tab.opener = null;
+        tab.location.href = link;
+      }
+    } catch(e) {
+      console.error(e);
+      if (tab) tab.close();
+      alert(`❌ ${e.body?.error || "Could not open the invoice"}`);
+    }
+  };
+
+  const runBulk = async (action) => {
+    if (selected.length === 0) return;
+    if (action === "approve" && !window.confirm(`Approve ${selected.length} invoice(s)? PDFs and webhooks go out right away.`)) return;
+    try {
+      setLoading(true);
+      const result = await adminRequest("/invoices/bulk", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ action, ids: selected }),
+      });
+      if (action === "export") {
+        downloadBlob(result, `invoices-${new Date().toISOString().slice(0, 10)}.csv`);
+        return;
+      }
+      const counts = {};
+      result.results.forEach((r) => { counts[r.status] = (counts[r.status] || 0) + 1; });
+      alert(`✅ ${Object.entries(counts).map(([status, n]) => `${n} ${status.replace("_", " ")}`).join(", ")}`);
+      await fetchList();
+    } catch(e) {
+      console.error(e);
+      alert(`❌ ${e.body?.error || "Bulk action failed"}`);
+    } finally { setLoading(false); }
+  };
+
+  const cellPad = { padding:"0.6rem", border:"1px solid #ddd", fontSize:"0.95rem", whiteSpace:"nowrap" };
+  const filterInput = { padding:"0.45rem 0.6rem", fontSize:"0.95rem", border:"1px solid #bbb", borderRadius:6, boxSizing:"border-box" };
+  const buttonBase = { padding:"8px 14px", fontSize:"0.95rem", cursor:"pointer", border:"none", borderRadius:6, color:"white", fontWeight:"bold" };
+  const statusColors = { CHANGES_REQUESTED:"#fd7e14", APPROVED:"#28a745", SENT:"#17a2b8", PAID:"#0b5", REJECTED:"#dc3545", CANCELLED:"#6c757d" };
+  const webhookColors = { SENT:"#28a745", PENDING:"#ffc107", FAILED:"#fd7e14", DEAD:"#dc3545" };
+  const badge = (text, color) => (
+    <span style={{padding:"2px 8px", borderRadius:12, background:color, color:"white", fontWeight:"bold", fontSize:"0.8rem"}}>{text}</span>
+  );
+
+  return (
+    <div style={{ fontFamily:"Segoe UI, sans-serif", background:"#f7f7f7", minHeight:"100vh" }}>
+      <AdminHeader branding={branding} onLogout={logout} />
+
+      <div style={{ maxWidth:1200, margin:"20px auto", background:"#fff", borderRadius:14, boxShadow:"0 8px 16px rgba(0,0,0,0.08)", padding:"20px 12px", opacity: loading ? 0.6 : 1 }}>
+        <form onSubmit={search} style={{ display:"flex", flexWrap:"wrap", gap:10, alignItems:"flex-end", marginBottom:15 }}>
+          <input value={filters.q} onChange={e=>setFilter("q", e.target.value)} placeholder="Search products" style={{...filterInput, minWidth:200}} />
+          <input value={filters.dealer} onChange={e=>setFilter("dealer", e.target.value)} placeholder="Dealer" style={filterInput} />
+          <select value={filters.status} onChange={e=>setFilter("status", e.target.value)} style={filterInput}>
+            <option value="">All statuses</option>
+            {INVOICE_STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <select value={filters.webhook_status} onChange={e=>setFilter("webhook_status", e.target.value)} style={filterInput}>
+            <option value="">Any webhook</option>
+            {WEBHOOK_STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <label style={{fontSize:"0.85rem"}}>From<br/><input type="date" value={filters.date_from} onChange={e=>setFilter("date_from", e.target.value)} style={filterInput} /></label>
+          <label style={{fontSize:"0.85rem"}}>To<br/><input type="date" value={filters.date_to} onChange={e=>setFilter("date_to", e.target.value)} style={filterInput} /></label>
+          <input type="number" value={filters.min_total} onChange={e=>setFilter("min_total", e.target.value)} placeholder="Min total" style={{...filterInput, width:110}} />
+          <input type="number" value={filters.max_total} onChange={e=>setFilter("max_total", e.target.value)} placeholder="Max total" style={{...filterInput, width:110}} />
+          <button type="submit" style={{...buttonBase, background:"#007bff"}}>Search</button>
+          <button type="button" onClick={reset} style={{...buttonBase, background:"#6c757d"}}>Reset</button>
+        </form>
+        <FieldError message={error} />
+
+        <div style={{ display:"flex", flexWrap:"wrap", gap:10, alignItems:"center", margin:"10px 0" }}>
+          <b>{selected.length} selected</b>
+          <button disabled={!selected.length} onClick={()=>runBulk("approve")} style={{...buttonBase, background:"#28a745"}}>Approve</button>
+          <button disabled={!selected.length} onClick={()=>runBulk("resend_webhook")} style={{...buttonBase, background:"#17a2b8"}}>Resend webhook</button>
+          <button disabled={!selected.length} onClick={()=>runBulk("export")} style={{...buttonBase, background:"#343a40"}}>Export CSV</button>
+          <span style={{ marginLeft:"auto", display:"flex", gap:8, alignItems:"center" }}>
+            <select value={exportFormat} onChange={e=>setExportFormat(e.target.value)} style={filterInput}>
+              {EXPORT_FORMATS.map(([format, label]) => <option key={format} value={format}>{label}</option>)}
+            </select>
+            <button onClick={runExport} title={applied.status ? "Exports the filtered invoices" : "Exports the filtered invoices that are approved, sent or paid"} style={{...buttonBase, background:"#6f42c1"}}>⬇️ Accounting export</button>
+          </span>
+        </div>
+
+        <div style={{ overflowX:"auto", width:"100%" }}>
+          <table style={{ width:"100%", borderCollapse:"collapse" }}>
+            <thead>
+              <tr style={{background:"#f0f0f0"}}>
+                <th style={cellPad}><input type="checkbox" checked={allSelected} onChange={toggleAll} /></th>
+                {ADMIN_COLUMNS.map(([key, label]) => (
+                  <th key={label} onClick={key ? ()=>toggleSort(key) : undefined} style={{...cellPad, cursor: key ? "pointer" : "default", textAlign:"left"}}>
+                    {label}{sort === key ? " ▲" : sort === `-${key}` ? " ▼" : ""}
+                  </th>
+                ))}
+                <th style={cellPad}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {list.data.length === 0 && (
+                <tr><td colSpan={ADMIN_COLUMNS.length + 2} style={{...cellPad, textAlign:"center", color:"#888"}}>{loading ? "Loading…" : "No invoices match"}</td></tr>
+              )}
+              {list.data.map((r) => (
+                <Fragment key={r.uuid}>
+                  <tr style={{background: selected.includes(r.uuid) ? "#eef6ff" : undefined}}>
+                    <td style={cellPad}><input type="checkbox" checked={selected.includes(r.uuid)} onChange={()=>toggleSelected(r.uuid)} /></td>
+                    <td style={cellPad}>
+                      {r.invoice_number || "—"}
+                      {r.reference_number && <div style={{color:"#888", fontSize:"0.8rem"}}>Ref {r.reference_number}</div>}
+                    </td>
+                    <td style={cellPad}>{r.invoice_date || "—"}</td>
+                    <td style={cellPad}>{r.Dealer}</td>
+                    <td style={cellPad}>{r.phonenumber}</td>
+                    <td style={{...cellPad, whiteSpace:"normal", maxWidth:260}}>{r.products.filter(Boolean).join(", ")}</td>
+                    <td style={{...cellPad, textAlign:"right"}}>{r.total === null ? "—" : r.total.toFixed(2)}</td>
+                    <td style={cellPad}>{badge(r.status, statusColors[r.status] || "#ffc107")}</td>
+                    <td style={cellPad}>{r.webhook_status ? badge(r.webhook_status, webhookColors[r.webhook_status] || "#6c757d") : "—"}</td>
+                    <td style={cellPad}>
+                      <button onClick={()=>setOpenComments(openComments === r.uuid ? null : r.uuid)} style={{border:"1px solid #ddd", borderRadius:6, background: openComments === r.uuid ? "#eef6ff" : "#fff", cursor:"pointer", padding:"2px 8px"}}>💬 {r.comment_count}</button>
+                    </td>
+                    <td style={cellPad}>{new Date(r.created_at).toLocaleString()}</td>
+                    <td style={cellPad}><button onClick={()=>openInvoice(r.uuid)} style={{border:"none", background:"none", color:"#007bff", textDecoration:"underline", cursor:"pointer", padding:0, fontSize:"0.95rem"}}>Open</button></td>
+                  </tr>
+                  {openComments === r.uuid && (
+                    <tr>
+                      <td colSpan={ADMIN_COLUMNS.length + 2} style={{...cellPad, whiteSpace:"normal", background:"#fafafa"}}>
+                        {r.status_reason && <div><b>Reason:</b> {r.status_reason}</div>}
+                        <CommentsPanel path={`/invoices/${r.uuid}/details/comments`} request={adminRequest} canPost={scopes.includes("invoices:write")} lines={r.products} />
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div style={{ display:"flex", gap:10, alignItems:"center", justifyContent:"flex-end", marginTop:15 }}>
+          <button disabled={page <= 1} onClick={()=>setPage(page - 1)} style={{...buttonBase, background:"#007bff"}}>‹ Prev</button>
+          <span>Page {list.total_pages ? page : 0} of {list.total_pages} ({list.total} invoices)</span>
+          <button disabled={page >= list.total_pages} onClick={()=>setPage(page + 1)} style={{...buttonBase, background:"#007bff"}}>Next ›</button>
         </div>
       </div>
     </div>
   );
 }
 
+// ---------------- Reports ----------------
+// Sales summaries and the approval funnel from GET /reports/*. Charts are plain
+// divs, so no chart library is needed. Without dates the server reports the last 30 days.
+const REPORT_PERIODS = [["day", "Daily"], ["week", "Weekly"], ["month", "Monthly"]];
+const REPORT_GROUPS = [["dealer", "Top dealers"], ["product", "Top products"], ["unit", "Sales by unit"]];
+const reportCard = { background:"#fff", borderRadius:14, boxShadow:"0 8px 16px rgba(0,0,0,0.08)", padding:"16px 18px" };
+
+const formatMoney = (v) => `₹${Number(v).toLocaleString("en-IN", { maximumFractionDigits: 2 })}`;
+const formatRate = (v) => (v === null ? "—" : `${(v * 100).toFixed(1)}%`);
+const formatHours = (h) => {
+  if (h === null) return "—";
+  if (h < 1) return `${Math.round(h * 60)} min`;
+  return h < 48 ? `${h.toFixed(1)} h` : `${(h / 24).toFixed(1)} days`;
+};
+
+function StatCard({ label, value, hint }) {
+  return (
+    <div style={{...reportCard, flex:"1 1 160px"}}>
+      <div style={{ color:"#666", fontSize:"0.85rem" }}>{label}</div>
+      <div style={{ fontSize:"1.6rem", fontWeight:"bold", margin:"4px 0" }}>{value}</div>
+      {hint && <div style={{ color:"#888", fontSize:"0.8rem" }}>{hint}</div>}
+    </div>
+  );
+}
+
+// Vertical bars per period; series: [[field, label, color], ...] drawn side by side
+function ColumnChart({ title, rows, series, format }) {
+  const max = Math.max(0, ...rows.flatMap((r) => series.map(([field]) => r[field])));
+  // Label every nth column so 30 days still fit
+  const every = Math.ceil(rows.length / 10);
+  return (
+    <div style={reportCard}>
+      <h3 style={{ marginTop:0 }}>{title}</h3>
+      <div style={{ display:"flex", gap:14, fontSize:"0.85rem", marginBottom:8 }}>
+        {series.map(([field, label, color]) => (
+          <span key={field}><span style={{ display:"inline-block", width:10, height:10, background:color, marginRight:5 }} />{label}</span>
+        ))}
+      </div>
+      {rows.length === 0 ? <p style={{ color:"#888" }}>Nothing in this range</p> : (
+        <div style={{ display:"flex", alignItems:"flex-end", gap:4, height:180, borderBottom:"1px solid #ccc", overflowX:"auto" }}>
+          {rows.map((r) => (
+            <div key={r.key} style={{ flex:"1 0 14px", display:"flex", alignItems:"flex-end", gap:1, height:"100%" }}>
+              {series.map(([field, label, color]) => (
+                <div key={field} title={`${r.label} · ${label}: ${format(r[field])}`}
+                  style={{ flex:1, background:color, height: max ? `${(r[field] / max) * 100}%` : 0, minHeight: r[field] ? 2 : 0, borderRadius:"3px 3px 0 0" }} />
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+      <div style={{ display:"flex", gap:4, fontSize:"0.7rem", color:"#666", marginTop:4 }}>
+        {rows.map((r, i) => (
+          <div key={r.key} style={{ flex:"1 0 14px", overflow:"visible", whiteSpace:"nowrap" }}>{i % every === 0 ? r.label : ""}</div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Horizontal bars, largest first (the server already sorts them)
+function BarList({ title, rows, detail }) {
+  const max = Math.max(0, ...rows.map((r) => r.total));
+  return (
+    <div style={{...reportCard, flex:"1 1 320px"}}>
+      <h3 style={{ marginTop:0 }}>{title}</h3>
+      {rows.length === 0 && <p style={{ color:"#888" }}>No sales in this range</p>}
+      {rows.map((r) => (
+        <div key={r.key} style={{ marginBottom:10 }}>
+          <div style={{ display:"flex", justifyContent:"space-between", gap:10, fontSize:"0.9rem" }}>
+            <span>{r.label} <span style={{ color:"#888" }}>{detail(r)}</span></span>
+            <b>{formatMoney(r.total)}</b>
+          </div>
+          <div style={{ background:"#eee", height:8, borderRadius:4, marginTop:3 }}>
+            <div style={{ width: max ? `${(r.total / max) * 100}%` : 0, background:"#007bff", height:"100%", borderRadius:4 }} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ReportsPage() {
+  const branding = useTenantBranding(null);
+  const { apiKey, error, setError, adminRequest, login, logout } = useAdminSession();
+  const [range, setRange] = useState({ date_from:"", date_to:"" });
+  // Like the dashboard filters, the range only applies on "Show"
+  const [applied, setApplied] = useState({ date_from:"", date_to:"" });
+  const [period, setPeriod] = useState("day");
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const fetchReports = useCallback(async () => {
+    if (!apiKey) return;
+    const params = new URLSearchParams();
+    Object.entries(applied).forEach(([k, v]) => { if (v) params.set(k, v); });
+    try {
+      setLoading(true);
+      const [funnel, sales, ...groups] = await Promise.all([
+        adminRequest(`/reports/funnel?${params}&interval=${period}`),
+        adminRequest(`/reports/sales?${params}&group_by=${period}`),
+        ...REPORT_GROUPS.map(([group]) => adminRequest(`/reports/sales?${params}&group_by=${group}&limit=10`)),
+      ]);
+      setReport({ funnel, sales, groups });
+      setError("");
+    } catch(e) {
+      console.error(e);
+      if (e.status === 401 || e.status === 403) logout("That API key was not accepted");
+      else setError(e.body?.errors ? e.body.errors.map((x) => `${x.field} ${x.message}`).join(", ") : "Failed to load reports");
+    } finally { setLoading(false); }
+  }, [apiKey, applied, period, adminRequest, logout, setError]);
+
+  useEffect(() => { fetchReports(); }, [fetchReports]);
+
+  if (!apiKey) return <AdminLogin onLogin={login} error={error} />;
+
+  const filterInput = { padding:"0.45rem 0.6rem", fontSize:"0.95rem", border:"1px solid #bbb", borderRadius:6, boxSizing:"border-box" };
+  const buttonBase = { padding:"8px 14px", fontSize:"0.95rem", cursor:"pointer", border:"none", borderRadius:6, color:"white", fontWeight:"bold" };
+  const summary = report?.funnel.summary;
+  const invoiceCount = (r) => `${r.invoices} invoice${r.invoices === 1 ? "" : "s"}`;
+  const detailFor = {
+    dealer: invoiceCount,
+    product: (r) => `${(r.quantity ?? 0).toLocaleString("en-IN")} sold`,
+    unit: (r) => `${(r.quantity ?? 0).toLocaleString("en-IN")} in ${invoiceCount(r)}`,
+  };
+
+  return (
+    <div style={{ fontFamily:"Segoe UI, sans-serif", background:"#f7f7f7", minHeight:"100vh" }}>
+      <AdminHeader branding={branding} onLogout={logout} />
+
+      <div style={{ maxWidth:1200, margin:"20px auto", padding:"0 12px", display:"flex", flexDirection:"column", gap:16, opacity: loading ? 0.6 : 1 }}>
+        <form onSubmit={(e)=>{ e.preventDefault(); setApplied(range); }} style={{ display:"flex", flexWrap:"wrap", gap:10, alignItems:"flex-end" }}>
+          <label style={{fontSize:"0.85rem"}}>From<br/><input type="date" value={range.date_from} onChange={e=>setRange((s) => ({ ...s, date_from: e.target.value }))} style={filterInput} /></label>
+          <label style={{fontSize:"0.85rem"}}>To<br/><input type="date" value={range.date_to} onChange={e=>setRange((s) => ({ ...s, date_to: e.target.value }))} style={filterInput} /></label>
+          <select value={period} onChange={e=>setPeriod(e.target.value)} style={filterInput}>
+            {REPORT_PERIODS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <button type="submit" style={{...buttonBase, background:"#007bff"}}>Show</button>
+          {report && <span style={{ color:"#666", fontSize:"0.9rem" }}>{report.funnel.date_from} to {report.funnel.date_to}</span>}
+        </form>
+        <FieldError message={error} />
+
+        {report && (
+          <>
+            <div style={{ display:"flex", flexWrap:"wrap", gap:16 }}>
+              <StatCard label="Approved sales" value={formatMoney(report.sales.totals.total)} hint={`${report.sales.totals.invoices} invoices by invoice date`} />
+              <StatCard label="Invoices received" value={summary.created} hint={`${summary.open} still open, ${summary.rejected} rejected`} />
+              <StatCard label="Approval rate" value={formatRate(summary.conversion_rate)} hint={`${summary.approved} approved`} />
+              <StatCard label="Median time to approve" value={formatHours(summary.median_hours_to_approve)} />
+              <StatCard label="Webhook failure rate" value={formatRate(summary.webhook_failure_rate)} hint={`${summary.webhooks_dead} failed, ${summary.webhooks_pending} pending`} />
+            </div>
+            <ColumnChart title="Sales" rows={report.sales.rows} series={[["subtotal", "Taxable value", "#007bff"], ["tax", "GST", "#6f42c1"]]} format={formatMoney} />
+            <ColumnChart
+              title="Approval funnel (by date received)"
+              rows={report.funnel.series.map((r) => ({ ...r, key: r.period, label: r.period }))}
+              series={[["created", "Received", "#adb5bd"], ["approved", "Approved", "#28a745"], ["rejected", "Rejected", "#dc3545"]]}
+              format={(v) => v}
+            />
+            <div style={{ display:"flex", flexWrap:"wrap", gap:16 }}>
+              {REPORT_GROUPS.map(([group, title], i) => (
+                <BarList key={group} title={title} rows={report.groups[i].rows} detail={detailFor[group]} />
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
 // ---------------- Main App with Router ----------------
 export default function App() {
   return (
     <Router>
       <Routes>
-        <Route path="/:uuid/:phone" element={<InvoicePage />} />
-        <Route
-          path="/"
-          element={
-            <p style={{textAlign:'center',marginTop:50}}>
-              Enter <b>/UUID/PHONE_NUMBER</b> in URL to view your invoice.
-            </p>
-          }
-        />
+        <Route path="/i/:token" element={<InvoicePage />} />
+        <Route path="/admin" element={<AdminPage />} />
+        <Route path="/admin/reports" element={<ReportsPage />} />
+        <Route path="/" element={<HomePage />} />
       </Routes>
     </Router>
   );
@@ -1,8 +1,184 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import App from './App';
+import * as offlineStore from './offlineStore';
 
-test('renders learn react link', () => {
+// No IndexedDB in jsdom: the offline store is kept in memory instead
+jest.mock('./offlineStore', () => {
+  const copies = new Map();
+  const outbox = new Map();
+  let nextId = 1;
+  return {
+    saveInvoiceCopy: async (token, invoice) => { copies.set(token, { invoice, savedAt: Date.now() }); },
+    loadInvoiceCopy: async (token) => copies.get(token),
+    removeInvoiceCopy: async (token) => { copies.delete(token); },
+    queueChange: async (change) => {
+      const id = nextId++;
+      outbox.set(id, { ...change, id, status: 'pending', error: null, current: null, createdAt: Date.now() });
+      return id;
+    },
+    listChanges: async () => [...outbox.values()],
+    updateChange: async (change) => { outbox.set(change.id, change); },
+    removeChange: async (id) => { outbox.delete(id); },
+    removeChangesFor: async (token) => {
+      for (const [id, change] of outbox) if (change.token === token) outbox.delete(id);
+    },
+    clear: () => { copies.clear(); outbox.clear(); },
+  };
+});
+
+// Answers fetch by path, with [status, body] or a function of the request options
+// returning one; anything not listed is a 404
+const mockApi = (routes) => {
+  global.fetch = jest.fn(async (url, options = {}) => {
+    const { pathname } = new URL(url);
+    const route = routes[pathname];
+    const [status, body] = (typeof route === 'function' ? route(options) : route) || [404, { error: 'Not found' }];
+    return {
+      ok: status < 400,
+      status,
+      headers: { get: () => 'application/json' },
+      text: async () => JSON.stringify(body),
+      json: async () => body,
+    };
+  });
+};
+
+beforeEach(() => {
+  // No EventSource in jsdom; the app logs and carries on without it
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+  sessionStorage.clear();
+  offlineStore.clear();
+  window.history.pushState({}, '', '/');
+});
+
+test('the home page shows the tenant of the host the app was opened on', async () => {
+  mockApi({ '/tenant': [200, { slug: 'acme', name: 'Acme Traders', logo: null, colors: {} }] });
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+
+  expect(await screen.findByText('Acme Traders')).toBeInTheDocument();
+  expect(screen.getByText(/open the invoice link you received on whatsapp/i)).toBeInTheDocument();
+  const tenantUrl = new URL(global.fetch.mock.calls.find(([url]) => url.includes('/tenant'))[0]);
+  expect(tenantUrl.searchParams.get('host')).toBe(window.location.host);
+});
+
+test('a revoked invoice link says so instead of showing a saved copy', async () => {
+  mockApi({
+    '/tenant': [200, { slug: 'acme', name: 'Acme Traders', logo: null, colors: {} }],
+    '/invoices/revoked-token': [401, { error: 'This link has been revoked' }],
+  });
+  window.history.pushState({}, '', '/i/revoked-token');
+  render(<App />);
+
+  expect(await screen.findByText('This link has been revoked')).toBeInTheDocument();
+});
+
+test('the dashboard mints a link when an invoice is opened, not with the search results', async () => {
+  const row = {
+    uuid: 'inv-1', invoice_number: null, reference_number: 'WA-1', invoice_date: '2025-08-01', Dealer: 'Acme Traders',
+    phonenumber: '919800000001', status: 'CREATED', total: 118, webhook_status: null, products: ['Cement'],
+    comment_count: 0, created_at: '2025-08-01T10:00:00Z',
+  };
+  mockApi({
+    '/tenant': [200, { slug: 'acme', name: 'Acme Traders', logo: null, colors: {} }],
+    '/api-keys/current': [200, { scopes: ['invoices:read'] }],
+    '/invoices': [200, { data: [row], page: 1, per_page: 25, total: 1, total_pages: 1 }],
+    '/invoices/inv-1/links': [201, { uuid: 'inv-1', scope: 'view', link: 'http://localhost/i/view-token' }],
+  });
+  const tab = { location: {}, close: jest.fn() };
+  jest.spyOn(window, 'open').mockReturnValue(tab);
+  sessionStorage.setItem('adminApiKey', 'read-key');
+  window.history.pushState({}, '', '/admin');
+  render(<App />);
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Open' }));
+  await waitFor(() => expect(tab.location.href).toBe('http://localhost/i/view-token'));
+  const [, request] = global.fetch.mock.calls.find(([url]) => url.endsWith('/invoices/inv-1/links'));
+  expect(request.method).toBe('POST');
+  // A read-only key asks for a view link
+  expect(JSON.parse(request.body)).toEqual({ scope: 'view' });
+});
+
+// GET /invoices/:token as the server answers it; `version` is also the ETag
+const invoiceFixture = (overrides = {}) => ({
+  id: 'inv-1', uuid: 'inv-1', Dealer: 'Acme Traders', dealer: 'Acme Traders', phonenumber: '919800000001',
+  invoice_number: null, reference_number: 'WA-1', invoice_date: '2025-08-01', gstin: '', status: 'CREATED', version: 3,
+  items: [{ productname: 'Cement', description: '', quantity: 1, units: 'Bag', rate: 100, gst_rate: 18 }],
+  productname: ['Cement'], description: [''], quantity: [1], units: ['Bag'], rate: [100], gst_rate: [18],
+  totals: { subtotal: 100, cgst: 9, sgst: 9, igst: 0, tax_total: 18, round_off: 0, total: 118, tax_type: 'CGST_SGST' },
+  pdf_url: null,
+  access: { scope: 'edit', expires_at: '2030-01-01T00:00:00.000Z', actions: ['edit', 'approve', 'request_changes', 'reject', 'cancel'], otp_required: false },
+  ...overrides,
+});
+
+const queueSave = (Dealer, version) => offlineStore.queueChange({
+  token: 'edit-token', kind: 'save', payload: { Dealer }, version, base: invoiceFixture(), edit: { Dealer, rows: invoiceFixture().items },
+});
+
+// [method, path] of every API call so far
+const apiCalls = () => global.fetch.mock.calls.map(([url, options]) => [options?.method || 'GET', new URL(url).pathname]);
+
+test('edits made offline go out oldest first when the page loads, each on the version before it', async () => {
+  let version = 3;
+  mockApi({
+    '/tenant': [200, { slug: 'acme', name: 'Acme Traders', logo: null, colors: {} }],
+    '/invoices/edit-token': (options) => {
+      if (options.method !== 'PUT') return [200, invoiceFixture({ Dealer: 'Acme Hardware', version })];
+      version += 1;
+      return [200, invoiceFixture({ Dealer: JSON.parse(options.body).Dealer, version })];
+    },
+  });
+  await queueSave('Acme Hardware Co', 3);
+  await queueSave('Acme Hardware', 3);
+  window.history.pushState({}, '', '/i/edit-token');
+  render(<App />);
+
+  // The invoice is loaded once the queue is through, so it shows the edits
+  await waitFor(() => expect(apiCalls()).toContainEqual(['GET', '/invoices/edit-token']));
+  const invoiceCalls = apiCalls().filter(([, path]) => path === '/invoices/edit-token');
+  expect(invoiceCalls.map(([method]) => method)).toEqual(['PUT', 'PUT', 'GET']);
+  const puts = global.fetch.mock.calls.filter(([, options]) => options?.method === 'PUT');
+  expect(puts.map(([, options]) => [JSON.parse(options.body).Dealer, options.headers['If-Match']])).toEqual([
+    ['Acme Hardware Co', '"3"'],
+    ['Acme Hardware', '"4"'],
+  ]);
+  expect(await offlineStore.listChanges()).toEqual([]);
+});
+
+test('an offline edit someone else got ahead of is kept as a conflict, with the rest of its queue', async () => {
+  const theirs = invoiceFixture({ Dealer: 'Bharat Hardware', version: 4, status: 'DRAFT' });
+  mockApi({
+    '/tenant': [200, { slug: 'acme', name: 'Acme Traders', logo: null, colors: {} }],
+    '/invoices/edit-token': (options) => (options.method === 'PUT'
+      ? [412, { error: 'The invoice was changed since you loaded it, please review the latest version', current: theirs }]
+      : [200, theirs]),
+  });
+  await queueSave('Acme Hardware', 3);
+  await queueSave('Acme Hardware Co', 3);
+  window.history.pushState({}, '', '/i/edit-token');
+  render(<App />);
+
+  expect(await screen.findByText('Discard my changes')).toBeInTheDocument();
+  // Only the first one was sent; the second waits behind it
+  expect(apiCalls().filter(([method]) => method === 'PUT')).toHaveLength(1);
+  const [first, second] = await offlineStore.listChanges();
+  expect(first).toMatchObject({ status: 'conflict', current: theirs, error: 'The invoice was changed since you loaded it, please review the latest version' });
+  expect(second.status).toBe('pending');
+});
+
+test('without a connection, the copy saved on this device is shown', async () => {
+  mockApi({
+    '/tenant': [200, { slug: 'acme', name: 'Acme Traders', logo: null, colors: {} }],
+    '/invoices/edit-token': () => { throw new TypeError('Failed to fetch'); },
+  });
+  await offlineStore.saveInvoiceCopy('edit-token', invoiceFixture({ Dealer: 'Saved Traders' }));
+  window.history.pushState({}, '', '/i/edit-token');
+  render(<App />);
+
+  expect(await screen.findByText(/showing the copy saved on this device/i)).toBeInTheDocument();
+  expect(screen.getAllByText(/Saved Traders/).length).toBeGreaterThan(0);
 });
@@ -0,0 +1,46 @@
+import { openDB } from "idb";
+
+// IndexedDB for the offline mode:
+//   invoices: token -> { invoice, savedAt }, the last copy of each invoice opened here
+//   outbox:   edits and approvals made without a connection, oldest first, each
+//             { id, token, kind: "save" | "approve", payload, version, base, edit,
+//               status: "pending" | "conflict" | "reconcile" | "failed", error, current,
+//               expected_total, received_total, createdAt }
+let dbPromise = null;
+const db = () => {
+  if (!dbPromise) {
+    dbPromise = openDB("invoice-offline", 1, {
+      upgrade(database) {
+        database.createObjectStore("invoices");
+        database.createObjectStore("outbox", { keyPath: "id", autoIncrement: true });
+      },
+    });
+  }
+  return dbPromise;
+};
+
+export const saveInvoiceCopy = async (token, invoice) =>
+  (await db()).put("invoices", { invoice, savedAt: Date.now() }, token);
+
+export const loadInvoiceCopy = async (token) => (await db()).get("invoices", token);
+
+// Once the link stops working (revoked or expired, or the invoice is gone)
+export const removeInvoiceCopy = async (token) => (await db()).delete("invoices", token);
+
+export const queueChange = async (change) =>
+  (await db()).add("outbox", { ...change, status: "pending", error: null, current: null, createdAt: Date.now() });
+
+export const listChanges = async () => (await db()).getAll("outbox");
+
+export const updateChange = async (change) => (await db()).put("outbox", change);
+
+export const removeChange = async (id) => (await db()).delete("outbox", id);
+
+// Drops everything still queued for one invoice, e.g. once a conflict is resolved
+export const removeChangesFor = async (token) => {
+  const tx = (await db()).transaction("outbox", "readwrite");
+  for (const change of await tx.store.getAll()) {
+    if (change.token === token) await tx.store.delete(change.id);
+  }
+  await tx.done;
+};
@@ -0,0 +1,40 @@
+/* eslint-disable no-restricted-globals */
+// Service worker, built by react-scripts (Workbox InjectManifest). It precaches the app
+// shell so invoice links open without a connection. Invoice data is not cached here:
+// the app keeps it in IndexedDB (src/offlineStore.js) so it can tell a saved copy
+// from a live one and say so.
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { precacheAndRoute, createHandlerBoundToURL } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { StaleWhileRevalidate } from "workbox-strategies";
+import { CacheableResponsePlugin } from "workbox-cacheable-response";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// The app's own pages get index.html; anything else (the API when it shares the
+// origin, PDFs, files) goes to the network as usual
+const APP_ROUTES = /^\/(i\/[^/]+|admin(\/reports)?)?\/?$/;
+registerRoute(
+  ({ request, url }) => request.mode === "navigate" && APP_ROUTES.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Tenant branding (GET /tenant) and images: show the last copy, refresh it behind the scenes
+registerRoute(
+  ({ request, url }) => request.method === "GET" && (url.pathname === "/tenant" || request.destination === "image"),
+  new StaleWhileRevalidate({
+    cacheName: "branding",
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: 50, maxAgeSeconds: 30 * 24 * 60 * 60 }),
+    ],
+  })
+);
+
+// serviceWorkerRegistration.js asks a freshly installed version to take over right away
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
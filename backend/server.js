@@ -6,6 +6,9 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const axios = require('axios');
+const { jsPDF } = require('jspdf');
+const { autoTable } = require('jspdf-autotable');
+const { z } = require('zod');
 
 // Load env
 const envPathFrontend = path.resolve(__dirname, '../Fend-processing/.env');
@@ -24,14 +27,24 @@ app.use(helmet());
 
 // Middleware to strip /api prefix for Vercel
 app.use((req, res, next) => {
-  if (req.url.startsWith('/api')) {
-    req.url = req.url.replace('/api', '') || '/';
+  if (req.url === '/api' || /^\/api[/?]/.test(req.url)) {
+    req.url = req.url.slice(4).replace(/^(?!\/)/, '/');
   }
   next();
 });
 
+// Behind Vercel / nginx req.ip must come from X-Forwarded-For (used for rate limiting)
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? (process.env.VERCEL ? 1 : 0)));
+
 // Middleware
-app.use(cors());
+// Browsers may only call the API from these origins (comma-separated, '*' = any);
+// n8n and other server-side callers are not affected by CORS.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || process.env.FRONTEND_URL || 'http://localhost:3000')
+    .split(',').map((o) => o.trim().replace(/\/+$/, '')).filter(Boolean);
+app.use(cors({
+    origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+    exposedHeaders: ['Retry-After', 'Idempotent-Replayed', 'ETag']
+}));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -41,427 +54,5254 @@ app.use((req, res, next) => {
     next();
 });
 
-app.use('/invoices/files', express.static(path.join(__dirname, 'public/invoices')));
-
-const pdfDir = path.join(process.env.VERCEL ? '/tmp' : __dirname, 'public/invoices');
-try {
-    if (!fs.existsSync(pdfDir)) {
-        fs.mkdirSync(pdfDir, { recursive: true });
+const pool = new Pool({
+  host: process.env.PGHOST,
+  port: process.env.PGPORT,
+  database: process.env.PGDATABASE,
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  ssl: process.env.PGSSL === 'true' ? { rejectUnauthorized: false } : false
+});
+
+// --- Line Items ---
+// Lines live in client_smd.invoice_lines (one row per item, typed quantity/rate).
+// The old comma-joined columns on client_smd.backend are only read once, by the
+// migration below, and are no longer written.
+const LINE_FIELDS = ['productname', 'description', 'quantity', 'units', 'rate', 'gst_rate'];
+// Computed per line by computeInvoiceTotals, never taken from the client
+const LINE_TAX_FIELDS = ['amount', 'cgst', 'sgst', 'igst'];
+
+// Helper: Convert CSV string to Array (legacy columns, migration only)
+// Handles null/undefined -> []
+const csvToArray = (str) => {
+    if (!str) return [];
+    return String(str).split(',');
+};
+
+// Helper: Accept Array, JSON string array (App.js handleSave) or a single value
+// A plain string is one value: "Cement, 50kg bag" must not be split.
+const toList = (val) => {
+    if (Array.isArray(val)) return val;
+    if (val === null || val === undefined || val === '') return [];
+    if (typeof val === 'string') {
+        try {
+            const parsed = JSON.parse(val);
+            if (Array.isArray(parsed)) return parsed;
+        } catch (e) {
+            // Not JSON, keep as a single value
+        }
+    }
+    return [val];
+};
+
+// Helper: Parse "1,250.50" / 3 / "" -> Number or null
+const toNumber = (val) => {
+    if (val === null || val === undefined) return null;
+    if (typeof val === 'number') return Number.isFinite(val) ? val : null;
+    const cleaned = String(val).replace(/,/g, '').trim();
+    if (!cleaned) return null;
+    const n = Number(cleaned);
+    return Number.isFinite(n) ? n : null;
+};
+
+// Helper: Build a line item, or null if every field is blank
+const toLineItem = (raw) => {
+    const item = {
+        productname: String(raw.productname ?? '').trim(),
+        description: String(raw.description ?? '').trim(),
+        quantity: toNumber(raw.quantity),
+        units: String(raw.units ?? '').trim(),
+        rate: toNumber(raw.rate),
+        gst_rate: toNumber(raw.gst_rate)
+    };
+    const hasAny = item.productname || item.description || item.units || item.quantity !== null || item.rate !== null;
+    return hasAny ? item : null;
+};
+
+// Helper: Zip parallel per-field lists into line items
+const zipLineItems = (lists) => {
+    const maxLen = Math.max(0, ...LINE_FIELDS.map((f) => lists[f].length));
+    const items = [];
+    for (let i = 0; i < maxLen; i++) {
+        const item = toLineItem(Object.fromEntries(LINE_FIELDS.map((f) => [f, lists[f][i]])));
+        if (item) items.push(item);
+    }
+    return items;
+};
+
+// Helper: Does the payload carry line items at all?
+const hasLineItems = (data) =>
+    Array.isArray(data.items) || LINE_FIELDS.some((f) => data[f] !== undefined);
+
+// Helper: Line items from a request payload
+// - items: [{ productname, description, quantity, units, rate }]
+// - parallel arrays (n8n): productname: ["A", "B"], quantity: [1, 2], ...
+// - JSON string arrays (App.js handleSave): productname: '["A","B"]', ...
+const parseLineItems = (data) => {
+    if (Array.isArray(data.items)) {
+        return data.items.map((raw) => toLineItem(raw || {})).filter(Boolean);
+    }
+    return zipLineItems(Object.fromEntries(LINE_FIELDS.map((f) => [f, toList(data[f])])));
+};
+
+const loadLineItems = async (db, invoiceId) => {
+    const result = await db.query(`
+        SELECT ${[...LINE_FIELDS, ...LINE_TAX_FIELDS].join(', ')}
+        FROM client_smd.invoice_lines
+        WHERE invoice_id = $1
+        ORDER BY position
+    `, [invoiceId]);
+    // pg returns NUMERIC as string
+    return result.rows.map((row) => {
+        const item = { ...row };
+        for (const f of ['quantity', 'rate', 'gst_rate', ...LINE_TAX_FIELDS]) {
+            item[f] = row[f] === null ? null : Number(row[f]);
+        }
+        return item;
+    });
+};
+
+// Replaces all lines of an invoice; run inside a transaction
+// `items` should come from computeInvoiceTotals so the tax columns are filled.
+const replaceLineItems = async (db, invoiceId, items) => {
+    await db.query('DELETE FROM client_smd.invoice_lines WHERE invoice_id = $1', [invoiceId]);
+    if (items.length === 0) return;
+    await db.query(`
+        INSERT INTO client_smd.invoice_lines (
+            invoice_id, position, productname, description, quantity, units, rate,
+            gst_rate, amount, cgst, sgst, igst
+        )
+        SELECT $1, t.position, t.productname, t.description, t.quantity, t.units, t.rate,
+            t.gst_rate, t.amount, t.cgst, t.sgst, t.igst
+        FROM unnest(
+            $2::text[], $3::text[], $4::numeric[], $5::text[], $6::numeric[],
+            $7::numeric[], $8::numeric[], $9::numeric[], $10::numeric[], $11::numeric[]
+        ) WITH ORDINALITY AS t(productname, description, quantity, units, rate, gst_rate, amount, cgst, sgst, igst, position)
+    `, [
+        invoiceId,
+        ...[...LINE_FIELDS, ...LINE_TAX_FIELDS].map((f) => items.map((item) => item[f] ?? null))
+    ]);
+};
+
+// --- Totals & GST ---
+// The server is the only place totals are computed. Money is handled in paise
+// (integers) to avoid float drift, then converted back to rupees for storage.
+// Intra-state supply -> CGST + SGST (half each), inter-state -> IGST.
+const DEFAULT_GST_RATE = toNumber(process.env.DEFAULT_GST_RATE) ?? 18;
+const SELLER_GSTIN = (process.env.SELLER_GSTIN || '').toUpperCase();
+const SELLER_STATE_CODE = process.env.SELLER_STATE_CODE || SELLER_GSTIN.slice(0, 2);
+const ROUND_GRAND_TOTAL = process.env.ROUND_GRAND_TOTAL !== 'false';
+
+// Helper: "27AAPFU0939F1ZV" -> "27", or '' if it doesn't start with a state code
+const gstinStateCode = (gstin) => {
+    const match = /^(\d{2})/.exec(String(gstin || '').trim());
+    return match ? match[1] : '';
+};
+
+const toPaise = (rupees) => Math.round((rupees + Number.EPSILON) * 100);
+const toRupees = (paise) => paise / 100;
+
+// Unknown buyer/seller state falls back to intra-state (CGST + SGST)
+const taxTypeFor = (buyerGstin, sellerState) => {
+    const buyerState = gstinStateCode(buyerGstin);
+    return buyerState && sellerState && buyerState !== sellerState ? 'IGST' : 'CGST_SGST';
+};
+
+// GST rates come from n8n / operators, never from a customer's edit: each edited line
+// takes the rate the invoice already has for that product, new products the default
+const applyStoredGstRates = (items, stored) => {
+    const rates = new Map(stored.map((line) => [line.productname.toLowerCase(), line.gst_rate]));
+    return items.map((item) => ({ ...item, gst_rate: rates.get(item.productname.toLowerCase()) ?? null }));
+};
+
+// sellerState: the tenant's state code (see tenantSellerState)
+const computeInvoiceTotals = (items, buyerGstin, sellerState = SELLER_STATE_CODE) => {
+    const taxType = taxTypeFor(buyerGstin, sellerState);
+    const sums = { subtotal: 0, cgst: 0, sgst: 0, igst: 0 };
+
+    const lines = items.map((item) => {
+        const gstRate = item.gst_rate ?? DEFAULT_GST_RATE;
+        const amount = toPaise((item.quantity ?? 0) * (item.rate ?? 0));
+        const tax = Math.round(amount * gstRate / 100);
+        let cgst = 0, sgst = 0, igst = 0;
+        if (taxType === 'IGST') {
+            igst = tax;
+        } else {
+            cgst = Math.round(tax / 2);
+            sgst = tax - cgst;
+        }
+        sums.subtotal += amount;
+        sums.cgst += cgst;
+        sums.sgst += sgst;
+        sums.igst += igst;
+        return {
+            ...item,
+            gst_rate: gstRate,
+            amount: toRupees(amount),
+            cgst: toRupees(cgst),
+            sgst: toRupees(sgst),
+            igst: toRupees(igst)
+        };
+    });
+
+    const taxTotal = sums.cgst + sums.sgst + sums.igst;
+    const beforeRounding = sums.subtotal + taxTotal;
+    const total = ROUND_GRAND_TOTAL ? Math.round(beforeRounding / 100) * 100 : beforeRounding;
+
+    return {
+        lines,
+        totals: {
+            tax_type: taxType,
+            seller_state_code: sellerState || null,
+            default_gst_rate: DEFAULT_GST_RATE,
+            round_grand_total: ROUND_GRAND_TOTAL,
+            subtotal: toRupees(sums.subtotal),
+            cgst: toRupees(sums.cgst),
+            sgst: toRupees(sums.sgst),
+            igst: toRupees(sums.igst),
+            tax_total: toRupees(taxTotal),
+            round_off: toRupees(total - beforeRounding),
+            total: toRupees(total)
+        }
+    };
+};
+
+// Header columns the breakdown is persisted into (amount = subtotal, kept for compatibility)
+const TOTALS_COLUMNS = ['subtotal', 'cgst', 'sgst', 'igst', 'tax_total', 'round_off', 'total', 'tax_type', 'seller_state_code'];
+
+const saveInvoiceTotals = async (db, invoiceId, totals) => {
+    const result = await db.query(`
+        UPDATE client_smd.backend SET
+            amount = $2, subtotal = $2, cgst = $3, sgst = $4, igst = $5,
+            tax_total = $6, round_off = $7, total = $8, tax_type = $9, seller_state_code = $10
+        WHERE id = $1
+        RETURNING *
+    `, [invoiceId, ...TOTALS_COLUMNS.map((c) => totals[c])]);
+    return result.rows[0];
+};
+
+// Helper: Persisted breakdown of a row; legacy rows without one are computed on the fly
+const invoiceTotals = (row, items) => {
+    if (row.subtotal === null || row.subtotal === undefined) {
+        return computeInvoiceTotals(items, row.gstin).totals;
+    }
+    const totals = {
+        tax_type: row.tax_type,
+        seller_state_code: row.seller_state_code || SELLER_STATE_CODE || null,
+        default_gst_rate: DEFAULT_GST_RATE,
+        round_grand_total: ROUND_GRAND_TOTAL
+    };
+    for (const c of TOTALS_COLUMNS) {
+        if (c !== 'tax_type' && c !== 'seller_state_code') totals[c] = Number(row[c] ?? 0);
+    }
+    return totals;
+};
+
+// Helper: Shape an invoice row + its lines for API consumers
+// Keeps the per-field arrays the frontend and n8n already read, plus `items` and `totals`.
+const serializeInvoice = (row, items) => {
+    const { productname, description, quantity, units, rate, ...header } = row;
+    return {
+        ...header,
+        uuid: row.id, // For compatibility
+        Dealer: row.dealer, // For compatibility
+        items,
+        ...Object.fromEntries(LINE_FIELDS.map((f) => [f, items.map((item) => item[f])])),
+        totals: invoiceTotals(row, items)
+    };
+};
+
+// --- Invoice Lifecycle ---
+// CREATED (from n8n) -> DRAFT (edited) -> APPROVED -> SENT -> PAID
+// CREATED / DRAFT can also end as REJECTED or CANCELLED, and an APPROVED or SENT
+// invoice can still be CANCELLED. PAID, REJECTED and CANCELLED are final.
+// CHANGES_REQUESTED: the customer asked for corrections (see Comments); the next edit
+// makes it a DRAFT again.
+const STATUSES = ['CREATED', 'DRAFT', 'CHANGES_REQUESTED', 'APPROVED', 'SENT', 'PAID', 'REJECTED', 'CANCELLED'];
+const TRANSITIONS = {
+    CREATED: ['DRAFT', 'CHANGES_REQUESTED', 'APPROVED', 'REJECTED', 'CANCELLED'],
+    DRAFT: ['DRAFT', 'CHANGES_REQUESTED', 'APPROVED', 'REJECTED', 'CANCELLED'],
+    CHANGES_REQUESTED: ['DRAFT', 'CHANGES_REQUESTED', 'APPROVED', 'REJECTED', 'CANCELLED'],
+    APPROVED: ['SENT', 'CANCELLED'],
+    SENT: ['PAID', 'CANCELLED'],
+    PAID: [],
+    REJECTED: [],
+    CANCELLED: []
+};
+// Statuses n8n may create an invoice in
+const INITIAL_STATUSES = ['CREATED', 'DRAFT'];
+// Statuses the customer can still act on (edit / approve / request changes / reject / cancel)
+const OPEN_STATUSES = ['CREATED', 'DRAFT', 'CHANGES_REQUESTED'];
+
+// Helper: Legacy rows have 'created', 'Draft' or NULL
+const normalizeStatus = (status) => (status ? String(status).trim().toUpperCase() : 'CREATED');
+
+const canTransition = (from, to) => (TRANSITIONS[normalizeStatus(from)] || []).includes(to);
+
+// Helper: Which buttons the link holder should see for this status
+const allowedActions = (status, scope) => {
+    if (scope !== 'edit' || !OPEN_STATUSES.includes(normalizeStatus(status))) return [];
+    return ['edit', 'approve', 'request_changes', 'reject', 'cancel'];
+};
+
+// Moves an invoice to `to` if its current status allows it and, when `version` is
+// given, nobody changed it since. The check and the update are one statement, so two
+// concurrent approvals can't both succeed. Every transition bumps the version.
+// Returns the updated row, or null if the transition is not allowed (or no such invoice).
+const transitionInvoice = async (db, invoiceId, to, reason = null, version = null) => {
+    const from = STATUSES.filter((status) => canTransition(status, to));
+    const result = await db.query(`
+        UPDATE client_smd.backend SET
+            status = $2,
+            status_reason = $3,
+            status_changed_at = now(),
+            approved_at = CASE WHEN $2 = 'APPROVED' THEN now() ELSE approved_at END,
+            version = version + 1
+        WHERE id = $1 AND status = ANY($4) AND ($5::integer IS NULL OR version = $5)
+        RETURNING *
+    `, [invoiceId, to, reason, from, version]);
+    return result.rows[0] || null;
+};
+
+// Helper: 409 explaining why the transition was refused
+const sendTransitionConflict = async (res, invoiceId, to) => {
+    const result = await pool.query('SELECT status FROM client_smd.backend WHERE id = $1', [invoiceId]);
+    if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Invoice not found' });
+    }
+    const current = normalizeStatus(result.rows[0].status);
+    res.status(409).json({
+        error: `Invoice is ${current} and can't be moved to ${to}`,
+        status: current,
+        allowed_transitions: TRANSITIONS[current] || []
+    });
+};
+
+// --- Optimistic Concurrency ---
+// Every invoice has a version, bumped by each edit and status change, and sent as
+// ETag: "<version>". PUT and approve need If-Match with the version the client last
+// saw; a stale one gets 412 with the current invoice, so the client can merge its
+// edits instead of overwriting someone else's.
+const invoiceEtag = (row) => `"${row.version}"`;
+
+// Helper: 412 with the invoice as it is now
+const sendStaleInvoice = async (req, res, row) => {
+    const items = await loadLineItems(pool, row.id);
+    res.set('ETag', invoiceEtag(row));
+    res.status(412).json({
+        error: 'The invoice was changed since you loaded it, please review the latest version',
+        version: row.version,
+        current: {
+            ...serializeInvoice(row, items),
+            pdf_url: signedFileUrl(row.pdf_url),
+            access: describeLinkAccess(req.link, row)
+        }
+    });
+};
+
+// Middleware (after requireInvoiceLink): If-Match must name the current version.
+// `*` ("any version") is refused like a missing header, since it would skip the check.
+// Sets req.expectedVersion so the write itself can check it again atomically.
+const requireIfMatch = async (req, res, next) => {
+    const header = (req.get('If-Match') || '').trim();
+    if (!header || header === '*') {
+        return res.status(428).json({ error: 'If-Match header with the invoice ETag is required' });
+    }
+    // Weak tags (W/"3") never match If-Match, so only "3" counts
+    const versions = header.split(',')
+        .map((tag) => /^"(\d+)"$/.exec(tag.trim()))
+        .filter(Boolean)
+        .map((match) => Number(match[1]));
+    if (!versions.includes(req.invoice.version)) {
+        try {
+            return await sendStaleInvoice(req, res, req.invoice);
+        } catch (err) {
+            console.error(err);
+            return res.status(500).json({ error: 'Database error' });
+        }
+    }
+    req.expectedVersion = req.invoice.version;
+    next();
+};
+
+// Helper: A guarded write matched nothing: 412 if the invoice moved on meanwhile, else 409
+const sendWriteConflict = async (req, res, to) => {
+    const result = await pool.query('SELECT * FROM client_smd.backend WHERE id = $1', [req.invoice.id]);
+    const row = result.rows[0];
+    if (row && row.version !== req.expectedVersion) return sendStaleInvoice(req, res, row);
+    return sendTransitionConflict(res, req.invoice.id, to);
+};
+
+// --- Payload Validation ---
+// Request bodies are checked against zod schemas before a route touches the
+// database. Failures are answered with 422 and one entry per offending field:
+//   { error: 'Validation failed', errors: [{ field: 'items.2.rate', message: 'must be a number' }] }
+// Unknown keys are passed through, so n8n can keep sending extra columns.
+const GSTIN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// Helper: GSTIN check character (mod 36 over the first 14 characters)
+const gstinCheckChar = (gstin) => {
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+        const product = GSTIN_CHARS.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+        sum += Math.floor(product / 36) + (product % 36);
+    }
+    return GSTIN_CHARS[(36 - (sum % 36)) % 36];
+};
+
+// 01-38 are states / UTs, 97 other territory, 99 centre jurisdiction
+const isValidGstin = (gstin) => {
+    if (!GSTIN_PATTERN.test(gstin)) return false;
+    const state = Number(gstin.slice(0, 2));
+    if (!((state >= 1 && state <= 38) || state === 97 || state === 99)) return false;
+    return gstinCheckChar(gstin) === gstin[14];
+};
+
+// Helper: "2025-05-02", "2025-05-02T00:00:00Z", "02/05/2025" or "02-05-2025" -> "2025-05-02" (null if invalid)
+const toIsoDate = (value) => {
+    const s = String(value).trim();
+    let parts = /^(\d{4})-(\d{2})-(\d{2})(?:T.*)?$/.exec(s);
+    let [y, m, d] = parts ? parts.slice(1) : [];
+    if (!parts) {
+        // Bills printed in India are day first
+        parts = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(s);
+        if (parts) [d, m, y] = parts.slice(1);
+    }
+    if (!parts) return null;
+    const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+    if (date.getUTCMonth() !== Number(m) - 1 || date.getUTCDate() !== Number(d)) return null;
+    return date.toISOString().slice(0, 10);
+};
+
+// Helper: Optional text field; numbers become strings, null means "not sent"
+const textField = (max) => z.preprocess(
+    (v) => (typeof v === 'number' ? String(v) : v ?? undefined),
+    z.string({ error: 'must be text' }).trim().max(max, { error: `must be at most ${max} characters` }).optional()
+);
+
+// Helper: Optional numeric field, accepting "1,250.50" like toNumber
+const numberField = (schema) => z.preprocess(
+    (v) => (v === null || v === undefined || v === '' ? undefined : toNumber(v) ?? v),
+    schema.optional()
+);
+
+// Helper: Optional UUID field, '' counts as not sent
+const uuidField = () => z.preprocess((v) => (v === '' || v === null ? undefined : v), z.uuid({ error: 'must be a UUID' }).optional());
+
+// WhatsApp numbers are stored as E.164 digits without the '+', e.g. 919876543210
+const phoneField = z.preprocess(
+    (v) => (typeof v === 'number' ? String(v) : v),
+    z.string({ error: 'is required' })
+        .transform((v) => v.replace(/[\s().-]/g, '').replace(/^\+/, ''))
+        .refine((v) => /^[1-9]\d{7,14}$/.test(v), { error: 'must be an E.164 number with country code, e.g. +919876543210' })
+);
+
+const gstinField = textField(15)
+    .transform((v) => (v === undefined ? v : v.toUpperCase()))
+    .refine((v) => !v || isValidGstin(v), { error: 'is not a valid GSTIN' });
+
+const dateField = textField(40)
+    .refine((v) => !v || toIsoDate(v) !== null, { error: 'must be a date, e.g. 2025-05-02 or 02/05/2025' })
+    .transform((v) => (v ? toIsoDate(v) : v));
+
+const lineItemSchema = z.object({
+    productname: textField(200),
+    description: textField(1000),
+    quantity: numberField(z.number({ error: 'must be a number' }).min(0, { error: 'must not be negative' })),
+    units: textField(20),
+    rate: numberField(z.number({ error: 'must be a number' }).min(0, { error: 'must not be negative' })),
+    gst_rate: numberField(z.number({ error: 'must be a number' }).min(0, { error: 'must be between 0 and 100' }).max(100, { error: 'must be between 0 and 100' }))
+}, { error: 'must be an object' });
+
+// Shared by create and update; all optional here, create adds what it requires.
+// invoice_number itself is allocated at approval (see Invoice Numbering).
+const invoiceFields = {
+    reference_number: textField(50),
+    Dealer: textField(200),
+    dealer: textField(200),
+    invoice_date: dateField,
+    gstin: gstinField
+};
+
+// Invoice series codes, e.g. "default" or "branch-2"
+const SERIES_CODE_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+const SERIES_CODE_MESSAGE = "must be 1-40 letters, digits, '-' or '_'";
+
+const createInvoiceSchema = z.looseObject({
+    ...invoiceFields,
+    id: uuidField(),
+    uuid: uuidField(),
+    phonenumber: phoneField,
+    status: textField(20).refine(
+        (v) => !v || INITIAL_STATUSES.includes(normalizeStatus(v)),
+        { error: `must be one of: ${INITIAL_STATUSES.join(', ')}` }
+    ),
+    profile_id: uuidField(),
+    // Older n8n flows send their own number as invoice_number; it is kept as the reference
+    invoice_number: textField(50),
+    series: z.string({ error: 'must be text' }).trim().regex(SERIES_CODE_PATTERN, { error: SERIES_CODE_MESSAGE }).optional()
+});
+
+const updateInvoiceSchema = z.looseObject({
+    ...invoiceFields,
+    phonenumber: phoneField.optional()
+});
+
+// Approval signatures (see Approval Evidence): drawn on screen (PNG data URL) or typed
+const SIGNATURE_TYPES = ['drawn', 'typed'];
+const SIGNATURE_IMAGE_MAX_LENGTH = 300 * 1024;
+
+const signatureSchema = z.looseObject({
+    type: z.enum(SIGNATURE_TYPES, { error: `must be one of: ${SIGNATURE_TYPES.join(', ')}` }),
+    name: z.string({ error: 'is required' }).trim().min(1, { error: 'is required' }).max(100, { error: 'must be at most 100 characters' }),
+    image: z.string({ error: 'must be a PNG data URL' })
+        .max(SIGNATURE_IMAGE_MAX_LENGTH, { error: 'is too large' })
+        .regex(/^data:image\/png;base64,[A-Za-z0-9+/]+=*$/, { error: 'must be a PNG data URL' })
+        .optional()
+}).refine((s) => s.type !== 'drawn' || s.image, { error: 'is required for a drawn signature', path: ['image'] });
+
+const approveSchema = z.looseObject({
+    total: z.preprocess(
+        (v) => (v === null || v === '' ? undefined : toNumber(v) ?? v),
+        z.number({ error: (issue) => (issue.input === undefined ? 'is required' : 'must be a number') })
+    ),
+    signature: signatureSchema.optional(),
+    otp: z.string({ error: 'must be the 6-digit code' }).regex(/^\d{6}$/, { error: 'must be the 6-digit code' }).optional()
+});
+
+const reasonSchema = z.looseObject({
+    reason: z.string({ error: 'is required' }).trim().min(1, { error: 'is required' }).max(500, { error: 'must be at most 500 characters' })
+});
+
+const COMMENT_MAX_LENGTH = 2000;
+const commentBodyField = z.string({ error: 'is required' }).trim()
+    .min(1, { error: 'is required' })
+    .max(COMMENT_MAX_LENGTH, { error: `must be at most ${COMMENT_MAX_LENGTH} characters` });
+// Line items are addressed by position (0 = first line)
+const lineIndexField = z.number({ error: 'must be a line number' }).int({ error: 'must be a line number' }).min(0, { error: 'must be a line number' });
+
+const commentSchema = z.looseObject({
+    body: commentBodyField,
+    line: lineIndexField.nullable().optional(),
+    parent_id: z.number({ error: 'must be a comment id' }).int({ error: 'must be a comment id' }).positive({ error: 'must be a comment id' }).optional()
+});
+
+// The reason goes on the invoice (status_reason) and opens the thread; comments are per line
+const requestChangesSchema = reasonSchema.extend({
+    comments: z.array(
+        z.looseObject({ line: lineIndexField, body: commentBodyField }),
+        { error: 'must be a list of { line, body }' }
+    ).max(100, { error: 'must hold at most 100 comments' }).optional()
+});
+
+const statusSchema = z.looseObject({
+    status: z.string({ error: 'is required' }).refine(
+        (v) => STATUSES.includes(normalizeStatus(v)),
+        { error: `must be one of: ${STATUSES.join(', ')}` }
+    ),
+    reason: textField(500)
+});
+
+// Helper: zod issue -> { field, message }
+const formatIssue = (issue, prefix = []) => ({
+    field: [...prefix, ...issue.path].join('.') || '(body)',
+    message: issue.message
+});
+
+// Line items are checked in their raw shape, so parallel arrays and JSON string
+// arrays (App.js) report the same items.<index>.<field> paths as items[].
+const lineItemErrors = (data) => {
+    if (!hasLineItems(data)) return [];
+    if (data.items !== undefined && !Array.isArray(data.items)) {
+        return [{ field: 'items', message: 'must be an array' }];
+    }
+    let items = data.items;
+    const errors = [];
+    if (!items) {
+        const lists = Object.fromEntries(LINE_FIELDS.map((f) => [f, toList(data[f])]));
+        // Empty lists are "not sent"; the rest must line up with each other
+        const sent = LINE_FIELDS.filter((f) => lists[f].length > 0);
+        const expected = Math.max(0, ...sent.map((f) => lists[f].length));
+        for (const f of sent) {
+            if (lists[f].length !== expected) {
+                errors.push({ field: f, message: `has ${lists[f].length} values, expected ${expected}` });
+            }
+        }
+        items = Array.from({ length: expected }, (_, i) =>
+            Object.fromEntries(LINE_FIELDS.map((f) => [f, lists[f][i]])));
+    }
+    const result = z.array(lineItemSchema).safeParse(items);
+    if (!result.success) errors.push(...result.error.issues.map((issue) => formatIssue(issue, ['items'])));
+    return errors;
+};
+
+// Returns { data, errors }; data is the parsed body (null when invalid)
+const validatePayload = (schema, body, { lineItems = false } = {}) => {
+    const input = body && typeof body === 'object' ? body : {};
+    const result = schema.safeParse(input);
+    const errors = result.success ? [] : result.error.issues.map((issue) => formatIssue(issue));
+    if (lineItems) errors.push(...lineItemErrors(input));
+    return { data: errors.length === 0 ? result.data : null, errors };
+};
+
+// Middleware: Validate req.body and replace it with the parsed (normalized) value
+const validateBody = (schema, options) => (req, res, next) => {
+    const { data, errors } = validatePayload(schema, req.body, options);
+    if (errors.length > 0) {
+        return res.status(422).json({ error: 'Validation failed', errors });
+    }
+    req.body = data;
+    next();
+};
+
+// --- Invoice Numbering ---
+// invoice_number is the GST invoice number. It is allocated from a per-tenant series
+// when the invoice is approved; whatever n8n or the customer typed is kept as
+// reference_number. Counters (client_smd.invoice_number_counters) are bumped inside the
+// approval transaction, so a failed approval hands its number back and a series has no
+// gaps. Series without a row in client_smd.invoice_series don't exist, except "default",
+// which falls back to INVOICE_NUMBER_PREFIX / _FORMAT / _PADDING.
+// Format tokens: {prefix}, {fy} (2025-26), {fy_short} (2526), {yyyy} (2025, the year
+// the financial year starts in) and {seq} (zero padded).
+const DEFAULT_SERIES = 'default';
+const SERIES_RESETS = ['financial_year', 'never'];
+const SERIES_TOKENS = ['prefix', 'fy', 'fy_short', 'yyyy', 'seq'];
+const DEFAULT_SERIES_CONFIG = {
+    prefix: process.env.INVOICE_NUMBER_PREFIX || 'INV',
+    format: process.env.INVOICE_NUMBER_FORMAT || '{prefix}/{fy}/{seq}',
+    padding: Number(process.env.INVOICE_NUMBER_PADDING) || 4,
+    reset: 'financial_year'
+};
+// Numbers already taken (issued under an older setup of the series) are skipped; this
+// many in a row means the series needs fixing
+const INVOICE_NUMBER_MAX_SKIPS = 50;
+const INVOICE_NUMBER_TAKEN = new Error('Invoice number already taken');
+// GST rule 46: at most 16 characters, only letters, digits, '-' and '/'
+const GST_INVOICE_NUMBER = /^[A-Za-z0-9/-]{1,16}$/;
+// Indian financial years run April to March
+const FY_START_MONTH = 4;
+
+// Helper: "2026-02-10" -> { label: '2025-26', short: '2526', start: 2025 }
+const financialYear = (isoDate) => {
+    const [year, month] = isoDate.split('-').map(Number);
+    const start = month >= FY_START_MONTH ? year : year - 1;
+    const end = String(start + 1).slice(2);
+    return { label: `${start}-${end}`, short: `${String(start).slice(2)}${end}`, start };
+};
+
+// Helper: Today's date for the business (the same local day as in reports)
+const localToday = () => new Intl.DateTimeFormat('en-CA', { timeZone: REPORT_TIMEZONE }).format(new Date());
+
+const formatInvoiceNumber = (series, fy, sequence) => series.format.replace(/\{(\w+)\}/g, (token, name) => ({
+    prefix: series.prefix,
+    fy: fy.label,
+    fy_short: fy.short,
+    yyyy: String(fy.start),
+    seq: String(sequence).padStart(series.padding, '0')
+}[name] ?? token));
+
+const invoiceSeriesSchema = z.looseObject({
+    prefix: z.string({ error: 'must be text' }).trim().max(16, { error: 'must be at most 16 characters' })
+        .regex(/^[A-Za-z0-9/-]*$/, { error: "may only hold letters, digits, '-' and '/'" }).optional(),
+    format: z.string({ error: 'must be text' }).trim().min(1, { error: 'must not be empty' })
+        .max(100, { error: 'must be at most 100 characters' }).optional(),
+    padding: numberField(z.number({ error: 'must be a number' }).int({ error: 'must be a whole number' })
+        .min(1, { error: 'must be between 1 and 10' }).max(10, { error: 'must be between 1 and 10' })),
+    reset: z.enum(SERIES_RESETS, { error: `must be one of: ${SERIES_RESETS.join(', ')}` }).optional()
+});
+
+// Helper: [{ field, message }] for a series whose numbers would be unusable
+const invoiceSeriesErrors = (series) => {
+    const tokens = [...series.format.matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+    const errors = [];
+    const unknown = tokens.filter((t) => !SERIES_TOKENS.includes(t));
+    if (unknown.length > 0) {
+        errors.push({ field: 'format', message: `has unknown tokens: ${unknown.map((t) => `{${t}}`).join(', ')}` });
+    }
+    if (!tokens.includes('seq')) errors.push({ field: 'format', message: 'must contain {seq}' });
+    // Without the year in it, the second year's numbers would repeat the first year's
+    if (series.reset === 'financial_year' && !tokens.some((t) => ['fy', 'fy_short', 'yyyy'].includes(t))) {
+        errors.push({ field: 'format', message: 'must contain {fy}, {fy_short} or {yyyy} when the series resets every financial year' });
+    }
+    if (errors.length === 0) {
+        const longest = formatInvoiceNumber(series, financialYear(localToday()), '9'.repeat(series.padding));
+        if (!GST_INVOICE_NUMBER.test(longest)) {
+            errors.push({ field: 'format', message: `gives numbers like "${longest}"; GST allows at most 16 letters, digits, '-' or '/'` });
+        }
+    }
+    return errors;
+};
+
+// Helper: What the series' numbers look like apart from the sequence; two series with
+// the same pattern would hand out the same numbers
+const seriesNumberPattern = (series) => series.format.replace(/\{prefix\}/g, series.prefix);
+
+// Helper: Counter period of a series on a given day
+const seriesPeriod = (series, fy) => (series.reset === 'financial_year' ? fy.label : '');
+
+// Helper: Series row (or the built-in default), null if the tenant has no such series
+const loadInvoiceSeries = async (db, tenantId, code) => {
+    const result = await db.query(
+        'SELECT * FROM client_smd.invoice_series WHERE tenant_id = $1 AND code = $2',
+        [tenantId, code]
+    );
+    if (result.rows[0]) return result.rows[0];
+    return code === DEFAULT_SERIES ? { code, ...DEFAULT_SERIES_CONFIG } : null;
+};
+
+// Takes the next number of the invoice's series for its financial year. Run it inside
+// the approval transaction: the counter row stays locked until commit, so concurrent
+// approvals in the same series queue up instead of racing for a number.
+const allocateInvoiceNumber = async (db, invoice, invoiceDate) => {
+    const series = await loadInvoiceSeries(db, invoice.tenant_id, invoice.invoice_series || DEFAULT_SERIES);
+    if (!series) throw new Error(`Unknown invoice series: ${invoice.invoice_series}`);
+    const fy = financialYear(invoiceDate);
+    for (let skipped = 0; skipped <= INVOICE_NUMBER_MAX_SKIPS; skipped++) {
+        const result = await db.query(`
+            INSERT INTO client_smd.invoice_number_counters (tenant_id, series, period, last_value)
+            VALUES ($1, $2, $3, 1)
+            ON CONFLICT (tenant_id, series, period)
+                DO UPDATE SET last_value = client_smd.invoice_number_counters.last_value + 1
+            RETURNING last_value
+        `, [invoice.tenant_id, series.code, seriesPeriod(series, fy)]);
+        const sequence = result.rows[0].last_value;
+        const number = formatInvoiceNumber(series, fy, sequence);
+        const taken = await db.query(`
+            SELECT 1 FROM client_smd.backend
+            WHERE tenant_id = $1 AND invoice_number = $2 AND invoice_sequence IS NOT NULL
+        `, [invoice.tenant_id, number]);
+        if (taken.rows.length === 0) return { series: series.code, sequence, number };
+        console.warn(`⚠️ Invoice number ${number} (series ${series.code}) is already taken, skipping it`);
+    }
+    throw INVOICE_NUMBER_TAKEN;
+};
+
+// Helper: The approval failed on a number another invoice already has
+const isInvoiceNumberTaken = (err) =>
+    err === INVOICE_NUMBER_TAKEN || (err.code === '23505' && err.constraint === 'backend_tenant_invoice_number_idx');
+
+const sendInvoiceNumberTaken = (res) => res.status(409).json({
+    error: 'The next invoice number of this series is already taken; please check the invoice series setup'
+});
+
+// Helper: Series as returned by the API, with the number the next approval today would get
+const serializeInvoiceSeries = async (db, tenantId, series) => {
+    const fy = financialYear(localToday());
+    const counter = await db.query(`
+        SELECT last_value FROM client_smd.invoice_number_counters
+        WHERE tenant_id = $1 AND series = $2 AND period = $3
+    `, [tenantId, series.code, seriesPeriod(series, fy)]);
+    const { tenant_id: _tenant, ...rest } = series;
+    return {
+        ...rest,
+        next_number: formatInvoiceNumber(series, fy, (counter.rows[0]?.last_value || 0) + 1)
+    };
+};
+
+// --- Revision History ---
+// client_smd.invoice_revisions is append-only (a trigger refuses UPDATE/DELETE).
+// Revision 0 is the invoice as n8n extracted it (or as found, for invoices that
+// predate history); every later change stores a full snapshot plus a field-level
+// diff against the previous revision.
+const SNAPSHOT_FIELDS = ['invoice_number', 'reference_number', 'dealer', 'phonenumber', 'invoice_date', 'gstin', 'status', 'status_reason', 'total'];
+
+const snapshotInvoice = (row, items) => ({
+    ...Object.fromEntries(SNAPSHOT_FIELDS.map((f) => [f, f === 'total' ? toNumber(row[f]) : (row[f] ?? null)])),
+    items: items.map((item) => Object.fromEntries(LINE_FIELDS.map((f) => [f, item[f] ?? null])))
+});
+
+// Helper: [{ field, from, to }] between two snapshots
+// Lines are compared by position: "items.2.quantity", or "items.3" when a line was added/removed.
+const diffSnapshots = (before, after) => {
+    const changes = [];
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    for (const f of SNAPSHOT_FIELDS) {
+        if (!same(before[f], after[f])) changes.push({ field: f, from: before[f] ?? null, to: after[f] ?? null });
+    }
+    const beforeItems = before.items || [];
+    const afterItems = after.items || [];
+    for (let i = 0; i < Math.max(beforeItems.length, afterItems.length); i++) {
+        const a = beforeItems[i];
+        const b = afterItems[i];
+        if (!a || !b) {
+            changes.push({ field: `items.${i}`, from: a || null, to: b || null });
+            continue;
+        }
+        for (const f of LINE_FIELDS) {
+            if (!same(a[f], b[f])) changes.push({ field: `items.${i}.${f}`, from: a[f] ?? null, to: b[f] ?? null });
+        }
+    }
+    return changes;
+};
+
+// Helper: Who made a change (stored on the revision)
+const describeActor = (req, type) => ({
+    type: req.link ? 'customer' : type,
+    link_scope: req.link ? req.link.s : undefined,
+    ip: req.ip,
+    user_agent: req.get('user-agent') || null
+});
+
+const currentSnapshot = async (db, invoiceId) => {
+    const result = await db.query('SELECT * FROM client_smd.backend WHERE id = $1', [invoiceId]);
+    return snapshotInvoice(result.rows[0], await loadLineItems(db, invoiceId));
+};
+
+// Invoices created before history existed get their current state as revision 0,
+// so the first tracked edit still has something to diff against.
+// Call before changing anything, inside the same transaction.
+const ensureBaseRevision = async (db, invoiceId) => {
+    const existing = await db.query('SELECT 1 FROM client_smd.invoice_revisions WHERE invoice_id = $1 LIMIT 1', [invoiceId]);
+    if (existing.rows.length > 0) return;
+    await db.query(`
+        INSERT INTO client_smd.invoice_revisions (invoice_id, revision, action, actor, changes, snapshot)
+        VALUES ($1, 0, 'imported', $2, '[]', $3)
+        ON CONFLICT (invoice_id, revision) DO NOTHING
+    `, [invoiceId, { type: 'system' }, await currentSnapshot(db, invoiceId)]);
+};
+
+// Appends a revision with the invoice's state as it is now in this transaction
+// Returns the changes against the previous revision
+const recordRevision = async (db, invoiceId, action, actor) => {
+    const snapshot = await currentSnapshot(db, invoiceId);
+    const previous = await db.query(`
+        SELECT revision, snapshot FROM client_smd.invoice_revisions
+        WHERE invoice_id = $1 ORDER BY revision DESC LIMIT 1
+    `, [invoiceId]);
+    const last = previous.rows[0];
+    const changes = last ? diffSnapshots(last.snapshot, snapshot) : [];
+    await db.query(`
+        INSERT INTO client_smd.invoice_revisions (invoice_id, revision, action, actor, changes, snapshot)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `, [
+        invoiceId,
+        last ? last.revision + 1 : 0,
+        action,
+        actor,
+        JSON.stringify(changes),
+        snapshot
+    ]);
+    return changes;
+};
+
+// --- Comments ---
+// client_smd.invoice_comments: customers (through their link) and operators discuss an
+// invoice as a whole or one of its lines. A line is addressed by its position, and its
+// text at the time is kept with the comment, since later edits renumber lines.
+// Replies hang off the first comment of their thread, so threads are one level deep.
+const commentAuthor = (req) => describeActor(req, 'operator');
+
+const serializeComment = (row) => ({
+    id: Number(row.id),
+    parent_id: row.parent_id === null ? null : Number(row.parent_id),
+    line: row.line_index,
+    line_item: row.line_item,
+    body: row.body,
+    // The stored author also has the IP / user agent, which stay server-side
+    author: { type: row.author.type },
+    created_at: row.created_at
+});
+
+// Threads oldest first: [{ ...comment, replies: [...] }]
+const loadCommentThreads = async (db, invoiceId) => {
+    const result = await db.query(
+        'SELECT * FROM client_smd.invoice_comments WHERE invoice_id = $1 ORDER BY id',
+        [invoiceId]
+    );
+    const threads = new Map();
+    for (const row of result.rows) {
+        const comment = serializeComment(row);
+        if (comment.parent_id === null) {
+            threads.set(comment.id, { ...comment, replies: [] });
+        } else {
+            threads.get(comment.parent_id)?.replies.push(comment);
+        }
+    }
+    return [...threads.values()];
+};
+
+// Adds one comment. Returns { comment } or { invalid: { field, message } } for a line or
+// parent that doesn't exist on this invoice.
+const insertComment = async (db, invoiceId, author, { body, line = null, parent_id: parentId = null }, items) => {
+    let lineIndex = line;
+    let threadId = null;
+    if (parentId) {
+        const parent = await db.query(
+            'SELECT id, parent_id, line_index FROM client_smd.invoice_comments WHERE id = $1 AND invoice_id = $2',
+            [parentId, invoiceId]
+        );
+        if (parent.rows.length === 0) {
+            return { invalid: { field: 'parent_id', message: 'is not a comment on this invoice' } };
+        }
+        threadId = parent.rows[0].parent_id || parent.rows[0].id;
+        lineIndex = parent.rows[0].line_index;
+    } else if (lineIndex !== null && !items[lineIndex]) {
+        return { invalid: { field: 'line', message: `must be between 0 and ${items.length - 1}` } };
+    }
+    const item = lineIndex === null ? null : items[lineIndex];
+    const result = await db.query(`
+        INSERT INTO client_smd.invoice_comments (invoice_id, parent_id, line_index, line_item, author, body)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+    `, [
+        invoiceId,
+        threadId,
+        lineIndex,
+        item ? Object.fromEntries(LINE_FIELDS.map((f) => [f, item[f] ?? null])) : null,
+        author,
+        body
+    ]);
+    return { comment: serializeComment(result.rows[0]) };
+};
+
+// Adds a comment and tells n8n (invoice_comment_added), e.g. so the WhatsApp bot can
+// pass an operator's answer on. Returns insertComment's result.
+const addInvoiceComment = async (req, invoice, data) => {
+    const added = await withTransaction(async (client) => {
+        const items = await loadLineItems(client, invoice.id);
+        const result = await insertComment(client, invoice.id, commentAuthor(req), data, items);
+        if (result.comment) {
+            await publishEvent(client, 'invoice_comment_added', invoice.id, invoiceEventPayload(invoice, { comment: result.comment }));
+        }
+        return result;
+    });
+    if (added.comment) kickOutbox();
+    return added;
+};
+
+// --- Approval Evidence ---
+// Customers approve with a signature (drawn or typed) and, unless APPROVAL_OTP_REQUIRED
+// is 'false', a one-time code sent to the phone the invoice was issued to (not the one an
+// edit may have put on it since): POST /invoices/:token/approval-otp
+// queues an approval_otp_requested event for n8n (the WhatsApp bot delivers the code).
+// It is the only event that carries a secret: the outbox drops the code from the row once
+// it is delivered or given up on, and doesn't send it at all once it has expired.
+// Every approval, operator approvals included, stores a client_smd.invoice_approvals row
+// (append-only, like the revisions): when, who (IP, user agent, OTP-verified phone),
+// the signature and a SHA-256 of the approved content (`document`, canonical JSON).
+// The same evidence is printed on the approved PDF.
+const APPROVAL_OTP_REQUIRED = process.env.APPROVAL_OTP_REQUIRED !== 'false';
+const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_SENDS_PER_MINUTE = 3;
+
+const hashOtp = (invoiceId, code) =>
+    crypto.createHmac('sha256', LINK_SECRET || '').update(`${invoiceId}.${code}`).digest('hex');
+
+// Helper: "••••••3210", enough for the customer to recognise the number
+const maskPhone = (phone) => String(phone || '').replace(/\d(?=\d{4})/g, '•');
+
+// Helper: The phone the invoice was issued to, i.e. on its first revision. The edit link
+// can change phonenumber, so a code sent to the current one would only prove that the
+// link holder owns whatever number they typed in.
+const issuedPhone = async (db, invoice) => {
+    const result = await db.query(`
+        SELECT snapshot->>'phonenumber' AS phone FROM client_smd.invoice_revisions
+        WHERE invoice_id = $1 ORDER BY revision LIMIT 1
+    `, [invoice.id]);
+    // No revision yet means it was never edited
+    return result.rows[0]?.phone || invoice.phonenumber;
+};
+
+// Issues a new code (older unused ones stop working) for the phone the invoice was
+// issued to. Returns { phone, expires_at }, or null when nobody subscribes to
+// approval_otp_requested, i.e. the code can't be delivered.
+const issueApprovalOtp = async (invoice) => withTransaction(async (client) => {
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const phone = await issuedPhone(client, invoice);
+    await client.query(
+        'UPDATE client_smd.invoice_otps SET consumed_at = now() WHERE invoice_id = $1 AND consumed_at IS NULL',
+        [invoice.id]
+    );
+    const result = await client.query(`
+        INSERT INTO client_smd.invoice_otps (invoice_id, phone, code_hash, expires_at)
+        VALUES ($1, $2, $3, now() + make_interval(mins => $4))
+        RETURNING expires_at
+    `, [invoice.id, phone, hashOtp(invoice.id, code), OTP_TTL_MINUTES]);
+    const { expires_at: expiresAt } = result.rows[0];
+    const delivered = await publishEvent(client, 'approval_otp_requested', invoice.id, invoiceEventPayload(invoice, {
+        phone,
+        otp: code,
+        expires_at: expiresAt
+    }));
+    if (!delivered) throw OTP_UNDELIVERABLE;
+    return { phone, expires_at: expiresAt };
+}).catch((err) => {
+    if (err === OTP_UNDELIVERABLE) return null;
+    throw err;
+});
+const OTP_UNDELIVERABLE = new Error('No subscriber for approval_otp_requested');
+
+// Uses up the invoice's current code inside the approval transaction, so an approval
+// that fails afterwards hands the code back. Returns the used row; a wrong, expired or
+// exhausted code throws (see otpRejection), which rolls the approval back.
+const consumeApprovalOtp = async (client, invoice, code) => {
+    const result = await client.query(`
+        SELECT * FROM client_smd.invoice_otps
+        WHERE invoice_id = $1 AND consumed_at IS NULL AND expires_at > now()
+        ORDER BY id DESC LIMIT 1
+        FOR UPDATE
+    `, [invoice.id]);
+    const otp = result.rows[0];
+    if (!otp || otp.attempts >= OTP_MAX_ATTEMPTS) {
+        throw otpRejection('has expired, please request a new code');
+    }
+    if (!safeEqual(otp.code_hash, hashOtp(invoice.id, code))) {
+        throw otpRejection('is not correct', otp.id);
+    }
+    const used = await client.query(
+        'UPDATE client_smd.invoice_otps SET consumed_at = now() WHERE id = $1 RETURNING *',
+        [otp.id]
+    );
+    return used.rows[0];
+};
+
+// `wrongOtpId`: the code that was guessed wrong; its attempt is counted after the rollback
+const otpRejection = (message, wrongOtpId = null) =>
+    Object.assign(new Error(`Approval code ${message}`), { otpMessage: message, wrongOtpId });
+
+// The approved content as hashed: header fields, lines and totals, canonical JSON
+const approvalDocument = (invoice, lines, totals) => canonicalJson({
+    invoice_id: invoice.id,
+    invoice_number: invoice.invoice_number,
+    invoice_date: toIsoDate(invoice.invoice_date) || invoice.invoice_date || null,
+    dealer: invoice.dealer,
+    phonenumber: invoice.phonenumber,
+    gstin: invoice.gstin,
+    items: lines.map((line) => Object.fromEntries(LINE_FIELDS.map((f) => [f, line[f] ?? null]))),
+    totals
+});
+
+// Evidence as printed on the PDF and stored (without the document itself)
+const buildApprovalEvidence = (req, invoice, document, { signature = null, otp = null } = {}) => ({
+    approved_at: new Date().toISOString(),
+    actor: describeActor(req, 'service'),
+    signer_name: signature?.name || null,
+    signature_type: signature?.type || null,
+    signature_image: signature?.type === 'drawn' ? signature.image : null,
+    phone: otp ? otp.phone : invoice.phonenumber,
+    otp_verified_at: otp ? otp.consumed_at : null,
+    ip: req.ip,
+    user_agent: req.get('user-agent') || null,
+    document_hash: crypto.createHash('sha256').update(document).digest('hex')
+});
+
+// pdf_sha256 is filled in once, when the PDF has been stored (see issueApprovedPdf)
+const insertApproval = async (db, invoice, evidence, document) => {
+    const result = await db.query(`
+        INSERT INTO client_smd.invoice_approvals (
+            invoice_id, tenant_id, invoice_version, approved_at, actor, signer_name, signature_type,
+            signature_image, phone, otp_verified_at, ip, user_agent, document, document_hash
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        RETURNING *
+    `, [
+        invoice.id, invoice.tenant_id, invoice.version, evidence.approved_at, evidence.actor,
+        evidence.signer_name, evidence.signature_type, evidence.signature_image, evidence.phone,
+        evidence.otp_verified_at, evidence.ip, evidence.user_agent, document, evidence.document_hash
+    ]);
+    return result.rows[0];
+};
+
+const serializeApproval = (row) => ({
+    id: Number(row.id),
+    invoice_id: row.invoice_id,
+    invoice_version: row.invoice_version,
+    approved_at: row.approved_at,
+    approved_by: row.actor.type,
+    signer_name: row.signer_name,
+    signature_type: row.signature_type,
+    signature_image: row.signature_image,
+    phone: row.phone,
+    otp_verified: row.otp_verified_at !== null,
+    otp_verified_at: row.otp_verified_at,
+    ip: row.ip,
+    user_agent: row.user_agent,
+    document: row.document,
+    document_hash: row.document_hash,
+    pdf_sha256: row.pdf_sha256
+});
+
+// What a customer link sees: links get forwarded, so the approver's IP, device and
+// signature stay with operators and the phone is masked (like comment authors)
+const serializeApprovalForLink = (row) => {
+    const { ip, user_agent: userAgent, signature_image: signatureImage, ...rest } = serializeApproval(row);
+    return { ...rest, phone: maskPhone(rest.phone) };
+};
+
+// Helper: Evidence timestamps in the business's time zone, e.g. "18 Oct 2026, 3:56:20 pm IST"
+const formatEvidenceTime = (value) =>
+    new Date(value).toLocaleString('en-IN', { timeZone: REPORT_TIMEZONE, dateStyle: 'medium', timeStyle: 'long' });
+
+// --- Business Profiles & PDF Templates ---
+// A business profile (client_smd.business_profiles) is the seller's letterhead and
+// PDF template: name, address, GSTIN, logo, colours, bank details, terms, footer and
+// the line-table columns. An invoice uses its profile_id, else the default profile,
+// else DEFAULT_PROFILE below (built from env). The GST split itself still follows
+// SELLER_GSTIN / SELLER_STATE_CODE.
+const PDF_COLUMNS = {
+    sno: { header: '#', value: (line, index) => String(index + 1) },
+    productname: { header: 'Product', value: (line) => line.productname || '' },
+    description: { header: 'Description', value: (line) => line.description || '' },
+    quantity: { header: 'Qty', value: (line) => String(line.quantity ?? 0) },
+    units: { header: 'Units', value: (line) => line.units || '' },
+    rate: { header: 'Rate', value: (line) => (line.rate ?? 0).toFixed(2) },
+    gst_rate: { header: 'GST %', value: (line) => `${line.gst_rate}%` },
+    tax: { header: 'GST Amt', value: (line) => (line.cgst + line.sgst + line.igst).toFixed(2) },
+    amount: { header: 'Amount', value: (line) => line.amount.toFixed(2) }
+};
+const DEFAULT_PDF_COLUMNS = ['sno', 'productname', 'description', 'quantity', 'units', 'rate', 'gst_rate', 'amount'];
+
+const DEFAULT_PROFILE = {
+    id: null,
+    name: process.env.SELLER_NAME || '',
+    letterhead: '',
+    address: process.env.SELLER_ADDRESS || '',
+    gstin: SELLER_GSTIN,
+    phone: '',
+    email: '',
+    logo: null,
+    colors: {},
+    bank_details: {},
+    terms: '',
+    footer: '',
+    columns: DEFAULT_PDF_COLUMNS
+};
+
+// Fields a profile can be created / patched with
+const PROFILE_FIELDS = ['name', 'letterhead', 'address', 'gstin', 'phone', 'email', 'logo', 'colors', 'bank_details', 'terms', 'footer', 'columns', 'is_default'];
+const PROFILE_TEXT_FIELDS = ['name', 'letterhead', 'address', 'gstin', 'phone', 'email', 'terms', 'footer'];
+const BANK_FIELDS = ['bank_name', 'account_name', 'account_number', 'ifsc', 'branch', 'upi_id'];
+const LOGO_PATTERN = /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/=]+$/;
+const LOGO_MAX_BYTES = 512 * 1024;
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Helper: Check a create / patch payload; returns an error message or null
+const validateProfile = (data, partial) => {
+    if (!partial && !String(data.name || '').trim()) return 'name is required';
+    for (const field of PROFILE_TEXT_FIELDS) {
+        if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') return `${field} must be a string`;
+    }
+    if (data.logo) {
+        if (!LOGO_PATTERN.test(data.logo)) return 'logo must be a PNG or JPEG data URL';
+        if (data.logo.length * 3 / 4 > LOGO_MAX_BYTES) return `logo must be under ${LOGO_MAX_BYTES / 1024} KB`;
+    }
+    if (data.colors !== undefined) {
+        if (!data.colors || typeof data.colors !== 'object') return 'colors must be an object';
+        const bad = Object.entries(data.colors).find(([, value]) => !HEX_COLOR_PATTERN.test(value));
+        if (bad) return `colors.${bad[0]} must be a #rrggbb colour`;
+    }
+    if (data.bank_details !== undefined) {
+        if (!data.bank_details || typeof data.bank_details !== 'object') return 'bank_details must be an object';
+        const unknown = Object.keys(data.bank_details).filter((k) => !BANK_FIELDS.includes(k));
+        if (unknown.length > 0) return `Unknown bank_details fields: ${unknown.join(', ')} (allowed: ${BANK_FIELDS.join(', ')})`;
+    }
+    if (data.columns !== undefined) {
+        if (!Array.isArray(data.columns) || data.columns.length === 0) return 'columns must be a non-empty array';
+        const unknown = data.columns.filter((c) => !PDF_COLUMNS[c]);
+        if (unknown.length > 0) return `Unknown columns: ${unknown.join(', ')} (allowed: ${Object.keys(PDF_COLUMNS).join(', ')})`;
+    }
+    if (data.is_default !== undefined && typeof data.is_default !== 'boolean') return 'is_default must be a boolean';
+    return null;
+};
+
+// The profile an invoice is rendered with (profileId, else the tenant's default)
+const loadBusinessProfile = async (db, profileId, tenantId) => {
+    const result = await db.query(`
+        SELECT * FROM client_smd.business_profiles
+        WHERE tenant_id = $2 AND (id = $1 OR is_default)
+        ORDER BY (id = $1) DESC NULLS LAST
+        LIMIT 1
+    `, [profileId || null, tenantId]);
+    return result.rows[0] || DEFAULT_PROFILE;
+};
+
+const formatPdfDate = (value) => {
+    if (!value) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    return String(value);
+};
+
+// Helper: Summary rows under the line table (same order as InvoicePage)
+const totalsBreakdown = (totals) => {
+    const rows = [['Subtotal', totals.subtotal]];
+    if (totals.tax_type === 'IGST') {
+        rows.push(['IGST', totals.igst]);
+    } else {
+        rows.push(['CGST', totals.cgst], ['SGST', totals.sgst]);
+    }
+    if (totals.round_off !== 0) rows.push(['Round off', totals.round_off]);
+    rows.push(['Total', totals.total]);
+    return rows;
+};
+
+// Helper: Rupee amount in words, Indian numbering (lakh / crore)
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim());
+const belowThousand = (n) => {
+    const hundreds = Math.floor(n / 100);
+    return [hundreds ? `${ONES[hundreds]} Hundred` : '', belowHundred(n % 100)].filter(Boolean).join(' ');
+};
+const integerInWords = (n) => {
+    if (n === 0) return 'Zero';
+    const parts = [];
+    const crore = Math.floor(n / 10000000);
+    const lakh = Math.floor((n % 10000000) / 100000);
+    const thousand = Math.floor((n % 100000) / 1000);
+    if (crore) parts.push(`${integerInWords(crore)} Crore`);
+    if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+    if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+    if (n % 1000) parts.push(belowThousand(n % 1000));
+    return parts.join(' ');
+};
+const amountInWords = (amount) => {
+    const paise = toPaise(Math.abs(amount));
+    const rupees = Math.floor(paise / 100);
+    const rest = paise % 100;
+    return `Rupees ${integerInWords(rupees)}${rest ? ` and ${belowHundred(rest)} Paise` : ''} Only`;
+};
+
+const hexToRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+
+// Returns the PDF as a Buffer. Multi-page: the line table repeats its header on each
+// page, the closing blocks move to a new page when they don't fit, and every page
+// gets the footer and "Page x of y".
+// `approval` (approved invoices): the evidence from buildApprovalEvidence, printed
+// under the signatures.
+const renderInvoicePdf = (invoice, items, profile = DEFAULT_PROFILE, approval = null) => {
+    const { lines, totals } = computeInvoiceTotals(items, invoice.gstin, invoice.seller_state_code || SELLER_STATE_CODE);
+    const primary = hexToRgb(profile.colors?.primary || '#1f2937');
+    const accent = hexToRgb(profile.colors?.accent || '#f3f4f6');
+    const columns = (profile.columns && profile.columns.length ? profile.columns : DEFAULT_PDF_COLUMNS)
+        .filter((c) => PDF_COLUMNS[c]);
+
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 14;
+    const right = pageWidth - margin;
+    const bottom = pageHeight - 20;
+    // Moves to a new page when `height` more mm don't fit below y
+    const ensureSpace = (y, height) => {
+        if (y + height <= bottom) return y;
+        doc.addPage();
+        return 20;
+    };
+
+    // Letterhead: logo + seller on the left, document title + invoice details on the right
+    let sellerX = margin;
+    if (profile.logo) {
+        try {
+            doc.addImage(profile.logo, margin, 12, 26, 26);
+            sellerX = margin + 30;
+        } catch (e) {
+            console.warn(`⚠️ Could not draw logo of profile ${profile.id}:`, e.message);
+        }
+    }
+    doc.setTextColor(...primary);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(16);
+    doc.text(profile.name || '', sellerX, 18);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(60);
+    doc.setFontSize(9);
+    const sellerLines = [
+        profile.letterhead,
+        ...String(profile.address || '').split('\n'),
+        profile.gstin ? `GSTIN: ${profile.gstin}` : '',
+        [profile.phone, profile.email].filter(Boolean).join(' | ')
+    ].filter(Boolean);
+    const sellerText = doc.splitTextToSize(sellerLines.join('\n'), 100);
+    doc.text(sellerText, sellerX, 24);
+
+    doc.setTextColor(...primary);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(16);
+    doc.text(totals.tax_total > 0 ? 'TAX INVOICE' : 'INVOICE', right, 18, { align: 'right' });
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(60);
+    doc.setFontSize(10);
+    doc.text([
+        // Drafts have no number yet, it is allocated on approval
+        `Invoice No: ${invoice.invoice_number || 'on approval'}`,
+        ...(invoice.reference_number ? [`Ref: ${invoice.reference_number}`] : []),
+        `Date: ${formatPdfDate(invoice.invoice_date)}`,
+        `Status: ${invoice.status ?? ''}`
+    ], right, 25, { align: 'right' });
+
+    let y = Math.max(42, 24 + sellerText.length * 4 + 4);
+    doc.setDrawColor(...primary);
+    doc.setLineWidth(0.6);
+    doc.line(margin, y, right, y);
+
+    // Bill to
+    y += 7;
+    doc.setTextColor(0);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.text('Bill To', margin, y);
+    doc.setFont('helvetica', 'normal');
+    const buyerState = gstinStateCode(invoice.gstin);
+    const buyerLines = [
+        invoice.dealer || '',
+        invoice.phonenumber ? `Phone: ${invoice.phonenumber}` : '',
+        invoice.gstin ? `GSTIN: ${invoice.gstin}` : '',
+        buyerState ? `Place of supply: ${buyerState}` : ''
+    ].filter(Boolean);
+    doc.text(buyerLines, margin, y + 5);
+    y += 5 + buyerLines.length * 4.5 + 3;
+
+    // Lines
+    autoTable(doc, {
+        startY: y,
+        head: [columns.map((c) => PDF_COLUMNS[c].header)],
+        body: lines.map((line, index) => columns.map((c) => PDF_COLUMNS[c].value(line, index))),
+        theme: 'grid',
+        showHead: 'everyPage',
+        margin: { left: margin, right: margin, top: 20, bottom: 25 },
+        styles: { fontSize: 9, valign: 'middle' },
+        headStyles: { fillColor: primary, textColor: 255 },
+        alternateRowStyles: { fillColor: accent },
+        columnStyles: Object.fromEntries(columns.map((c, i) => [i, {
+            halign: ['productname', 'description'].includes(c) ? 'left' : 'right'
+        }]))
+    });
+    y = doc.lastAutoTable.finalY + 4;
+
+    // Totals
+    const breakdown = totalsBreakdown(totals);
+    autoTable(doc, {
+        startY: ensureSpace(y, breakdown.length * 7 + 2),
+        body: breakdown.map(([label, value]) => [label, value.toFixed(2)]),
+        theme: 'plain',
+        margin: { left: right - 80, right: margin, bottom: 25 },
+        styles: { fontSize: 10, cellPadding: 1.5 },
+        columnStyles: { 0: { halign: 'left' }, 1: { halign: 'right' } },
+        didParseCell: (data) => {
+            if (data.row.index === breakdown.length - 1) {
+                data.cell.styles.fontStyle = 'bold';
+                data.cell.styles.fillColor = accent;
+            }
+        }
+    });
+    y = doc.lastAutoTable.finalY + 6;
+
+    const words = doc.splitTextToSize(`Amount in words: ${amountInWords(totals.total)}`, right - margin);
+    y = ensureSpace(y, words.length * 5);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.text(words, margin, y);
+    y += words.length * 5 + 4;
+
+    // Bank details + terms on the left, signature block on the right
+    const bank = profile.bank_details || {};
+    const bankLines = [
+        bank.account_name ? `A/c Name: ${bank.account_name}` : '',
+        bank.bank_name ? `Bank: ${bank.bank_name}${bank.branch ? `, ${bank.branch}` : ''}` : '',
+        bank.account_number ? `A/c No: ${bank.account_number}` : '',
+        bank.ifsc ? `IFSC: ${bank.ifsc}` : '',
+        bank.upi_id ? `UPI: ${bank.upi_id}` : ''
+    ].filter(Boolean);
+    const terms = profile.terms ? doc.splitTextToSize(profile.terms, 105) : [];
+    const leftHeight = (bankLines.length ? bankLines.length * 4.5 + 6 : 0) + (terms.length ? terms.length * 4 + 6 : 0);
+    y = ensureSpace(y, Math.max(leftHeight, 30));
+
+    let leftY = y;
+    doc.setFontSize(9);
+    if (bankLines.length) {
+        doc.setFont('helvetica', 'bold');
+        doc.text('Bank Details', margin, leftY);
+        doc.setFont('helvetica', 'normal');
+        doc.text(bankLines, margin, leftY + 5);
+        leftY += bankLines.length * 4.5 + 6;
+    }
+    if (terms.length) {
+        doc.setFont('helvetica', 'bold');
+        doc.text('Terms & Conditions', margin, leftY);
+        doc.setFont('helvetica', 'normal');
+        doc.text(terms, margin, leftY + 5);
+        leftY += terms.length * 4 + 6;
+    }
+
+    doc.setFont('helvetica', 'bold');
+    doc.text(profile.name ? `For ${profile.name}` : '', right, y, { align: 'right' });
+    doc.setDrawColor(0);
+    doc.setLineWidth(0.3);
+    doc.line(right - 60, y + 20, right, y + 20);
+    doc.setFont('helvetica', 'normal');
+    doc.text('Authorised Signatory', right, y + 25, { align: 'right' });
+
+    // Buyer's approval: signature on the left, the evidence next to it
+    if (approval) {
+        const evidenceX = margin + 62;
+        const evidence = doc.splitTextToSize([
+            `Approved by: ${approval.signer_name || 'back office'}`,
+            `Approved on: ${formatEvidenceTime(approval.approved_at)}`,
+            approval.otp_verified_at ? `Phone verified by OTP: ${approval.phone}` : 'Phone not verified by OTP',
+            approval.ip ? `IP address: ${approval.ip}` : '',
+            approval.user_agent ? `Device: ${approval.user_agent.slice(0, 160)}` : '',
+            `Document SHA-256: ${approval.document_hash}`
+        ].filter(Boolean).join('\n'), right - evidenceX);
+        y = ensureSpace(Math.max(y + 32, leftY), Math.max(evidence.length * 3.8, 24) + 8);
+        doc.setTextColor(0);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(9);
+        doc.text('Approved by the buyer', margin, y);
+        if (approval.signature_image) {
+            try {
+                doc.addImage(approval.signature_image, 'PNG', margin, y + 2, 55, 18);
+            } catch (e) {
+                console.warn('⚠️ Could not draw the approval signature:', e.message);
+            }
+        } else if (approval.signer_name) {
+            doc.setFont('times', 'italic');
+            doc.setFontSize(18);
+            doc.text(approval.signer_name, margin, y + 14, { maxWidth: 58 });
+        }
+        doc.setDrawColor(0);
+        doc.setLineWidth(0.3);
+        doc.line(margin, y + 21, margin + 55, y + 21);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(60);
+        doc.text(evidence, evidenceX, y);
+    }
+
+    // Footer + page numbers on every page
+    const pageCount = doc.getNumberOfPages();
+    for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.setFontSize(8);
+        doc.setTextColor(120);
+        if (profile.footer) {
+            doc.text(doc.splitTextToSize(profile.footer, right - margin - 30), margin, pageHeight - 12);
+        }
+        doc.text(`Page ${page} of ${pageCount}`, right, pageHeight - 12, { align: 'right' });
+    }
+    return Buffer.from(doc.output('arraybuffer'));
+};
+
+const withTransaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+// Migration: Move comma-joined line columns into client_smd.invoice_lines
+// Batches are claimed with SKIP LOCKED so concurrent cold starts don't collide.
+const migrateCsvLineItems = async () => {
+    let migrated = 0;
+    for (;;) {
+        const count = await withTransaction(async (client) => {
+            const result = await client.query(`
+                SELECT id, productname, description, quantity, units, rate, gstin
+                FROM client_smd.backend
+                WHERE lines_migrated = false
+                LIMIT 200
+                FOR UPDATE SKIP LOCKED
+            `);
+            for (const row of result.rows) {
+                const items = zipLineItems(Object.fromEntries(LINE_FIELDS.map((f) => [f, csvToArray(row[f])])));
+                // Line amounts only; the header keeps its legacy total until the invoice is next saved
+                await replaceLineItems(client, row.id, computeInvoiceTotals(items, row.gstin).lines);
+                await client.query('UPDATE client_smd.backend SET lines_migrated = true WHERE id = $1', [row.id]);
+            }
+            return result.rows.length;
+        });
+        migrated += count;
+        if (count === 0) break;
+    }
+    if (migrated > 0) console.log(`📦 Migrated line items of ${migrated} invoices`);
+};
+
+// --- Tenants ---
+// One deployment serves several businesses. Invoices, webhook subscriptions and
+// business profiles belong to a tenant (client_smd.tenants) and every query is
+// filtered by it. The tenant of a request comes from:
+//   - the invoice behind a link token (customer routes),
+//   - the tenant's own API key in x-api-key (that business's n8n),
+//   - SERVICE_API_KEY + an `X-Tenant: <slug>` header (platform operators),
+//   - the request host (tenants.hosts),
+//   - else the default tenant, which owns everything created before tenants existed.
+const DEFAULT_TENANT_ID = '00000000-0000-0000-0000-000000000000';
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+const newTenantApiKey = () => `tk_${crypto.randomBytes(24).toString('base64url')}`;
+
+// Helper: Seller state code for the GST split (tenant GSTIN, else SELLER_GSTIN / SELLER_STATE_CODE)
+const tenantSellerState = (tenant) => gstinStateCode(tenant?.seller_gstin) || SELLER_STATE_CODE;
+
+const loadTenant = async (id) => {
+    const result = await pool.query('SELECT * FROM client_smd.tenants WHERE id = $1', [id]);
+    return result.rows[0] || null;
+};
+
+// Helper: Tenant mapped to the request host (or the host given), else the default tenant
+const tenantForHost = async (req, requestHost = req.headers['x-forwarded-host'] || req.hostname) => {
+    const host = String(requestHost || '').split(':')[0].toLowerCase();
+    const result = await pool.query(`
+        SELECT * FROM client_smd.tenants
+        WHERE $1 = ANY(hosts) OR id = $2
+        ORDER BY (id = $2)
+        LIMIT 1
+    `, [host, DEFAULT_TENANT_ID]);
+    return result.rows[0] || null;
+};
+
+// Helper: What the React app shows for a tenant (from its default business profile)
+const tenantBranding = async (tenant) => {
+    const profile = await loadBusinessProfile(pool, null, tenant.id);
+    return {
+        slug: tenant.slug,
+        name: profile.name || tenant.name,
+        logo: profile.logo || null,
+        colors: profile.colors || {}
+    };
+};
+
+// Helper: Tenant as returned by the API (never the key hash)
+const serializeTenant = (row) => {
+    const { api_key_hash, ...rest } = row;
+    return { ...rest, has_api_key: Boolean(api_key_hash) };
+};
+
+// --- API Keys & Rate Limiting ---
+// Machine routes take an x-api-key, which is one of:
+//   - SERVICE_API_KEY: the platform, every scope, tenant from X-Tenant / the host,
+//   - the tenant's own key (tenants.api_key_hash): every scope of that tenant,
+//   - a scoped key from client_smd.api_keys (e.g. n8n with just invoices:create).
+// Keys are stored as SHA-256 hashes only.
+//
+// Requests are counted per key and per client IP in fixed one-minute windows in
+// client_smd.rate_limits, so the limits hold across serverless instances. Invoice links
+// are counted per link instead, and only links that fail count against the IP (see
+// requireInvoiceLink).
+const API_SCOPES = ['invoices:create', 'invoices:read', 'invoices:write', 'webhooks:manage', 'profiles:manage', 'keys:manage'];
+const RATE_LIMIT_KEY_PER_MINUTE = Number(process.env.RATE_LIMIT_KEY_PER_MINUTE) || 120;
+const RATE_LIMIT_IP_PER_MINUTE = Number(process.env.RATE_LIMIT_IP_PER_MINUTE) || 60;
+const RATE_LIMIT_LINK_PER_MINUTE = Number(process.env.RATE_LIMIT_LINK_PER_MINUTE) || 120;
+// Escape hatch while n8n workflows are being given a key; POST /invoices then works without one
+const ALLOW_ANONYMOUS_INGEST = process.env.ALLOW_ANONYMOUS_INGEST === 'true';
+
+if (ALLOW_ANONYMOUS_INGEST) {
+    console.warn("⚠️ ALLOW_ANONYMOUS_INGEST is on, anyone can create invoices without an API key.");
+}
+
+const newApiKey = () => `ik_${crypto.randomBytes(24).toString('base64url')}`;
+
+// Returns { tenant, platform, scopes, keyId } for a valid x-api-key, or null
+const authenticateApiKey = async (req) => {
+    const provided = req.get('x-api-key') || '';
+    if (!provided) return null;
+    if (SERVICE_API_KEY && safeEqual(provided, SERVICE_API_KEY)) {
+        const slug = req.get('x-tenant');
+        const tenant = slug
+            ? (await pool.query('SELECT * FROM client_smd.tenants WHERE slug = $1', [slug])).rows[0]
+            : await tenantForHost(req);
+        return tenant ? { tenant, platform: true, scopes: API_SCOPES, keyId: 'platform' } : null;
+    }
+    const hash = hashApiKey(provided);
+    const owner = await pool.query('SELECT * FROM client_smd.tenants WHERE api_key_hash = $1', [hash]);
+    if (owner.rows[0]) {
+        return { tenant: owner.rows[0], platform: false, scopes: API_SCOPES, keyId: `tenant:${owner.rows[0].id}` };
+    }
+    const result = await pool.query(`
+        SELECT k.id, k.scopes, to_jsonb(t) AS tenant
+        FROM client_smd.api_keys k
+        JOIN client_smd.tenants t ON t.id = k.tenant_id
+        WHERE k.key_hash = $1 AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > now())
+    `, [hash]);
+    const key = result.rows[0];
+    if (!key) return null;
+    // Good enough to see unused keys; at most one write per key per minute
+    pool.query(`
+        UPDATE client_smd.api_keys SET last_used_at = now()
+        WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < now() - interval '1 minute')
+    `, [key.id]).catch((e) => console.error('last_used_at update failed:', e.message));
+    return { tenant: key.tenant, platform: false, scopes: key.scopes, keyId: key.id };
+};
+
+// Counts one request (or `cost` of them) in the bucket's current window; returns null
+// when under the limit, else the seconds until the window resets
+const hitRateLimit = async (bucket, limit, cost = 1) => {
+    try {
+        const result = await pool.query(`
+            INSERT INTO client_smd.rate_limits (bucket, window_start, count)
+            VALUES ($1, date_trunc('minute', now()), $2)
+            ON CONFLICT (bucket, window_start) DO UPDATE SET count = client_smd.rate_limits.count + $2
+            RETURNING count, EXTRACT(EPOCH FROM date_trunc('minute', now()) + interval '1 minute' - now()) AS reset
+        `, [bucket, cost]);
+        const { count, reset } = result.rows[0];
+        return count > limit ? Math.max(1, Math.ceil(Number(reset))) : null;
+    } catch (err) {
+        // Never turn a rate limiter hiccup into an outage
+        console.error('Rate limit check failed:', err.message);
+        return null;
+    }
+};
+
+const sendRateLimited = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: 'Too many requests, please slow down', retry_after: retryAfter });
+};
+
+// Middleware: Per client IP limit (ingestion, files, tenant branding)
+const rateLimitByIp = (name, limit = RATE_LIMIT_IP_PER_MINUTE) => async (req, res, next) => {
+    const retryAfter = await hitRateLimit(`ip:${name}:${req.ip}`, limit);
+    if (retryAfter) return sendRateLimited(res, retryAfter);
+    next();
+};
+
+// Middleware: Machine routes need a key with `scope` (see authenticateApiKey).
+// Sets req.tenant, req.apiKey, and req.platform for SERVICE_API_KEY.
+const requireApiKey = (scope) => async (req, res, next) => {
+    try {
+        const auth = await authenticateApiKey(req);
+        if (!auth) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        if (scope && !auth.scopes.includes(scope)) {
+            return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+        }
+        const retryAfter = await hitRateLimit(`key:${auth.keyId}`, RATE_LIMIT_KEY_PER_MINUTE);
+        if (retryAfter) return sendRateLimited(res, retryAfter);
+        req.tenant = auth.tenant;
+        req.platform = auth.platform;
+        req.apiKey = auth;
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+};
+
+// Middleware: Tenant management is for SERVICE_API_KEY only
+const requirePlatformKey = (req, res, next) => requireApiKey(null)(req, res, () => {
+    if (!req.platform) {
+        return res.status(403).json({ error: 'Platform key required' });
+    }
+    next();
+});
+
+// Middleware: POST /invoices; keyless only with ALLOW_ANONYMOUS_INGEST (tenant from the host)
+const requireIngestKey = async (req, res, next) => {
+    if (!ALLOW_ANONYMOUS_INGEST || req.get('x-api-key')) return requireApiKey('invoices:create')(req, res, next);
+    try {
+        req.tenant = await tenantForHost(req);
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+};
+
+// Old rate limit windows are only kept for an hour
+const pruneRateLimits = () => pool.query(
+    "DELETE FROM client_smd.rate_limits WHERE window_start < now() - interval '1 hour'"
+);
+
+// Initialize Schema
+// We are using the existing table 'client_smd.backend' provided by the user.
+// Only the extra columns/tables this app needs are added here, and every
+// statement is idempotent so it is safe to run on each (cold) start.
+const migrations = [
+    `ALTER TABLE client_smd.backend ADD COLUMN IF NOT EXISTS link_version INTEGER NOT NULL DEFAULT 0`,
+    `ALTER TABLE client_smd.backend ADD COLUMN IF NOT EXISTS lines_migrated BOOLEAN NOT NULL DEFAULT false`,
+    `CREATE TABLE IF NOT EXISTS client_smd.invoice_lines (
+        id BIGSERIAL PRIMARY KEY,
+        invoice_id UUID NOT NULL,
+        position INTEGER NOT NULL,
+        productname TEXT NOT NULL DEFAULT '',
+        description TEXT NOT NULL DEFAULT '',
+        quantity NUMERIC(14, 3),
+        units TEXT NOT NULL DEFAULT '',
+        rate NUMERIC(14, 2),
+        UNIQUE (invoice_id, position)
+    )`,
+    `ALTER TABLE client_smd.invoice_lines
+        ADD COLUMN IF NOT EXISTS gst_rate NUMERIC(5, 2),
+        ADD COLUMN IF NOT EXISTS amount NUMERIC(14, 2),
+        ADD COLUMN IF NOT EXISTS cgst NUMERIC(14, 2),
+        ADD COLUMN IF NOT EXISTS sgst NUMERIC(14, 2),
+        ADD COLUMN IF NOT EXISTS igst NUMERIC(14, 2)`,
+    `ALTER TABLE client_smd.backend
+        ADD COLUMN IF NOT EXISTS subtotal NUMERIC(14, 2),
+        ADD COLUMN IF NOT EXISTS cgst NUMERIC(14, 2),
+        ADD COLUMN IF NOT EXISTS sgst NUMERIC(14, 2),
+        ADD COLUMN IF NOT EXISTS igst NUMERIC(14, 2),
+        ADD COLUMN IF NOT EXISTS tax_total NUMERIC(14, 2),
+        ADD COLUMN IF NOT EXISTS round_off NUMERIC(14, 2),
+        ADD COLUMN IF NOT EXISTS tax_type TEXT,
+        ADD COLUMN IF NOT EXISTS seller_state_code TEXT`,
+    `ALTER TABLE client_smd.backend
+        ADD COLUMN IF NOT EXISTS status_reason TEXT,
+        ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS approved_at TIMESTAMPTZ`,
+    // Legacy rows: 'created' / 'Draft' / NULL -> upper-case lifecycle names
+    `UPDATE client_smd.backend SET status = COALESCE(NULLIF(UPPER(TRIM(status)), ''), 'CREATED')
+        WHERE status IS NULL OR status <> COALESCE(NULLIF(UPPER(TRIM(status)), ''), 'CREATED')`,
+    `DO $$ BEGIN
+        ALTER TABLE client_smd.backend ADD CONSTRAINT backend_status_check
+            CHECK (status IN ('CREATED', 'DRAFT', 'APPROVED', 'SENT', 'PAID', 'REJECTED', 'CANCELLED')) NOT VALID;
+    EXCEPTION WHEN duplicate_object THEN NULL;
+    END $$`,
+    `CREATE TABLE IF NOT EXISTS client_smd.invoice_revisions (
+        id BIGSERIAL PRIMARY KEY,
+        invoice_id UUID NOT NULL,
+        revision INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        actor JSONB NOT NULL,
+        changes JSONB NOT NULL DEFAULT '[]',
+        snapshot JSONB NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        UNIQUE (invoice_id, revision)
+    )`,
+    `CREATE OR REPLACE FUNCTION client_smd.invoice_revisions_append_only() RETURNS trigger AS $$
+    BEGIN
+        RAISE EXCEPTION 'invoice_revisions is append-only';
+    END $$ LANGUAGE plpgsql`,
+    `DO $$ BEGIN
+        CREATE TRIGGER invoice_revisions_append_only
+            BEFORE UPDATE OR DELETE ON client_smd.invoice_revisions
+            FOR EACH ROW EXECUTE FUNCTION client_smd.invoice_revisions_append_only();
+    EXCEPTION WHEN duplicate_object THEN NULL;
+    END $$`,
+    `CREATE TABLE IF NOT EXISTS client_smd.webhook_outbox (
+        id BIGSERIAL PRIMARY KEY,
+        invoice_id UUID,
+        event TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        idempotency_key UUID NOT NULL UNIQUE,
+        status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'DELIVERING', 'SENT', 'DEAD')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        locked_until TIMESTAMPTZ,
+        last_error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        delivered_at TIMESTAMPTZ
+    )`,
+    `CREATE TABLE IF NOT EXISTS client_smd.webhook_subscriptions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT[] NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        description TEXT NOT NULL DEFAULT '',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `ALTER TABLE client_smd.webhook_outbox ADD COLUMN IF NOT EXISTS subscription_id UUID`,
+    `CREATE TABLE IF NOT EXISTS client_smd.invoice_files (
+        key TEXT PRIMARY KEY,
+        content_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        data BYTEA NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE TABLE IF NOT EXISTS client_smd.business_profiles (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name TEXT NOT NULL,
+        letterhead TEXT NOT NULL DEFAULT '',
+        address TEXT NOT NULL DEFAULT '',
+        gstin TEXT NOT NULL DEFAULT '',
+        phone TEXT NOT NULL DEFAULT '',
+        email TEXT NOT NULL DEFAULT '',
+        logo TEXT,
+        colors JSONB NOT NULL DEFAULT '{}',
+        bank_details JSONB NOT NULL DEFAULT '{}',
+        terms TEXT NOT NULL DEFAULT '',
+        footer TEXT NOT NULL DEFAULT '',
+        columns TEXT[] NOT NULL DEFAULT '{}',
+        is_default BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS business_profiles_one_default
+        ON client_smd.business_profiles (is_default) WHERE is_default`,
+    `ALTER TABLE client_smd.backend ADD COLUMN IF NOT EXISTS profile_id UUID`,
+    `CREATE TABLE IF NOT EXISTS client_smd.tenants (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        slug TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        hosts TEXT[] NOT NULL DEFAULT '{}',
+        seller_gstin TEXT NOT NULL DEFAULT '',
+        api_key_hash TEXT UNIQUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `INSERT INTO client_smd.tenants (id, slug, name)
+     VALUES ('${DEFAULT_TENANT_ID}', 'default', 'Default')
+     ON CONFLICT (id) DO NOTHING`,
+    // Existing rows all belong to the default tenant
+    `ALTER TABLE client_smd.backend ADD COLUMN IF NOT EXISTS tenant_id UUID NOT NULL DEFAULT '${DEFAULT_TENANT_ID}'`,
+    `ALTER TABLE client_smd.webhook_subscriptions ADD COLUMN IF NOT EXISTS tenant_id UUID NOT NULL DEFAULT '${DEFAULT_TENANT_ID}'`,
+    `ALTER TABLE client_smd.business_profiles ADD COLUMN IF NOT EXISTS tenant_id UUID NOT NULL DEFAULT '${DEFAULT_TENANT_ID}'`,
+    `CREATE INDEX IF NOT EXISTS backend_tenant_phone_idx ON client_smd.backend (tenant_id, phonenumber)`,
+    // One default profile per tenant instead of per deployment
+    `DROP INDEX IF EXISTS client_smd.business_profiles_one_default`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS business_profiles_one_default_per_tenant
+        ON client_smd.business_profiles (tenant_id) WHERE is_default`,
+    `CREATE TABLE IF NOT EXISTS client_smd.api_keys (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        tenant_id UUID NOT NULL REFERENCES client_smd.tenants(id),
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        scopes TEXT[] NOT NULL,
+        expires_at TIMESTAMPTZ,
+        last_used_at TIMESTAMPTZ,
+        revoked_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE UNLOGGED TABLE IF NOT EXISTS client_smd.rate_limits (
+        bucket TEXT NOT NULL,
+        window_start TIMESTAMPTZ NOT NULL,
+        count INTEGER NOT NULL,
+        PRIMARY KEY (bucket, window_start)
+    )`,
+    // PDFs used to be served from the public /invoices/files mount
+    `UPDATE client_smd.backend SET pdf_url = replace(pdf_url, '/invoices/files/', '/files/')
+     WHERE pdf_url LIKE '%/invoices/files/%'`,
+    // Idempotent creates: Idempotency-Key header + fingerprint of the create payload
+    `ALTER TABLE client_smd.backend ADD COLUMN IF NOT EXISTS idempotency_key TEXT`,
+    `ALTER TABLE client_smd.backend ADD COLUMN IF NOT EXISTS request_fingerprint TEXT`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS backend_tenant_idempotency_key_idx
+        ON client_smd.backend (tenant_id, idempotency_key) WHERE idempotency_key IS NOT NULL`,
+    // Operator dashboard: newest first per tenant, and product name search
+    `CREATE INDEX IF NOT EXISTS backend_tenant_created_idx ON client_smd.backend (tenant_id, created_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS invoice_lines_search_idx ON client_smd.invoice_lines
+        USING GIN (to_tsvector('simple', productname || ' ' || description))`,
+    `CREATE INDEX IF NOT EXISTS webhook_outbox_due_idx
+        ON client_smd.webhook_outbox (next_attempt_at) WHERE status IN ('PENDING', 'DELIVERING')`,
+    // Sequential numbering: invoice_number is allocated on approval, the caller's number
+    // is the reference
+    `ALTER TABLE client_smd.backend
+        ADD COLUMN IF NOT EXISTS reference_number TEXT,
+        ADD COLUMN IF NOT EXISTS invoice_series TEXT,
+        ADD COLUMN IF NOT EXISTS invoice_sequence INTEGER`,
+    `ALTER TABLE client_smd.backend ALTER COLUMN invoice_number DROP NOT NULL`,
+    // Numbers typed before this become references; issued invoices keep theirs
+    `UPDATE client_smd.backend SET
+        reference_number = coalesce(invoice_number, ''),
+        invoice_number = CASE WHEN approved_at IS NOT NULL OR status IN ('APPROVED', 'SENT', 'PAID') THEN invoice_number END
+     WHERE reference_number IS NULL`,
+    `CREATE TABLE IF NOT EXISTS client_smd.invoice_series (
+        tenant_id UUID NOT NULL REFERENCES client_smd.tenants(id),
+        code TEXT NOT NULL,
+        prefix TEXT NOT NULL DEFAULT '',
+        format TEXT NOT NULL,
+        padding INTEGER NOT NULL,
+        reset TEXT NOT NULL CHECK (reset IN ('financial_year', 'never')),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (tenant_id, code)
+    )`,
+    // period = financial year ('2025-26'), or '' for series that never reset
+    `CREATE TABLE IF NOT EXISTS client_smd.invoice_number_counters (
+        tenant_id UUID NOT NULL,
+        series TEXT NOT NULL,
+        period TEXT NOT NULL,
+        last_value INTEGER NOT NULL,
+        PRIMARY KEY (tenant_id, series, period)
+    )`,
+    // Allocated numbers are unique per tenant (older, typed numbers may repeat)
+    `CREATE UNIQUE INDEX IF NOT EXISTS backend_tenant_invoice_number_idx
+        ON client_smd.backend (tenant_id, invoice_number) WHERE invoice_sequence IS NOT NULL`,
+    // Optimistic concurrency (ETag / If-Match)
+    `ALTER TABLE client_smd.backend ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1`,
+    // CHANGES_REQUESTED joins the lifecycle
+    `DO $$ BEGIN
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_constraint
+            WHERE conname = 'backend_status_check' AND pg_get_constraintdef(oid) LIKE '%CHANGES_REQUESTED%'
+        ) THEN
+            ALTER TABLE client_smd.backend DROP CONSTRAINT IF EXISTS backend_status_check;
+            ALTER TABLE client_smd.backend ADD CONSTRAINT backend_status_check
+                CHECK (status IN ('CREATED', 'DRAFT', 'CHANGES_REQUESTED', 'APPROVED', 'SENT', 'PAID', 'REJECTED', 'CANCELLED')) NOT VALID;
+        END IF;
+    END $$`,
+    `CREATE TABLE IF NOT EXISTS client_smd.invoice_comments (
+        id BIGSERIAL PRIMARY KEY,
+        invoice_id UUID NOT NULL,
+        parent_id BIGINT REFERENCES client_smd.invoice_comments (id),
+        line_index INTEGER,
+        line_item JSONB,
+        author JSONB NOT NULL,
+        body TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE INDEX IF NOT EXISTS invoice_comments_invoice_idx ON client_smd.invoice_comments (invoice_id, id)`,
+    // Approval evidence
+    `CREATE TABLE IF NOT EXISTS client_smd.invoice_otps (
+        id BIGSERIAL PRIMARY KEY,
+        invoice_id UUID NOT NULL,
+        phone TEXT NOT NULL,
+        code_hash TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMPTZ NOT NULL,
+        consumed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE INDEX IF NOT EXISTS invoice_otps_invoice_idx ON client_smd.invoice_otps (invoice_id, id)`,
+    `CREATE TABLE IF NOT EXISTS client_smd.invoice_approvals (
+        id BIGSERIAL PRIMARY KEY,
+        invoice_id UUID NOT NULL,
+        tenant_id UUID NOT NULL,
+        invoice_version INTEGER NOT NULL,
+        approved_at TIMESTAMPTZ NOT NULL,
+        actor JSONB NOT NULL,
+        signer_name TEXT,
+        signature_type TEXT CHECK (signature_type IN ('drawn', 'typed')),
+        signature_image TEXT,
+        phone TEXT,
+        otp_verified_at TIMESTAMPTZ,
+        ip TEXT,
+        user_agent TEXT,
+        document TEXT NOT NULL,
+        document_hash TEXT NOT NULL,
+        pdf_sha256 TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `ALTER TABLE client_smd.invoice_approvals ALTER COLUMN pdf_sha256 DROP NOT NULL`,
+    `CREATE INDEX IF NOT EXISTS invoice_approvals_invoice_idx ON client_smd.invoice_approvals (invoice_id, id)`,
+    // The one allowed change: filling in pdf_sha256 once the PDF is stored
+    `CREATE OR REPLACE FUNCTION client_smd.invoice_approvals_append_only() RETURNS trigger AS $$
+    BEGIN
+        IF TG_OP = 'UPDATE' AND OLD.pdf_sha256 IS NULL AND NEW.pdf_sha256 IS NOT NULL
+            AND to_jsonb(NEW) - 'pdf_sha256' = to_jsonb(OLD) - 'pdf_sha256' THEN
+            RETURN NEW;
+        END IF;
+        RAISE EXCEPTION 'invoice_approvals is append-only';
+    END $$ LANGUAGE plpgsql`,
+    `DO $$ BEGIN
+        CREATE TRIGGER invoice_approvals_append_only
+            BEFORE UPDATE OR DELETE ON client_smd.invoice_approvals
+            FOR EACH ROW EXECUTE FUNCTION client_smd.invoice_approvals_append_only();
+    EXCEPTION WHEN duplicate_object THEN NULL;
+    END $$`,
+    // Approved invoices still waiting for their PDF; the drain issues them (see retryApprovedPdfs)
+    `ALTER TABLE client_smd.backend
+        ADD COLUMN IF NOT EXISTS pdf_retry_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS pdf_attempts INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS pdf_base_url TEXT`,
+    `CREATE INDEX IF NOT EXISTS backend_pdf_retry_idx ON client_smd.backend (pdf_retry_at) WHERE pdf_retry_at IS NOT NULL`
+];
+
+const schemaReady = (async () => {
+    const client = await pool.connect();
+    console.log('Connected to Postgres');
+    try {
+        for (const sql of migrations) {
+            await client.query(sql);
+        }
+        console.log("Verified schema on DB.");
+    } finally {
+        client.release();
+    }
+    await migrateCsvLineItems();
+    await enqueueLegacyWebhooks();
+})();
+// A failed migration leaves the schema half done; nothing is served on top of it
+// (see below) until the database is fixed and the server restarted
+schemaReady.catch((err) => console.error('❌ Error preparing schema, every request gets 503 until a restart:', err.stack));
+
+// Hold requests until the schema is in place (matters on Vercel cold starts)
+app.use(async (req, res, next) => {
+    try {
+        await schemaReady;
+    } catch (err) {
+        return res.status(503).json({ error: 'Database schema is not ready' });
+    }
+    next();
+});
+
+// :id is always a UUID (:outboxId a BIGSERIAL); anything else can't exist, and would only
+// make Postgres fail the query with a 500
+const isUuid = (value) => z.uuid().safeParse(value).success;
+app.param('id', (req, res, next, id) => (isUuid(id) ? next() : res.status(404).json({ error: 'Not found' })));
+app.param('outboxId', (req, res, next, id) => (/^\d{1,18}$/.test(id) ? next() : res.status(404).json({ error: 'Not found' })));
+
+// --- Invoice Access Links ---
+// Customers get a signed, expiring token instead of /:uuid/:phone.
+// Token = base64url(JSON claims) + "." + base64url(HMAC-SHA256(claims))
+// Claims: i = invoice id, t = tenant id, s = scope ('view' | 'edit'), v = link_version,
+// e = expiry (unix seconds)
+// Bumping backend.link_version revokes every token issued for that invoice.
+const LINK_SECRET = process.env.LINK_SECRET;
+const LINK_TTL_HOURS = Number(process.env.LINK_TTL_HOURS) || 24 * 7;
+// Longest lifetime POST /invoices/:id/links hands out (90 days)
+const LINK_TTL_MAX_HOURS = 24 * 90;
+const LINK_SCOPES = ['view', 'edit'];
+const SERVICE_API_KEY = process.env.SERVICE_API_KEY;
+
+if (!LINK_SECRET) {
+    console.warn("⚠️ LINK_SECRET is not set, invoice links can't be issued or verified.");
+}
+
+// Helper: Constant-time string comparison
+const safeEqual = (a, b) => {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const signLinkPayload = (encoded) =>
+    crypto.createHmac('sha256', LINK_SECRET).update(encoded).digest('base64url');
+
+// `parent`: claims of the link this one is handed out under (the pending list). Such a
+// link expires with its parent and stops working when the parent is revoked.
+const signInvoiceToken = (invoice, scope, ttlHours = LINK_TTL_HOURS, parent = null) => {
+    if (!LINK_SECRET) throw new Error('LINK_SECRET is not configured');
+    if (!LINK_SCOPES.includes(scope)) throw new Error(`Unknown link scope: ${scope}`);
+    const expires = Math.floor(Date.now() / 1000) + Math.round(ttlHours * 3600);
+    const claims = {
+        i: invoice.id,
+        t: invoice.tenant_id,
+        s: scope,
+        v: invoice.link_version || 0,
+        e: parent ? Math.min(expires, parent.e) : expires,
+        // A link handed out under a handed-out link stays bound to the original one
+        ...(parent ? { p: parent.p || parent.i, pv: parent.p ? parent.pv : parent.v } : {})
+    };
+    const encoded = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${encoded}.${signLinkPayload(encoded)}`;
+};
+
+// Returns the claims of a valid, unexpired token, or null
+const verifyInvoiceToken = (token) => {
+    if (!LINK_SECRET || typeof token !== 'string') return null;
+    const [encoded, signature, extra] = token.split('.');
+    if (!encoded || !signature || extra !== undefined) return null;
+    if (!safeEqual(signature, signLinkPayload(encoded))) return null;
+    try {
+        const claims = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+        if (!claims.i || !LINK_SCOPES.includes(claims.s)) return null;
+        if (!claims.e || claims.e * 1000 < Date.now()) return null;
+        return claims;
+    } catch (e) {
+        return null;
+    }
+};
+
+// Helper: What the current link allows on this invoice (sent to the frontend)
+const describeLinkAccess = (claims, invoice) => ({
+    scope: claims.s,
+    expires_at: new Date(claims.e * 1000).toISOString(),
+    actions: allowedActions(invoice.status, claims.s),
+    // Approving needs the code sent by POST /invoices/:token/approval-otp
+    otp_required: APPROVAL_OTP_REQUIRED
+});
+
+// Helper: Frontend origin used when building customer links
+// Frontend might be on a different host than the backend (port 3000 locally).
+const frontendBaseUrl = (req) => {
+    if (process.env.FRONTEND_URL) return process.env.FRONTEND_URL.replace(/\/+$/, '');
+    const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+    const host = req.headers['x-forwarded-host'] || req.get('host');
+    return `${protocol}://${host.replace('5000', '3000')}`;
+};
+
+const buildInvoiceLinks = (req, invoice, ttlHours = LINK_TTL_HOURS) => {
+    const base = frontendBaseUrl(req);
+    const token = signInvoiceToken(invoice, 'edit', ttlHours);
+    const viewToken = signInvoiceToken(invoice, 'view', ttlHours);
+    return {
+        token,
+        link: `${base}/i/${token}`,
+        view_token: viewToken,
+        view_link: `${base}/i/${viewToken}`,
+        link_expires_at: new Date(Date.now() + ttlHours * 3600 * 1000).toISOString()
+    };
+};
+
+// Helper: The invoice a verified token opens, or { status, error } if the link has been
+// revoked since (its own link_version, or its parent's, see signInvoiceToken)
+const resolveInvoiceLink = async (claims) => {
+    const result = await pool.query('SELECT * FROM client_smd.backend WHERE id = $1', [claims.i]);
+    if (result.rows.length === 0) {
+        return { status: 404, error: 'Invoice not found' };
+    }
+    const row = result.rows[0];
+    if ((row.link_version || 0) !== claims.v) {
+        return { status: 401, error: 'This link has been revoked' };
+    }
+    // Tokens minted before tenants existed carry no t
+    if (claims.t && claims.t !== row.tenant_id) {
+        return { status: 401, error: 'Invalid or expired link' };
+    }
+    if (claims.p) {
+        const parent = await pool.query('SELECT link_version FROM client_smd.backend WHERE id = $1', [claims.p]);
+        if (!parent.rows[0] || (parent.rows[0].link_version || 0) !== claims.pv) {
+            return { status: 401, error: 'This link has been revoked' };
+        }
+    }
+    return { row };
+};
+
+// A link that doesn't work counts against the client IP, so nobody can hammer the public
+// routes guessing tokens or replaying revoked ones; customers sharing a carrier's IP
+// aren't slowed down by each other's (working) links
+const rejectInvoiceLink = async (req, res, status, error) => {
+    const retryAfter = await hitRateLimit(`ip:link:${req.ip}`, RATE_LIMIT_IP_PER_MINUTE);
+    if (retryAfter) return sendRateLimited(res, retryAfter);
+    res.status(status).json({ error });
+};
+
+// Middleware: Resolve :token to an invoice, enforcing scope and revocation
+// Sets req.invoice (DB row), req.link (token claims) and req.tenant
+const requireInvoiceLink = (scope) => async (req, res, next) => {
+    const claims = verifyInvoiceToken(req.params.token);
+    if (!claims) {
+        return rejectInvoiceLink(req, res, 401, 'Invalid or expired link');
+    }
+    // A working link has a budget of its own (the signature tells tokens apart)
+    const retryAfter = await hitRateLimit(`link:${req.params.token.split('.')[1]}`, RATE_LIMIT_LINK_PER_MINUTE);
+    if (retryAfter) return sendRateLimited(res, retryAfter);
+    if (scope === 'edit' && claims.s !== 'edit') {
+        return res.status(403).json({ error: 'This link is view-only' });
+    }
+    try {
+        const { row, status, error } = await resolveInvoiceLink(claims);
+        if (!row) {
+            return rejectInvoiceLink(req, res, status, error);
+        }
+        req.invoice = row;
+        req.link = claims;
+        req.tenant = await loadTenant(row.tenant_id);
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+};
+
+// --- PDF Storage ---
+// PDFs are stored under a content-hash key (<sha256>.pdf) by the driver picked with
+// PDF_STORAGE: 'local' (disk, default), 's3' (any S3-compatible store, e.g. MinIO)
+// or 'db' (bytea in client_smd.invoice_files, survives Vercel's throwaway /tmp).
+// Files are only reachable through GET /files/:key with a short-lived signature;
+// pdf_url stores the unsigned URL and is signed again whenever it is handed out.
+const PDF_STORAGE = (process.env.PDF_STORAGE || 'local').toLowerCase();
+const PDF_STORAGE_DIR = process.env.PDF_STORAGE_DIR
+    || path.join(process.env.VERCEL ? '/tmp' : __dirname, 'public/invoices');
+const FILE_URL_TTL_SECONDS = Number(process.env.FILE_URL_TTL_SECONDS) || 15 * 60;
+// Content-hash keys, plus file names of PDFs written before keys existed
+const FILE_KEY_PATTERN = /^[\w.-]+\.pdf$/;
+
+const localStorageDriver = {
+    async put(key, data) {
+        await fs.promises.mkdir(PDF_STORAGE_DIR, { recursive: true });
+        await fs.promises.writeFile(path.join(PDF_STORAGE_DIR, key), data);
+    },
+    async get(key) {
+        try {
+            return await fs.promises.readFile(path.join(PDF_STORAGE_DIR, key));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+};
+
+const dbStorageDriver = {
+    async put(key, data, contentType) {
+        await pool.query(`
+            INSERT INTO client_smd.invoice_files (key, content_type, size, data)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (key) DO NOTHING
+        `, [key, contentType, data.length, data]);
+    },
+    async get(key) {
+        const result = await pool.query('SELECT data FROM client_smd.invoice_files WHERE key = $1', [key]);
+        return result.rows[0]?.data || null;
+    }
+};
+
+// S3_ENDPOINT points at MinIO / R2 etc.; credentials fall back to the AWS default chain
+const createS3StorageDriver = () => {
+    // Only loaded when selected, it is a large package
+    const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) throw new Error('S3_BUCKET is required for PDF_STORAGE=s3');
+    const prefix = process.env.S3_PREFIX || 'invoices/';
+    const client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+    return {
+        async put(key, data, contentType) {
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: prefix + key, Body: data, ContentType: contentType }));
+        },
+        async get(key) {
+            try {
+                const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: prefix + key }));
+                return Buffer.from(await result.Body.transformToByteArray());
+            } catch (err) {
+                if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+                throw err;
+            }
+        }
+    };
+};
+
+const createStorage = () => {
+    if (PDF_STORAGE === 'local') {
+        if (process.env.VERCEL) console.warn("⚠️ PDF_STORAGE=local on Vercel: PDFs are lost between invocations, use 's3' or 'db'.");
+        return localStorageDriver;
+    }
+    if (PDF_STORAGE === 'db') return dbStorageDriver;
+    if (PDF_STORAGE === 's3') return createS3StorageDriver();
+    throw new Error(`Unknown PDF_STORAGE driver: ${PDF_STORAGE}`);
+};
+const storage = createStorage();
+
+// Stores the PDF and returns its key; the same bytes always get the same key
+const storePdf = async (data) => {
+    const key = `${crypto.createHash('sha256').update(data).digest('hex')}.pdf`;
+    await storage.put(key, data, 'application/pdf');
+    return key;
+};
+
+// Helper: Public base URL of this API (for links handed to n8n / browsers)
+const apiBaseUrl = (req) => {
+    if (process.env.API_PUBLIC_URL) return process.env.API_PUBLIC_URL.replace(/\/+$/, '');
+    const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+    const host = req.headers['x-forwarded-host'] || req.get('host');
+    return `${protocol}://${host}`;
+};
+
+const signFileKey = (key, expires) => signLinkPayload(`file.${key}.${expires}`);
+
+// Adds a fresh expiry + signature to a stored /files/<key> URL; other URLs pass through
+const signedFileUrl = (fileUrl, ttlSeconds = FILE_URL_TTL_SECONDS) => {
+    if (!fileUrl || !LINK_SECRET) return fileUrl || null;
+    try {
+        const url = new URL(fileUrl);
+        const key = url.pathname.split('/files/')[1];
+        if (!key || !FILE_KEY_PATTERN.test(key)) return fileUrl;
+        const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+        url.search = `e=${expires}&s=${signFileKey(key, expires)}`;
+        return url.toString();
+    } catch (e) {
+        return fileUrl;
+    }
+};
+
+// Helper: Storage key of a stored pdf_url
+const fileKeyFromUrl = (fileUrl) => {
+    const key = String(fileUrl || '').split('?')[0].split('/').pop();
+    return FILE_KEY_PATTERN.test(key) ? key : null;
+};
+
+// --- Webhook Outbox ---
+// publishEvent() writes one client_smd.webhook_outbox row per subscriber, in the
+// same transaction as the change that caused the event; drainOutbox() delivers them:
+// - rows are claimed with FOR UPDATE SKIP LOCKED, so several instances never send the same row
+// - failures back off exponentially (with jitter) until WEBHOOK_MAX_ATTEMPTS, then go DEAD
+// - every POST carries an Idempotency-Key and an HMAC signature n8n can verify:
+//   X-Webhook-Signature: sha256=hex(HMAC_SHA256(secret, `${X-Webhook-Timestamp}.${body}`))
+// drainOutbox runs on a timer for long-lived servers and via /webhooks/drain (cron) on Vercel.
+//
+// Subscribers live in client_smd.webhook_subscriptions (managed via /webhooks/subscriptions).
+// The WEBHOOK_URL env var still works as an implicit subscriber (subscription_id NULL)
+// for the events in WEBHOOK_URL_EVENTS, signed with WEBHOOK_SECRET.
+const WEBHOOK_EVENTS = [
+    'invoice_created',
+    'invoice_updated',
+    'invoice_approved',
+    'invoice_rejected',
+    'invoice_cancelled',
+    'invoice_changes_requested',
+    'invoice_comment_added',
+    'approval_otp_requested',
+    'invoice_sent',
+    'invoice_paid',
+    'webhook_failed'
+];
+// Which event a lifecycle transition publishes
+const STATUS_EVENTS = {
+    DRAFT: 'invoice_updated',
+    CHANGES_REQUESTED: 'invoice_changes_requested',
+    APPROVED: 'invoice_approved',
+    REJECTED: 'invoice_rejected',
+    CANCELLED: 'invoice_cancelled',
+    SENT: 'invoice_sent',
+    PAID: 'invoice_paid'
+};
+const WEBHOOK_URL = process.env.WEBHOOK_URL;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const WEBHOOK_URL_EVENTS = (process.env.WEBHOOK_URL_EVENTS || 'invoice_approved').split(',').map((e) => e.trim()).filter(Boolean);
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 10;
+const WEBHOOK_BACKOFF_BASE_SECONDS = Number(process.env.WEBHOOK_BACKOFF_BASE_SECONDS) || 30;
+const WEBHOOK_BACKOFF_MAX_SECONDS = Number(process.env.WEBHOOK_BACKOFF_MAX_SECONDS) || 6 * 3600;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 15000;
+// A claimed row whose worker died is retried once this lease runs out
+const WEBHOOK_LEASE_SECONDS = 120;
+// Payload fields that stay in the outbox only until the row is SENT or DEAD (the approval code)
+const WEBHOOK_SECRET_FIELDS = ['otp'];
+const CRON_SECRET = process.env.CRON_SECRET;
+
+if (WEBHOOK_URL && !WEBHOOK_SECRET) {
+    console.warn("⚠️ WEBHOOK_SECRET is not set, webhooks will be sent unsigned.");
+}
+
+// Helper: Delay before the next attempt, "equal jitter": half fixed, half random
+const backoffSeconds = (attempts) => {
+    const ceiling = Math.min(WEBHOOK_BACKOFF_MAX_SECONDS, WEBHOOK_BACKOFF_BASE_SECONDS * 2 ** (attempts - 1));
+    return ceiling / 2 + Math.random() * (ceiling / 2);
+};
+
+const signWebhookBody = (secret, timestamp, body) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Queue an event for every enabled subscriber of the invoice's tenant; call inside the
+// transaction that made the change. Each subscriber gets its own row (own retries, own
+// idempotency key). The WEBHOOK_URL fallback only serves the default tenant.
+// Returns the number of rows queued.
+const publishEvent = async (db, event, invoiceId, payload) => {
+    const subscribers = await db.query(`
+        SELECT s.id, b.tenant_id
+        FROM client_smd.backend b
+        LEFT JOIN client_smd.webhook_subscriptions s
+            ON s.tenant_id = b.tenant_id AND s.enabled AND $1 = ANY(s.events)
+        WHERE b.id = $2
+    `, [event, invoiceId]);
+    await notifyInvoiceChange(db, event, invoiceId);
+    const targets = subscribers.rows.filter((row) => row.id).map((row) => row.id);
+    const tenantId = subscribers.rows[0]?.tenant_id;
+    if (WEBHOOK_URL && WEBHOOK_URL_EVENTS.includes(event) && tenantId === DEFAULT_TENANT_ID) targets.push(null);
+    if (targets.length === 0) return 0;
+
+    const body = { event, invoice_id: invoiceId, ...payload, timestamp: new Date().toISOString() };
+    await db.query(`
+        INSERT INTO client_smd.webhook_outbox (invoice_id, event, payload, idempotency_key, subscription_id)
+        SELECT $1, $2, $3, gen_random_uuid(), t.subscription_id
+        FROM unnest($4::uuid[]) AS t(subscription_id)
+    `, [invoiceId, event, body, targets]);
+    return targets.length;
+};
+
+// Helper: Common body of invoice_* events
+const invoiceEventPayload = (invoice, extra = {}) => ({
+    invoice_id: invoice.id,
+    phone: invoice.phonenumber,
+    dealer: invoice.dealer,
+    invoice_number: invoice.invoice_number,
+    reference_number: invoice.reference_number,
+    status: invoice.status,
+    total: toNumber(invoice.total),
+    pdf_url: invoice.pdf_url,
+    ...extra
+});
+
+// Deliver right away (async, don't block the response)
+// If it fails, the drain job / cron will retry it
+const kickOutbox = () => {
+    drainOutbox().catch(e => console.error("Immediate webhook drain error:", e));
+};
+
+// Helper: Where a row goes: its subscription, or the WEBHOOK_URL env fallback
+const resolveWebhookTarget = async (row) => {
+    if (!row.subscription_id) {
+        return WEBHOOK_URL ? { url: WEBHOOK_URL, secret: WEBHOOK_SECRET } : null;
+    }
+    const result = await pool.query(
+        'SELECT url, secret FROM client_smd.webhook_subscriptions WHERE id = $1 AND enabled',
+        [row.subscription_id]
+    );
+    return result.rows[0] || null;
+};
+
+// Helper: Read the invoice PDF as Base64 (Robustness for Localhost -> Cloud)
+const readPdfBase64 = async (invoiceId, pdfUrl) => {
+    const key = fileKeyFromUrl(pdfUrl);
+    if (!key) return null;
+    try {
+        const data = await storage.get(key);
+        if (data) return data.toString('base64');
+    } catch (fileErr) {
+        console.warn(`⚠️ Could not read PDF file for invoice ${invoiceId}:`, fileErr.message);
+    }
+    return null;
+};
+
+const claimOutboxRows = async (limit) => {
+    const result = await pool.query(`
+        UPDATE client_smd.webhook_outbox o SET
+            status = 'DELIVERING',
+            locked_until = now() + make_interval(secs => $2)
+        FROM (
+            SELECT id FROM client_smd.webhook_outbox
+            WHERE (status = 'PENDING' AND next_attempt_at <= now())
+               OR (status = 'DELIVERING' AND locked_until < now())
+            ORDER BY next_attempt_at
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        ) due
+        WHERE o.id = due.id
+        RETURNING o.*
+    `, [limit, WEBHOOK_LEASE_SECONDS]);
+    return result.rows;
+};
+
+// Mirror the outcome onto the invoice row (webhook_status / webhook_attempts)
+const updateInvoiceWebhookStatus = async (row, status, attempts) => {
+    if (row.event !== 'invoice_approved' || !row.invoice_id) return;
+    await pool.query(
+        `UPDATE client_smd.backend SET webhook_status = $2, webhook_attempts = $3 WHERE id = $1`,
+        [row.invoice_id, status, attempts]
+    );
+    await notifyInvoiceChange(pool, 'webhook_status', row.invoice_id);
+};
+
+const deliverOutboxRow = async (row) => {
+    const attempts = row.attempts + 1;
+    const target = await resolveWebhookTarget(row);
+    if (!target) {
+        // Subscription deleted or disabled since the event was queued
+        await pool.query(`
+            UPDATE client_smd.webhook_outbox SET
+                status = 'DEAD', attempts = $2, locked_until = NULL, last_error = $3, payload = payload - $4::text[]
+            WHERE id = $1
+        `, [row.id, attempts, 'Subscription disabled or removed', WEBHOOK_SECRET_FIELDS]);
+        return 'DEAD';
+    }
+    try {
+        const body = { ...row.payload, idempotency_key: row.idempotency_key };
+        if (body.pdf_url) body.pdf_url = signedFileUrl(body.pdf_url); // Fresh signature on every attempt
+        if (row.event === 'invoice_approved') {
+            body.pdf_base64 = await readPdfBase64(row.invoice_id, row.payload.pdf_url); // Allows n8n to use file content directly
+        }
+        const raw = JSON.stringify(body);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const headers = {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': row.idempotency_key,
+            'X-Webhook-Event': row.event,
+            'X-Webhook-Timestamp': String(timestamp)
+        };
+        if (target.secret) {
+            headers['X-Webhook-Signature'] = `sha256=${signWebhookBody(target.secret, timestamp, raw)}`;
+        }
+
+        console.log(`🚀 Sending ${row.event} webhook #${row.id} (attempt ${attempts})...`);
+        await axios.post(target.url, raw, { headers, timeout: WEBHOOK_TIMEOUT_MS });
+
+        await pool.query(`
+            UPDATE client_smd.webhook_outbox SET
+                status = 'SENT', attempts = $2, delivered_at = now(), locked_until = NULL, last_error = NULL,
+                payload = payload - $3::text[]
+            WHERE id = $1
+        `, [row.id, attempts, WEBHOOK_SECRET_FIELDS]);
+        await updateInvoiceWebhookStatus(row, 'SENT', attempts);
+        console.log(`✅ Webhook #${row.id} sent`);
+        return 'SENT';
+    } catch (err) {
+        const dead = attempts >= WEBHOOK_MAX_ATTEMPTS;
+        const delay = backoffSeconds(attempts);
+        console.error(`❌ Webhook #${row.id} failed (attempt ${attempts}${dead ? ', giving up' : `, retry in ${Math.round(delay)}s`}):`, err.message);
+        await pool.query(`
+            UPDATE client_smd.webhook_outbox SET
+                status = $2, attempts = $3, last_error = $4, locked_until = NULL,
+                next_attempt_at = now() + make_interval(secs => $5),
+                payload = CASE WHEN $2 = 'DEAD' THEN payload - $6::text[] ELSE payload END
+            WHERE id = $1
+        `, [row.id, dead ? 'DEAD' : 'PENDING', attempts, String(err.message).slice(0, 1000), delay, WEBHOOK_SECRET_FIELDS]);
+        await updateInvoiceWebhookStatus(row, dead ? 'DEAD' : 'FAILED', attempts);
+        // Let someone know a delivery was given up on (but never about webhook_failed itself).
+        // The row is already DEAD either way; failing to say so must not stop the batch.
+        if (dead && row.event !== 'webhook_failed') {
+            try {
+                await publishEvent(pool, 'webhook_failed', row.invoice_id, {
+                    failed_event: row.event,
+                    outbox_id: row.id,
+                    subscription_id: row.subscription_id,
+                    attempts,
+                    last_error: String(err.message).slice(0, 1000)
+                });
+            } catch (publishErr) {
+                console.error(`❌ Could not queue webhook_failed for webhook #${row.id}:`, publishErr.message);
+            }
+        }
+        return dead ? 'DEAD' : 'FAILED';
+    }
+};
+
+// Approval codes past their expires_at are useless to the customer: rows still waiting
+// are given up on, and the code goes from every row (including ones from before the
+// outbox dropped codes on delivery)
+const expireOutboxSecrets = async () => {
+    const result = await pool.query(`
+        UPDATE client_smd.webhook_outbox SET
+            payload = payload - $1::text[],
+            status = CASE WHEN status = 'SENT' THEN status ELSE 'DEAD' END,
+            last_error = CASE WHEN status = 'SENT' THEN last_error ELSE 'Expired before it was delivered' END,
+            locked_until = NULL
+        WHERE event = 'approval_otp_requested' AND payload ?| $1::text[]
+          AND (payload->>'expires_at')::timestamptz <= now()
+          AND (status <> 'DELIVERING' OR locked_until < now())
+    `, [WEBHOOK_SECRET_FIELDS]);
+    if (result.rowCount > 0) console.log(`🧹 Removed ${result.rowCount} expired approval codes from the outbox`);
+};
+
+// Approved invoices whose PDF is due (see approveInvoice) get another try, with the
+// webhook backoff between failures. Claiming pushes pdf_retry_at out by a lease, so
+// two instances never render the same PDF.
+const retryApprovedPdfs = async (limit = 10) => {
+    const due = await pool.query(`
+        UPDATE client_smd.backend SET
+            pdf_attempts = pdf_attempts + 1,
+            pdf_retry_at = now() + make_interval(secs => $2)
+        WHERE id IN (
+            SELECT id FROM client_smd.backend
+            WHERE pdf_retry_at <= now() AND pdf_url IS NULL
+            ORDER BY pdf_retry_at
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id, pdf_attempts, pdf_base_url
+    `, [limit, WEBHOOK_LEASE_SECONDS]);
+    for (const row of due.rows) {
+        try {
+            await issueApprovedPdf(row.pdf_base_url || process.env.API_PUBLIC_URL || '', row.id);
+            console.log(`📄 Issued the PDF of invoice ${row.id} (attempt ${row.pdf_attempts})`);
+        } catch (err) {
+            const delay = backoffSeconds(row.pdf_attempts);
+            console.error(`⚠️ PDF of invoice ${row.id} failed again (attempt ${row.pdf_attempts}), next try in ${Math.round(delay)}s:`, err.message);
+            await pool.query(
+                'UPDATE client_smd.backend SET pdf_retry_at = now() + make_interval(secs => $2) WHERE id = $1 AND pdf_url IS NULL',
+                [row.id, delay]
+            );
+        }
+    }
+};
+
+// Deliver everything that is due, one batch at a time
+const drainOutbox = async ({ batchSize = 10, maxBatches = 10 } = {}) => {
+    const summary = { SENT: 0, FAILED: 0, DEAD: 0 };
+    await expireOutboxSecrets();
+    // First, so the invoice_approved events of PDFs issued now go out in this drain
+    await retryApprovedPdfs();
+    for (let batch = 0; batch < maxBatches; batch++) {
+        const rows = await claimOutboxRows(batchSize);
+        if (rows.length === 0) break;
+        for (const row of rows) {
+            summary[await deliverOutboxRow(row)] += 1;
+        }
+    }
+    return summary;
+};
+
+// Migration: approved invoices whose webhook never went out under the old retry
+// loop (no outbox row yet) are queued once so they are not lost.
+const enqueueLegacyWebhooks = async () => {
+    if (!WEBHOOK_URL || !WEBHOOK_URL_EVENTS.includes('invoice_approved')) return;
+    const result = await pool.query(`
+        INSERT INTO client_smd.webhook_outbox (invoice_id, event, payload, idempotency_key)
+        SELECT b.id, 'invoice_approved',
+            jsonb_build_object(
+                'event', 'invoice_approved', 'invoice_id', b.id, 'phone', b.phonenumber,
+                'pdf_url', b.pdf_url, 'total', b.total, 'dealer', b.dealer, 'timestamp', now()
+            ),
+            gen_random_uuid()
+        FROM client_smd.backend b
+        WHERE b.status = 'APPROVED'
+          AND b.tenant_id = $1
+          AND b.webhook_status IN ('FAILED', 'PENDING')
+          AND NOT EXISTS (SELECT 1 FROM client_smd.webhook_outbox o WHERE o.invoice_id = b.id)
+    `, [DEFAULT_TENANT_ID]);
+    if (result.rowCount > 0) console.log(`📨 Queued ${result.rowCount} legacy webhooks`);
+};
+
+// Middleware: Drain endpoint accepts the service key or Vercel Cron's bearer secret
+const requireCronOrServiceKey = (req, res, next) => {
+    const bearer = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    if (CRON_SECRET && bearer && safeEqual(bearer, CRON_SECRET)) return next();
+    requireApiKey('webhooks:manage')(req, res, next);
+};
+
+// Drain Job: long-lived servers poll every 30 seconds
+// (Vercel has no long-lived process; point a cron at /webhooks/drain instead)
+if (!process.env.VERCEL) {
+    setInterval(async () => {
+        try {
+            await schemaReady;
+            const summary = await drainOutbox();
+            if (summary.SENT + summary.FAILED + summary.DEAD > 0) {
+                console.log('🔄 Webhook drain:', summary);
+            }
+            await pruneRateLimits();
+        } catch (e) {
+            console.error('Webhook drain job error:', e);
+        }
+    }, 30 * 1000);
+}
+
+// --- Live Updates ---
+// Open invoice pages follow changes over Server-Sent Events (GET /invoices/:token/events).
+// Changes are announced with NOTIFY on LIVE_CHANNEL inside the transaction that made
+// them, so they only go out on commit and reach every instance; each instance holds
+// one LISTEN connection and fans out to its own subscribers:
+// - event "invoice": the subscriber's own invoice changed
+// - event "pending": another invoice of the same phone was created or changed (edit
+//   links only; a view link forwarded to someone else learns nothing about the rest)
+// - event "resync":  the listener reconnected and may have missed something
+// Events only carry ids and statuses, the page refetches what it shows.
+// A stream outlives the check made when it opened, so the link is checked again
+// before every event (expiry) and with every heartbeat (revocation); the stream is
+// closed once it fails, and EventSource's reconnect then gets the 401.
+// Off on Vercel (no long-lived connections there): the route answers 204, which tells
+// EventSource to stop trying.
+const LIVE_UPDATES = process.env.LIVE_UPDATES ? process.env.LIVE_UPDATES === 'true' : !process.env.VERCEL;
+const LIVE_CHANNEL = 'invoice_events';
+const LIVE_HEARTBEAT_MS = 25 * 1000; // Keeps proxies from closing idle streams
+const LIVE_RETRY_MS = 5000;
+const liveSubscribers = new Set();
+let liveListener = null;
+
+// Call in the same transaction as the change (NOTIFY payloads are capped at 8000 bytes,
+// hence ids and statuses only)
+const notifyInvoiceChange = async (db, event, invoiceId) => {
+    await db.query(`
+        SELECT pg_notify($1, json_build_object(
+            'event', $2::text, 'invoice_id', id, 'tenant_id', tenant_id, 'phone', phonenumber,
+            'status', status, 'version', version, 'webhook_status', webhook_status
+        )::text)
+        FROM client_smd.backend WHERE id = $3
+    `, [LIVE_CHANNEL, event, invoiceId]);
+};
+
+const writeLiveEvent = (res, name, data) => {
+    res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const closeLiveSubscriber = (subscriber) => {
+    clearInterval(subscriber.heartbeat);
+    liveSubscribers.delete(subscriber);
+    subscriber.res.end();
+};
+
+const liveLinkExpired = (subscriber) => subscriber.link.e * 1000 < Date.now();
+
+// Heartbeat: keeps the stream open while the link still works (see resolveInvoiceLink)
+const checkLiveSubscriber = async (subscriber) => {
+    try {
+        const { row } = liveLinkExpired(subscriber) ? {} : await resolveInvoiceLink(subscriber.link);
+        if (!liveSubscribers.has(subscriber)) return;
+        if (!row) return closeLiveSubscriber(subscriber);
+        subscriber.res.write(': ping\n\n');
+    } catch (err) {
+        // Database hiccup: keep the stream, the next heartbeat checks again
+        console.error('❌ Live updates link check failed:', err.message);
+    }
+};
+
+const dispatchLiveEvent = (raw) => {
+    let change;
+    try {
+        change = JSON.parse(raw);
+    } catch (err) {
+        return console.error('❌ Bad live update payload:', raw);
+    }
+    const data = {
+        event: change.event,
+        invoice_id: change.invoice_id,
+        status: normalizeStatus(change.status),
+        version: change.version,
+        webhook_status: change.webhook_status
+    };
+    for (const subscriber of liveSubscribers) {
+        if (subscriber.tenantId !== change.tenant_id) continue;
+        const own = subscriber.invoiceId === change.invoice_id;
+        const sibling = subscriber.link.s === 'edit' && subscriber.phone && subscriber.phone === change.phone;
+        if (!own && !sibling) continue;
+        if (liveLinkExpired(subscriber)) {
+            closeLiveSubscriber(subscriber);
+            continue;
+        }
+        if (own) subscriber.phone = change.phone; // Follows a phone change
+        writeLiveEvent(subscriber.res, own ? 'invoice' : 'pending', data);
+    }
+};
+
+// One LISTEN connection per instance, opened by the first subscriber. When it drops,
+// it reconnects while anyone is still subscribed and tells them to refetch.
+const connectLiveListener = async () => {
+    const client = await pool.connect();
+    client.on('notification', (msg) => dispatchLiveEvent(msg.payload));
+    client.on('error', (err) => {
+        console.error('❌ Live updates listener lost:', err.message);
+        client.release(err);
+        liveListener = null;
+        setTimeout(reconnectLiveListener, LIVE_RETRY_MS);
+    });
+    try {
+        await client.query(`LISTEN ${LIVE_CHANNEL}`);
+    } catch (err) {
+        client.release(err);
+        throw err;
+    }
+    console.log('📡 Listening for live invoice updates');
+    return client;
+};
+
+const ensureLiveListener = () => {
+    if (!liveListener) {
+        liveListener = connectLiveListener().catch((err) => {
+            liveListener = null;
+            throw err;
+        });
+    }
+    return liveListener;
+};
+
+const reconnectLiveListener = async () => {
+    if (liveSubscribers.size === 0) return;
+    try {
+        await ensureLiveListener();
+        for (const subscriber of liveSubscribers) writeLiveEvent(subscriber.res, 'resync', {});
+    } catch (err) {
+        console.error('❌ Live updates reconnect failed:', err.message);
+        setTimeout(reconnectLiveListener, LIVE_RETRY_MS);
+    }
+};
+
+// --- Idempotent Creation ---
+// n8n retries a failed execution with the same payload. A create is matched to an
+// earlier one by, in order: the Idempotency-Key header, an explicit id/uuid, or the
+// natural key phonenumber + reference_number + dealer. If the stored request fingerprint
+// matches, the original invoice is replayed with 200; a different payload is a 409.
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+
+const PRIOR_CREATE_CONFLICTS = {
+    idempotency_key: 'Idempotency-Key was already used with a different payload',
+    id: 'An invoice with this id already exists',
+    reference_number: 'This reference number already exists for this dealer and phone number'
+};
+
+// Helper: The caller's own number for the invoice (n8n may still call it invoice_number)
+const referenceNumberOf = (data) => data.reference_number || data.invoice_number || '';
+
+// Helper: JSON with sorted keys, so key order doesn't change the fingerprint
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+        return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+// Fingerprint of the validated body, so "+91 98765 43210" and "919876543210" agree
+const requestFingerprint = (body) => crypto.createHash('sha256').update(canonicalJson(body)).digest('hex');
+
+// Helper: What a create payload can be matched on
+const createMatch = (data, idempotencyKey = null) => ({
+    idempotencyKey,
+    id: data.id || data.uuid,
+    data,
+    fingerprint: requestFingerprint(data)
+});
+
+// Serializes concurrent creates that could match each other; run inside the transaction
+// (locks are taken in sorted order so two requests or batches can't deadlock)
+const lockCreateRequests = async (db, tenantId, matches) => {
+    const locks = new Set();
+    for (const { idempotencyKey, id, data } of matches) {
+        if (idempotencyKey) locks.add(`${tenantId}:key:${idempotencyKey}`);
+        if (id) locks.add(`id:${id}`);
+        if (referenceNumberOf(data)) locks.add(`${tenantId}:reference:${data.phonenumber}:${referenceNumberOf(data)}`);
+    }
+    for (const lock of [...locks].sort()) {
+        await db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [lock]);
+    }
+};
+
+// Helper: Earlier invoice this create request repeats, and what matched it (or null)
+const findPriorCreate = async (db, tenantId, { idempotencyKey, id, data }) => {
+    if (idempotencyKey) {
+        const result = await db.query(
+            'SELECT * FROM client_smd.backend WHERE tenant_id = $1 AND idempotency_key = $2',
+            [tenantId, idempotencyKey]
+        );
+        if (result.rows[0]) return { row: result.rows[0], matchedBy: 'idempotency_key' };
+    }
+    if (id) {
+        // Ids are global, a hit in another tenant is still a conflict
+        const result = await db.query('SELECT * FROM client_smd.backend WHERE id = $1', [id]);
+        if (result.rows[0]) return { row: result.rows[0], matchedBy: 'id' };
+    }
+    if (referenceNumberOf(data)) {
+        // A cancelled invoice may be sent again under the same number
+        const result = await db.query(`
+            SELECT * FROM client_smd.backend
+            WHERE tenant_id = $1 AND phonenumber = $2 AND reference_number = $3
+                AND lower(trim(dealer)) = lower(trim($4)) AND status <> 'CANCELLED'
+            ORDER BY created_at
+            LIMIT 1
+        `, [tenantId, data.phonenumber, referenceNumberOf(data), data.Dealer || data.dealer || '']);
+        if (result.rows[0]) return { row: result.rows[0], matchedBy: 'reference_number' };
+    }
+    return null;
+};
+
+// Helper: null if the earlier invoice is a replay of the same request, else the 409 body
+const priorCreateConflict = (req, { row, matchedBy }, fingerprint) => {
+    const ownInvoice = row.tenant_id === req.tenant.id;
+    if (ownInvoice && row.request_fingerprint === fingerprint) return null;
+    return {
+        error: PRIOR_CREATE_CONFLICTS[matchedBy],
+        ...(ownInvoice ? { uuid: row.id, status: normalizeStatus(row.status) } : {})
+    };
+};
+
+// Creates one invoice from a validated create payload, inside the caller's transaction
+// and after lockCreateRequests. Returns { row, lines, links } for a new invoice,
+// { prior } if it repeats an earlier create, or { invalid, field } for an unknown
+// profile or invoice series.
+const insertInvoice = async (client, req, match) => {
+    const { data } = match;
+    const prior = await findPriorCreate(client, req.tenant.id, match);
+    if (prior) return { prior };
+    if (data.profile_id) {
+        const profile = await client.query(
+            'SELECT 1 FROM client_smd.business_profiles WHERE id = $1 AND tenant_id = $2',
+            [data.profile_id, req.tenant.id]
+        );
+        if (profile.rows.length === 0) return { invalid: 'Unknown profile_id', field: 'profile_id' };
+    }
+    if (data.series && !(await loadInvoiceSeries(client, req.tenant.id, data.series))) {
+        return { invalid: 'Unknown invoice series', field: 'series' };
+    }
+
+    // Generate UUID if not provided
+    const id = match.id || crypto.randomUUID();
+
+    // amount/total sent by n8n are ignored, the server computes its own
+    const { lines, totals } = computeInvoiceTotals(parseLineItems(data), data.gstin, tenantSellerState(req.tenant));
+
+    await client.query(`
+        INSERT INTO client_smd.backend (
+            id, phonenumber, dealer, reference_number, invoice_date, 
+            status, gstin, profile_id, tenant_id, idempotency_key,
+            request_fingerprint, invoice_series, lines_migrated
+        ) VALUES (
+            $1, $2, $3, $4, $5, 
+            $6, $7, $8, $9, $10,
+            $11, $12, true
+        )
+    `, [
+        id,
+        data.phonenumber,
+        data.Dealer || data.dealer || '',
+        referenceNumberOf(data),
+        data.invoice_date || '',
+        normalizeStatus(data.status),
+        data.gstin || '',
+        data.profile_id || null,
+        req.tenant.id,
+        match.idempotencyKey,
+        match.fingerprint,
+        data.series || null
+    ]);
+    // Links only depend on id + tenant + link_version (0 for a new invoice)
+    const links = buildInvoiceLinks(req, { id, tenant_id: req.tenant.id, link_version: 0 });
+    await replaceLineItems(client, id, lines);
+    const row = await saveInvoiceTotals(client, id, totals);
+    await recordRevision(client, id, 'created', describeActor(req, 'n8n'));
+    // Subscribers only get the view link; the edit link goes back to the caller alone
+    const { view_token, view_link, link_expires_at } = links;
+    await publishEvent(client, 'invoice_created', id, invoiceEventPayload(row, { links: { view_token, view_link, link_expires_at } }));
+    return { row, lines, links };
+};
+
+// Helper: Idempotency-Key header, or a 422 body if it is too long
+const readIdempotencyKey = (req) => {
+    const key = (req.get('Idempotency-Key') || '').trim() || null;
+    if (key && key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+        return {
+            invalid: {
+                error: 'Validation failed',
+                errors: [{ field: 'Idempotency-Key', message: `must be at most ${IDEMPOTENCY_KEY_MAX_LENGTH} characters` }]
+            }
+        };
+    }
+    return { key };
+};
+
+// --- Batch Ingestion ---
+// POST /invoices/batch takes many create payloads at once. Each one goes through the
+// same validation, idempotency matching and insert as POST /invoices, and gets its own
+// invoice_created event. Per-item results keep the index of the invoice in the upload.
+const BATCH_MODES = ['atomic', 'partial'];
+const BATCH_MAX_INVOICES = Number(process.env.BATCH_MAX_INVOICES || 100);
+const BATCH_TEXT_TYPES = ['text/csv', 'application/x-ndjson', 'application/ndjson', 'application/jsonl'];
+const BATCH_OK_STATUSES = ['created', 'replayed'];
+// Thrown to roll an atomic batch back once its per-item results are collected
+const BATCH_ROLLBACK = new Error('Batch rolled back');
+
+// Invoice-level CSV columns; every other known column belongs to the line item
+const CSV_INVOICE_FIELDS = ['ref', 'phonenumber', 'Dealer', 'reference_number', 'invoice_number', 'invoice_date', 'gstin', 'status', 'profile_id', 'series'];
+
+// Helper: RFC 4180 CSV -> rows of strings (quoted fields may hold commas, quotes and newlines)
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            rows.push([...row, field]);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field || row.length > 0) rows.push([...row, field]);
+    return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+// CSV uploads have one row per line item. Rows are grouped into invoices by the
+// `ref` column, else by reference_number (or invoice_number) + phonenumber; a row with
+// none of them is its own invoice.
+const csvToInvoices = (text) => {
+    const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    const known = [...CSV_INVOICE_FIELDS, ...LINE_FIELDS];
+    const columns = header.map((name) => known.find((k) => k.toLowerCase() === name.trim().toLowerCase()) || name.trim());
+    const invoices = new Map();
+    rows.forEach((cells, n) => {
+        const record = Object.fromEntries(columns.map((column, i) => [column, (cells[i] ?? '').trim()]));
+        const reference = referenceNumberOf(record);
+        const group = record.ref || (reference ? `${reference}|${record.phonenumber}` : `row:${n}`);
+        if (!invoices.has(group)) {
+            const fields = CSV_INVOICE_FIELDS.filter((f) => f !== 'ref' && columns.includes(f));
+            invoices.set(group, { ...Object.fromEntries(fields.map((f) => [f, record[f]])), items: [] });
+        }
+        invoices.get(group).items.push(Object.fromEntries(LINE_FIELDS.map((f) => [f, record[f]])));
+    });
+    return [...invoices.values()].map((data) => ({ data }));
+};
+
+// Helper: Batch body -> { entries: [{ data } | { errors }] } or { error }
+const parseBatchBody = (req) => {
+    if (typeof req.body === 'string') {
+        if (req.is('text/csv')) return { entries: csvToInvoices(req.body) };
+        // NDJSON: a broken line only fails its own invoice
+        const lines = req.body.split(/\r?\n/).filter((line) => line.trim());
+        return {
+            entries: lines.map((line, n) => {
+                try {
+                    return { data: JSON.parse(line) };
+                } catch (e) {
+                    return { errors: [{ field: '(body)', message: `line ${n + 1} is not valid JSON` }] };
+                }
+            })
+        };
+    }
+    const list = Array.isArray(req.body) ? req.body : req.body && req.body.invoices;
+    if (!Array.isArray(list)) {
+        return { error: 'Expected an array of invoices, { invoices: [...] }, NDJSON or CSV' };
+    }
+    return { entries: list.map((data) => ({ data })) };
+};
+
+// Helper: Per-item result of insertInvoice
+const batchItemResult = async (req, index, match, created) => {
+    if (created.invalid) return { index, status: 'invalid', errors: [{ field: created.field, message: created.invalid }] };
+    if (created.prior) {
+        const conflict = priorCreateConflict(req, created.prior, match.fingerprint);
+        if (conflict) {
+            const { status: invoiceStatus, ...details } = conflict;
+            return { index, status: 'conflict', ...details, invoice_status: invoiceStatus };
+        }
+        const { row } = created.prior;
+        return { index, status: 'replayed', uuid: row.id, invoice_number: row.invoice_number, reference_number: row.reference_number, ...buildInvoiceLinks(req, row) };
+    }
+    const { row, links } = created;
+    return { index, status: 'created', uuid: row.id, invoice_number: row.invoice_number, reference_number: row.reference_number, ...links };
+};
+
+// Helper: The budget every invoice of a batch counts against, like a single create
+// would: the key's, or the client IP's for keyless ingestion
+const batchRateLimit = (req) => (req.apiKey
+    ? { bucket: `key:${req.apiKey.keyId}`, limit: RATE_LIMIT_KEY_PER_MINUTE }
+    : { bucket: `ip:ingest:${req.ip}`, limit: RATE_LIMIT_IP_PER_MINUTE });
+
+// Helper: Fill the gaps of an atomic batch that never started
+const skipRemaining = (results, count) =>
+    Array.from({ length: count }, (_, index) => results[index] || { index, status: 'skipped' });
+
+// 201 if every invoice is in place, 422 / 409 when an atomic batch was refused, 207 for mixed partial results
+const sendBatchResults = (res, mode, results) => {
+    const summary = {};
+    for (const { status } of results) summary[status] = (summary[status] || 0) + 1;
+    const ok = results.every((r) => BATCH_OK_STATUSES.includes(r.status));
+    let code = ok ? 201 : 207;
+    if (!ok && mode === 'atomic') code = results.some((r) => r.status === 'conflict') ? 409 : 422;
+    res.status(code).json({ mode, summary, results });
+};
+
+// --- Invoice Search (operators) ---
+// GET /invoices lists every invoice of the caller's tenant for the back office.
+// Filters combine with AND; q is a prefix full-text search over line item names/descriptions.
+const WEBHOOK_STATUSES = ['PENDING', 'SENT', 'FAILED', 'DEAD'];
+const INVOICE_PAGE_SIZE_MAX = 100;
+// invoice_date is free text on older rows; only ISO dates take part in date filters and sorting
+const INVOICE_DATE_SQL = `CASE WHEN b.invoice_date::text ~ '^\\d{4}-\\d{2}-\\d{2}$' THEN b.invoice_date::text::date END`;
+const LINE_SEARCH_SQL = `to_tsvector('simple', l.productname || ' ' || l.description)`;
+const INVOICE_SORTS = {
+    created_at: 'b.created_at',
+    invoice_date: INVOICE_DATE_SQL,
+    total: 'b.total',
+    dealer: 'lower(b.dealer)',
+    invoice_number: 'b.invoice_number',
+    status: 'b.status'
+};
+
+// Helper: "a,b" / ["a", "b"] query values -> upper-cased list
+const csvParam = (v) => (v === undefined || v === '' ? undefined : String(v).split(',').map((s) => s.trim().toUpperCase()).filter(Boolean));
+
+const invoiceListSchema = z.looseObject({
+    status: z.preprocess(csvParam, z.array(z.enum(STATUSES, { error: `must be one of: ${STATUSES.join(', ')}` })).optional()),
+    webhook_status: z.preprocess(csvParam, z.array(z.enum(WEBHOOK_STATUSES, { error: `must be one of: ${WEBHOOK_STATUSES.join(', ')}` })).optional()),
+    dealer: textField(200),
+    phone: textField(20),
+    q: textField(200),
+    date_from: dateField,
+    date_to: dateField,
+    min_total: numberField(z.number({ error: 'must be a number' })),
+    max_total: numberField(z.number({ error: 'must be a number' })),
+    sort: z.string().regex(new RegExp(`^-?(${Object.keys(INVOICE_SORTS).join('|')})$`), {
+        error: `must be one of: ${Object.keys(INVOICE_SORTS).join(', ')} (prefix - for descending)`
+    }).optional(),
+    page: numberField(z.number({ error: 'must be a number' }).int({ error: 'must be a whole number' }).min(1, { error: 'must be at least 1' })),
+    per_page: numberField(z.number({ error: 'must be a number' }).int({ error: 'must be a whole number' })
+        .min(1, { error: 'must be at least 1' }).max(INVOICE_PAGE_SIZE_MAX, { error: `must be at most ${INVOICE_PAGE_SIZE_MAX}` }))
+});
+
+// Helper: "cem bag" -> "cem:* & bag:*" (words only, so user input can't break the tsquery)
+const prefixTsQuery = (text) =>
+    (String(text).match(/[\p{L}\p{N}]+/gu) || []).map((word) => `${word.toLowerCase()}:*`).join(' & ');
+
+// Builds the WHERE clause for a validated filter set; params start at $1 = tenant id
+const invoiceFilterSql = (tenantId, filters) => {
+    const params = [tenantId];
+    const where = ['b.tenant_id = $1'];
+    const add = (sql, value) => {
+        params.push(value);
+        where.push(sql.replace(/\$\?/g, `$${params.length}`));
+    };
+    if (filters.status) add('upper(b.status) = ANY($?)', filters.status);
+    if (filters.webhook_status) add('b.webhook_status = ANY($?)', filters.webhook_status);
+    if (filters.dealer) add('b.dealer ILIKE $?', `%${filters.dealer.replace(/[\\%_]/g, '\\$&')}%`);
+    if (filters.phone) add('b.phonenumber LIKE $?', `%${filters.phone.replace(/\D/g, '')}%`);
+    if (filters.date_from) add(`${INVOICE_DATE_SQL} >= $?::date`, filters.date_from);
+    if (filters.date_to) add(`${INVOICE_DATE_SQL} <= $?::date`, filters.date_to);
+    if (filters.min_total !== undefined) add('b.total >= $?', filters.min_total);
+    if (filters.max_total !== undefined) add('b.total <= $?', filters.max_total);
+    const tsQuery = filters.q ? prefixTsQuery(filters.q) : '';
+    if (tsQuery) {
+        add(`EXISTS (
+            SELECT 1 FROM client_smd.invoice_lines l
+            WHERE l.invoice_id = b.id AND ${LINE_SEARCH_SQL} @@ to_tsquery('simple', $?)
+        )`, tsQuery);
+    }
+    return { where: where.join(' AND '), params };
+};
+
+// Helper: List row for the dashboard (no line items, just their names)
+// No links: a search result isn't a reason to mint customer tokens, the dashboard asks
+// POST /invoices/:id/links for one when an invoice is opened
+const serializeInvoiceSummary = (row) => ({
+    uuid: row.id,
+    invoice_number: row.invoice_number,
+    reference_number: row.reference_number,
+    invoice_date: row.invoice_date,
+    Dealer: row.dealer,
+    phonenumber: row.phonenumber,
+    gstin: row.gstin,
+    status: normalizeStatus(row.status),
+    status_reason: row.status_reason,
+    version: row.version,
+    total: row.total === null ? null : Number(row.total),
+    tax_type: row.tax_type,
+    webhook_status: row.webhook_status,
+    webhook_attempts: row.webhook_attempts,
+    products: row.products || [],
+    comment_count: Number(row.comment_count || 0),
+    created_at: row.created_at,
+    approved_at: row.approved_at
+});
+
+// --- Bulk Actions (operators) ---
+// Scope each action needs; this is the route's only gate, so approving takes a write
+// key rather than any key that can read invoices
+const BULK_ACTIONS = {
+    approve: 'invoices:write',
+    resend_webhook: 'webhooks:manage',
+    export: 'invoices:read'
+};
+const BULK_MAX_INVOICES = 200;
+
+const bulkActionSchema = z.looseObject({
+    action: z.enum(Object.keys(BULK_ACTIONS), { error: `must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}` }),
+    ids: z.array(z.uuid({ error: 'must be a UUID' }), { error: 'must be a list of invoice ids' })
+        .min(1, { error: 'must not be empty' })
+        .max(BULK_MAX_INVOICES, { error: `must hold at most ${BULK_MAX_INVOICES} ids` })
+});
+
+// Queues the approval webhook(s) of an approved invoice again
+// Returns false if the invoice never had one.
+const resendInvoiceWebhook = async (invoiceId) => withTransaction(async (client) => {
+    const requeued = await client.query(`
+        UPDATE client_smd.webhook_outbox SET
+            status = 'PENDING', attempts = 0, next_attempt_at = now(), locked_until = NULL, last_error = NULL
+        WHERE invoice_id = $1 AND event = 'invoice_approved'
+    `, [invoiceId]);
+    if (requeued.rowCount === 0) return false;
+    await client.query(
+        `UPDATE client_smd.backend SET webhook_status = 'PENDING', webhook_attempts = 0 WHERE id = $1`,
+        [invoiceId]
+    );
+    await notifyInvoiceChange(client, 'webhook_status', invoiceId);
+    return true;
+});
+
+// --- Accounting Export ---
+// GET /exports/invoices streams invoices (header + line items) as CSV, XLSX or Tally
+// XML sales vouchers. Rows come through a server-side cursor in batches, so a year of
+// invoices is never held in memory at once. Defaults to approved invoices only.
+const EXPORT_FORMATS = {
+    csv: { type: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    tally: { type: 'application/xml; charset=utf-8', extension: 'xml' }
+};
+const EXPORT_BATCH_SIZE = 500;
+// Approved, and still approved for the books (sent / paid come after approval)
+const EXPORT_DEFAULT_STATUSES = ['APPROVED', 'SENT', 'PAID'];
+// Ledger names as they exist in the Tally company the vouchers are imported into
+const TALLY_COMPANY = process.env.TALLY_COMPANY || '';
+const TALLY_LEDGERS = {
+    sales: process.env.TALLY_SALES_LEDGER || 'Sales',
+    cgst: process.env.TALLY_CGST_LEDGER || 'CGST',
+    sgst: process.env.TALLY_SGST_LEDGER || 'SGST',
+    igst: process.env.TALLY_IGST_LEDGER || 'IGST',
+    roundOff: process.env.TALLY_ROUND_OFF_LEDGER || 'Round Off',
+    // Used when the invoice has no dealer name
+    party: process.env.TALLY_DEFAULT_PARTY_LEDGER || 'Cash'
+};
+
+const exportQuerySchema = invoiceListSchema.extend({
+    format: z.preprocess(
+        (v) => (v === undefined || v === '' ? 'csv' : String(v).toLowerCase()),
+        z.enum(Object.keys(EXPORT_FORMATS), { error: `must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` })
+    )
+});
+
+// One row per line item; invoices without lines get a single row with empty line columns
+const EXPORT_LINE_COLUMNS = [
+    ['invoice_number', 'Invoice No', 16, ({ invoice }) => invoice.invoice_number],
+    ['reference_number', 'Reference', 14, ({ invoice }) => invoice.reference_number],
+    ['invoice_date', 'Invoice Date', 12, ({ invoice }) => exportDate(invoice)],
+    ['dealer', 'Dealer', 28, ({ invoice }) => invoice.dealer],
+    ['gstin', 'GSTIN', 17, ({ invoice }) => invoice.gstin],
+    ['phonenumber', 'Phone', 14, ({ invoice }) => invoice.phonenumber],
+    ['status', 'Status', 10, ({ invoice }) => normalizeStatus(invoice.status)],
+    ['tax_type', 'Tax Type', 9, ({ totals }) => totals.tax_type],
+    ['line_no', 'Line', 6, ({ line, n }) => (line ? n + 1 : null)],
+    ['productname', 'Product', 28, ({ line }) => line?.productname],
+    ['description', 'Description', 28, ({ line }) => line?.description],
+    ['quantity', 'Qty', 9, ({ line }) => line?.quantity],
+    ['units', 'Units', 8, ({ line }) => line?.units],
+    ['rate', 'Rate', 11, ({ line }) => line?.rate],
+    ['gst_rate', 'GST %', 7, ({ line }) => line?.gst_rate],
+    ['amount', 'Taxable Value', 13, ({ line }) => line?.amount],
+    ['cgst', 'CGST', 11, ({ line }) => line?.cgst],
+    ['sgst', 'SGST', 11, ({ line }) => line?.sgst],
+    ['igst', 'IGST', 11, ({ line }) => line?.igst],
+    ['invoice_subtotal', 'Invoice Taxable Value', 14, ({ totals }) => totals.subtotal],
+    ['invoice_tax', 'Invoice Tax', 12, ({ totals }) => totals.tax_total],
+    ['invoice_round_off', 'Round Off', 10, ({ totals }) => totals.round_off],
+    ['invoice_total', 'Invoice Total', 13, ({ totals }) => totals.total],
+    ['uuid', 'Invoice ID', 38, ({ invoice }) => invoice.id]
+];
+
+// Helper: ISO invoice date, falling back to the approval day for free-text dates
+const exportDate = (invoice) =>
+    (invoice.invoice_date && toIsoDate(invoice.invoice_date)) ||
+    (invoice.approved_at ? new Date(invoice.approved_at).toISOString().slice(0, 10) : '');
+
+// Helper: Every (invoice, line) row of an invoice for the tabular formats
+const exportRows = (invoice, lines, totals) =>
+    (lines.length > 0 ? lines : [null]).map((line, n) => ({ invoice, line, n, totals }));
+
+// Helper: One CSV field; quoted when needed, and formula-looking text is defused for spreadsheets
+const csvField = (value) => {
+    let s = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(s) && !/^-?\d/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const xmlEscape = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+const tallyAmount = (rupees) => Number(rupees || 0).toFixed(2);
+
+// Sales voucher; Tally amounts are negative for debits (the party) and positive for credits
+const tallyVoucher = (invoice, lines, totals) => {
+    const party = invoice.dealer || TALLY_LEDGERS.party;
+    const date = exportDate(invoice).replace(/-/g, '');
+    const ledger = (name, amount, extra = '') => `
+            <LEDGERENTRIES.LIST>
+                <LEDGERNAME>${xmlEscape(name)}</LEDGERNAME>
+                <ISDEEMEDPOSITIVE>${amount < 0 ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>${extra}
+                <AMOUNT>${tallyAmount(amount)}</AMOUNT>
+            </LEDGERENTRIES.LIST>`;
+    const inventory = lines.map((line) => {
+        const units = line.units || 'Nos';
+        const quantity = line.quantity === null ? '' : `
+                <ACTUALQTY> ${line.quantity} ${xmlEscape(units)}</ACTUALQTY>
+                <BILLEDQTY> ${line.quantity} ${xmlEscape(units)}</BILLEDQTY>`;
+        return `
+            <ALLINVENTORYENTRIES.LIST>
+                <STOCKITEMNAME>${xmlEscape(line.productname || line.description || 'Item')}</STOCKITEMNAME>
+                <ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
+                <RATE>${tallyAmount(line.rate)}/${xmlEscape(units)}</RATE>
+                <AMOUNT>${tallyAmount(line.amount)}</AMOUNT>${quantity}
+                <ACCOUNTINGALLOCATIONS.LIST>
+                    <LEDGERNAME>${xmlEscape(TALLY_LEDGERS.sales)}</LEDGERNAME>
+                    <ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
+                    <AMOUNT>${tallyAmount(line.amount)}</AMOUNT>
+                </ACCOUNTINGALLOCATIONS.LIST>
+            </ALLINVENTORYENTRIES.LIST>`;
+    }).join('');
+    const taxes = [['cgst', totals.cgst], ['sgst', totals.sgst], ['igst', totals.igst], ['roundOff', totals.round_off]]
+        .filter(([, amount]) => Number(amount) !== 0)
+        .map(([key, amount]) => ledger(TALLY_LEDGERS[key], Number(amount)))
+        .join('');
+    return `
+    <TALLYMESSAGE xmlns:UDF="TallyUDF">
+        <VOUCHER VCHTYPE="Sales" ACTION="Create" OBJVIEW="Invoice Voucher View">
+            <GUID>${xmlEscape(invoice.id)}</GUID>
+            <DATE>${date}</DATE>
+            <VOUCHERTYPENAME>Sales</VOUCHERTYPENAME>
+            <VOUCHERNUMBER>${xmlEscape(invoice.invoice_number)}</VOUCHERNUMBER>
+            <REFERENCE>${xmlEscape(invoice.reference_number)}</REFERENCE>
+            <PARTYNAME>${xmlEscape(party)}</PARTYNAME>
+            <PARTYLEDGERNAME>${xmlEscape(party)}</PARTYLEDGERNAME>
+            <PARTYGSTIN>${xmlEscape(invoice.gstin)}</PARTYGSTIN>
+            <PERSISTEDVIEW>Invoice Voucher View</PERSISTEDVIEW>
+            <ISINVOICE>Yes</ISINVOICE>${ledger(party, -Number(totals.total), `
+                <ISPARTYLEDGER>Yes</ISPARTYLEDGER>`)}${inventory}${taxes}
+        </VOUCHER>
+    </TALLYMESSAGE>`;
+};
+
+// A cancelled download: the export stops, and streamQuery rolls back and lets go of
+// its cursor and connection
+const EXPORT_ABORTED = new Error('Export cancelled by the client');
+
+// Helper: Resolves once the response has drained, rejects if it closes first
+const waitForDrain = (res) => new Promise((resolve, reject) => {
+    if (res.destroyed || res.writableEnded) return reject(EXPORT_ABORTED);
+    const settle = (err) => {
+        res.off('drain', settle);
+        res.off('close', onClose);
+        res.off('error', onClose);
+        if (err) reject(err); else resolve();
+    };
+    const onClose = () => settle(EXPORT_ABORTED);
+    res.once('drain', settle);
+    res.once('close', onClose);
+    res.once('error', onClose);
+});
+
+// Writers share one shape: start(), write(invoice, lines, totals) and end(), each
+// returning a promise that waits for the response to drain.
+const exportWriter = (format, res) => {
+    const send = (chunk) => {
+        if (res.destroyed || res.writableEnded) return Promise.reject(EXPORT_ABORTED);
+        return res.write(chunk) ? Promise.resolve() : waitForDrain(res);
+    };
+    if (format === 'csv') {
+        return {
+            start: () => send(`${EXPORT_LINE_COLUMNS.map(([key]) => key).join(',')}\r\n`),
+            write: (invoice, lines, totals) => send(exportRows(invoice, lines, totals)
+                .map((row) => `${EXPORT_LINE_COLUMNS.map(([, , , get]) => csvField(get(row))).join(',')}\r\n`)
+                .join('')),
+            end: async () => res.end()
+        };
+    }
+    if (format === 'xlsx') {
+        const ExcelJS = require('exceljs');
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        const sheet = workbook.addWorksheet('Invoices', { views: [{ state: 'frozen', ySplit: 1 }] });
+        sheet.columns = EXPORT_LINE_COLUMNS.map(([key, header, width]) => ({ key, header, width }));
+        sheet.getRow(1).font = { bold: true };
+        return {
+            start: async () => {},
+            write: async (invoice, lines, totals) => {
+                if (res.destroyed || res.writableEnded) throw EXPORT_ABORTED;
+                for (const row of exportRows(invoice, lines, totals)) {
+                    sheet.addRow(Object.fromEntries(EXPORT_LINE_COLUMNS.map(([key, , , get]) => [key, get(row) ?? null]))).commit();
+                }
+                // The workbook writes into res itself; wait here when it is backed up
+                if (res.writableNeedDrain) await waitForDrain(res);
+            },
+            end: async () => {
+                sheet.commit();
+                await workbook.commit();
+            }
+        };
+    }
+    return {
+        start: () => send(`<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+    <HEADER><TALLYREQUEST>Import Data</TALLYREQUEST></HEADER>
+    <BODY><IMPORTDATA>
+    <REQUESTDESC>
+        <REPORTNAME>Vouchers</REPORTNAME>
+        <STATICVARIABLES>${TALLY_COMPANY ? `<SVCURRENTCOMPANY>${xmlEscape(TALLY_COMPANY)}</SVCURRENTCOMPANY>` : ''}</STATICVARIABLES>
+    </REQUESTDESC>
+    <REQUESTDATA>`),
+        write: (invoice, lines, totals) => send(tallyVoucher(invoice, lines, totals)),
+        end: async () => res.end(`
+    </REQUESTDATA>
+    </IMPORTDATA></BODY>
+</ENVELOPE>
+`)
+    };
+};
+
+// Runs `sql` through a server-side cursor and hands each batch to onBatch(rows, client);
+// stops early when onBatch returns false (e.g. the client went away)
+const streamQuery = async (sql, params, onBatch) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${sql}`, params);
+        for (;;) {
+            const batch = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM export_cursor`);
+            if (batch.rows.length === 0 || (await onBatch(batch.rows, client)) === false) break;
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+// Helper: Line items of many invoices at once, keyed by invoice id
+const loadLineItemsFor = async (db, invoiceIds) => {
+    const result = await db.query(`
+        SELECT invoice_id, ${[...LINE_FIELDS, ...LINE_TAX_FIELDS].join(', ')}
+        FROM client_smd.invoice_lines
+        WHERE invoice_id = ANY($1)
+        ORDER BY invoice_id, position
+    `, [invoiceIds]);
+    const byInvoice = new Map(invoiceIds.map((id) => [id, []]));
+    for (const { invoice_id: invoiceId, ...row } of result.rows) {
+        for (const f of ['quantity', 'rate', 'gst_rate', ...LINE_TAX_FIELDS]) {
+            row[f] = row[f] === null ? null : Number(row[f]);
+        }
+        byInvoice.get(invoiceId).push(row);
+    }
+    return byInvoice;
+};
+
+// Streams the invoices matching `where` (over `b`) to the client as a `format` file; used by
+// GET /exports/invoices and the bulk export. Errors are answered here, never thrown.
+const sendInvoiceExport = async (res, formatName, fileName, where, params) => {
+    const format = EXPORT_FORMATS[formatName];
+    let exported = 0;
+    try {
+        res.set('Content-Type', format.type);
+        res.set('Content-Disposition', `attachment; filename="${fileName}.${format.extension}"`);
+        const writer = exportWriter(formatName, res);
+        await writer.start();
+        await streamQuery(`
+            SELECT b.* FROM client_smd.backend b
+            WHERE ${where}
+            ORDER BY ${INVOICE_DATE_SQL} NULLS LAST, b.created_at, b.id
+        `, params, async (rows, client) => {
+            if (res.destroyed) return false;
+            const linesById = await loadLineItemsFor(client, rows.map((row) => row.id));
+            for (const invoice of rows) {
+                const stored = linesById.get(invoice.id);
+                // Approved lines carry their tax split; older ones are recomputed
+                const lines = stored.some((line) => line.amount === null)
+                    ? computeInvoiceTotals(stored, invoice.gstin, invoice.seller_state_code || SELLER_STATE_CODE).lines
+                    : stored;
+                await writer.write(invoice, lines, invoiceTotals(invoice, stored));
+            }
+            exported += rows.length;
+        });
+        await writer.end();
+        console.log(`📤 Exported ${exported} invoices as ${formatName}`);
+    } catch (err) {
+        if (err === EXPORT_ABORTED) {
+            console.log(`📤 Export cancelled by the client after ${exported} invoices`);
+            return;
+        }
+        console.error(err);
+        // Once the file has started there is no way to report the error but to cut it short
+        if (res.headersSent) return res.destroy(err);
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({ error: 'Export failed' });
+    }
+};
+
+// --- Reporting (operators) ---
+// GET /reports/sales sums invoices per dealer, product, unit or period; GET /reports/funnel
+// follows invoices from creation to approval and webhook delivery. Both default to the
+// last 30 days when no date range is given so a dashboard load stays cheap.
+const REPORT_PERIODS = ['day', 'week', 'month'];
+const REPORT_GROUPS = ['dealer', 'product', 'unit', ...REPORT_PERIODS];
+const REPORT_DEFAULT_DAYS = 30;
+const REPORT_ROWS_MAX = 500;
+// Periods are cut at local midnight, not UTC
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+
+const reportLimitField = numberField(z.number({ error: 'must be a number' }).int({ error: 'must be a whole number' })
+    .min(1, { error: 'must be at least 1' }).max(REPORT_ROWS_MAX, { error: `must be at most ${REPORT_ROWS_MAX}` }));
+const reportEnum = (values, fallback) => z.preprocess(
+    (v) => (v === undefined || v === '' ? fallback : String(v).toLowerCase()),
+    z.enum(values, { error: `must be one of: ${values.join(', ')}` })
+);
+
+const salesReportSchema = invoiceListSchema.extend({
+    group_by: reportEnum(REPORT_GROUPS, 'dealer'),
+    limit: reportLimitField
+});
+const funnelReportSchema = z.looseObject({
+    date_from: dateField,
+    date_to: dateField,
+    interval: reportEnum(REPORT_PERIODS, 'day')
+});
+
+// Helper: Fills in the default range, e.g. { date_to: today, date_from: 29 days before }
+// "Today" is the business's (REPORT_TIMEZONE), like the periods; by UTC, an Indian
+// invoice dated today would be left out until 05:30.
+const reportRange = ({ date_from: from, date_to: to }) => {
+    const end = to || localToday();
+    if (from) return { date_from: from, date_to: end };
+    const start = new Date(`${end}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - (REPORT_DEFAULT_DAYS - 1));
+    return { date_from: start.toISOString().slice(0, 10), date_to: end };
+};
+
+// Sales grouped per header (dealer / period) or per line item (product / unit).
+// The date range always applies, so only invoices with an ISO invoice_date are counted.
+const salesReportSql = (groupBy, where) => {
+    if (groupBy === 'product' || groupBy === 'unit') {
+        const column = groupBy === 'product' ? 'l.productname' : 'l.units';
+        return `
+            SELECT lower(trim(${column})) AS key,
+                mode() WITHIN GROUP (ORDER BY trim(${column})) AS label,
+                count(DISTINCT b.id) AS invoices,
+                coalesce(sum(l.quantity), 0) AS quantity,
+                sum(coalesce(l.amount, l.quantity * l.rate)) AS subtotal,
+                sum(coalesce(l.cgst, 0) + coalesce(l.sgst, 0) + coalesce(l.igst, 0)) AS tax
+            FROM client_smd.backend b
+            JOIN client_smd.invoice_lines l ON l.invoice_id = b.id
+            WHERE ${where}
+            GROUP BY 1
+            ORDER BY sum(coalesce(l.amount, l.quantity * l.rate)) DESC NULLS LAST, 1
+        `;
+    }
+    const key = REPORT_PERIODS.includes(groupBy)
+        ? `to_char(date_trunc('${groupBy}', (${INVOICE_DATE_SQL})::timestamp), 'YYYY-MM-DD')`
+        : 'lower(trim(b.dealer))';
+    return `
+        SELECT ${key} AS key,
+            ${groupBy === 'dealer' ? 'mode() WITHIN GROUP (ORDER BY trim(b.dealer))' : key} AS label,
+            count(*) AS invoices,
+            NULL AS quantity,
+            -- Invoices from before GST totals have their amount in total only
+            sum(coalesce(b.subtotal, b.total)) AS subtotal,
+            sum(coalesce(b.tax_total, 0)) AS tax
+        FROM client_smd.backend b
+        WHERE ${where}
+        GROUP BY 1
+        ORDER BY ${groupBy === 'dealer' ? 'sum(coalesce(b.subtotal, b.total)) DESC NULLS LAST, 1' : '1'}
+    `;
+};
+
+// Helper: numeric / null -> rupees, rounded to the paisa
+const reportAmount = (value) => (value === null || value === undefined ? 0 : toRupees(toPaise(Number(value))));
+
+const serializeSalesRow = (row) => {
+    const subtotal = reportAmount(row.subtotal);
+    const tax = reportAmount(row.tax);
+    return {
+        key: row.key || '',
+        label: row.label || '(none)',
+        invoices: Number(row.invoices),
+        // null when grouped by invoice (periods, dealers): their lines mix units
+        quantity: row.quantity === null ? null : Number(row.quantity),
+        subtotal,
+        tax,
+        total: toRupees(toPaise(subtotal) + toPaise(tax))
+    };
+};
+
+// Funnel counts over invoices created in the range, per period plus the overall summary
+const FUNNEL_SQL = `
+    WITH scoped AS (
+        SELECT b.id, b.status, b.created_at, b.approved_at,
+            (b.created_at AT TIME ZONE $2)::date AS day
+        FROM client_smd.backend b
+        WHERE b.tenant_id = $1
+          AND (b.created_at AT TIME ZONE $2)::date BETWEEN $3::date AND $4::date
+    ), deliveries AS (
+        SELECT o.invoice_id,
+            count(*) FILTER (WHERE o.status = 'SENT') AS sent,
+            count(*) FILTER (WHERE o.status = 'DEAD') AS dead,
+            count(*) FILTER (WHERE o.status IN ('PENDING', 'DELIVERING')) AS pending
+        FROM client_smd.webhook_outbox o
+        JOIN scoped s ON s.id = o.invoice_id
+        GROUP BY o.invoice_id
+    )
+    SELECT to_char(date_trunc($5, s.day::timestamp), 'YYYY-MM-DD') AS period,
+        count(*) AS created,
+        count(*) FILTER (WHERE s.approved_at IS NOT NULL OR s.status IN ('APPROVED', 'SENT', 'PAID')) AS approved,
+        count(*) FILTER (WHERE s.status = 'REJECTED') AS rejected,
+        count(*) FILTER (WHERE s.status = 'CANCELLED') AS cancelled,
+        count(*) FILTER (WHERE s.status IN ('CREATED', 'DRAFT', 'CHANGES_REQUESTED')) AS open,
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY extract(epoch FROM s.approved_at - s.created_at))
+            FILTER (WHERE s.approved_at IS NOT NULL) AS median_seconds_to_approve,
+        coalesce(sum(d.sent), 0) AS webhooks_sent,
+        coalesce(sum(d.dead), 0) AS webhooks_dead,
+        coalesce(sum(d.pending), 0) AS webhooks_pending
+    FROM scoped s
+    LEFT JOIN deliveries d ON d.invoice_id = s.id
+    GROUP BY GROUPING SETS ((date_trunc($5, s.day::timestamp)), ())
+    ORDER BY date_trunc($5, s.day::timestamp) NULLS FIRST
+`;
+
+// Helper: a / b as a 0..1 rate (null when there is nothing to divide)
+const ratio = (a, b) => (b > 0 ? Math.round((a / b) * 10000) / 10000 : null);
+
+const serializeFunnelRow = (row) => {
+    const metrics = {
+        created: Number(row.created),
+        approved: Number(row.approved),
+        rejected: Number(row.rejected),
+        cancelled: Number(row.cancelled),
+        open: Number(row.open),
+        median_hours_to_approve: row.median_seconds_to_approve === null
+            ? null
+            : Math.round((Number(row.median_seconds_to_approve) / 3600) * 100) / 100,
+        webhooks_sent: Number(row.webhooks_sent),
+        webhooks_dead: Number(row.webhooks_dead),
+        webhooks_pending: Number(row.webhooks_pending)
+    };
+    return {
+        ...metrics,
+        conversion_rate: ratio(metrics.approved, metrics.created),
+        // Only settled deliveries count; pending ones may still go through
+        webhook_failure_rate: ratio(metrics.webhooks_dead, metrics.webhooks_sent + metrics.webhooks_dead)
+    };
+};
+
+// Routes
+
+// 1. Create Invoice (Webhook/n8n)
+// The caller's number (invoice_number or reference_number in the body) is stored and
+// returned as reference_number; invoice_number is null until the approval allocates it
+// (see Invoice Numbering, and CHANGELOG.md for the migration of existing invoices).
+app.post('/invoices', rateLimitByIp('ingest'), requireIngestKey, validateBody(createInvoiceSchema, { lineItems: true }), async (req, res) => {
+    const { key, invalid } = readIdempotencyKey(req);
+    if (invalid) return res.status(422).json(invalid);
+    const match = createMatch(req.body, key);
+
+    try {
+        const created = await withTransaction(async (client) => {
+            // A retried execution gets the invoice it already created
+            await lockCreateRequests(client, req.tenant.id, [match]);
+            return insertInvoice(client, req, match);
+        });
+        if (created.invalid) {
+            return res.status(400).json({ error: created.invalid });
+        }
+        if (created.prior) {
+            const conflict = priorCreateConflict(req, created.prior, match.fingerprint);
+            if (conflict) return res.status(409).json(conflict);
+            const { row, matchedBy } = created.prior;
+            console.log(`♻️ Replayed create of invoice ${row.id} (matched by ${matchedBy})`);
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(200).json({
+                ...serializeInvoice(row, await loadLineItems(pool, row.id)),
+                ...buildInvoiceLinks(req, row)
+            });
+        }
+        kickOutbox();
+        
+        // Return structured data with signed links for n8n convenience
+        // (link = edit/approve, view_link = read-only)
+        const responseData = {
+            ...serializeInvoice(created.row, created.lines),
+            ...created.links
+        };
+        
+        res.status(201).json(responseData);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Creation failed' });
+    }
+});
+
+// Batch: several invoices from one WhatsApp message / OCR run
+// Body: JSON array, { invoices: [...] }, NDJSON (one invoice per line) or CSV (one row per line item).
+// ?mode=atomic (default) creates all or nothing; ?mode=partial creates every valid invoice.
+// With an Idempotency-Key header, invoice N uses "<key>:N", so a retried batch replays.
+app.post('/invoices/batch', rateLimitByIp('ingest'), requireIngestKey, express.text({ type: BATCH_TEXT_TYPES, limit: '50mb' }), async (req, res) => {
+    const mode = String(req.query.mode || (req.body && req.body.mode) || 'atomic').toLowerCase();
+    if (!BATCH_MODES.includes(mode)) {
+        return res.status(422).json({ error: 'Validation failed', errors: [{ field: 'mode', message: `must be one of: ${BATCH_MODES.join(', ')}` }] });
+    }
+    const { key, invalid } = readIdempotencyKey(req);
+    if (invalid) return res.status(422).json(invalid);
+
+    const parsed = parseBatchBody(req);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (parsed.entries.length === 0) return res.status(400).json({ error: 'The batch is empty' });
+    if (parsed.entries.length > BATCH_MAX_INVOICES) {
+        return res.status(413).json({ error: `A batch can hold at most ${BATCH_MAX_INVOICES} invoices` });
+    }
+    // The middlewares counted the request once, the other invoices in it count too
+    const budget = batchRateLimit(req);
+    if (parsed.entries.length > budget.limit) {
+        return res.status(413).json({ error: `A batch can hold at most ${budget.limit} invoices (the per-minute limit)` });
+    }
+    if (parsed.entries.length > 1) {
+        const retryAfter = await hitRateLimit(budget.bucket, budget.limit, parsed.entries.length - 1);
+        if (retryAfter) return sendRateLimited(res, retryAfter);
+    }
+
+    // Validate everything up front; atomic batches stop here if anything is wrong
+    const results = [];
+    const matches = [];
+    parsed.entries.forEach((entry, index) => {
+        const { data, errors } = entry.errors
+            ? { data: null, errors: entry.errors }
+            : validatePayload(createInvoiceSchema, entry.data, { lineItems: true });
+        if (errors.length > 0) {
+            results[index] = { index, status: 'invalid', errors };
+        } else {
+            matches[index] = createMatch(data, key && `${key}:${index}`);
+        }
+    });
+
+    try {
+        if (mode === 'atomic') {
+            if (results.length > 0) {
+                return sendBatchResults(res, mode, skipRemaining(results, parsed.entries.length));
+            }
+            try {
+                await withTransaction(async (client) => {
+                    await lockCreateRequests(client, req.tenant.id, matches);
+                    for (const [index, match] of matches.entries()) {
+                        results[index] = await batchItemResult(req, index, match, await insertInvoice(client, req, match));
+                    }
+                    if (results.some((r) => !BATCH_OK_STATUSES.includes(r.status))) throw BATCH_ROLLBACK;
+                });
+            } catch (err) {
+                if (err !== BATCH_ROLLBACK) throw err;
+                return sendBatchResults(res, mode, results.map((r) => (BATCH_OK_STATUSES.includes(r.status) ? { index: r.index, status: 'skipped' } : r)));
+            }
+        } else {
+            // One transaction per invoice, so a bad one doesn't take the rest down
+            for (const [index, match] of matches.entries()) {
+                if (!match) continue;
+                try {
+                    const created = await withTransaction(async (client) => {
+                        await lockCreateRequests(client, req.tenant.id, [match]);
+                        return insertInvoice(client, req, match);
+                    });
+                    results[index] = await batchItemResult(req, index, match, created);
+                } catch (err) {
+                    console.error(err);
+                    // code: the Postgres SQLSTATE (e.g. 22001 for a value too long), if any
+                    results[index] = { index, status: 'failed', error: 'Creation failed', code: err.code || null, message: String(err.message).slice(0, 500) };
+                }
+            }
+        }
+        kickOutbox();
+        const created = results.filter((r) => r.status === 'created').length;
+        console.log(`📥 Batch (${mode}): ${created} of ${results.length} invoices created`);
+        sendBatchResults(res, mode, results);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Batch creation failed' });
+    }
+});
+
+// 2. Issue / Revoke Links (n8n, dashboard)
+// Mint a fresh link, e.g. with a custom scope or lifetime. Read-only keys get view links;
+// edit links need invoices:write.
+const linkRequestSchema = z.looseObject({
+    scope: z.enum(LINK_SCOPES, { error: `must be one of: ${LINK_SCOPES.join(', ')}` }).optional(),
+    ttl_hours: numberField(z.number({ error: 'must be a number' })
+        .int({ error: 'must be a whole number of hours' })
+        .min(1, { error: `must be between 1 and ${LINK_TTL_MAX_HOURS}` })
+        .max(LINK_TTL_MAX_HOURS, { error: `must be between 1 and ${LINK_TTL_MAX_HOURS}` }))
+});
+
+app.post('/invoices/:id/links', requireApiKey('invoices:read'), validateBody(linkRequestSchema), async (req, res) => {
+    const { scope = 'edit', ttl_hours: ttlHours = LINK_TTL_HOURS } = req.body;
+    if (scope === 'edit' && !req.apiKey.scopes.includes('invoices:write')) {
+        return res.status(403).json({ error: 'API key lacks the invoices:write scope' });
+    }
+    try {
+        const result = await pool.query(
+            'SELECT * FROM client_smd.backend WHERE id = $1 AND tenant_id = $2',
+            [req.params.id, req.tenant.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Invoice not found' });
+        }
+        const row = result.rows[0];
+        const token = signInvoiceToken(row, scope, ttlHours);
+        res.status(201).json({
+            uuid: row.id,
+            scope,
+            token,
+            link: `${frontendBaseUrl(req)}/i/${token}`,
+            link_expires_at: new Date(Date.now() + ttlHours * 3600 * 1000).toISOString()
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Link creation failed' });
+    }
+});
+
+// Kill every link issued so far (e.g. forwarded to the wrong WhatsApp contact)
+// and hand back a new pair that can be sent to the right person.
+app.post('/invoices/:id/links/revoke', requireApiKey('invoices:write'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            UPDATE client_smd.backend SET link_version = link_version + 1
+            WHERE id = $1 AND tenant_id = $2
+            RETURNING *
+        `, [req.params.id, req.tenant.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Invoice not found' });
+        }
+        const row = result.rows[0];
+        console.log(`🔒 Links revoked for invoice ${row.id} (link_version ${row.link_version})`);
+        res.json({ uuid: row.id, revoked: true, ...buildInvoiceLinks(req, row) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Revocation failed' });
+    }
+});
+
+// 3. Get Pending Invoices
+// Returns the other pending invoices of the link holder's phone number, newest first
+// (Privacy: the phone comes from the invoice, never from the query string)
+// Paged with an opaque cursor: pass next_cursor back as ?cursor= for the next page.
+// Optional filters: status (CREATED,DRAFT), date_from / date_to (invoice date), q (number, dealer, products)
+const PENDING_PAGE_SIZE_MAX = 100;
+// created_at keeps microseconds, which a JS Date would drop
+const PENDING_CREATED_SQL = `coalesce(b.created_at, 'epoch'::timestamptz)`;
+
+// Cursor = base64url({ c: created_at with microseconds, i: id }) of the last row
+const encodePendingCursor = (row) =>
+    Buffer.from(JSON.stringify({ c: row.cursor_created_at, i: row.id })).toString('base64url');
+const decodePendingCursor = (cursor) => {
+    try {
+        const { c, i } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const valid = typeof c === 'string' && !Number.isNaN(Date.parse(c)) && isUuid(i);
+        return valid ? { c, i } : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+const pendingListSchema = z.looseObject({
+    status: z.preprocess(csvParam, z.array(z.enum(OPEN_STATUSES, { error: `must be one of: ${OPEN_STATUSES.join(', ')}` })).optional()),
+    date_from: dateField,
+    date_to: dateField,
+    q: textField(100),
+    limit: numberField(z.number({ error: 'must be a number' }).int({ error: 'must be a whole number' })
+        .min(1, { error: 'must be at least 1' }).max(PENDING_PAGE_SIZE_MAX, { error: `must be at most ${PENDING_PAGE_SIZE_MAX}` })),
+    cursor: z.string().optional().transform((v, ctx) => {
+        if (!v) return undefined;
+        const decoded = decodePendingCursor(v);
+        if (!decoded) ctx.addIssue({ code: 'custom', message: 'is not a valid cursor' });
+        return decoded;
+    })
+});
+
+app.get('/invoices/:token/pending', requireInvoiceLink('view'), async (req, res) => {
+    const { data: filters, errors } = validatePayload(pendingListSchema, req.query);
+    if (errors.length > 0) {
+        return res.status(422).json({ error: 'Validation failed', errors });
+    }
+    const limit = filters.limit || 20;
+    const params = [req.invoice.phonenumber, filters.status || OPEN_STATUSES, req.invoice.tenant_id];
+    const where = ['b.phonenumber = $1', 'upper(b.status) = ANY($2)', 'b.tenant_id = $3'];
+    const add = (sql, value) => {
+        params.push(value);
+        where.push(sql.replace(/\$\?/g, `$${params.length}`));
+    };
+    if (filters.date_from) add(`${INVOICE_DATE_SQL} >= $?::date`, filters.date_from);
+    if (filters.date_to) add(`${INVOICE_DATE_SQL} <= $?::date`, filters.date_to);
+    if (filters.q) {
+        const like = `%${filters.q.replace(/[\\%_]/g, '\\$&')}%`;
+        const tsQuery = prefixTsQuery(filters.q);
+        params.push(like, tsQuery || null);
+        where.push(`(b.invoice_number ILIKE $${params.length - 1} OR b.reference_number ILIKE $${params.length - 1}
+            OR b.dealer ILIKE $${params.length - 1}
+            OR ($${params.length}::text IS NOT NULL AND EXISTS (
+                SELECT 1 FROM client_smd.invoice_lines l
+                WHERE l.invoice_id = b.id AND ${LINE_SEARCH_SQL} @@ to_tsquery('simple', $${params.length})
+            )))`);
+    }
+    const filterCount = params.length;
+    const filterWhere = where.join(' AND ');
+    if (filters.cursor) {
+        params.push(filters.cursor.c, filters.cursor.i);
+        where.push(`(${PENDING_CREATED_SQL}, b.id) < ($${params.length - 1}::timestamptz, $${params.length}::uuid)`);
+    }
+
+    try {
+        // One extra row tells whether there is a next page
+        const result = await pool.query(`
+            SELECT b.id, b.tenant_id, b.link_version, b.phonenumber, b.dealer, b.invoice_number,
+                b.reference_number, b.invoice_date, b.status, b.total, b.created_at,
+                to_char(${PENDING_CREATED_SQL} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS cursor_created_at
+            FROM client_smd.backend b
+            WHERE ${where.join(' AND ')}
+            ORDER BY ${PENDING_CREATED_SQL} DESC, b.id DESC
+            LIMIT $${params.length + 1}
+        `, [...params, limit + 1]);
+        const count = await pool.query(
+            `SELECT count(*) FROM client_smd.backend b WHERE ${filterWhere}`,
+            params.slice(0, filterCount)
+        );
+        const rows = result.rows.slice(0, limit);
+        res.json({
+            // Each entry gets its own view-only link, bound to the caller's (see
+            // signInvoiceToken): forwarding one edit link doesn't hand out edit rights to
+            // the customer's other invoices, and revoking it revokes these too
+            data: rows.map((row) => ({
+                uuid: row.id,
+                phonenumber: row.phonenumber,
+                Dealer: row.dealer,
+                invoice_number: row.invoice_number,
+                reference_number: row.reference_number,
+                invoice_date: row.invoice_date,
+                status: normalizeStatus(row.status),
+                total: row.total === null ? null : Number(row.total),
+                created_at: row.created_at,
+                token: signInvoiceToken(row, 'view', LINK_TTL_HOURS, req.link)
+            })),
+            next_cursor: result.rows.length > limit ? encodePendingCursor(rows[rows.length - 1]) : null,
+            total: Number(count.rows[0].count)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// 4. Get Invoice by Link
+app.get('/invoices/:token', requireInvoiceLink('view'), async (req, res) => {
+    try {
+        const items = await loadLineItems(pool, req.invoice.id);
+        res.set('ETag', invoiceEtag(req.invoice));
+        res.json({
+            ...serializeInvoice(req.invoice, items),
+            pdf_url: signedFileUrl(req.invoice.pdf_url),
+            access: describeLinkAccess(req.link, req.invoice)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Revision history, oldest first. Each entry carries the diff against the previous
+// revision and against the original (revision 0) so the UI can show either.
+app.get('/invoices/:token/revisions', requireInvoiceLink('view'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT revision, action, actor, changes, snapshot, created_at
+            FROM client_smd.invoice_revisions
+            WHERE invoice_id = $1
+            ORDER BY revision
+        `, [req.invoice.id]);
+        const original = result.rows[0]?.snapshot;
+        res.json(result.rows.map((row) => ({
+            revision: row.revision,
+            action: row.action,
+            // IP / user agent stay server-side
+            actor: { type: row.actor.type },
+            created_at: row.created_at,
+            changes: row.changes,
+            changes_from_original: diffSnapshots(original, row.snapshot),
+            snapshot: row.snapshot
+        })));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// PDF of the invoice as it is stored right now (any status)
+// /pdf downloads it, /pdf/preview opens it in the browser
+const sendInvoicePdf = (disposition) => async (req, res) => {
+    try {
+        const items = await loadLineItems(pool, req.invoice.id);
+        const profile = await loadBusinessProfile(pool, req.invoice.profile_id, req.invoice.tenant_id);
+        const pdf = renderInvoicePdf(req.invoice, items, profile);
+        const filename = `invoice_${req.invoice.invoice_number || req.invoice.id}.pdf`.replace(/[^\w.-]/g, '_');
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `${disposition}; filename="${filename}"`);
+        res.send(pdf);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'PDF rendering failed' });
+    }
+};
+
+app.get('/invoices/:token/pdf', requireInvoiceLink('view'), sendInvoicePdf('attachment'));
+app.get('/invoices/:token/pdf/preview', requireInvoiceLink('view'), sendInvoicePdf('inline'));
+
+// Stored PDFs, only via a signed URL (see signedFileUrl)
+app.get('/files/:key', rateLimitByIp('files'), async (req, res) => {
+    const { key } = req.params;
+    const expires = Number(req.query.e);
+    const signature = String(req.query.s || '');
+    if (!LINK_SECRET || !FILE_KEY_PATTERN.test(key) || !signature
+        || !safeEqual(signature, signFileKey(key, expires))) {
+        return res.status(403).json({ error: 'Invalid file link' });
+    }
+    if (expires < Date.now() / 1000) {
+        return res.status(410).json({ error: 'File link has expired' });
+    }
+    try {
+        const data = await storage.get(key);
+        if (!data) return res.status(404).json({ error: 'File not found' });
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `inline; filename="${key}"`);
+        res.send(data);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Storage error' });
+    }
+});
+
+// Invoice by id for n8n / back office (API key instead of a customer link)
+app.get('/invoices/:id/details', requireApiKey('invoices:read'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM client_smd.backend WHERE id = $1 AND tenant_id = $2',
+            [req.params.id, req.tenant.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Invoice not found' });
+        }
+        const row = result.rows[0];
+        res.set('ETag', invoiceEtag(row));
+        res.json({ ...serializeInvoice(row, await loadLineItems(pool, row.id)), pdf_url: signedFileUrl(row.pdf_url) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// 5. Update Invoice
+// Needs If-Match: "<version>" (see Optimistic Concurrency)
+app.put('/invoices/:token', requireInvoiceLink('edit'), requireIfMatch, validateBody(updateInvoiceSchema, { lineItems: true }), async (req, res) => {
+    const { id, phonenumber: phone } = req.invoice;
+    const data = req.body;
+
+    console.log(`[PUT] Update request for ID: ${id}, Phone: ${phone}`);
+
+    // Any edit turns the invoice into a DRAFT; data.status is ignored.
+    // Fields left out of the payload keep their current value.
+    // invoice_number is not editable, it is allocated on approval
+    const query = `
+        UPDATE client_smd.backend SET
+            reference_number = $1,
+            dealer = $2,
+            invoice_date = $3,
+            gstin = $4,
+            phonenumber = $6
+        WHERE id = $5
+        RETURNING *
+    `;
+    
+    const values = [
+        data.reference_number ?? req.invoice.reference_number,
+        data.Dealer ?? data.dealer ?? req.invoice.dealer, // Handle both casing
+        data.invoice_date ?? req.invoice.invoice_date,
+        data.gstin ?? req.invoice.gstin,
+        id,
+        data.phonenumber ?? phone
+    ];
+
+    try {
+        const updated = await withTransaction(async (client) => {
+            await ensureBaseRevision(client, id);
+            // Only CREATED / DRAFT invoices are editable, and only in the version the client saw
+            if (!(await transitionInvoice(client, id, 'DRAFT', null, req.expectedVersion))) return null;
+            const result = await client.query(query, values);
+            // Leave lines alone if the payload doesn't mention them,
+            // but always recompute: the GSTIN (and so the tax type) may have changed
+            const stored = await loadLineItems(client, id);
+            const current = hasLineItems(data) ? applyStoredGstRates(parseLineItems(data), stored) : stored;
+            const { lines, totals } = computeInvoiceTotals(current, result.rows[0].gstin, tenantSellerState(req.tenant));
+            await replaceLineItems(client, id, lines);
+            const saved = await saveInvoiceTotals(client, id, totals);
+            const changes = await recordRevision(client, id, 'updated', describeActor(req, 'service'));
+            await publishEvent(client, 'invoice_updated', id, invoiceEventPayload(saved, { changes }));
+            return { row: saved, items: lines };
+        });
+        if (!updated) {
+            return sendWriteConflict(req, res, 'DRAFT');
+        }
+        kickOutbox();
+
+        res.set('ETag', invoiceEtag(updated.row));
+        res.json({
+            ...serializeInvoice(updated.row, updated.items),
+            access: describeLinkAccess(req.link, updated.row)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+// 6. Approve Invoice
+// Time the approval request gets to issue the PDF itself before the drain may take over
+const PDF_RETRY_GRACE_SECONDS = 120;
+
+// Moves the invoice to APPROVED, allocates its number and records the approval evidence
+// (signature and OTP code from the customer, none for operators), then renders and
+// stores the PDF. The number is committed first so the series counter isn't held while
+// the PDF renders and uploads. The commit also marks the PDF as due (pdf_retry_at): if
+// storing it fails, or the process dies first, the drain issues it later. Returns the
+// approved row, or null if its status (or, when given, its version) no longer allows approval.
+
+const approveInvoice = async (req, invoice, lines, totals, version = null, { signature = null, otp: code = null } = {}) => {
+    const { id } = invoice;
+    const approved = await withTransaction(async (client) => {
+        await ensureBaseRevision(client, id);
+        const row = await transitionInvoice(client, id, 'APPROVED', null, version);
+        if (!row) return null;
+        const otp = code ? await consumeApprovalOtp(client, row, code) : null;
+        // An invoice without a usable date is dated the day it is approved
+        const invoiceDate = toIsoDate(row.invoice_date) || localToday();
+        const numbered = await allocateInvoiceNumber(client, row, invoiceDate);
+
+        await replaceLineItems(client, id, lines);
+        await saveInvoiceTotals(client, id, totals);
+        const result = await client.query(`
+            UPDATE client_smd.backend SET
+                invoice_date = $2,
+                invoice_number = $3,
+                invoice_series = $4,
+                invoice_sequence = $5,
+                pdf_retry_at = now() + make_interval(secs => $6),
+                pdf_base_url = $7
+            WHERE id = $1
+            RETURNING *
+        `, [
+            id, toIsoDate(row.invoice_date) ? row.invoice_date : invoiceDate, numbered.number, numbered.series,
+            numbered.sequence, PDF_RETRY_GRACE_SECONDS, apiBaseUrl(req)
+        ]);
+        const document = approvalDocument(result.rows[0], lines, totals);
+        await insertApproval(client, result.rows[0], buildApprovalEvidence(req, result.rows[0], document, { signature, otp }), document);
+        await recordRevision(client, id, 'approved', describeActor(req, 'service'));
+        return result.rows[0];
+    }).catch(async (err) => {
+        if (err.wrongOtpId) {
+            await pool.query('UPDATE client_smd.invoice_otps SET attempts = attempts + 1 WHERE id = $1', [err.wrongOtpId]);
+        }
+        throw err;
+    });
+    if (!approved) return null;
+
+    try {
+        return (await issueApprovedPdf(apiBaseUrl(req), id)) || approved;
+    } catch (err) {
+        // The approval stands; the drain issues the PDF once pdf_retry_at is due
+        console.error(`⚠️ Invoice ${id} is approved but its PDF could not be stored, it will be retried:`, err);
+        return approved;
+    }
+};
+
+// Renders and stores the approved invoice's PDF with its approval evidence, then queues
+// invoice_approved. `baseUrl` is the API's public URL the PDF link points at.
+// Returns the updated row, or null if the PDF was already issued.
+const issueApprovedPdf = async (baseUrl, id) => {
+    const found = await pool.query('SELECT * FROM client_smd.backend WHERE id = $1', [id]);
+    const invoice = found.rows[0];
+    if (!invoice || invoice.pdf_url) return null;
+    const evidence = await pool.query(
+        'SELECT * FROM client_smd.invoice_approvals WHERE invoice_id = $1 ORDER BY id DESC LIMIT 1',
+        [id]
+    );
+    const items = await loadLineItems(pool, id);
+    const profile = await loadBusinessProfile(pool, invoice.profile_id, invoice.tenant_id);
+    const pdfKey = await storePdf(renderInvoicePdf(invoice, items, profile, evidence.rows[0] || null));
+    // Stored unsigned; signedFileUrl() signs it whenever it is handed out
+    const pdfUrl = `${baseUrl}/files/${pdfKey}`;
+
+    return withTransaction(async (client) => {
+        const result = await client.query(`
+            UPDATE client_smd.backend SET
+                pdf_url = $2, webhook_status = 'PENDING', webhook_attempts = 0, pdf_retry_at = NULL
+            WHERE id = $1 AND pdf_url IS NULL
+            RETURNING *
+        `, [id, pdfUrl]);
+        if (result.rows.length === 0) return null;
+        const record = evidence.rows[0]
+            ? (await client.query(
+                'UPDATE client_smd.invoice_approvals SET pdf_sha256 = $2 WHERE id = $1 RETURNING *',
+                [evidence.rows[0].id, pdfKey.replace(/\.pdf$/, '')]
+            )).rows[0]
+            : null;
+        await publishEvent(client, 'invoice_approved', id, invoiceEventPayload(result.rows[0], record ? {
+            approval: {
+                id: Number(record.id),
+                signer_name: record.signer_name,
+                otp_verified: record.otp_verified_at !== null,
+                document_hash: record.document_hash
+            }
+        } : {}));
+        return result.rows[0];
+    });
+};
+
+// Sends the approval code to the invoice's phone (through n8n, see Approval Evidence)
+app.post('/invoices/:token/approval-otp', requireInvoiceLink('edit'), async (req, res) => {
+    const { id } = req.invoice;
+    if (!canTransition(req.invoice.status, 'APPROVED')) {
+        return sendTransitionConflict(res, id, 'APPROVED');
+    }
+    const retryAfter = await hitRateLimit(`otp:${id}`, OTP_SENDS_PER_MINUTE);
+    if (retryAfter) return sendRateLimited(res, retryAfter);
+    try {
+        const sent = await issueApprovalOtp(req.invoice);
+        if (!sent) {
+            return res.status(503).json({ error: 'Approval codes are not set up for this business' });
+        }
+        kickOutbox();
+        console.log(`🔑 Approval code sent for invoice ${id} to ${maskPhone(sent.phone)}`);
+        res.status(201).json({ phone: maskPhone(sent.phone), expires_at: sent.expires_at });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Sending the code failed' });
+    }
+});
+
+// Needs If-Match like PUT, so nobody approves a version they haven't seen, and a
+// signature (plus the OTP unless APPROVAL_OTP_REQUIRED is 'false')
+app.post('/invoices/:token/approve', requireInvoiceLink('edit'), requireIfMatch, validateBody(approveSchema), async (req, res) => {
+    const { id } = req.invoice;
+    const { total, signature, otp: code } = req.body;
+
+    // Fail fast before any PDF is written; checked again atomically below
+    if (!canTransition(req.invoice.status, 'APPROVED')) {
+        return sendTransitionConflict(res, id, 'APPROVED');
+    }
+    const missing = [
+        !signature && { field: 'signature', message: 'is required' },
+        APPROVAL_OTP_REQUIRED && !code && { field: 'otp', message: 'is required' }
+    ].filter(Boolean);
+    if (missing.length > 0) {
+        return res.status(422).json({ error: 'Validation failed', errors: missing });
+    }
+
+    try {
+        // Recompute from the stored lines; the total the app showed the customer (worked out
+        // on the device from the lines it displayed) must agree to the paisa
+        const items = await loadLineItems(pool, id);
+        const { lines, totals } = computeInvoiceTotals(items, req.invoice.gstin, tenantSellerState(req.tenant));
+        if (toPaise(toNumber(total)) !== toPaise(totals.total)) {
+            return res.status(409).json({
+                error: 'Total does not match the invoice, please reload and review it again',
+                expected_total: totals.total,
+                received_total: toNumber(total)
+            });
+        }
+
+        // Rendered here from the stored lines; any pdfBase64 the client still sends is ignored.
+        // The code is used up only if the approval goes through.
+        const row = await approveInvoice(req, req.invoice, lines, totals, req.expectedVersion, { signature, otp: code });
+        if (!row) {
+            return sendWriteConflict(req, res, 'APPROVED');
+        }
+
+        kickOutbox();
+
+        // Send back formatted data just in case
+        res.set('ETag', invoiceEtag(row));
+        res.json({ ...serializeInvoice(row, lines), pdf_url: signedFileUrl(row.pdf_url) });
+    } catch (err) {
+        if (err.otpMessage) {
+            return res.status(422).json({ error: 'Validation failed', errors: [{ field: 'otp', message: err.otpMessage }] });
+        }
+        console.error(err);
+        if (isInvoiceNumberTaken(err)) return sendInvoiceNumberTaken(res);
+        res.status(500).json({ error: 'Approval failed' });
+    }
+});
+
+// 7. Reject / Cancel Invoice (customer)
+// Reject = the invoice is wrong, cancel = it shouldn't exist; both need a reason
+const customerTransition = (to) => async (req, res) => {
+    const { reason } = req.body;
+    const { id } = req.invoice;
+    // Customers can only close invoices that are still open
+    if (!OPEN_STATUSES.includes(normalizeStatus(req.invoice.status))) {
+        return sendTransitionConflict(res, id, to);
+    }
+    try {
+        const row = await withTransaction(async (client) => {
+            await ensureBaseRevision(client, id);
+            const moved = await transitionInvoice(client, id, to, reason);
+            if (moved) {
+                await recordRevision(client, id, to.toLowerCase(), describeActor(req, 'service'));
+                await publishEvent(client, STATUS_EVENTS[to], id, invoiceEventPayload(moved, { reason }));
+            }
+            return moved;
+        });
+        if (!row) {
+            return sendTransitionConflict(res, id, to);
+        }
+        kickOutbox();
+        console.log(`🛑 Invoice ${id} ${to} by customer: ${reason}`);
+        res.json({
+            ...serializeInvoice(row, await loadLineItems(pool, id)),
+            access: describeLinkAccess(req.link, row)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Status change failed' });
+    }
+};
+
+app.post('/invoices/:token/reject', requireInvoiceLink('edit'), validateBody(reasonSchema), customerTransition('REJECTED'));
+app.post('/invoices/:token/cancel', requireInvoiceLink('edit'), validateBody(reasonSchema), customerTransition('CANCELLED'));
+
+// Request changes: the invoice stays open, the reason and per-line comments go to the
+// comment thread, and n8n gets invoice_changes_requested with all of them
+app.post('/invoices/:token/request-changes', requireInvoiceLink('edit'), validateBody(requestChangesSchema), async (req, res) => {
+    const { reason, comments = [] } = req.body;
+    const { id } = req.invoice;
+    if (!OPEN_STATUSES.includes(normalizeStatus(req.invoice.status))) {
+        return sendTransitionConflict(res, id, 'CHANGES_REQUESTED');
+    }
+    try {
+        const result = await withTransaction(async (client) => {
+            const items = await loadLineItems(client, id);
+            const invalid = comments.findIndex((c) => !items[c.line]);
+            if (invalid !== -1) {
+                return { invalid: { field: `comments.${invalid}.line`, message: `must be between 0 and ${items.length - 1}` } };
+            }
+            await ensureBaseRevision(client, id);
+            const moved = await transitionInvoice(client, id, 'CHANGES_REQUESTED', reason);
+            if (!moved) return null;
+            const author = commentAuthor(req);
+            const added = [(await insertComment(client, id, author, { body: reason }, items)).comment];
+            for (const c of comments) {
+                added.push((await insertComment(client, id, author, c, items)).comment);
+            }
+            await recordRevision(client, id, 'changes_requested', describeActor(req, 'service'));
+            await publishEvent(client, 'invoice_changes_requested', id, invoiceEventPayload(moved, { reason, comments: added }));
+            return { row: moved, items };
+        });
+        if (!result) {
+            return sendTransitionConflict(res, id, 'CHANGES_REQUESTED');
+        }
+        if (result.invalid) {
+            return res.status(422).json({ error: 'Validation failed', errors: [result.invalid] });
+        }
+        kickOutbox();
+        console.log(`✏️ Changes requested on invoice ${id}: ${reason}`);
+        res.json({
+            ...serializeInvoice(result.row, result.items),
+            access: describeLinkAccess(req.link, result.row)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Status change failed' });
+    }
+});
+
+// 8. Change Status (n8n / operators)
+// e.g. SENT once the PDF went out on WhatsApp, PAID once money arrived, CANCELLED
+app.post('/invoices/:id/status', requireApiKey('invoices:write'), validateBody(statusSchema), async (req, res) => {
+    const { status, reason } = req.body;
+    const to = normalizeStatus(status);
+    // APPROVED needs the totals check and PDF of the approve route
+    if (to === 'APPROVED') {
+        return res.status(400).json({ error: 'Use the approve link to approve an invoice' });
+    }
+    try {
+        const exists = await pool.query(
+            'SELECT 1 FROM client_smd.backend WHERE id = $1 AND tenant_id = $2',
+            [req.params.id, req.tenant.id]
+        );
+        if (exists.rows.length === 0) {
+            return res.status(404).json({ error: 'Invoice not found' });
+        }
+        const row = await withTransaction(async (client) => {
+            await ensureBaseRevision(client, req.params.id);
+            const moved = await transitionInvoice(client, req.params.id, to, reason || null);
+            if (moved) {
+                await recordRevision(client, moved.id, to.toLowerCase(), describeActor(req, 'service'));
+                await publishEvent(client, STATUS_EVENTS[to], moved.id, invoiceEventPayload(moved, { reason: reason || null }));
+            }
+            return moved;
+        });
+        if (!row) {
+            return sendTransitionConflict(res, req.params.id, to);
+        }
+        kickOutbox();
+        console.log(`🔁 Invoice ${row.id} moved to ${to}`);
+        res.json(serializeInvoice(row, await loadLineItems(pool, row.id)));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Status change failed' });
+    }
+});
+
+// 9. Webhook Outbox (cron / operators)
+// Vercel Cron calls with GET, manual triggers usually POST
+const handleDrain = async (req, res) => {
+    try {
+        const summary = await drainOutbox({ batchSize: Number(req.query.limit) || 10 });
+        await pruneRateLimits();
+        res.json({ delivered: summary.SENT, failed: summary.FAILED, dead: summary.DEAD });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Drain failed' });
+    }
+};
+app.get('/webhooks/drain', requireCronOrServiceKey, handleDrain);
+app.post('/webhooks/drain', requireCronOrServiceKey, handleDrain);
+
+// Put a DEAD (or stuck) delivery back in the queue
+app.post('/webhooks/outbox/:outboxId/retry', requireApiKey('webhooks:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            UPDATE client_smd.webhook_outbox SET
+                status = 'PENDING', attempts = 0, next_attempt_at = now(), locked_until = NULL
+            WHERE id = $1 AND status <> 'SENT'
+              AND invoice_id IN (SELECT id FROM client_smd.backend WHERE tenant_id = $2)
+            RETURNING id, event, invoice_id, status
+        `, [req.params.outboxId, req.tenant.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'No undelivered webhook with that id' });
+        }
+        res.json(result.rows[0]);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Retry failed' });
+    }
+});
+
+// 10. Webhook Subscriptions (n8n / operators)
+// The secret is only shown when a subscription is created or its secret rotated
+const serializeSubscription = (row, { withSecret = false } = {}) => {
+    const { secret, ...rest } = row;
+    return withSecret ? { ...rest, secret } : rest;
+};
+
+// Helper: Check url / events of a create or update payload; returns an error message or null
+const validateSubscription = (data, partial) => {
+    if (!partial || data.url !== undefined) {
+        try {
+            const url = new URL(String(data.url || ''));
+            if (!['http:', 'https:'].includes(url.protocol)) return 'url must be http(s)';
+        } catch (e) {
+            return 'url must be a valid URL';
+        }
+    }
+    if (!partial || data.events !== undefined) {
+        if (!Array.isArray(data.events) || data.events.length === 0) return 'events must be a non-empty array';
+        const unknown = data.events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+        if (unknown.length > 0) return `Unknown events: ${unknown.join(', ')} (allowed: ${WEBHOOK_EVENTS.join(', ')})`;
+    }
+    return null;
+};
+
+const newWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+app.get('/webhooks/subscriptions', requireApiKey('webhooks:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM client_smd.webhook_subscriptions WHERE tenant_id = $1 ORDER BY created_at',
+            [req.tenant.id]
+        );
+        res.json(result.rows.map((row) => serializeSubscription(row)));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+app.post('/webhooks/subscriptions', requireApiKey('webhooks:manage'), async (req, res) => {
+    const data = req.body || {};
+    const invalid = validateSubscription(data, false);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    try {
+        const result = await pool.query(`
+            INSERT INTO client_smd.webhook_subscriptions (url, secret, events, enabled, description, tenant_id)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [data.url, data.secret || newWebhookSecret(), data.events, data.enabled !== false, data.description || '', req.tenant.id]);
+        res.status(201).json(serializeSubscription(result.rows[0], { withSecret: true }));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Creation failed' });
+    }
+});
+
+app.get('/webhooks/subscriptions/:id', requireApiKey('webhooks:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM client_smd.webhook_subscriptions WHERE id = $1 AND tenant_id = $2',
+            [req.params.id, req.tenant.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+        res.json(serializeSubscription(result.rows[0]));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Partial update; { rotate_secret: true } issues a new secret
+app.patch('/webhooks/subscriptions/:id', requireApiKey('webhooks:manage'), async (req, res) => {
+    const data = req.body || {};
+    const invalid = validateSubscription(data, true);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    const secret = data.rotate_secret ? newWebhookSecret() : null;
+    try {
+        const result = await pool.query(`
+            UPDATE client_smd.webhook_subscriptions SET
+                url = COALESCE($2, url),
+                events = COALESCE($3, events),
+                enabled = COALESCE($4, enabled),
+                description = COALESCE($5, description),
+                secret = COALESCE($6, secret),
+                updated_at = now()
+            WHERE id = $1 AND tenant_id = $7
+            RETURNING *
+        `, [
+            req.params.id,
+            data.url ?? null,
+            data.events ?? null,
+            typeof data.enabled === 'boolean' ? data.enabled : null,
+            data.description ?? null,
+            secret,
+            req.tenant.id
+        ]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+        res.json(serializeSubscription(result.rows[0], { withSecret: Boolean(secret) }));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+app.delete('/webhooks/subscriptions/:id', requireApiKey('webhooks:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM client_smd.webhook_subscriptions WHERE id = $1 AND tenant_id = $2',
+            [req.params.id, req.tenant.id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+        res.status(204).end();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Delete failed' });
+    }
+});
+
+// 11. Business Profiles / PDF Templates (n8n / operators)
+// Profiles carry a logo data URL, so listings leave it out
+app.get('/profiles', requireApiKey('profiles:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT id, name, gstin, is_default, columns, logo IS NOT NULL AS has_logo, created_at, updated_at
+            FROM client_smd.business_profiles
+            WHERE tenant_id = $1
+            ORDER BY is_default DESC, name
+        `, [req.tenant.id]);
+        res.json(result.rows);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Helper: Insert / update a profile from the provided PROFILE_FIELDS; only one per tenant can be the default
+const saveProfile = (tenantId, id, data) => withTransaction(async (client) => {
+    const fields = PROFILE_FIELDS.filter((f) => data[f] !== undefined);
+    if (data.is_default) {
+        await client.query(`
+            UPDATE client_smd.business_profiles SET is_default = false
+            WHERE tenant_id = $2 AND is_default AND id IS DISTINCT FROM $1
+        `, [id, tenantId]);
+    }
+    const values = fields.map((f) => (f === 'colors' || f === 'bank_details' ? JSON.stringify(data[f]) : data[f]));
+    if (!id) {
+        const result = await client.query(`
+            INSERT INTO client_smd.business_profiles (tenant_id, ${fields.join(', ')})
+            VALUES ($1, ${fields.map((f, i) => `$${i + 2}`).join(', ')})
+            RETURNING *
+        `, [tenantId, ...values]);
+        return result.rows[0];
+    }
+    const result = await client.query(`
+        UPDATE client_smd.business_profiles SET
+            ${fields.map((f, i) => `${f} = $${i + 3}`).concat('updated_at = now()').join(', ')}
+        WHERE id = $1 AND tenant_id = $2
+        RETURNING *
+    `, [id, tenantId, ...values]);
+    return result.rows[0] || null;
+});
+
+app.post('/profiles', requireApiKey('profiles:manage'), async (req, res) => {
+    const data = req.body || {};
+    const invalid = validateProfile(data, false);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    try {
+        res.status(201).json(await saveProfile(req.tenant.id, null, data));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Creation failed' });
+    }
+});
+
+app.get('/profiles/:id', requireApiKey('profiles:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM client_smd.business_profiles WHERE id = $1 AND tenant_id = $2',
+            [req.params.id, req.tenant.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+        res.json(result.rows[0]);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Partial update; send null to clear the logo
+app.patch('/profiles/:id', requireApiKey('profiles:manage'), async (req, res) => {
+    const data = req.body || {};
+    const invalid = validateProfile(data, true);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    try {
+        const row = await saveProfile(req.tenant.id, req.params.id, data);
+        if (!row) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+        res.json(row);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Update failed' });
+    }
+});
+
+// Invoices of a deleted profile fall back to the default profile
+app.delete('/profiles/:id', requireApiKey('profiles:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM client_smd.business_profiles WHERE id = $1 AND tenant_id = $2',
+            [req.params.id, req.tenant.id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+        res.status(204).end();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Delete failed' });
+    }
+});
+
+// Sample invoice rendered with the profile, for checking a template before using it
+app.get('/profiles/:id/preview', requireApiKey('profiles:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM client_smd.business_profiles WHERE id = $1 AND tenant_id = $2',
+            [req.params.id, req.tenant.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+        const sample = {
+            invoice_number: 'SAMPLE-001',
+            invoice_date: new Date(),
+            dealer: 'Sample Dealer',
+            phonenumber: '919800000000',
+            gstin: req.tenant.seller_gstin || SELLER_GSTIN,
+            seller_state_code: tenantSellerState(req.tenant),
+            status: 'DRAFT'
+        };
+        const items = Array.from({ length: Math.min(Number(req.query.lines) || 5, 200) }, (_, i) => ({
+            productname: `Product ${i + 1}`,
+            description: 'Sample line',
+            quantity: i + 1,
+            units: 'pcs',
+            rate: 100 * (i + 1),
+            gst_rate: null
+        }));
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', 'inline; filename="profile_preview.pdf"');
+        res.send(renderInvoicePdf(sample, items, result.rows[0]));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'PDF rendering failed' });
     }
-} catch (err) {
-    console.warn("Could not create PDF directory (expected on Vercel if read-only):", err.message);
-}
-
-const pool = new Pool({
-  host: process.env.PGHOST,
-  port: process.env.PGPORT,
-  database: process.env.PGDATABASE,
-  user: process.env.PGUSER,
-  password: process.env.PGPASSWORD,
-  ssl: process.env.PGSSL === 'true' ? { rejectUnauthorized: false } : false
 });
 
-// Helper: Convert CSV string to Array (for Frontend)
-// Handles null/undefined -> []
-const csvToArray = (str) => {
-    if (!str) return [];
-    return String(str).split(',');
-};
-
-// Helper: Convert Array to CSV string (for DB)
-// Handles array -> join(',')
-// Handles string -> as is
-const arrayToCsv = (val) => {
-    if (Array.isArray(val)) return val.join(',');
-    if (!val) return "";
-    // If it's already a JSON string array (from App.js legacy logic), parse then join?
-    // App.js sends JSON.stringify([...]).
-    // So if val is '[ "a", "b" ]', we need to parse it first.
+// 12. Tenants
+// Branding for the React app: the tenant of ?token= (invoice link), else of the host the
+// app runs on. That is ?host= or the browser's Origin, not the host of this request,
+// which is the API's own and may be shared by every tenant; only a host listed in a
+// tenant's hosts picks that tenant, anything else gets the default one.
+const brandingHost = (req) => {
+    if (typeof req.query.host === 'string' && req.query.host) return req.query.host;
     try {
-        const parsed = JSON.parse(val);
-        if (Array.isArray(parsed)) return parsed.join(',');
+        return new URL(req.get('origin')).host;
     } catch (e) {
-        // Not JSON, return as string
+        return undefined; // Same-origin request (no Origin): the API's host is the app's
     }
-    return String(val);
 };
 
-// Initialize Table
-pool.connect(async (err, client, release) => {
-    if (err) return console.error('Error acquiring client', err.stack);
-    console.log('Connected to Postgres');
+app.get('/tenant', rateLimitByIp('tenant'), async (req, res) => {
+    try {
+        let tenant = null;
+        const claims = verifyInvoiceToken(req.query.token);
+        if (claims) {
+            const result = await pool.query('SELECT tenant_id FROM client_smd.backend WHERE id = $1', [claims.i]);
+            if (result.rows[0]) tenant = await loadTenant(result.rows[0].tenant_id);
+        }
+        if (!tenant) tenant = await tenantForHost(req, brandingHost(req));
+        res.json(await tenantBranding(tenant));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
 
-    // We are using the existing table 'client_smd.backend' provided by the user.
-    // No need to create table.
-    
-    // Just verify connection is good
+// Helper: Check a tenant create / patch payload; returns an error message or null
+const validateTenant = (data, partial) => {
+    if (!partial || data.slug !== undefined) {
+        if (!/^[a-z0-9-]{2,40}$/.test(String(data.slug || ''))) return 'slug must be 2-40 lowercase letters, digits or dashes';
+    }
+    if (!partial && !String(data.name || '').trim()) return 'name is required';
+    if (data.hosts !== undefined && (!Array.isArray(data.hosts) || data.hosts.some((h) => typeof h !== 'string'))) {
+        return 'hosts must be an array of host names';
+    }
+    return null;
+};
+
+app.get('/tenants', requirePlatformKey, async (req, res) => {
     try {
-        await client.query('SELECT 1');
-        console.log("Verified connection to DB.");
-    } catch (e) {
-        console.error("Error verifying connection:", e);
-    } finally {
-        release();
+        const result = await pool.query('SELECT * FROM client_smd.tenants ORDER BY created_at');
+        res.json(result.rows.map(serializeTenant));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
     }
 });
 
-// --- Webhook System ---
-const WEBHOOK_URL = process.env.WEBHOOK_URL;
+// The tenant's API key is only shown here and when rotated
+app.post('/tenants', requirePlatformKey, async (req, res) => {
+    const data = req.body || {};
+    const invalid = validateTenant(data, false);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    const apiKey = newTenantApiKey();
+    try {
+        const result = await pool.query(`
+            INSERT INTO client_smd.tenants (slug, name, hosts, seller_gstin, api_key_hash)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [data.slug, data.name, (data.hosts || []).map((h) => h.toLowerCase()), (data.seller_gstin || '').toUpperCase(), hashApiKey(apiKey)]);
+        res.status(201).json({ ...serializeTenant(result.rows[0]), api_key: apiKey });
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'A tenant with that slug already exists' });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'Creation failed' });
+    }
+});
 
-const sendWebhook = async (invoice) => {
-    if (!WEBHOOK_URL) {
-        // Only log once or if explicitly needed, to avoid spamming logs if not configured
-        return false;
+app.patch('/tenants/:id', requirePlatformKey, async (req, res) => {
+    const data = req.body || {};
+    const invalid = validateTenant(data, true);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    try {
+        const result = await pool.query(`
+            UPDATE client_smd.tenants SET
+                slug = COALESCE($2, slug),
+                name = COALESCE($3, name),
+                hosts = COALESCE($4, hosts),
+                seller_gstin = COALESCE($5, seller_gstin),
+                updated_at = now()
+            WHERE id = $1
+            RETURNING *
+        `, [
+            req.params.id,
+            data.slug ?? null,
+            data.name ?? null,
+            data.hosts ? data.hosts.map((h) => h.toLowerCase()) : null,
+            data.seller_gstin !== undefined ? String(data.seller_gstin).toUpperCase() : null
+        ]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenant not found' });
+        }
+        res.json(serializeTenant(result.rows[0]));
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'A tenant with that slug already exists' });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'Update failed' });
     }
+});
 
+// Issue a new API key; the old one stops working immediately
+app.post('/tenants/:id/api-key', requirePlatformKey, async (req, res) => {
+    const apiKey = newTenantApiKey();
     try {
-        // Read PDF file to send as Base64 (Robustness for Localhost -> Cloud)
-        let pdfBase64 = null;
-        if (invoice.pdf_url) {
-            try {
-                const filename = invoice.pdf_url.split('/').pop();
-                const filePath = path.join(pdfDir, filename);
-                if (fs.existsSync(filePath)) {
-                    pdfBase64 = fs.readFileSync(filePath, { encoding: 'base64' });
-                }
-            } catch (fileErr) {
-                console.warn(`⚠️ Could not read PDF file for invoice ${invoice.id}:`, fileErr.message);
-            }
+        const result = await pool.query(`
+            UPDATE client_smd.tenants SET api_key_hash = $2, updated_at = now()
+            WHERE id = $1
+            RETURNING *
+        `, [req.params.id, hashApiKey(apiKey)]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Tenant not found' });
         }
+        res.json({ ...serializeTenant(result.rows[0]), api_key: apiKey });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Rotation failed' });
+    }
+});
 
-        console.log(`🚀 Sending webhook for invoice ${invoice.id}...`);
-        await axios.post(WEBHOOK_URL, {
-            event: 'invoice_approved',
-            invoice_id: invoice.id,
-            phone: invoice.phonenumber,
-            pdf_url: invoice.pdf_url,
-            pdf_base64: pdfBase64, // Allows n8n to use file content directly
-            total: invoice.total,
-            dealer: invoice.dealer,
-            timestamp: new Date().toISOString()
-        });
+// 13. API Keys (per tenant, scoped)
+const API_KEY_COLUMNS = 'id, name, key_prefix, scopes, expires_at, last_used_at, revoked_at, created_at';
 
-        await pool.query(
-            `UPDATE client_smd.backend SET webhook_status = 'SENT' WHERE id = $1`,
-            [invoice.id]
+app.get('/api-keys', requireApiKey('keys:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT ${API_KEY_COLUMNS} FROM client_smd.api_keys WHERE tenant_id = $1 ORDER BY created_at`,
+            [req.tenant.id]
         );
-        console.log(`✅ Webhook sent successfully for ${invoice.id}`);
-        return true;
+        res.json(result.rows);
     } catch (err) {
-        console.error(`❌ Webhook failed for ${invoice.id}:`, err.message);
-        await pool.query(
-            `UPDATE client_smd.backend SET webhook_status = 'FAILED', webhook_attempts = COALESCE(webhook_attempts, 0) + 1 WHERE id = $1`,
-            [invoice.id]
-        );
-        return false;
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
     }
-};
+});
+
+// The calling key's own scopes, whatever they are (the dashboard hides what it can't do)
+app.get('/api-keys/current', requireApiKey(null), (req, res) => {
+    res.json({ scopes: req.apiKey.scopes, platform: req.platform, tenant: req.tenant.slug });
+});
 
-// Retry Job: Runs every 60 seconds
-// Retries invoices that are APPROVED but webhook failed or is pending
-setInterval(async () => {
+// The key itself is only returned here
+app.post('/api-keys', requireApiKey('keys:manage'), async (req, res) => {
+    const { name, scopes, expires_at } = req.body || {};
+    if (!String(name || '').trim()) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((s) => !API_SCOPES.includes(s))) {
+        return res.status(400).json({ error: `scopes must be a non-empty array of: ${API_SCOPES.join(', ')}` });
+    }
+    // A key can't hand out more than it has
+    const missing = scopes.filter((s) => !req.apiKey.scopes.includes(s));
+    if (missing.length > 0) {
+        return res.status(403).json({ error: `Can't grant scopes this key doesn't have: ${missing.join(', ')}` });
+    }
+    if (expires_at && Number.isNaN(Date.parse(expires_at))) {
+        return res.status(400).json({ error: 'expires_at must be a date' });
+    }
+    const apiKey = newApiKey();
     try {
-        if (!WEBHOOK_URL) return;
+        const result = await pool.query(`
+            INSERT INTO client_smd.api_keys (tenant_id, name, key_prefix, key_hash, scopes, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING ${API_KEY_COLUMNS}
+        `, [req.tenant.id, name.trim(), apiKey.slice(0, 10), hashApiKey(apiKey), scopes, expires_at || null]);
+        res.status(201).json({ ...result.rows[0], api_key: apiKey });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Creation failed' });
+    }
+});
 
+// Revoked keys stay listed for the audit trail
+app.delete('/api-keys/:id', requireApiKey('keys:manage'), async (req, res) => {
+    try {
         const result = await pool.query(`
-            SELECT * FROM client_smd.backend 
-            WHERE status = 'APPROVED' 
-            AND (webhook_status = 'FAILED' OR webhook_status = 'PENDING')
-            AND (webhook_attempts IS NULL OR webhook_attempts < 10)
-            LIMIT 10
-        `);
-
-        if (result.rows.length > 0) {
-            console.log(`🔄 Retrying webhooks for ${result.rows.length} invoices...`);
-            for (const invoice of result.rows) {
-                await sendWebhook(invoice);
-            }
+            UPDATE client_smd.api_keys SET revoked_at = now()
+            WHERE id = $1 AND tenant_id = $2 AND revoked_at IS NULL
+        `, [req.params.id, req.tenant.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'API key not found' });
         }
-    } catch (e) {
-        console.error('Webhook retry job error:', e);
+        res.status(204).end();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Revocation failed' });
     }
-}, 60 * 1000); 
+});
 
-// Routes
+// 14. Invoice Dashboard (operators)
+// e.g. GET /invoices?status=CREATED,DRAFT&dealer=acme&date_from=2025-05-01&q=cement&sort=-total&page=2
+app.get('/invoices', requireApiKey('invoices:read'), async (req, res) => {
+    const { data: filters, errors } = validatePayload(invoiceListSchema, req.query);
+    if (errors.length > 0) {
+        return res.status(422).json({ error: 'Validation failed', errors });
+    }
+    const page = filters.page || 1;
+    const perPage = filters.per_page || 25;
+    const sort = filters.sort || '-created_at';
+    const direction = sort.startsWith('-') ? 'DESC' : 'ASC';
+    const { where, params } = invoiceFilterSql(req.tenant.id, filters);
 
-// 1. Create Invoice (Webhook/n8n)
-app.post('/invoices', async (req, res) => {
-    const data = req.body;
-    
-    // Generate UUID if not provided
-    const id = data.id || data.uuid || crypto.randomUUID();
-    
-    // Basic validation
-    if (!data.phonenumber) {
-        return res.status(400).json({ error: 'phonenumber is required' });
+    try {
+        const result = await pool.query(`
+            SELECT b.*, count(*) OVER () AS total_count,
+                ARRAY(
+                    SELECT l.productname FROM client_smd.invoice_lines l
+                    WHERE l.invoice_id = b.id ORDER BY l.position
+                ) AS products,
+                (SELECT count(*) FROM client_smd.invoice_comments c WHERE c.invoice_id = b.id) AS comment_count
+            FROM client_smd.backend b
+            WHERE ${where}
+            ORDER BY ${INVOICE_SORTS[sort.replace(/^-/, '')]} ${direction} NULLS LAST, b.id ${direction}
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, perPage, (page - 1) * perPage]);
+        const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0;
+        res.json({
+            data: result.rows.map(serializeInvoiceSummary),
+            page,
+            per_page: perPage,
+            total,
+            total_pages: Math.ceil(total / perPage)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
     }
+});
 
-    // Convert Arrays to CSV Strings
-    const productname = arrayToCsv(data.productname);
-    const description = arrayToCsv(data.description);
-    const quantity = arrayToCsv(data.quantity);
-    const units = arrayToCsv(data.units);
-    const rate = arrayToCsv(data.rate);
+// One invoice of a bulk approve / resend_webhook; returns its entry in `results`
+const runBulkAction = async (req, action, invoice) => {
+    const { id } = invoice;
+    if (action === 'approve') {
+        // Operators approve the invoice as stored; no total to confirm
+        if (!canTransition(invoice.status, 'APPROVED')) {
+            return { id, status: 'conflict', error: `Invoice is ${normalizeStatus(invoice.status)}` };
+        }
+        const items = await loadLineItems(pool, id);
+        const { lines, totals } = computeInvoiceTotals(items, invoice.gstin, tenantSellerState(req.tenant));
+        const row = await approveInvoice(req, invoice, lines, totals);
+        return row ? { id, status: 'approved' } : { id, status: 'conflict', error: 'Invoice can no longer be approved' };
+    }
+    if (!invoice.pdf_url && normalizeStatus(invoice.status) === 'APPROVED') {
+        // Approved, but the PDF failed afterwards (see approveInvoice): issue it now
+        const row = await issueApprovedPdf(apiBaseUrl(req), id);
+        return row ? { id, status: 'queued' } : { id, status: 'skipped', error: 'PDF already issued' };
+    }
+    const queued = await resendInvoiceWebhook(id);
+    return queued ? { id, status: 'queued' } : { id, status: 'skipped', error: 'No approval webhook to resend' };
+};
 
-    const query = `
-        INSERT INTO client_smd.backend (
-            id, phonenumber, dealer, invoice_number, invoice_date, 
-            productname, description, quantity, units, rate, 
-            amount, total, status, gstin
-        ) VALUES (
-            $1, $2, $3, $4, $5, 
-            $6, $7, $8, $9, $10, 
-            $11, $12, $13, $14
-        ) RETURNING *
-    `;
+// Bulk actions on selected invoices: { action: 'approve' | 'resend_webhook' | 'export', ids: [...] }
+// approve / resend_webhook answer with one result per id, export with the CSV of
+// GET /exports/invoices (one row per line item) for the selected invoices
+app.post('/invoices/bulk', requireApiKey(null), validateBody(bulkActionSchema), async (req, res) => {
+    const { action, ids } = req.body;
+    const scope = BULK_ACTIONS[action];
+    if (!req.apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+    }
 
-    const values = [
-        id,
-        data.phonenumber,
-        data.Dealer || data.dealer || '',
-        data.invoice_number || '',
-        data.invoice_date || '',
-        productname,
-        description,
-        quantity,
-        units,
-        rate,
-        data.amount || 0,
-        data.total || 0,
-        data.status || 'created',
-        data.gstin || ''
-    ];
+    if (action === 'export') {
+        const fileName = `invoices-${new Date().toISOString().slice(0, 10)}`;
+        return sendInvoiceExport(res, 'csv', fileName, 'b.id = ANY($1) AND b.tenant_id = $2', [ids, req.tenant.id]);
+    }
 
     try {
-        const result = await pool.query(query, values);
-        const row = result.rows[0];
-        
-        // Return structured data with absolute link for n8n convenience
-        const protocol = req.headers['x-forwarded-proto'] || req.protocol;
-        const host = req.headers['x-forwarded-host'] || req.get('host');
-        // Note: Frontend URL might be different from Backend URL. 
-        // Assuming Frontend is on port 3000 for now, or user can configure.
-        // But here we return the identifiers so n8n can construct the link.
-        
-        const responseData = {
-            ...row,
-            uuid: row.id,
-            link: `${protocol}://${host.replace('5000', '3000')}/${row.id}/${row.phonenumber}`
-        };
-        
-        res.status(201).json(responseData);
+        const found = await pool.query(
+            'SELECT * FROM client_smd.backend WHERE id = ANY($1) AND tenant_id = $2 ORDER BY created_at',
+            [ids, req.tenant.id]
+        );
+        const byId = new Map(found.rows.map((row) => [row.id, row]));
+        const results = [];
+        for (const id of new Set(ids)) {
+            const invoice = byId.get(id);
+            if (!invoice) {
+                results.push({ id, status: 'not_found' });
+                continue;
+            }
+            // Each invoice stands alone: one failing is reported with the rest, which
+            // stay done, rather than turning the whole batch into a 500
+            try {
+                results.push(await runBulkAction(req, action, invoice));
+            } catch (err) {
+                console.error(`❌ Bulk ${action} failed for invoice ${id}:`, err);
+                results.push(isInvoiceNumberTaken(err)
+                    ? { id, status: 'conflict', error: 'The next invoice number of this series is already taken' }
+                    : { id, status: 'failed', error: 'Database error' });
+            }
+        }
+        kickOutbox();
+        console.log(`🧰 Bulk ${action} on ${ids.length} invoices`);
+        res.json({ action, results });
     } catch (err) {
         console.error(err);
-        res.status(500).json({ error: 'Creation failed' });
+        res.status(500).json({ error: 'Bulk action failed' });
+    }
+});
+
+// 15. Accounting Export (operators / accountants)
+// e.g. GET /exports/invoices?format=tally&date_from=2025-04-01&date_to=2026-03-31
+// Takes the dashboard filters (GET /invoices); status defaults to APPROVED,SENT,PAID.
+app.get('/exports/invoices', requireApiKey('invoices:read'), async (req, res) => {
+    const { data: filters, errors } = validatePayload(exportQuerySchema, req.query);
+    if (errors.length > 0) {
+        return res.status(422).json({ error: 'Validation failed', errors });
     }
+    const { where, params } = invoiceFilterSql(req.tenant.id, { ...filters, status: filters.status || EXPORT_DEFAULT_STATUSES });
+    const fileName = `invoices-${filters.date_from || 'all'}-to-${filters.date_to || new Date().toISOString().slice(0, 10)}`;
+    await sendInvoiceExport(res, filters.format, fileName, where, params);
 });
 
-// 2. Get Pending Invoices
-// Returns pending invoices for a specific phone number (Privacy: One person cannot see others)
-app.get('/invoices/pending', async (req, res) => {
-    const { phone } = req.query;
-    if (!phone) {
-        // If no phone provided, return empty list to protect privacy
-        return res.json([]);
+// 16. Reports (operators)
+// e.g. GET /reports/sales?group_by=month&date_from=2025-04-01&date_to=2026-03-31
+// Takes the dashboard filters (GET /invoices); status defaults to APPROVED,SENT,PAID.
+app.get('/reports/sales', requireApiKey('invoices:read'), async (req, res) => {
+    const { data: filters, errors } = validatePayload(salesReportSchema, req.query);
+    if (errors.length > 0) {
+        return res.status(422).json({ error: 'Validation failed', errors });
     }
+    const range = reportRange(filters);
+    const status = filters.status || EXPORT_DEFAULT_STATUSES;
+    const { where, params } = invoiceFilterSql(req.tenant.id, { ...filters, ...range, status });
+    // Periods come back in full, rankings are cut to the top N
+    const limit = REPORT_PERIODS.includes(filters.group_by) ? REPORT_ROWS_MAX : filters.limit || 20;
+
     try {
-        const result = await pool.query(`
-            SELECT id as uuid, phonenumber, dealer as "Dealer" 
-            FROM client_smd.backend 
-            WHERE (status != 'APPROVED' OR status IS NULL) AND phonenumber = $1
-            ORDER BY created_at DESC
-        `, [phone]);
-        res.json(result.rows);
+        const result = await pool.query(salesReportSql(filters.group_by, where), params);
+        const rows = result.rows.map(serializeSalesRow);
+        const totals = { invoices: 0, subtotal: 0, tax: 0, total: 0 };
+        if (filters.group_by === 'product' || filters.group_by === 'unit') {
+            // An invoice with several products shows up in several rows
+            const count = await pool.query(`SELECT count(*) FROM client_smd.backend b WHERE ${where}`, params);
+            totals.invoices = Number(count.rows[0].count);
+        }
+        for (const row of rows) {
+            if (filters.group_by !== 'product' && filters.group_by !== 'unit') totals.invoices += row.invoices;
+            for (const f of ['subtotal', 'tax', 'total']) totals[f] = toRupees(toPaise(totals[f]) + toPaise(row[f]));
+        }
+        res.json({
+            group_by: filters.group_by,
+            ...range,
+            status,
+            rows: rows.slice(0, limit),
+            truncated: rows.length > limit,
+            totals
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// e.g. GET /reports/funnel?interval=week&date_from=2025-04-01 (by the day invoices were received)
+app.get('/reports/funnel', requireApiKey('invoices:read'), async (req, res) => {
+    const { data: filters, errors } = validatePayload(funnelReportSchema, req.query);
+    if (errors.length > 0) {
+        return res.status(422).json({ error: 'Validation failed', errors });
+    }
+    const range = reportRange(filters);
+
+    try {
+        const result = await pool.query(FUNNEL_SQL, [
+            req.tenant.id, REPORT_TIMEZONE, range.date_from, range.date_to, filters.interval
+        ]);
+        const summary = result.rows.find((row) => row.period === null);
+        res.json({
+            interval: filters.interval,
+            ...range,
+            timezone: REPORT_TIMEZONE,
+            summary: serializeFunnelRow(summary),
+            series: result.rows
+                .filter((row) => row.period !== null)
+                .map((row) => ({ period: row.period, ...serializeFunnelRow(row) }))
+        });
     } catch (err) {
         console.error(err);
         res.status(500).json({ error: 'Database error' });
     }
 });
 
-// 2. Get Invoice by ID and Phone
-app.get('/invoices/:id/:phone', async (req, res) => {
-    const { id, phone } = req.params;
+// 17. Invoice Numbering (operators)
+// Series live with the business setup, hence the profiles:manage scope
+app.get('/invoice-series', requireApiKey('profiles:manage'), async (req, res) => {
     try {
         const result = await pool.query(
-            'SELECT * FROM client_smd.backend WHERE id = $1 AND phonenumber = $2', 
-            [id, phone]
+            'SELECT * FROM client_smd.invoice_series WHERE tenant_id = $1 ORDER BY code',
+            [req.tenant.id]
         );
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Invoice not found' });
-        }
-        
-        const row = result.rows[0];
-        
-        // Transform for Frontend (Arrays)
-        // Frontend expects: productname: ["A", "B"] (or JSON string of array if legacy)
-        // App.js uses safeParse which handles JSON string or Array.
-        // Let's send Array.
-        const responseData = {
-            ...row,
-            uuid: row.id, // For compatibility
-            Dealer: row.dealer, // For compatibility
-            productname: csvToArray(row.productname),
-            description: csvToArray(row.description),
-            quantity: csvToArray(row.quantity),
-            units: csvToArray(row.units),
-            rate: csvToArray(row.rate)
-        };
-        
-        res.json(responseData);
+        const series = result.rows.some((row) => row.code === DEFAULT_SERIES)
+            ? result.rows
+            : [{ code: DEFAULT_SERIES, ...DEFAULT_SERIES_CONFIG }, ...result.rows];
+        res.json(await Promise.all(series.map((row) => serializeInvoiceSeries(pool, req.tenant.id, row))));
     } catch (err) {
         console.error(err);
         res.status(500).json({ error: 'Database error' });
     }
 });
 
-// 3. Update Invoice
-app.put('/invoices/:id/:phone', async (req, res) => {
-    const { id, phone } = req.params;
-    const data = req.body;
-
-    console.log(`[PUT] Update request for ID: ${id}, Phone: ${phone}`);
-    console.log(`[PUT] Payload:`, JSON.stringify(data, null, 2));
-
-    // Convert Arrays to CSV Strings
-    const productname = arrayToCsv(data.productname);
-    const description = arrayToCsv(data.description);
-    const quantity = arrayToCsv(data.quantity);
-    const units = arrayToCsv(data.units);
-    const rate = arrayToCsv(data.rate);
-
-    const query = `
-        UPDATE client_smd.backend SET
-            invoice_number = $1,
-            dealer = $2,
-            invoice_date = $3,
-            productname = $4,
-            description = $5,
-            quantity = $6,
-            units = $7,
-            rate = $8,
-            amount = $9,
-            total = $10,
-            status = $11,
-            gstin = $12,
-            phonenumber = $15
-        WHERE id = $13 AND phonenumber = $14
-        RETURNING *
-    `;
-    
-    const values = [
-        data.invoice_number,
-        data.Dealer || data.dealer, // Handle both casing
-        data.invoice_date,
-        productname,
-        description,
-        quantity,
-        units,
-        rate,
-        data.amount,
-        data.total,
-        data.status,
-        data.gstin || "",
-        id,
-        phone,
-        data.phonenumber || phone
-    ];
+// Creates or changes a series; fields left out keep their current (or default) value.
+// Numbers already issued stay as they are, the counter carries on (also into the new
+// period when the reset mode changes).
+app.put('/invoice-series/:code', requireApiKey('profiles:manage'), validateBody(invoiceSeriesSchema), async (req, res) => {
+    const { code } = req.params;
+    if (!SERIES_CODE_PATTERN.test(code)) {
+        return res.status(422).json({ error: 'Validation failed', errors: [{ field: 'code', message: SERIES_CODE_MESSAGE }] });
+    }
 
     try {
-        const result = await pool.query(query, values);
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Invoice not found' });
+        const current = await loadInvoiceSeries(pool, req.tenant.id, code);
+        const series = { ...DEFAULT_SERIES_CONFIG, ...current, code };
+        for (const f of ['prefix', 'format', 'padding', 'reset']) {
+            if (req.body[f] !== undefined) series[f] = req.body[f];
         }
-        
-        const row = result.rows[0];
-        const responseData = {
-            ...row,
-            uuid: row.id,
-            Dealer: row.dealer,
-            productname: csvToArray(row.productname),
-            description: csvToArray(row.description),
-            quantity: csvToArray(row.quantity),
-            units: csvToArray(row.units),
-            rate: csvToArray(row.rate)
-        };
+        const errors = invoiceSeriesErrors(series);
+        const others = await pool.query(
+            'SELECT * FROM client_smd.invoice_series WHERE tenant_id = $1 AND code <> $2',
+            [req.tenant.id, code]
+        );
+        const existing = code === DEFAULT_SERIES || others.rows.some((row) => row.code === DEFAULT_SERIES)
+            ? others.rows
+            : [{ code: DEFAULT_SERIES, ...DEFAULT_SERIES_CONFIG }, ...others.rows];
+        const clash = existing.find((other) => seriesNumberPattern(other) === seriesNumberPattern(series));
+        if (clash) {
+            errors.push({ field: 'format', message: `gives the same numbers as series "${clash.code}"` });
+        }
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Validation failed', errors });
+        }
+        const fy = financialYear(localToday());
+        const result = await withTransaction(async (client) => {
+            const saved = await client.query(`
+                INSERT INTO client_smd.invoice_series (tenant_id, code, prefix, format, padding, reset)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                ON CONFLICT (tenant_id, code) DO UPDATE SET
+                    prefix = EXCLUDED.prefix,
+                    format = EXCLUDED.format,
+                    padding = EXCLUDED.padding,
+                    reset = EXCLUDED.reset,
+                    updated_at = now()
+                RETURNING *
+            `, [req.tenant.id, code, series.prefix, series.format, series.padding, series.reset]);
+            // e.g. never -> financial_year: this year's counter starts where the old one is,
+            // not at 1 again
+            if (current && current.reset !== series.reset) {
+                await client.query(`
+                    INSERT INTO client_smd.invoice_number_counters (tenant_id, series, period, last_value)
+                    SELECT tenant_id, series, $4, last_value FROM client_smd.invoice_number_counters
+                    WHERE tenant_id = $1 AND series = $2 AND period = $3
+                    ON CONFLICT (tenant_id, series, period) DO UPDATE SET
+                        last_value = GREATEST(client_smd.invoice_number_counters.last_value, EXCLUDED.last_value)
+                `, [req.tenant.id, code, seriesPeriod(current, fy), seriesPeriod(series, fy)]);
+            }
+            return saved;
+        });
+        // The built-in default has no row (and no created_at) until it is first saved
+        const created = !current?.created_at;
+        console.log(`🔢 Invoice series ${code} ${created ? 'created' : 'updated'}: ${series.format}`);
+        res.status(created ? 201 : 200).json(await serializeInvoiceSeries(pool, req.tenant.id, result.rows[0]));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Saving the series failed' });
+    }
+});
 
-        res.json(responseData);
+// 18. Live Updates (customer)
+// Server-Sent Events for the invoice page, see Live Updates. A view link is enough.
+app.get('/invoices/:token/events', requireInvoiceLink('view'), async (req, res) => {
+    if (!LIVE_UPDATES) {
+        return res.status(204).end();
+    }
+    try {
+        await ensureLiveListener();
     } catch (err) {
         console.error(err);
-        res.status(500).json({ error: 'Update failed' });
+        return res.status(503).json({ error: 'Live updates are unavailable' });
     }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${LIVE_RETRY_MS}\n\n`);
+
+    const subscriber = {
+        res,
+        link: req.link,
+        tenantId: req.invoice.tenant_id,
+        invoiceId: req.invoice.id,
+        phone: req.invoice.phonenumber
+    };
+    subscriber.heartbeat = setInterval(() => checkLiveSubscriber(subscriber), LIVE_HEARTBEAT_MS);
+    liveSubscribers.add(subscriber);
+    req.on('close', () => {
+        clearInterval(subscriber.heartbeat);
+        liveSubscribers.delete(subscriber);
+    });
 });
 
-// 4. Approve Invoice
-app.post('/invoices/:id/:phone/approve', async (req, res) => {
-    const { id, phone } = req.params;
-    const { pdfBase64, total } = req.body;
-    
-    if (!pdfBase64) return res.status(400).json({ error: 'Missing PDF data' });
+// 19. Comments
+// Customers read the thread with any link and write with an edit link; operators use
+// the invoice id (like /invoices/:id/details) and need invoices:write to answer.
+const sendComments = async (res, invoiceId) => {
+    try {
+        res.json({ data: await loadCommentThreads(pool, invoiceId) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+};
 
+const postComment = async (req, res, invoice) => {
     try {
-        // Only try to write file if not in serverless environment (optional check)
-        // In Vercel, /tmp is the only writable place, but we don't really need to save the file
-        // if we are just generating the URL. 
-        // However, the original logic relies on serving the file via static folder.
-        // On Vercel, this won't work well for persistent storage. 
-        // Ideally, upload to S3/Blob storage.
-        // For now, we will skip file writing if in production/vercel to avoid errors, 
-        // OR write to /tmp.
-        
-        let filename = `invoice_${phone}_${id}_${Date.now()}.pdf`;
-        let pdfUrl = "";
-
-        // Check if running in Vercel
-        if (process.env.VERCEL) {
-             // In Vercel, we write to /tmp (configured in pdfDir)
-             const buffer = Buffer.from(pdfBase64, 'base64');
-             const filepath = path.join(pdfDir, filename);
-             fs.writeFileSync(filepath, buffer);
-             
-             // We can't serve this file via static URL easily on Vercel serverless.
-             // We'll use a placeholder or the same URL structure hoping the user handles it,
-             // or better, warn that it's temporary.
-             // But for the webhook, the file is now on disk (in /tmp) so it can be read.
-             const protocol = req.headers['x-forwarded-proto'] || 'https'; // Vercel uses https
-             const host = req.headers['x-forwarded-host'] || req.get('host');
-             pdfUrl = `${protocol}://${host}/invoices/files/${filename}`; 
-        } else {
-             const buffer = Buffer.from(pdfBase64, 'base64');
-             const filepath = path.join(pdfDir, filename);
-             fs.writeFileSync(filepath, buffer);
-             const protocol = req.protocol;
-             const host = req.get('host');
-             pdfUrl = `${protocol}://${host}/invoices/files/${filename}`;
+        const { comment, invalid } = await addInvoiceComment(req, invoice, req.body);
+        if (invalid) {
+            return res.status(422).json({ error: 'Validation failed', errors: [invalid] });
         }
-        
-        const result = await pool.query(`
-            UPDATE client_smd.backend SET
-                status = 'APPROVED',
-                total = $1,
-                pdf_url = $2,
-                webhook_status = 'PENDING',
-                webhook_attempts = 0
-            WHERE id = $3 AND phonenumber = $4
-            RETURNING *
-        `, [total, pdfUrl, id, phone]);
-        
-        const row = result.rows[0];
+        console.log(`💬 Comment #${comment.id} on invoice ${invoice.id} (${comment.author.type})`);
+        res.status(201).json(comment);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Saving the comment failed' });
+    }
+};
 
-        // Trigger webhook immediately (async, don't block response)
-        // If it fails, the background job will pick it up
-        if (WEBHOOK_URL) {
-            sendWebhook(row).catch(e => console.error("Immediate webhook trigger error:", e));
-        } else {
-            console.log("ℹ️ No WEBHOOK_URL configured, skipping webhook.");
+// Middleware: req.invoice for operator routes, within the key's tenant
+const loadTenantInvoice = async (req, res, next) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM client_smd.backend WHERE id = $1 AND tenant_id = $2',
+            [req.params.id, req.tenant.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Invoice not found' });
         }
+        req.invoice = result.rows[0];
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+};
 
-        // Send back formatted data just in case
-        res.json({ ...row, uuid: row.id, Dealer: row.dealer });
+app.get('/invoices/:token/comments', requireInvoiceLink('view'), (req, res) => sendComments(res, req.invoice.id));
+app.post('/invoices/:token/comments', requireInvoiceLink('edit'), validateBody(commentSchema), (req, res) => postComment(req, res, req.invoice));
+app.get('/invoices/:id/details/comments', requireApiKey('invoices:read'), loadTenantInvoice, (req, res) => sendComments(res, req.invoice.id));
+app.post('/invoices/:id/details/comments', requireApiKey('invoices:write'), loadTenantInvoice, validateBody(commentSchema), (req, res) => postComment(req, res, req.invoice));
+
+// 20. Approval Evidence
+// The approval record of an invoice: operators by invoice id (everything), customers
+// with any link (see serializeApprovalForLink)
+const sendApproval = async (res, invoiceId, serialize = serializeApproval) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM client_smd.invoice_approvals WHERE invoice_id = $1 ORDER BY id DESC LIMIT 1',
+            [invoiceId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Invoice has not been approved' });
+        }
+        res.json(serialize(result.rows[0]));
     } catch (err) {
         console.error(err);
-        res.status(500).json({ error: 'Approval failed' });
+        res.status(500).json({ error: 'Database error' });
     }
-});
+};
+
+app.get('/invoices/:token/approval', requireInvoiceLink('view'), (req, res) => sendApproval(res, req.invoice.id, serializeApprovalForLink));
+app.get('/invoices/:id/details/approval', requireApiKey('invoices:read'), loadTenantInvoice, (req, res) => sendApproval(res, req.invoice.id));
 
 // Export for Vercel
 module.exports = app;
@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, tokenOf, invoicePayload } = require('./helpers');
+
+let api;
+before(async () => {
+    api = await startServer({ CORS_ORIGINS: 'https://invoices.example.com' });
+});
+after(() => api.stop());
+
+const createKey = async (scopes, extra = {}, key) => {
+    const { status, body } = await api.request('POST', '/api-keys', { key, body: { name: 'n8n', scopes, ...extra } });
+    assert.equal(status, 201);
+    return body;
+};
+
+// Fills the bucket's window so the next request is over any limit; the next minute's
+// window too, in case the clock turns over in between
+const exhaust = (bucket) => api.query(`
+    INSERT INTO client_smd.rate_limits (bucket, window_start, count)
+    SELECT $1, date_trunc('minute', now()) + offs * interval '1 minute', 1000000 FROM unnest(ARRAY[0, 1]) AS offs
+    ON CONFLICT (bucket, window_start) DO UPDATE SET count = EXCLUDED.count
+`, [bucket]);
+
+const assertRateLimited = (res) => {
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error, 'Too many requests, please slow down');
+    const retryAfter = Number(res.headers.get('retry-after'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 60, `Retry-After: ${retryAfter}`);
+    assert.equal(res.body.retry_after, retryAfter);
+};
+
+test('machine routes need a known key', async () => {
+    for (const key of [null, 'ik_not-a-real-key']) {
+        const created = await api.request('POST', '/invoices', { key, body: invoicePayload() });
+        assert.equal(created.status, 401);
+        assert.equal(created.body.error, 'Unauthorized');
+        assert.equal((await api.request('GET', '/invoices', { key })).status, 401);
+    }
+    assert.deepEqual((await api.query('SELECT id FROM client_smd.backend')), []);
+});
+
+test('keys are stored hashed and only work for their scopes', async () => {
+    const ingest = await createKey(['invoices:create']);
+    assert.match(ingest.api_key, /^ik_/);
+    assert.equal(ingest.key_prefix, ingest.api_key.slice(0, 10));
+    const [stored] = await api.query('SELECT key_hash FROM client_smd.api_keys WHERE id = $1', [ingest.id]);
+    assert.equal(stored.key_hash, crypto.createHash('sha256').update(ingest.api_key).digest('hex'));
+    const listed = await api.request('GET', '/api-keys');
+    assert.ok(listed.body.every((row) => row.api_key === undefined && row.key_hash === undefined));
+
+    const current = await api.request('GET', '/api-keys/current', { key: ingest.api_key });
+    assert.deepEqual(current.body.scopes, ['invoices:create']);
+    assert.equal(current.body.platform, false);
+
+    const created = await api.request('POST', '/invoices', { key: ingest.api_key, body: invoicePayload() });
+    assert.equal(created.status, 201);
+    const routes = [
+        ['GET', '/invoices', 'invoices:read'],
+        ['GET', `/invoices/${created.body.id}/details`, 'invoices:read'],
+        ['POST', `/invoices/${created.body.id}/links/revoke`, 'invoices:write'],
+        ['GET', '/webhooks/subscriptions', 'webhooks:manage'],
+        ['GET', '/profiles', 'profiles:manage'],
+        ['GET', '/api-keys', 'keys:manage']
+    ];
+    for (const [method, path, scope] of routes) {
+        const { status, body } = await api.request(method, path, { key: ingest.api_key });
+        assert.equal(status, 403, `${method} ${path}`);
+        assert.equal(body.error, `API key lacks the ${scope} scope`);
+    }
+});
+
+test('a key can only hand out scopes it has', async () => {
+    const manager = await createKey(['keys:manage', 'invoices:read']);
+    const refused = await api.request('POST', '/api-keys', {
+        key: manager.api_key,
+        body: { name: 'Escalated', scopes: ['invoices:read', 'invoices:write'] }
+    });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.error, 'Can\'t grant scopes this key doesn\'t have: invoices:write');
+    assert.deepEqual((await createKey(['invoices:read'], {}, manager.api_key)).scopes, ['invoices:read']);
+
+    for (const body of [{ scopes: ['invoices:read'] }, { name: 'x', scopes: [] }, { name: 'x', scopes: ['invoices:delete'] }]) {
+        assert.equal((await api.request('POST', '/api-keys', { body })).status, 400, JSON.stringify(body));
+    }
+});
+
+test('revoked and expired keys stop working', async () => {
+    const revoked = await createKey(['invoices:read']);
+    assert.equal((await api.request('GET', '/invoices', { key: revoked.api_key })).status, 200);
+    assert.equal((await api.request('DELETE', `/api-keys/${revoked.id}`)).status, 204);
+    assert.equal((await api.request('GET', '/invoices', { key: revoked.api_key })).status, 401);
+    assert.equal((await api.request('DELETE', `/api-keys/${revoked.id}`)).status, 404);
+
+    const expired = await createKey(['invoices:read'], { expires_at: new Date(Date.now() - 1000).toISOString() });
+    assert.equal((await api.request('GET', '/invoices', { key: expired.api_key })).status, 401);
+});
+
+test('a key over its budget gets 429 with Retry-After, other keys don\'t', async () => {
+    const busy = await createKey(['invoices:create', 'invoices:read']);
+    const calm = await createKey(['invoices:create']);
+    await exhaust(`key:${busy.id}`);
+
+    assertRateLimited(await api.request('POST', '/invoices', { key: busy.api_key, body: invoicePayload() }));
+    assertRateLimited(await api.request('GET', '/invoices', { key: busy.api_key }));
+    assert.equal((await api.request('POST', '/invoices', { key: calm.api_key, body: invoicePayload() })).status, 201);
+});
+
+test('a busy invoice link gets 429, and failed links count against the client IP', async () => {
+    const created = await api.request('POST', '/invoices', { body: invoicePayload() });
+    const token = tokenOf(created.body.link);
+    await exhaust(`link:${token.split('.')[1]}`);
+    assertRateLimited(await api.request('GET', `/invoices/${token}`, { key: null }));
+    // The invoice's other links have budgets of their own
+    assert.equal((await api.request('GET', `/invoices/${created.body.view_token}`, { key: null })).status, 200);
+
+    const guessed = await api.request('GET', '/invoices/not.a-token', { key: null });
+    assert.equal(guessed.status, 401);
+    const [bucket] = await api.query("SELECT bucket FROM client_smd.rate_limits WHERE bucket LIKE 'ip:link:%'");
+    await exhaust(bucket.bucket);
+    assertRateLimited(await api.request('GET', '/invoices/not.a-token', { key: null }));
+    // Working links aren't held back by someone else's guessing on the same IP
+    assert.equal((await api.request('GET', `/invoices/${created.body.view_token}`, { key: null })).status, 200);
+});
+
+test('browsers may only call the API from the allowed origins', async () => {
+    const allowed = await api.request('GET', '/api-keys/current', { headers: { Origin: 'https://invoices.example.com' } });
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://invoices.example.com');
+    assert.match(allowed.headers.get('access-control-expose-headers'), /Retry-After/);
+
+    const other = await api.request('GET', '/api-keys/current', { headers: { Origin: 'https://evil.example.com' } });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+});
@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, invoicePayload } = require('./helpers');
+
+let api;
+before(async () => {
+    // Low enough that a batch can go over it, high enough for the rest of this file
+    api = await startServer({ RATE_LIMIT_KEY_PER_MINUTE: '40' });
+});
+after(() => api.stop());
+
+const countByReference = async (reference) => {
+    const [{ count }] = await api.query(
+        'SELECT count(*)::int AS count FROM client_smd.backend WHERE reference_number = $1',
+        [reference]
+    );
+    return count;
+};
+
+test('a JSON array creates every invoice and keeps their order', async () => {
+    const { status, body } = await api.request('POST', '/invoices/batch', {
+        body: [invoicePayload({ invoice_number: 'ARR-1' }), invoicePayload({ invoice_number: 'ARR-2' })]
+    });
+    assert.equal(status, 201);
+    assert.deepEqual(body.summary, { created: 2 });
+    assert.deepEqual(body.results.map((r) => [r.index, r.status, r.reference_number]), [
+        [0, 'created', 'ARR-1'],
+        [1, 'created', 'ARR-2']
+    ]);
+    assert.ok(body.results.every((r) => r.uuid && r.link));
+});
+
+test('an atomic batch with an invalid invoice creates nothing', async () => {
+    const { status, body } = await api.request('POST', '/invoices/batch', {
+        body: { invoices: [invoicePayload({ invoice_number: 'ATOM-1' }), invoicePayload({ invoice_number: 'ATOM-2', status: 'PAID' })] }
+    });
+    assert.equal(status, 422);
+    assert.equal(body.mode, 'atomic');
+    assert.deepEqual(body.results.map((r) => r.status), ['skipped', 'invalid']);
+    assert.equal(body.results[1].errors[0].field, 'status');
+    assert.equal(await countByReference('ATOM-1'), 0);
+});
+
+test('NDJSON in partial mode fails only the broken line', async () => {
+    const ndjson = [
+        JSON.stringify(invoicePayload({ invoice_number: 'ND-1' })),
+        '{"phonenumber": "919800000001",',
+        JSON.stringify(invoicePayload({ invoice_number: 'ND-3' }))
+    ].join('\n');
+    const { status, body } = await api.request('POST', '/invoices/batch?mode=partial', {
+        body: ndjson,
+        raw: true,
+        headers: { 'content-type': 'application/x-ndjson' }
+    });
+    assert.equal(status, 207);
+    assert.deepEqual(body.summary, { created: 2, invalid: 1 });
+    assert.deepEqual(body.results[1], {
+        index: 1,
+        status: 'invalid',
+        errors: [{ field: '(body)', message: 'line 2 is not valid JSON' }]
+    });
+    assert.equal(await countByReference('ND-3'), 1);
+});
+
+test('CSV rows are grouped into invoices by ref, or by reference number and phone', async () => {
+    const csv = [
+        'ref,phonenumber,Dealer,reference_number,invoice_date,productname,description,quantity,rate',
+        'a,919800000001,Acme Traders,CSV-1,2025-08-01,Cement,"Grade 53, OPC",10,350',
+        'a,919800000001,Acme Traders,CSV-1,2025-08-01,Steel,,2,60.5',
+        ',919800000002,Acme Traders,CSV-2,2025-08-01,Sand,"River ""fine""",3,1200',
+        ',919800000002,Acme Traders,CSV-2,2025-08-01,Gravel,,1,900'
+    ].join('\r\n');
+    const { status, body } = await api.request('POST', '/invoices/batch', {
+        body: csv,
+        raw: true,
+        headers: { 'content-type': 'text/csv' }
+    });
+    assert.equal(status, 201);
+    assert.equal(body.results.length, 2);
+
+    const lines = await api.query(`
+        SELECT b.reference_number, l.productname, l.description
+        FROM client_smd.backend b JOIN client_smd.invoice_lines l ON l.invoice_id = b.id
+        WHERE b.reference_number IN ('CSV-1', 'CSV-2')
+        ORDER BY b.reference_number, l.position
+    `);
+    assert.deepEqual(lines.map((l) => [l.reference_number, l.productname, l.description]), [
+        ['CSV-1', 'Cement', 'Grade 53, OPC'],
+        ['CSV-1', 'Steel', ''],
+        ['CSV-2', 'Sand', 'River "fine"'],
+        ['CSV-2', 'Gravel', '']
+    ]);
+});
+
+test('a retried batch with the same Idempotency-Key replays each invoice', async () => {
+    const batch = [invoicePayload({ invoice_number: 'RETRY-1' }), invoicePayload({ invoice_number: 'RETRY-2' })];
+    const headers = { 'Idempotency-Key': 'ocr-run-9' };
+    const first = await api.request('POST', '/invoices/batch', { body: batch, headers });
+    assert.equal(first.status, 201);
+
+    const retry = await api.request('POST', '/invoices/batch', { body: batch, headers });
+    assert.equal(retry.status, 201);
+    assert.deepEqual(retry.body.summary, { replayed: 2 });
+    assert.deepEqual(retry.body.results.map((r) => r.uuid), first.body.results.map((r) => r.uuid));
+});
+
+test('a batch bigger than the per-minute budget is refused before anything is read', async () => {
+    const batch = Array.from({ length: 41 }, () => invoicePayload());
+    const { status, body } = await api.request('POST', '/invoices/batch', { body: batch });
+    assert.equal(status, 413);
+    assert.equal(body.error, 'A batch can hold at most 40 invoices (the per-minute limit)');
+});
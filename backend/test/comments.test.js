@@ -0,0 +1,152 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startReceiver, tokenOf, invoicePayload } = require('./helpers');
+
+let api;
+let n8n;
+let readKey;
+before(async () => {
+    api = await startServer();
+    n8n = await startReceiver();
+    await api.request('POST', '/webhooks/subscriptions', {
+        body: { url: n8n.url, events: ['invoice_comment_added', 'invoice_changes_requested'] }
+    });
+    readKey = (await api.request('POST', '/api-keys', { body: { name: 'Accountant', scopes: ['invoices:read'] } })).body.api_key;
+});
+after(() => {
+    n8n.stop();
+    return api.stop();
+});
+
+const createInvoice = async () => {
+    const { body } = await api.request('POST', '/invoices', {
+        body: invoicePayload({ productname: ['Cement', 'Sand'], quantity: [2, 3], rate: [100, 50] })
+    });
+    return { id: body.id, edit: tokenOf(body.link), view: body.view_token };
+};
+
+// The customer's side: the invoice link, no API key
+const customer = (method, path, body) => api.request(method, path, { key: null, body });
+
+const delivered = (event, invoiceId) => n8n.waitFor(({ body }) => body.event === event && body.invoice_id === invoiceId);
+
+test('customers and operators share one thread per line, replies one level deep', async () => {
+    const invoice = await createInvoice();
+    const asked = await customer('POST', `/invoices/${invoice.edit}/comments`, { body: 'Sand was 45 a bag', line: 1 });
+    assert.equal(asked.status, 201);
+    assert.equal(asked.body.author.type, 'customer');
+    assert.equal(asked.body.line, 1);
+    assert.equal(asked.body.line_item.productname, 'Sand');
+    assert.equal(asked.body.author.ip, undefined);
+
+    const answered = await api.request('POST', `/invoices/${invoice.id}/details/comments`, {
+        body: { body: 'Fixed, please check', parent_id: asked.body.id }
+    });
+    assert.equal(answered.status, 201);
+    assert.equal(answered.body.author.type, 'operator');
+    assert.equal(answered.body.line, 1);
+    // A reply to a reply joins the same thread
+    const again = await customer('POST', `/invoices/${invoice.edit}/comments`, { body: 'Thanks', parent_id: answered.body.id });
+    assert.equal(again.body.parent_id, asked.body.id);
+    const general = await customer('POST', `/invoices/${invoice.edit}/comments`, { body: 'Deliver by Friday' });
+    assert.equal(general.body.line, null);
+
+    const expected = [
+        [asked.body.id, ['Fixed, please check', 'Thanks']],
+        [general.body.id, []]
+    ];
+    for (const read of [
+        customer('GET', `/invoices/${invoice.view}/comments`),
+        api.request('GET', `/invoices/${invoice.id}/details/comments`, { key: readKey })
+    ]) {
+        const { status, body } = await read;
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.map((thread) => [thread.id, thread.replies.map((reply) => reply.body)]), expected);
+    }
+
+    const event = await delivered('invoice_comment_added', invoice.id);
+    assert.equal(event.body.comment.body, 'Sand was 45 a bag');
+    assert.equal(event.body.phone, '919800000001');
+});
+
+test('a view link and a read-only key can read the thread but not write to it', async () => {
+    const invoice = await createInvoice();
+    const viewer = await customer('POST', `/invoices/${invoice.view}/comments`, { body: 'Hello' });
+    assert.equal(viewer.status, 403);
+    assert.equal(viewer.body.error, 'This link is view-only');
+
+    const reader = await api.request('POST', `/invoices/${invoice.id}/details/comments`, { key: readKey, body: { body: 'Hello' } });
+    assert.equal(reader.status, 403);
+    assert.equal(reader.body.error, 'API key lacks the invoices:write scope');
+
+    const [{ count }] = await api.query('SELECT count(*)::int AS count FROM client_smd.invoice_comments WHERE invoice_id = $1', [invoice.id]);
+    assert.equal(count, 0);
+});
+
+test('comments need a body, a line of the invoice and a parent on the same invoice', async () => {
+    const invoice = await createInvoice();
+    const other = await createInvoice();
+    const elsewhere = await customer('POST', `/invoices/${other.edit}/comments`, { body: 'Elsewhere' });
+    const cases = [
+        [{ body: '   ' }, 'body'],
+        [{ body: 'x'.repeat(2001) }, 'body'],
+        [{ body: 'Third line?', line: 2 }, 'line'],
+        [{ body: 'First line?', line: -1 }, 'line'],
+        [{ body: 'Re', parent_id: elsewhere.body.id }, 'parent_id']
+    ];
+    for (const [body, field] of cases) {
+        const res = await customer('POST', `/invoices/${invoice.edit}/comments`, body);
+        assert.equal(res.status, 422, JSON.stringify(body).slice(0, 60));
+        assert.equal(res.body.errors[0].field, field);
+    }
+});
+
+test('requesting changes keeps the invoice open and opens a thread with the per-line comments', async () => {
+    const invoice = await createInvoice();
+    const { status, body } = await customer('POST', `/invoices/${invoice.edit}/request-changes`, {
+        reason: 'Wrong rates',
+        comments: [{ line: 0, body: 'Cement is 95' }, { line: 1, body: 'Sand is 45' }]
+    });
+    assert.equal(status, 200);
+    assert.equal(body.status, 'CHANGES_REQUESTED');
+    assert.equal(body.status_reason, 'Wrong rates');
+
+    const thread = await api.request('GET', `/invoices/${invoice.id}/details/comments`);
+    assert.deepEqual(thread.body.data.map((c) => [c.line, c.line_item?.productname ?? null, c.body, c.author.type]), [
+        [null, null, 'Wrong rates', 'customer'],
+        [0, 'Cement', 'Cement is 95', 'customer'],
+        [1, 'Sand', 'Sand is 45', 'customer']
+    ]);
+
+    const event = await delivered('invoice_changes_requested', invoice.id);
+    assert.equal(event.body.reason, 'Wrong rates');
+    assert.deepEqual(event.body.comments.map((c) => c.body), ['Wrong rates', 'Cement is 95', 'Sand is 45']);
+
+    // Still open, so the customer can ask again
+    const again = await customer('POST', `/invoices/${invoice.edit}/request-changes`, { reason: 'And the date' });
+    assert.equal(again.status, 200);
+});
+
+test('a change request is checked as a whole and only taken on open invoices', async () => {
+    const invoice = await createInvoice();
+    const badLine = await customer('POST', `/invoices/${invoice.edit}/request-changes`, {
+        reason: 'Wrong rates',
+        comments: [{ line: 0, body: 'Fine' }, { line: 5, body: 'No such line' }]
+    });
+    assert.equal(badLine.status, 422);
+    assert.deepEqual(badLine.body.errors, [{ field: 'comments.1.line', message: 'must be between 0 and 1' }]);
+    const noReason = await customer('POST', `/invoices/${invoice.edit}/request-changes`, { comments: [] });
+    assert.equal(noReason.status, 422);
+    assert.equal(noReason.body.errors[0].field, 'reason');
+    const viewer = await customer('POST', `/invoices/${invoice.view}/request-changes`, { reason: 'Wrong rates' });
+    assert.equal(viewer.status, 403);
+
+    const [row] = await api.query('SELECT status FROM client_smd.backend WHERE id = $1', [invoice.id]);
+    assert.equal(row.status, 'CREATED');
+    assert.deepEqual((await api.request('GET', `/invoices/${invoice.id}/details/comments`)).body.data, []);
+
+    await api.request('POST', '/invoices/bulk', { body: { action: 'approve', ids: [invoice.id] } });
+    const approved = await customer('POST', `/invoices/${invoice.edit}/request-changes`, { reason: 'Too late' });
+    assert.equal(approved.status, 409);
+    assert.equal(approved.body.status, 'APPROVED');
+});
@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, invoicePayload } = require('./helpers');
+
+let api;
+let readKey;
+const ids = [];
+before(async () => {
+    api = await startServer();
+    const key = await api.request('POST', '/api-keys', { body: { name: 'Accountant', scopes: ['invoices:read'] } });
+    readKey = key.body.api_key;
+    for (const Dealer of ['Acme Traders', 'Bharat Hardware']) {
+        ids.push((await api.request('POST', '/invoices', { body: invoicePayload({ Dealer }) })).body.id);
+    }
+});
+after(() => api.stop());
+
+test('search results carry no customer links', async () => {
+    const { status, body } = await api.request('GET', '/invoices?sort=dealer');
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map((row) => row.uuid), ids);
+    for (const row of body.data) {
+        for (const field of ['token', 'link', 'view_token', 'view_link', 'link_expires_at']) {
+            assert.equal(row[field], undefined, field);
+        }
+    }
+});
+
+test('a read-only key gets view links on demand, but no edit links', async () => {
+    const view = await api.request('POST', `/invoices/${ids[0]}/links`, { key: readKey, body: { scope: 'view' } });
+    assert.equal(view.status, 201);
+    assert.equal(view.body.scope, 'view');
+    assert.equal((await api.request('GET', `/invoices/${view.body.token}`, { key: null })).body.access.scope, 'view');
+
+    for (const body of [{ scope: 'edit' }, {}]) {
+        const edit = await api.request('POST', `/invoices/${ids[0]}/links`, { key: readKey, body });
+        assert.equal(edit.status, 403);
+        assert.equal(edit.body.error, 'API key lacks the invoices:write scope');
+    }
+});
+
+test('the bulk export is the accounting CSV of the selected invoices', async () => {
+    const bulk = await api.request('POST', '/invoices/bulk', { key: readKey, body: { action: 'export', ids: [ids[1]] } });
+    assert.equal(bulk.status, 200);
+    assert.match(bulk.headers.get('content-type'), /^text\/csv/);
+    assert.match(bulk.headers.get('content-disposition'), /filename="invoices-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const [header, ...rows] = bulk.body.trim().split('\r\n');
+    const exported = await api.request('GET', '/exports/invoices?status=CREATED', { key: readKey });
+    assert.equal(header, exported.body.split('\r\n')[0]);
+    assert.equal(rows.length, 1);
+    assert.match(rows[0], /Bharat Hardware/);
+    assert.match(rows[0], /Cement/);
+    assert.ok(rows[0].endsWith(ids[1]));
+});
@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { startServer, invoicePayload, SERVICE_API_KEY } = require('./helpers');
+
+let api;
+const invoices = {};
+before(async () => {
+    api = await startServer();
+    const payloads = {
+        july: { invoice_date: '2025-07-10', Dealer: 'Chopra & Sons', productname: ['Cement', 'Sand'], quantity: [2, 3], rate: [100, 50] },
+        // Karnataka buyer, Maharashtra seller: IGST
+        august: { invoice_date: '2025-08-05', Dealer: 'Bengaluru Builders', gstin: '29AAPFU0939F1ZR' },
+        formula: { invoice_date: '2025-08-20', Dealer: '=HYPERLINK("http://x","y")' },
+        open: { invoice_date: '2025-08-10', Dealer: 'Still Open' }
+    };
+    for (const [name, payload] of Object.entries(payloads)) {
+        invoices[name] = (await api.request('POST', '/invoices', { body: invoicePayload(payload) })).body;
+    }
+    const ids = ['july', 'august', 'formula'].map((name) => invoices[name].id);
+    const { body } = await api.request('POST', '/invoices/bulk', { body: { action: 'approve', ids } });
+    assert.deepEqual(body.results.map((r) => r.status), ['approved', 'approved', 'approved']);
+});
+after(() => api.stop());
+
+// The export as bytes; the request helper decodes bodies as text
+const download = async (query) => {
+    const res = await fetch(`${api.base}/exports/invoices${query}`, { headers: { 'x-api-key': SERVICE_API_KEY } });
+    assert.equal(res.status, 200);
+    return { headers: res.headers, bytes: Buffer.from(await res.arrayBuffer()) };
+};
+
+const parseCsv = (text) => {
+    const [header, ...lines] = text.trim().split('\r\n');
+    const keys = header.split(',');
+    // Quoted fields may hold commas and doubled quotes; none holds a line break here
+    return { keys, rows: lines.map((line) => Object.fromEntries(line.match(/("(?:[^"]|"")*"|[^,]*)(,|$)/g).slice(0, keys.length)
+        .map((field, i) => [keys[i], field.replace(/,$/, '').replace(/^"|"$/g, '').replace(/""/g, '"')]))) };
+};
+
+test('the CSV has one row per line item of the approved invoices, oldest first', async () => {
+    const { headers, bytes } = await download('');
+    assert.equal(headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.match(headers.get('content-disposition'), /filename="invoices-all-to-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const { keys, rows } = parseCsv(bytes.toString('utf8'));
+    assert.deepEqual(keys.slice(0, 3), ['invoice_number', 'reference_number', 'invoice_date']);
+    assert.equal(keys[keys.length - 1], 'uuid');
+    assert.deepEqual(rows.map((row) => [row.uuid, row.line_no]), [
+        [invoices.july.id, '1'],
+        [invoices.july.id, '2'],
+        [invoices.august.id, '1'],
+        [invoices.formula.id, '1']
+    ]);
+    assert.ok(rows.every((row) => row.status === 'APPROVED' && /^INV\/2025-26\/000\d$/.test(row.invoice_number)));
+
+    const [cement, sand, igst] = rows;
+    assert.equal(cement.dealer, 'Chopra & Sons');
+    assert.equal(cement.invoice_date, '2025-07-10');
+    assert.deepEqual([cement.productname, cement.quantity, cement.amount, cement.cgst, cement.sgst], ['Cement', '2', '200', '18', '18']);
+    assert.deepEqual([sand.productname, sand.amount], ['Sand', '150']);
+    assert.equal(cement.invoice_total, '413');
+    assert.deepEqual([igst.tax_type, igst.igst, igst.cgst, igst.invoice_total], ['IGST', '18', '0', '118']);
+});
+
+test('spreadsheet formulas in text are defused', async () => {
+    const { rows } = parseCsv((await download('')).bytes.toString('utf8'));
+    assert.equal(rows[3].dealer, '\'=HYPERLINK("http://x","y")');
+});
+
+test('filters and statuses narrow the export', async () => {
+    const august = parseCsv((await download('?date_from=2025-08-01&date_to=2025-08-15')).bytes.toString('utf8'));
+    assert.deepEqual(august.rows.map((row) => row.uuid), [invoices.august.id]);
+
+    const open = parseCsv((await download('?status=CREATED')).bytes.toString('utf8'));
+    assert.deepEqual(open.rows.map((row) => row.dealer), ['Still Open']);
+
+    const bad = await api.request('GET', '/exports/invoices?format=pdf');
+    assert.equal(bad.status, 422);
+    assert.equal(bad.body.errors[0].field, 'format');
+});
+
+test('the XLSX export is a workbook with the same rows', async () => {
+    const { headers, bytes } = await download('?format=xlsx');
+    assert.equal(headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    assert.equal(bytes.subarray(0, 2).toString(), 'PK');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(bytes);
+    const sheet = workbook.getWorksheet('Invoices');
+    assert.equal(sheet.rowCount, 5);
+    assert.equal(sheet.getRow(1).getCell(1).value, 'Invoice No');
+    const header = sheet.getRow(1).values;
+    const cell = (row, name) => sheet.getRow(row).getCell(header.indexOf(name)).value;
+    assert.equal(cell(2, 'Dealer'), 'Chopra & Sons');
+    assert.equal(cell(2, 'Taxable Value'), 200);
+    assert.equal(cell(4, 'IGST'), 18);
+    assert.equal(cell(5, 'Invoice ID'), invoices.formula.id);
+});
+
+test('the Tally export holds one balanced sales voucher per invoice', async () => {
+    const { headers, bytes } = await download('?format=tally');
+    assert.equal(headers.get('content-type'), 'application/xml; charset=utf-8');
+    const xml = bytes.toString('utf8');
+    assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<ENVELOPE>'));
+    assert.ok(xml.trim().endsWith('</ENVELOPE>'));
+
+    const vouchers = xml.match(/<VOUCHER [\s\S]*?<\/VOUCHER>/g);
+    assert.equal(vouchers.length, 3);
+    const [july, august] = vouchers;
+    assert.match(july, /<DATE>20250710<\/DATE>/);
+    assert.match(july, /<PARTYLEDGERNAME>Chopra &amp; Sons<\/PARTYLEDGERNAME>/);
+    assert.match(july, /<VOUCHERNUMBER>INV\/2025-26\/000\d<\/VOUCHERNUMBER>/);
+    assert.equal((july.match(/<ALLINVENTORYENTRIES.LIST>/g) || []).length, 2);
+    assert.match(july, /<BILLEDQTY> 3 Nos<\/BILLEDQTY>/);
+    assert.match(august, /<LEDGERNAME>IGST<\/LEDGERNAME>\s*<ISDEEMEDPOSITIVE>No<\/ISDEEMEDPOSITIVE>\s*<AMOUNT>18.00<\/AMOUNT>/);
+    assert.doesNotMatch(august, /<LEDGERNAME>CGST/);
+
+    // The party's debit equals the credits: sales plus taxes
+    for (const voucher of vouchers) {
+        const body = voucher.replace(/<ACCOUNTINGALLOCATIONS.LIST>[\s\S]*?<\/ACCOUNTINGALLOCATIONS.LIST>/g, '');
+        const amounts = [...body.matchAll(/<AMOUNT>(-?[\d.]+)<\/AMOUNT>/g)].map(([, amount]) => Math.round(Number(amount) * 100));
+        assert.equal(amounts.reduce((sum, paise) => sum + paise, 0), 0);
+    }
+});
@@ -0,0 +1,140 @@
+// Test helpers: the API against a throwaway in-memory Postgres (PGlite), one per test file
+// (node --test runs every file in its own process, and server.js reads its env on load).
+// Production's client_smd.backend predates the migrations, so it is created here the way
+// it was; the server's own migrations add everything else on boot.
+const { once } = require('events');
+const http = require('http');
+const net = require('net');
+const { PGlite } = require('@electric-sql/pglite');
+const { PGLiteSocketServer } = require('@electric-sql/pglite-socket');
+
+const SERVICE_API_KEY = 'test-service-key';
+const DEFAULT_TENANT_ID = '00000000-0000-0000-0000-000000000000';
+
+const LEGACY_SCHEMA = `
+    CREATE SCHEMA client_smd;
+    CREATE TABLE client_smd.backend (
+        id UUID PRIMARY KEY, phonenumber TEXT, dealer TEXT, invoice_number TEXT, invoice_date TEXT,
+        productname TEXT, description TEXT, quantity TEXT, units TEXT, rate TEXT,
+        amount NUMERIC, total NUMERIC, status TEXT, gstin TEXT, pdf_url TEXT,
+        webhook_status TEXT, webhook_attempts INTEGER, created_at TIMESTAMPTZ DEFAULT now()
+    );
+`;
+
+const freePort = async () => {
+    const server = net.createServer().listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const { port } = server.address();
+    server.close();
+    return port;
+};
+
+// Boots Postgres and the API; `env` overrides the test defaults (e.g. APPROVAL_OTP_REQUIRED),
+// `setup` is SQL run on the database before the server's migrations
+const startServer = async (env = {}, { setup = '' } = {}) => {
+    const db = await PGlite.create();
+    await db.exec(LEGACY_SCHEMA + setup);
+    const pgPort = await freePort();
+    const pgServer = new PGLiteSocketServer({ db, port: pgPort, host: '127.0.0.1', maxConnections: 20 });
+    await pgServer.start();
+
+    Object.assign(process.env, {
+        PGHOST: '127.0.0.1',
+        PGPORT: String(pgPort),
+        PGDATABASE: 'postgres',
+        PGUSER: 'postgres',
+        PGPASSWORD: 'postgres',
+        LINK_SECRET: 'test-link-secret',
+        SERVICE_API_KEY,
+        SELLER_GSTIN: '27AAPFU0939F1ZV', // Maharashtra
+        PDF_STORAGE: 'db',
+        LIVE_UPDATES: 'false',
+        WEBHOOK_URL: '',
+        ...env
+    });
+    const app = require('../server');
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    // JSON in, { status, headers, body } out; the service key unless `key` says otherwise
+    const request = async (method, path, { body, headers = {}, key = SERVICE_API_KEY, raw = false } = {}) => {
+        const res = await fetch(base + path, {
+            method,
+            headers: {
+                ...(key ? { 'x-api-key': key } : {}),
+                ...(body !== undefined && !raw ? { 'content-type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body === undefined ? undefined : raw ? body : JSON.stringify(body)
+        });
+        const text = await res.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (e) {
+            // Not JSON (CSV, PDF, empty)
+        }
+        return { status: res.status, headers: res.headers, body: parsed };
+    };
+
+    // Straight to the database, for what the API doesn't show (e.g. a queued OTP)
+    const query = async (sql, params = []) => (await db.query(sql, params)).rows;
+
+    const stop = async () => {
+        server.closeAllConnections();
+        server.close();
+        await pgServer.stop();
+    };
+
+    return { base, request, query, stop };
+};
+
+// A webhook subscriber: records every delivery ({ headers, raw, body }) and answers
+// with `status` (set it to e.g. 500 to make deliveries fail)
+const startReceiver = async () => {
+    const deliveries = [];
+    const receiver = { deliveries, status: 200 };
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            deliveries.push({ headers: req.headers, raw, body: JSON.parse(raw) });
+            res.writeHead(receiver.status).end();
+        });
+    }).listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+
+    // The first delivery matching `predicate`, waiting up to `ms` for it
+    receiver.waitFor = async (predicate, ms = 5000) => {
+        for (const started = Date.now(); Date.now() - started < ms;) {
+            const found = deliveries.find(predicate);
+            if (found) return found;
+            await new Promise((resolve) => setTimeout(resolve, 25));
+        }
+        throw new Error('No matching webhook delivery');
+    };
+    receiver.stop = () => {
+        server.closeAllConnections();
+        server.close();
+    };
+    return receiver;
+};
+
+// The edit token of a link returned by POST /invoices
+const tokenOf = (link) => link.split('/').pop();
+
+// A minimal valid POST /invoices body; `overrides` replace fields
+const invoicePayload = (overrides = {}) => ({
+    phonenumber: '919800000001',
+    Dealer: 'Acme Traders',
+    invoice_number: `REF-${Math.random().toString(36).slice(2, 8)}`,
+    invoice_date: '2025-08-01',
+    productname: ['Cement'],
+    quantity: [1],
+    rate: [100],
+    ...overrides
+});
+
+module.exports = { startServer, startReceiver, tokenOf, invoicePayload, SERVICE_API_KEY, DEFAULT_TENANT_ID };
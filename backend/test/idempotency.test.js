@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, invoicePayload } = require('./helpers');
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(() => api.stop());
+
+test('a retried create with the same Idempotency-Key replays the first invoice', async () => {
+    const payload = invoicePayload();
+    const headers = { 'Idempotency-Key': 'n8n-execution-1' };
+    const first = await api.request('POST', '/invoices', { body: payload, headers });
+    assert.equal(first.status, 201);
+
+    // Same payload, keys in another order
+    const reordered = Object.fromEntries(Object.entries(payload).reverse());
+    const retry = await api.request('POST', '/invoices', { body: reordered, headers });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.equal(retry.body.id, first.body.id);
+    assert.equal(retry.body.totals.total, first.body.totals.total);
+
+    const [{ count }] = await api.query(
+        "SELECT count(*)::int AS count FROM client_smd.backend WHERE idempotency_key = 'n8n-execution-1'"
+    );
+    assert.equal(count, 1);
+});
+
+test('reusing an Idempotency-Key with a different payload is a conflict', async () => {
+    const headers = { 'Idempotency-Key': 'n8n-execution-2' };
+    const first = await api.request('POST', '/invoices', { body: invoicePayload({ rate: [100] }), headers });
+    assert.equal(first.status, 201);
+
+    const other = await api.request('POST', '/invoices', { body: invoicePayload({ rate: [250] }), headers });
+    assert.equal(other.status, 409);
+    assert.equal(other.body.error, 'Idempotency-Key was already used with a different payload');
+    assert.equal(other.body.uuid, first.body.id);
+});
+
+test('without a key, the same phone, reference and dealer replays the invoice', async () => {
+    const payload = invoicePayload({ invoice_number: 'WA-7781' });
+    const first = await api.request('POST', '/invoices', { body: payload });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.reference_number, 'WA-7781');
+
+    // The phone number written differently is still the same request
+    const retry = await api.request('POST', '/invoices', { body: { ...payload, phonenumber: '+91 98000 00001' } });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.id, first.body.id);
+
+    const changed = await api.request('POST', '/invoices', { body: { ...payload, quantity: [5] } });
+    assert.equal(changed.status, 409);
+    assert.equal(changed.body.error, 'This reference number already exists for this dealer and phone number');
+});
+
+test('an Idempotency-Key longer than 255 characters is rejected', async () => {
+    const { status, body } = await api.request('POST', '/invoices', {
+        body: invoicePayload(),
+        headers: { 'Idempotency-Key': 'k'.repeat(256) }
+    });
+    assert.equal(status, 422);
+    assert.equal(body.errors[0].field, 'Idempotency-Key');
+});
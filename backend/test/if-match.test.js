@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, tokenOf, invoicePayload } = require('./helpers');
+
+let api;
+let token;
+before(async () => {
+    api = await startServer();
+    const { body } = await api.request('POST', '/invoices', { body: invoicePayload({ Dealer: 'Acme Traders' }) });
+    token = tokenOf(body.link);
+});
+after(() => api.stop());
+
+// The customer's side: the invoice link, no API key
+const customer = (method, { body, ifMatch } = {}) => api.request(method, `/invoices/${token}`, {
+    key: null,
+    body,
+    headers: ifMatch === undefined ? {} : { 'If-Match': ifMatch }
+});
+
+test('an edit without If-Match is refused with 428', async () => {
+    const { status, body } = await customer('PUT', { body: { Dealer: 'Nobody' } });
+    assert.equal(status, 428);
+    assert.equal(body.error, 'If-Match header with the invoice ETag is required');
+});
+
+test('an edit with the current ETag is saved and gets the next one', async () => {
+    const loaded = await customer('GET');
+    const etag = loaded.headers.get('etag');
+    assert.match(etag, /^"\d+"$/);
+
+    const saved = await customer('PUT', { body: { Dealer: 'Acme Hardware' }, ifMatch: etag });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.dealer, 'Acme Hardware');
+    assert.equal(saved.headers.get('etag'), `"${Number(etag.slice(1, -1)) + 1}"`);
+});
+
+test('an edit of an older version gets 412 with the invoice as it is now', async () => {
+    const { headers } = await customer('GET');
+    const current = headers.get('etag');
+    const stale = `"${Number(current.slice(1, -1)) - 1}"`;
+
+    const { status, body, headers: refused } = await customer('PUT', { body: { Dealer: 'Overwritten' }, ifMatch: stale });
+    assert.equal(status, 412);
+    assert.equal(refused.get('etag'), current);
+    assert.equal(`"${body.version}"`, current);
+    assert.equal(body.current.dealer, 'Acme Hardware');
+
+    const [row] = await api.query('SELECT dealer FROM client_smd.backend WHERE id = $1', [body.current.id]);
+    assert.equal(row.dealer, 'Acme Hardware');
+});
+
+test('weak ETags never match, but a list holding the current one does', async () => {
+    const { headers } = await customer('GET');
+    const current = headers.get('etag');
+
+    const weak = await customer('PUT', { body: { Dealer: 'Weak' }, ifMatch: `W/${current}` });
+    assert.equal(weak.status, 412);
+
+    const listed = await customer('PUT', { body: { Dealer: 'Listed' }, ifMatch: `"999", ${current}` });
+    assert.equal(listed.status, 200);
+    assert.equal(listed.body.dealer, 'Listed');
+});
+
+test('If-Match: * is refused like a missing header, it would skip the version check', async () => {
+    const { status, body } = await customer('PUT', { body: { Dealer: 'Anyone' }, ifMatch: '*' });
+    assert.equal(status, 428);
+    assert.equal(body.error, 'If-Match header with the invoice ETag is required');
+});
+
+test('approvals need the current ETag too', async () => {
+    const approve = (ifMatch) => api.request('POST', `/invoices/${token}/approve`, {
+        key: null,
+        body: { total: 0, signature: { type: 'typed', name: 'Ravi Kumar' } },
+        headers: ifMatch === undefined ? {} : { 'If-Match': ifMatch }
+    });
+    assert.equal((await approve()).status, 428);
+    assert.equal((await approve('*')).status, 428);
+    assert.equal((await approve('"1"')).status, 412);
+});
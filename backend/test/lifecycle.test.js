@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, tokenOf, invoicePayload } = require('./helpers');
+
+let api;
+before(async () => {
+    api = await startServer({ APPROVAL_OTP_REQUIRED: 'false' });
+});
+after(() => api.stop());
+
+const createInvoice = async () => {
+    const { body } = await api.request('POST', '/invoices', { body: invoicePayload() });
+    return { id: body.id, token: tokenOf(body.link), total: body.totals.total };
+};
+
+const approve = async ({ id }) => {
+    const { body } = await api.request('POST', '/invoices/bulk', { body: { action: 'approve', ids: [id] } });
+    return body.results[0].status;
+};
+
+const setStatus = ({ id }, status, reason) => api.request('POST', `/invoices/${id}/status`, { body: { status, reason } });
+
+// The customer's side: the invoice link, no API key
+const customer = async (method, path, body) => {
+    const { headers } = await api.request('GET', path.replace(/\/(reject|cancel|approve)$/, ''), { key: null });
+    return api.request(method, path, { key: null, body, headers: { 'If-Match': headers.get('etag') } });
+};
+
+test('an approved invoice is sent and paid, and paid is final', async () => {
+    const invoice = await createInvoice();
+    assert.equal(await approve(invoice), 'approved');
+    assert.equal((await setStatus(invoice, 'sent')).body.status, 'SENT');
+    assert.equal((await setStatus(invoice, 'PAID')).body.status, 'PAID');
+
+    const { status, body } = await setStatus(invoice, 'CANCELLED', 'Duplicate');
+    assert.equal(status, 409);
+    assert.deepEqual(body, { error: 'Invoice is PAID and can\'t be moved to CANCELLED', status: 'PAID', allowed_transitions: [] });
+});
+
+test('steps can\'t be skipped, and approving has its own route', async () => {
+    const invoice = await createInvoice();
+    const skipped = await setStatus(invoice, 'PAID');
+    assert.equal(skipped.status, 409);
+    assert.equal(skipped.body.status, 'CREATED');
+    assert.deepEqual(skipped.body.allowed_transitions, ['DRAFT', 'CHANGES_REQUESTED', 'APPROVED', 'REJECTED', 'CANCELLED']);
+
+    const approved = await setStatus(invoice, 'APPROVED');
+    assert.equal(approved.status, 400);
+    assert.equal(approved.body.error, 'Use the approve link to approve an invoice');
+
+    const unknown = await setStatus(invoice, 'ARCHIVED');
+    assert.equal(unknown.status, 422);
+    assert.equal(unknown.body.errors[0].field, 'status');
+});
+
+test('a rejected invoice can\'t be edited, approved or reopened', async () => {
+    const invoice = await createInvoice();
+    const rejected = await customer('POST', `/invoices/${invoice.token}/reject`, { reason: 'Wrong rate' });
+    assert.equal(rejected.status, 200);
+    assert.equal(rejected.body.status, 'REJECTED');
+    assert.equal(rejected.body.status_reason, 'Wrong rate');
+
+    const attempts = [
+        ['PUT', `/invoices/${invoice.token}`, { Dealer: 'Someone else' }],
+        ['POST', `/invoices/${invoice.token}/approve`, { total: invoice.total, signature: { type: 'typed', name: 'Ravi Kumar' } }],
+        ['POST', `/invoices/${invoice.token}/cancel`, { reason: 'Changed my mind' }]
+    ];
+    for (const [method, path, body] of attempts) {
+        const res = await customer(method, path, body);
+        assert.equal(res.status, 409, `${method} ${path}`);
+        assert.equal(res.body.status, 'REJECTED');
+    }
+    assert.equal((await setStatus(invoice, 'DRAFT')).status, 409);
+});
+
+test('only the business can cancel an invoice once it is approved', async () => {
+    const invoice = await createInvoice();
+    assert.equal(await approve(invoice), 'approved');
+    assert.equal(await approve(invoice), 'conflict');
+
+    const byCustomer = await customer('POST', `/invoices/${invoice.token}/cancel`, { reason: 'Not needed' });
+    assert.equal(byCustomer.status, 409);
+    assert.equal(byCustomer.body.status, 'APPROVED');
+
+    const byOperator = await setStatus(invoice, 'CANCELLED', 'Raised twice');
+    assert.equal(byOperator.status, 200);
+    assert.equal(byOperator.body.status, 'CANCELLED');
+});
+
+test('closing an invoice needs a reason', async () => {
+    const invoice = await createInvoice();
+    const { status, body } = await customer('POST', `/invoices/${invoice.token}/reject`, {});
+    assert.equal(status, 422);
+    assert.equal(body.errors[0].field, 'reason');
+});
@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, tokenOf, invoicePayload } = require('./helpers');
+
+const LEGACY_ID = '11111111-1111-4111-8111-111111111111';
+
+let api;
+before(async () => {
+    // An invoice as the old server stored it: one comma-joined string per line field
+    api = await startServer({}, {
+        setup: `
+            INSERT INTO client_smd.backend (id, phonenumber, dealer, invoice_number, productname, description, quantity, units, rate, status)
+            VALUES ('${LEGACY_ID}', '919800000001', 'Old Traders', 'OLD-1', 'Cement,Steel rod', 'OPC 53,', '2,3', 'Bag,Kg', '350,60', 'CREATED');
+        `
+    });
+});
+after(() => api.stop());
+
+const storedLines = (invoiceId) => api.query(`
+    SELECT position, productname, description, quantity::float AS quantity, units, rate::float AS rate
+    FROM client_smd.invoice_lines WHERE invoice_id = $1 ORDER BY position
+`, [invoiceId]);
+
+test('comma-joined line columns of existing invoices are moved to invoice_lines on boot', async () => {
+    // Answered once the migrations are done
+    const { body } = await api.request('GET', `/invoices/${LEGACY_ID}/details`);
+    assert.deepEqual(body.productname, ['Cement', 'Steel rod']);
+    assert.equal(body.items.length, 2);
+
+    const lines = await storedLines(LEGACY_ID);
+    assert.deepEqual(lines.map(({ productname, quantity, units, rate }) => ({ productname, quantity, units, rate })), [
+        { productname: 'Cement', quantity: 2, units: 'Bag', rate: 350 },
+        { productname: 'Steel rod', quantity: 3, units: 'Kg', rate: 60 }
+    ]);
+    assert.equal(lines[0].description, 'OPC 53');
+    const [row] = await api.query('SELECT lines_migrated FROM client_smd.backend WHERE id = $1', [LEGACY_ID]);
+    assert.equal(row.lines_migrated, true);
+});
+
+test('line items keep commas inside a value, in either request shape', async () => {
+    const parallel = await api.request('POST', '/invoices', {
+        body: invoicePayload({ productname: ['Cement, 50kg bag', 'Sand'], quantity: [1, 2], rate: [400, 50] })
+    });
+    assert.deepEqual((await storedLines(parallel.body.id)).map((line) => line.productname), ['Cement, 50kg bag', 'Sand']);
+
+    const items = await api.request('POST', '/invoices', {
+        body: invoicePayload({
+            productname: undefined, quantity: undefined, rate: undefined,
+            items: [{ productname: 'Tiles, 2x2', quantity: 10, units: 'Box', rate: 500 }]
+        })
+    });
+    assert.equal(items.status, 201);
+    assert.deepEqual((await storedLines(items.body.id)).map(({ productname, quantity, units, rate }) => ({ productname, quantity, units, rate })), [
+        { productname: 'Tiles, 2x2', quantity: 10, units: 'Box', rate: 500 }
+    ]);
+});
+
+test('an edit replaces the invoice\'s lines', async () => {
+    const created = await api.request('POST', '/invoices', { body: invoicePayload({ productname: ['A', 'B'], quantity: [1, 1], rate: [10, 20] }) });
+    const token = tokenOf(created.body.link);
+    const { headers } = await api.request('GET', `/invoices/${token}`, { key: null });
+    const saved = await api.request('PUT', `/invoices/${token}`, {
+        key: null,
+        body: { items: [{ productname: 'C', quantity: 4, rate: 5 }] },
+        headers: { 'If-Match': headers.get('etag') }
+    });
+    assert.equal(saved.status, 200);
+    assert.deepEqual((await storedLines(created.body.id)).map((line) => line.productname), ['C']);
+    assert.equal(saved.body.totals.subtotal, 20);
+});
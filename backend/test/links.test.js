@@ -0,0 +1,126 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, tokenOf, invoicePayload } = require('./helpers');
+
+// Same as LINK_SECRET in helpers, so tests can forge tokens the server would accept
+const LINK_SECRET = 'test-link-secret';
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(() => api.stop());
+
+const createInvoice = async (overrides) => {
+    const { body } = await api.request('POST', '/invoices', { body: invoicePayload(overrides) });
+    return { id: body.id, edit: tokenOf(body.link), view: body.view_token };
+};
+
+// The customer's side: the invoice link, no API key
+const open = (token, method = 'GET', body) => api.request(method, `/invoices/${token}`, { key: null, body });
+
+const claimsOf = (token) => JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString('utf8'));
+
+const signToken = (claims) => {
+    const encoded = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${encoded}.${crypto.createHmac('sha256', LINK_SECRET).update(encoded).digest('base64url')}`;
+};
+
+test('edit and view links open the invoice with their own scope', async () => {
+    const invoice = await createInvoice();
+    const edit = await open(invoice.edit);
+    assert.equal(edit.status, 200);
+    assert.equal(edit.body.access.scope, 'edit');
+
+    const view = await open(invoice.view);
+    assert.equal(view.status, 200);
+    assert.equal(view.body.access.scope, 'view');
+    assert.equal(claimsOf(invoice.view).i, invoice.id);
+});
+
+test('a view link can\'t edit, approve or reject', async () => {
+    const invoice = await createInvoice();
+    const { headers } = await open(invoice.view);
+    const writes = [
+        ['PUT', `/invoices/${invoice.view}`, { Dealer: 'Someone else' }],
+        ['POST', `/invoices/${invoice.view}/approve`, { total: 118, signature: { type: 'typed', name: 'X' } }],
+        ['POST', `/invoices/${invoice.view}/reject`, { reason: 'Wrong rate' }]
+    ];
+    for (const [method, path, body] of writes) {
+        const res = await api.request(method, path, { key: null, body, headers: { 'If-Match': headers.get('etag') } });
+        assert.equal(res.status, 403, `${method} ${path}`);
+        assert.equal(res.body.error, 'This link is view-only');
+    }
+});
+
+test('a link whose claims were changed after signing is refused', async () => {
+    const invoice = await createInvoice();
+    const [, signature] = invoice.view.split('.');
+    const claims = { ...claimsOf(invoice.view), s: 'edit' };
+    const forged = `${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${signature}`;
+    const { status, body } = await open(forged, 'PUT', { Dealer: 'Forged' });
+    assert.equal(status, 401);
+    assert.equal(body.error, 'Invalid or expired link');
+});
+
+test('an expired link is refused', async () => {
+    const invoice = await createInvoice();
+    const expired = signToken({ ...claimsOf(invoice.edit), e: Math.floor(Date.now() / 1000) - 60 });
+    const { status, body } = await open(expired);
+    assert.equal(status, 401);
+    assert.equal(body.error, 'Invalid or expired link');
+});
+
+test('revoking stops every link issued so far and hands out new ones', async () => {
+    const invoice = await createInvoice();
+    const revoked = await api.request('POST', `/invoices/${invoice.id}/links/revoke`);
+    assert.equal(revoked.status, 200);
+
+    for (const token of [invoice.edit, invoice.view]) {
+        const { status, body } = await open(token);
+        assert.equal(status, 401);
+        assert.equal(body.error, 'This link has been revoked');
+    }
+    assert.equal((await open(revoked.body.token)).status, 200);
+    assert.equal((await open(revoked.body.view_token)).status, 200);
+});
+
+test('links from the pending list stop working when the link they came from is revoked', async () => {
+    const phonenumber = '919800000077';
+    const first = await createInvoice({ phonenumber });
+    const second = await createInvoice({ phonenumber });
+
+    const pending = await open(`${first.edit}/pending`);
+    const listed = pending.body.data.find((row) => row.uuid === second.id);
+    assert.equal(claimsOf(listed.token).s, 'view');
+    assert.equal((await open(listed.token)).status, 200);
+
+    await api.request('POST', `/invoices/${first.id}/links/revoke`);
+    assert.equal((await open(listed.token)).status, 401);
+    // The invoice's own links are untouched
+    assert.equal((await open(second.edit)).status, 200);
+});
+
+test('new links take a scope and a lifetime of whole hours, up to 90 days', async () => {
+    const invoice = await createInvoice();
+    const link = await api.request('POST', `/invoices/${invoice.id}/links`, { body: { scope: 'view', ttl_hours: 2 } });
+    assert.equal(link.status, 201);
+    assert.equal(claimsOf(link.body.token).s, 'view');
+    const hoursLeft = (Date.parse(link.body.link_expires_at) - Date.now()) / 3600000;
+    assert.ok(hoursLeft > 1.9 && hoursLeft <= 2, `expires in ${hoursLeft}h`);
+
+    for (const body of [{ ttl_hours: 0 }, { ttl_hours: -5 }, { ttl_hours: 1.5 }, { ttl_hours: 1e9 }, { ttl_hours: 'soon' }, { scope: 'admin' }]) {
+        const { status, body: error } = await api.request('POST', `/invoices/${invoice.id}/links`, { body });
+        assert.equal(status, 422, JSON.stringify(body));
+        assert.equal(error.errors[0].field, Object.keys(body)[0]);
+    }
+});
+
+test('with live updates off, the events route tells EventSource to stop', async () => {
+    const invoice = await createInvoice();
+    const { status, body } = await open(`${invoice.view}/events`);
+    assert.equal(status, 204);
+    assert.equal(body, '');
+    assert.equal((await open('not.a-token/events')).status, 401);
+});
@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, tokenOf, invoicePayload } = require('./helpers');
+
+// Only the stream's setup is tested here: the PGlite socket server doesn't pass NOTIFY on
+// to listening connections, so events never reach the stream in these tests
+let api;
+before(async () => {
+    api = await startServer({ LIVE_UPDATES: 'true' });
+});
+after(() => api.stop());
+
+// Opens the stream and returns the response with its first chunk, then hangs up
+const openStream = async (token) => {
+    const abort = new AbortController();
+    const res = await fetch(`${api.base}/invoices/${token}/events`, { signal: abort.signal });
+    try {
+        if (res.status !== 200) return { res, first: await res.text() };
+        const { value } = await res.body.getReader().read();
+        return { res, first: Buffer.from(value).toString('utf8') };
+    } finally {
+        abort.abort();
+    }
+};
+
+test('edit and view links open an event stream', async () => {
+    const created = await api.request('POST', '/invoices', { body: invoicePayload() });
+    for (const token of [tokenOf(created.body.link), created.body.view_token]) {
+        const { res, first } = await openStream(token);
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+        assert.equal(res.headers.get('cache-control'), 'no-cache, no-transform');
+        assert.equal(res.headers.get('x-accel-buffering'), 'no');
+        // Tells EventSource how long to wait before reconnecting
+        assert.equal(first, 'retry: 5000\n\n');
+    }
+});
+
+test('a revoked or forged link gets no stream', async () => {
+    const created = await api.request('POST', '/invoices', { body: invoicePayload() });
+    const token = tokenOf(created.body.link);
+    assert.equal((await openStream(token)).res.status, 200);
+
+    await api.request('POST', `/invoices/${created.body.id}/links/revoke`);
+    const revoked = await openStream(token);
+    assert.equal(revoked.res.status, 401);
+    assert.deepEqual(JSON.parse(revoked.first), { error: 'This link has been revoked' });
+
+    const forged = await openStream(`${token.split('.')[0]}.bm90LXRoZS1zaWduYXR1cmU`);
+    assert.equal(forged.res.status, 401);
+});
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, invoicePayload, DEFAULT_TENANT_ID } = require('./helpers');
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(() => api.stop());
+
+// Creates the invoices and approves them as an operator; returns their invoice numbers
+const createAndApprove = async (...payloads) => {
+    const ids = [];
+    for (const payload of payloads) {
+        const { status, body } = await api.request('POST', '/invoices', { body: invoicePayload(payload) });
+        assert.equal(status, 201);
+        ids.push(body.id);
+    }
+    const { status, body } = await api.request('POST', '/invoices/bulk', { body: { action: 'approve', ids } });
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map((r) => r.status), ids.map(() => 'approved'));
+    const numbers = [];
+    for (const id of ids) {
+        const [row] = await api.query('SELECT invoice_number FROM client_smd.backend WHERE id = $1', [id]);
+        numbers.push(row.invoice_number);
+    }
+    return numbers;
+};
+
+test('the number is allocated at approval; the caller\'s number stays the reference', async () => {
+    const created = await api.request('POST', '/invoices', { body: invoicePayload({ invoice_number: 'WA-101' }) });
+    assert.equal(created.body.invoice_number, null);
+    assert.equal(created.body.reference_number, 'WA-101');
+
+    await api.request('POST', '/invoices/bulk', { body: { action: 'approve', ids: [created.body.id] } });
+    const approved = await api.request('GET', `/invoices/${created.body.id}/details`);
+    assert.equal(approved.body.invoice_number, 'INV/2025-26/0001');
+    assert.equal(approved.body.reference_number, 'WA-101');
+});
+
+test('approvals take the next numbers of the financial year in turn', async () => {
+    assert.deepEqual(await createAndApprove({}, {}), ['INV/2025-26/0002', 'INV/2025-26/0003']);
+    // April starts the next financial year, and its own count
+    assert.deepEqual(await createAndApprove({ invoice_date: '2026-04-02' }), ['INV/2026-27/0001']);
+});
+
+test('a number already issued under an older setup is skipped', async () => {
+    await api.query(`
+        INSERT INTO client_smd.backend (id, tenant_id, invoice_number, invoice_sequence, status)
+        VALUES (gen_random_uuid(), $1, 'INV/2025-26/0004', 4, 'APPROVED')
+    `, [DEFAULT_TENANT_ID]);
+    assert.deepEqual(await createAndApprove({}), ['INV/2025-26/0005']);
+});
+
+test('invoices in their own series are numbered from that series', async () => {
+    const saved = await api.request('PUT', '/invoice-series/shop', {
+        body: { prefix: 'SHOP', format: '{prefix}/{fy_short}/{seq}', padding: 3 }
+    });
+    assert.equal(saved.status, 201);
+    assert.deepEqual(await createAndApprove({ series: 'shop' }, {}), ['SHOP/2526/001', 'INV/2025-26/0006']);
+});
+
+test('a series that would hand out the default series\' numbers is refused', async () => {
+    const { status, body } = await api.request('PUT', '/invoice-series/counter', { body: { prefix: 'INV' } });
+    assert.equal(status, 422);
+    assert.deepEqual(body.errors, [{ field: 'format', message: 'gives the same numbers as series "default"' }]);
+});
+
+test('an invoice can\'t name a series the tenant doesn\'t have', async () => {
+    const { status, body } = await api.request('POST', '/invoices', { body: invoicePayload({ series: 'nope' }) });
+    assert.equal(status, 400);
+    assert.match(body.error, /series/i);
+});
@@ -0,0 +1,203 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startReceiver, tokenOf, invoicePayload } = require('./helpers');
+
+const SIGNATURE = { type: 'typed', name: 'Ravi Kumar' };
+
+let api;
+// Stands in for the WhatsApp flow that sends the code
+let whatsapp;
+before(async () => {
+    // APPROVAL_OTP_REQUIRED is left unset: codes are required by default
+    api = await startServer();
+    whatsapp = await startReceiver();
+});
+after(() => {
+    whatsapp.stop();
+    return api.stop();
+});
+
+const createInvoice = async () => {
+    const { body } = await api.request('POST', '/invoices', { body: invoicePayload() });
+    return { id: body.id, token: tokenOf(body.link), total: body.totals.total };
+};
+
+// The customer's side: the invoice link, no API key
+const customer = (method, path, { body, headers } = {}) => api.request(method, path, { key: null, body, headers });
+
+// The invoice's ETag as the app last loaded it
+const etagOf = async (token) => (await customer('GET', `/invoices/${token}`)).headers.get('etag');
+
+// Approves with the invoice's current ETag unless `ifMatch` is given
+const approve = async (invoice, body, ifMatch) => customer('POST', `/invoices/${invoice.token}/approve`, {
+    body: { total: invoice.total, signature: SIGNATURE, ...body },
+    headers: { 'If-Match': ifMatch || await etagOf(invoice.token) }
+});
+
+// The nth approval_otp_requested event the WhatsApp flow got for the invoice
+const sentEvent = async (invoiceId, nth = 1) => {
+    const sent = () => whatsapp.deliveries.filter(({ body }) => body.event === 'approval_otp_requested' && body.invoice_id === invoiceId);
+    await whatsapp.waitFor(() => sent().length >= nth);
+    return sent()[nth - 1].body;
+};
+
+// The code as the customer gets it; the API never shows it
+const sentCode = async (invoiceId, nth = 1) => (await sentEvent(invoiceId, nth)).otp;
+
+const outboxRow = async (invoiceId) => {
+    const [row] = await api.query(`
+        SELECT id, status, payload ? 'otp' AS has_code FROM client_smd.webhook_outbox
+        WHERE event = 'approval_otp_requested' AND invoice_id = $1
+        ORDER BY id DESC LIMIT 1
+    `, [invoiceId]);
+    return row;
+};
+
+const otpRow = async (invoiceId) => {
+    const [row] = await api.query(
+        'SELECT attempts, consumed_at FROM client_smd.invoice_otps WHERE invoice_id = $1 ORDER BY id DESC LIMIT 1',
+        [invoiceId]
+    );
+    return row;
+};
+
+// The outbox row once the delivery attempt in flight has settled on `status`
+const outboxRowWhen = async (invoiceId, status) => {
+    for (let i = 0; i < 40; i++) {
+        const row = await outboxRow(invoiceId);
+        if (row.status === status) return row;
+        await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+    return outboxRow(invoiceId);
+};
+
+test('without a subscriber for approval_otp_requested no code is issued', async () => {
+    const { token } = await createInvoice();
+    const { status, body } = await customer('POST', `/invoices/${token}/approval-otp`);
+    assert.equal(status, 503);
+    assert.equal(body.error, 'Approval codes are not set up for this business');
+});
+
+test('an approval is refused until the right code is given, and then uses it up', async () => {
+    const subscribed = await api.request('POST', '/webhooks/subscriptions', {
+        body: { url: whatsapp.url, events: ['approval_otp_requested'] }
+    });
+    assert.equal(subscribed.status, 201);
+
+    const invoice = await createInvoice();
+
+    const missing = await approve(invoice, {});
+    assert.equal(missing.status, 422);
+    assert.deepEqual(missing.body.errors, [{ field: 'otp', message: 'is required' }]);
+
+    const sent = await customer('POST', `/invoices/${invoice.token}/approval-otp`);
+    assert.equal(sent.status, 201);
+    assert.equal(sent.body.phone, '••••••••0001');
+    const code = await sentCode(invoice.id);
+    assert.match(code, /^\d{6}$/);
+
+    const wrongCode = String((Number(code) + 1) % 1000000).padStart(6, '0');
+    const wrong = await approve(invoice, { otp: wrongCode });
+    assert.equal(wrong.status, 422);
+    assert.deepEqual(wrong.body.errors, [{ field: 'otp', message: 'is not correct' }]);
+    assert.equal((await otpRow(invoice.id)).attempts, 1);
+
+    // Refused for another reason: the code stays usable
+    const stale = `"${Number((await etagOf(invoice.token)).slice(1, -1)) - 1}"`;
+    assert.equal((await approve(invoice, { otp: code }, stale)).status, 412);
+    assert.equal((await otpRow(invoice.id)).consumed_at, null);
+
+    const approved = await approve(invoice, { otp: code });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.status, 'APPROVED');
+    assert.notEqual((await otpRow(invoice.id)).consumed_at, null);
+
+    const evidence = await api.request('GET', `/invoices/${invoice.id}/details/approval`);
+    assert.equal(evidence.body.otp_verified, true);
+    assert.equal(evidence.body.phone, '919800000001');
+    assert.equal(evidence.body.signer_name, 'Ravi Kumar');
+});
+
+test('asking for a new code makes the previous one stop working', async () => {
+    const invoice = await createInvoice();
+    await customer('POST', `/invoices/${invoice.token}/approval-otp`);
+    const first = await sentCode(invoice.id);
+    await customer('POST', `/invoices/${invoice.token}/approval-otp`);
+    const second = await sentCode(invoice.id, 2);
+
+    // (the two random codes are the same once in a million runs)
+    if (first !== second) {
+        const old = await approve(invoice, { otp: first });
+        assert.equal(old.status, 422);
+        assert.equal(old.body.errors[0].field, 'otp');
+    }
+    assert.equal((await approve(invoice, { otp: second })).status, 200);
+});
+
+test('five wrong guesses use the code up', async () => {
+    const invoice = await createInvoice();
+    await customer('POST', `/invoices/${invoice.token}/approval-otp`);
+    const code = await sentCode(invoice.id);
+    const wrongCode = String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+    for (let i = 0; i < 5; i++) await approve(invoice, { otp: wrongCode });
+    const exhausted = await approve(invoice, { otp: code });
+    assert.equal(exhausted.status, 422);
+    assert.deepEqual(exhausted.body.errors, [{ field: 'otp', message: 'has expired, please request a new code' }]);
+});
+
+test('the code goes to the phone the invoice was issued to, not one an edit put on it', async () => {
+    const invoice = await createInvoice();
+    const edited = await customer('PUT', `/invoices/${invoice.token}`, {
+        body: { phonenumber: '919811111111' },
+        headers: { 'If-Match': await etagOf(invoice.token) }
+    });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.phonenumber, '919811111111');
+
+    const sent = await customer('POST', `/invoices/${invoice.token}/approval-otp`);
+    assert.equal(sent.status, 201);
+    assert.equal(sent.body.phone, '••••••••0001');
+    assert.equal((await sentEvent(invoice.id)).phone, '919800000001');
+
+    const approved = await approve(invoice, { otp: await sentCode(invoice.id) }, edited.headers.get('etag'));
+    assert.equal(approved.status, 200);
+    const evidence = await api.request('GET', `/invoices/${invoice.id}/details/approval`);
+    assert.equal(evidence.body.phone, '919800000001');
+    assert.equal(evidence.body.otp_verified, true);
+});
+
+test('the code leaves the outbox once it is delivered', async () => {
+    const invoice = await createInvoice();
+    await customer('POST', `/invoices/${invoice.token}/approval-otp`);
+    assert.match(await sentCode(invoice.id), /^\d{6}$/);
+
+    const row = await outboxRowWhen(invoice.id, 'SENT');
+    assert.equal(row.status, 'SENT');
+    assert.equal(row.has_code, false);
+});
+
+test('a code that expires before it could be delivered is dropped, not sent late', async () => {
+    const invoice = await createInvoice();
+    whatsapp.status = 500;
+    try {
+        await customer('POST', `/invoices/${invoice.token}/approval-otp`);
+        await sentEvent(invoice.id); // the failed first attempt
+        const waiting = await outboxRowWhen(invoice.id, 'PENDING');
+        assert.equal(waiting.status, 'PENDING');
+        assert.equal(waiting.has_code, true);
+
+        await api.query(`
+            UPDATE client_smd.webhook_outbox
+            SET payload = jsonb_set(payload, '{expires_at}', to_jsonb(now() - interval '1 minute'))
+            WHERE id = $1
+        `, [waiting.id]);
+        assert.equal((await api.request('POST', '/webhooks/drain')).status, 200);
+
+        const expired = await outboxRow(invoice.id);
+        assert.equal(expired.status, 'DEAD');
+        assert.equal(expired.has_code, false);
+    } finally {
+        whatsapp.status = 200;
+    }
+});
@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startReceiver, tokenOf, invoicePayload } = require('./helpers');
+
+let api;
+let n8n;
+before(async () => {
+    api = await startServer({ APPROVAL_OTP_REQUIRED: 'false' });
+    n8n = await startReceiver();
+    await api.request('POST', '/webhooks/subscriptions', { body: { url: n8n.url, events: ['invoice_approved'] } });
+});
+after(() => {
+    n8n.stop();
+    return api.stop();
+});
+
+// PDF_STORAGE=db in tests: without its table, storing a PDF fails
+const breakStorage = () => api.query('ALTER TABLE client_smd.invoice_files RENAME TO invoice_files_away');
+const fixStorage = () => api.query('ALTER TABLE client_smd.invoice_files_away RENAME TO invoice_files');
+
+const pdfState = async (id) => {
+    const [row] = await api.query(`
+        SELECT status, pdf_url, pdf_attempts, pdf_retry_at, pdf_retry_at > now() AS waiting,
+            (SELECT count(*)::int FROM client_smd.webhook_outbox o WHERE o.invoice_id = b.id AND o.event = 'invoice_approved') AS events
+        FROM client_smd.backend b WHERE id = $1
+    `, [id]);
+    return row;
+};
+
+const makeDue = (id) => api.query("UPDATE client_smd.backend SET pdf_retry_at = now() - interval '1 second' WHERE id = $1", [id]);
+
+test('an approval stands when its PDF can\'t be stored, and the drain issues the PDF later', async () => {
+    const created = await api.request('POST', '/invoices', { body: invoicePayload() });
+    const token = tokenOf(created.body.link);
+    const { headers } = await api.request('GET', `/invoices/${token}`, { key: null });
+
+    await breakStorage();
+    try {
+        const approved = await api.request('POST', `/invoices/${token}/approve`, {
+            key: null,
+            body: { total: created.body.totals.total, signature: { type: 'typed', name: 'Ravi Kumar' } },
+            headers: { 'If-Match': headers.get('etag') }
+        });
+        assert.equal(approved.status, 200);
+        assert.equal(approved.body.status, 'APPROVED');
+        assert.equal(approved.body.pdf_url, null);
+        assert.equal(approved.body.invoice_number, 'INV/2025-26/0001');
+
+        const pending = await pdfState(created.body.id);
+        assert.equal(pending.pdf_url, null);
+        assert.equal(pending.events, 0);
+        assert.equal(pending.waiting, true);
+
+        // Still failing: the attempt is counted and the next one backs off
+        await makeDue(created.body.id);
+        assert.equal((await api.request('POST', '/webhooks/drain')).status, 200);
+        const failed = await pdfState(created.body.id);
+        assert.equal(failed.pdf_url, null);
+        assert.equal(failed.pdf_attempts, 1);
+        assert.equal(failed.waiting, true);
+    } finally {
+        await fixStorage();
+    }
+
+    // Not due yet: left alone
+    await api.request('POST', '/webhooks/drain');
+    assert.equal((await pdfState(created.body.id)).pdf_url, null);
+
+    await makeDue(created.body.id);
+    await api.request('POST', '/webhooks/drain');
+    const issued = await pdfState(created.body.id);
+    assert.match(issued.pdf_url, /\/files\/[0-9a-f]{64}\.pdf$/);
+    assert.equal(issued.pdf_retry_at, null);
+    assert.equal(issued.pdf_attempts, 2);
+    assert.equal(issued.events, 1);
+
+    const delivered = await n8n.waitFor(({ body }) => body.event === 'invoice_approved' && body.invoice_id === created.body.id);
+    assert.equal(delivered.body.approval.signer_name, 'Ravi Kumar');
+    assert.ok(delivered.body.pdf_url);
+});
+
+test('a PDF issued with the approval is not issued again', async () => {
+    const created = await api.request('POST', '/invoices', { body: invoicePayload() });
+    const bulk = await api.request('POST', '/invoices/bulk', { body: { action: 'approve', ids: [created.body.id] } });
+    assert.equal(bulk.body.results[0].status, 'approved');
+
+    const issued = await pdfState(created.body.id);
+    assert.ok(issued.pdf_url);
+    assert.equal(issued.pdf_retry_at, null);
+    assert.equal(issued.events, 1);
+
+    await api.request('POST', '/webhooks/drain');
+    const drained = await pdfState(created.body.id);
+    assert.equal(drained.pdf_attempts, 0);
+    assert.equal(drained.events, 1);
+});
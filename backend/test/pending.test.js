@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, tokenOf, invoicePayload } = require('./helpers');
+
+const PHONE = '919800000066';
+
+let api;
+let token;
+// Newest first, like the list
+const open = [];
+before(async () => {
+    api = await startServer();
+    const payloads = [
+        { invoice_date: '2025-07-01', Dealer: 'Acme Traders' },
+        { invoice_date: '2025-07-15', Dealer: 'Bharat Hardware', productname: ['Steel rods'], quantity: [2], rate: [500] },
+        { invoice_date: '2025-08-01', Dealer: 'Acme Traders' },
+        { invoice_date: '2025-08-10', Dealer: 'Chopra & Sons' },
+        { invoice_date: '2025-08-20', Dealer: 'Acme Traders' }
+    ];
+    for (const payload of payloads) {
+        const { body } = await api.request('POST', '/invoices', { body: invoicePayload({ phonenumber: PHONE, ...payload }) });
+        open.unshift(body);
+    }
+    token = tokenOf(open[0].link);
+
+    // Neither an approved invoice nor another customer's shows up
+    const approved = await api.request('POST', '/invoices', { body: invoicePayload({ phonenumber: PHONE }) });
+    await api.request('POST', '/invoices/bulk', { body: { action: 'approve', ids: [approved.body.id] } });
+    await api.request('POST', '/invoices', { body: invoicePayload({ phonenumber: '919800000067' }) });
+    await api.query("UPDATE client_smd.backend SET status = 'DRAFT' WHERE id = $1", [open[1].id]);
+});
+after(() => api.stop());
+
+const pending = (query = '') => api.request('GET', `/invoices/${token}/pending${query}`, { key: null });
+
+test('pages follow the cursor, newest first, until next_cursor is null', async () => {
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+        const { status, body } = await pending(`?limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+        assert.equal(status, 200);
+        assert.equal(body.total, 5);
+        assert.ok(body.data.length <= 2);
+        seen.push(...body.data.map((row) => row.uuid));
+        cursor = body.next_cursor;
+        pages += 1;
+    } while (cursor);
+    assert.equal(pages, 3);
+    assert.deepEqual(seen, open.map((invoice) => invoice.id));
+});
+
+test('entries carry number, status, total and dates', async () => {
+    const { body } = await pending('?limit=1');
+    const [row] = body.data;
+    assert.equal(row.uuid, open[0].id);
+    assert.equal(row.Dealer, 'Acme Traders');
+    assert.equal(row.invoice_date, '2025-08-20');
+    assert.equal(row.status, 'CREATED');
+    assert.equal(row.total, 118);
+    assert.ok(!Number.isNaN(Date.parse(row.created_at)));
+    assert.ok(row.token);
+    assert.ok('invoice_number' in row);
+});
+
+test('status, date and text filters narrow the list and its total', async () => {
+    const drafts = await pending('?status=DRAFT');
+    assert.deepEqual(drafts.body.data.map((row) => row.uuid), [open[1].id]);
+    assert.equal(drafts.body.total, 1);
+
+    const august = await pending('?date_from=2025-08-01&date_to=2025-08-15');
+    assert.deepEqual(august.body.data.map((row) => row.uuid), [open[1].id, open[2].id]);
+    assert.equal(august.body.total, 2);
+
+    const dealer = await pending('?q=acme');
+    assert.deepEqual(dealer.body.data.map((row) => row.uuid), [open[0].id, open[2].id, open[4].id]);
+
+    const product = await pending('?q=steel');
+    assert.deepEqual(product.body.data.map((row) => row.uuid), [open[3].id]);
+    assert.equal(product.body.data[0].total, 1180);
+
+    // Filters carry over to the next page
+    const first = await pending('?q=acme&limit=2');
+    assert.equal(first.body.total, 3);
+    const second = await pending(`?q=acme&limit=2&cursor=${first.body.next_cursor}`);
+    assert.deepEqual(second.body.data.map((row) => row.uuid), [open[4].id]);
+    assert.equal(second.body.next_cursor, null);
+});
+
+test('bad paging and filter parameters are a 422', async () => {
+    const tampered = Buffer.from(JSON.stringify({ c: 'yesterday', i: open[0].id })).toString('base64url');
+    const cases = [
+        ['?cursor=garbage', 'cursor'],
+        [`?cursor=${tampered}`, 'cursor'],
+        ['?limit=0', 'limit'],
+        ['?limit=101', 'limit'],
+        ['?status=APPROVED', 'status.0'],
+        ['?date_from=last-week', 'date_from']
+    ];
+    for (const [query, field] of cases) {
+        const { status, body } = await pending(query);
+        assert.equal(status, 422, query);
+        assert.equal(body.errors[0].field, field, query);
+    }
+});
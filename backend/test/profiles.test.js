@@ -0,0 +1,131 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, tokenOf, invoicePayload } = require('./helpers');
+
+// 1x1 transparent PNG
+const LOGO = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(() => api.stop());
+
+// The invoice's PDF as the customer downloads it; jsPDF leaves the text streams uncompressed
+const invoicePdf = async (created) => {
+    const { status, headers, body } = await api.request('GET', `/invoices/${tokenOf(created.link)}/pdf`, { key: null });
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'application/pdf');
+    return body;
+};
+
+test('profiles are checked before they are saved', async () => {
+    const cases = [
+        [{}, 'name is required'],
+        [{ name: '   ' }, 'name is required'],
+        [{ name: 'Acme', address: 42 }, 'address must be a string'],
+        [{ name: 'Acme', logo: 'https://example.com/logo.png' }, 'logo must be a PNG or JPEG data URL'],
+        [{ name: 'Acme', colors: { primary: 'red' } }, 'colors.primary must be a #rrggbb colour'],
+        [{ name: 'Acme', bank_details: { swift: 'X' } }, /^Unknown bank_details fields: swift/],
+        [{ name: 'Acme', columns: [] }, 'columns must be a non-empty array'],
+        [{ name: 'Acme', columns: ['sno', 'hsn'] }, /^Unknown columns: hsn/],
+        [{ name: 'Acme', is_default: 'yes' }, 'is_default must be a boolean']
+    ];
+    for (const [body, error] of cases) {
+        const res = await api.request('POST', '/profiles', { body });
+        assert.equal(res.status, 400, JSON.stringify(body));
+        if (error instanceof RegExp) {
+            assert.match(res.body.error, error);
+        } else {
+            assert.equal(res.body.error, error);
+        }
+    }
+
+    // A patch doesn't need the name, but is checked the same way
+    const created = await api.request('POST', '/profiles', { body: { name: 'Checked' } });
+    assert.equal((await api.request('PATCH', `/profiles/${created.body.id}`, { body: { terms: 'Net 30' } })).status, 200);
+    const bad = await api.request('PATCH', `/profiles/${created.body.id}`, { body: { colors: { accent: '#12345' } } });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.error, 'colors.accent must be a #rrggbb colour');
+    await api.request('DELETE', `/profiles/${created.body.id}`);
+});
+
+test('a tenant has at most one default profile, and invoices without a profile use it', async () => {
+    const first = await api.request('POST', '/profiles', { body: { name: 'First Letterhead', is_default: true } });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.is_default, true);
+
+    const second = await api.request('POST', '/profiles', { body: { name: 'Second Letterhead', is_default: true } });
+    const listed = await api.request('GET', '/profiles');
+    assert.deepEqual(listed.body.map((row) => [row.name, row.is_default]), [
+        ['Second Letterhead', true],
+        ['First Letterhead', false]
+    ]);
+
+    const created = await api.request('POST', '/invoices', { body: invoicePayload() });
+    const pdf = await invoicePdf(created.body);
+    assert.match(pdf, /Second Letterhead/);
+    assert.doesNotMatch(pdf, /First Letterhead/);
+
+    // Once the default is gone, invoices fall back to the built-in profile
+    assert.equal((await api.request('DELETE', `/profiles/${second.body.id}`)).status, 204);
+    assert.equal((await api.request('GET', `/profiles/${second.body.id}`)).status, 404);
+    assert.equal((await api.request('DELETE', `/profiles/${second.body.id}`)).status, 404);
+    assert.doesNotMatch(await invoicePdf(created.body), /Letterhead/);
+    await api.request('DELETE', `/profiles/${first.body.id}`);
+});
+
+test('an invoice renders with its own profile, columns included', async () => {
+    const profile = await api.request('POST', '/profiles', {
+        body: {
+            name: 'Branch Office',
+            logo: LOGO,
+            colors: { primary: '#0f766e' },
+            bank_details: { bank_name: 'State Bank', ifsc: 'SBIN0000001' },
+            columns: ['sno', 'productname', 'quantity', 'amount']
+        }
+    });
+    assert.equal(profile.status, 201);
+    const listed = await api.request('GET', '/profiles');
+    const row = listed.body.find((p) => p.id === profile.body.id);
+    assert.equal(row.has_logo, true);
+    assert.equal(row.logo, undefined);
+
+    const created = await api.request('POST', '/invoices', { body: invoicePayload({ profile_id: profile.body.id }) });
+    assert.equal(created.status, 201);
+    const pdf = await invoicePdf(created.body);
+    assert.match(pdf, /Branch Office/);
+    assert.match(pdf, /SBIN0000001/);
+    assert.match(pdf, /\(Qty\)/);
+    assert.doesNotMatch(pdf, /\(Rate\)/);
+
+    // Patching the profile changes the invoice's next PDF
+    const patched = await api.request('PATCH', `/profiles/${profile.body.id}`, { body: { name: 'Head Office', logo: null } });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.logo, null);
+    assert.equal(patched.body.colors.primary, '#0f766e');
+    assert.match(await invoicePdf(created.body), /Head Office/);
+
+    const unknown = await api.request('POST', '/invoices', {
+        body: invoicePayload({ profile_id: '00000000-0000-4000-8000-000000000000' })
+    });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, 'Unknown profile_id');
+});
+
+test('the preview renders a sample invoice with the profile', async () => {
+    const profile = await api.request('POST', '/profiles', { body: { name: 'Preview Traders', footer: 'Thank you' } });
+    const { status, headers, body } = await api.request('GET', `/profiles/${profile.body.id}/preview?lines=3`);
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'application/pdf');
+    assert.match(headers.get('content-disposition'), /^inline/);
+    assert.ok(body.startsWith('%PDF-'));
+    assert.match(body, /Preview Traders/);
+    assert.match(body, /SAMPLE-001/);
+    assert.match(body, /Product 3/);
+    assert.doesNotMatch(body, /Product 4/);
+
+    const missing = await api.request('GET', '/profiles/00000000-0000-4000-8000-000000000000/preview');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, 'Profile not found');
+});
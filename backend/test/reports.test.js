@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, invoicePayload } = require('./helpers');
+
+// A zone whose date differs from UTC's right now, with an hour to spare either way:
+// UTC-12 is a day behind until 12:00 UTC, UTC+14 a day ahead from 10:00 UTC
+const REPORT_TIMEZONE = new Date().getUTCHours() < 11 ? 'Etc/GMT+12' : 'Pacific/Kiritimati';
+const zoneToday = () => new Intl.DateTimeFormat('en-CA', { timeZone: REPORT_TIMEZONE }).format(new Date());
+
+let api;
+before(async () => {
+    api = await startServer({ REPORT_TIMEZONE });
+});
+after(() => api.stop());
+
+// Creates the invoices and approves them as an operator
+const createApproved = async (...payloads) => {
+    const ids = [];
+    for (const payload of payloads) {
+        ids.push((await api.request('POST', '/invoices', { body: invoicePayload(payload) })).body.id);
+    }
+    const { body } = await api.request('POST', '/invoices/bulk', { body: { action: 'approve', ids } });
+    assert.deepEqual(body.results.map((r) => r.status), ids.map(() => 'approved'));
+    return ids;
+};
+
+test('without dates, reports cover the last 30 days up to today in the business\'s timezone', async () => {
+    const today = zoneToday();
+    assert.notEqual(today, new Date().toISOString().slice(0, 10));
+    await createApproved({ invoice_date: today, Dealer: 'Today Traders' });
+
+    const { status, body } = await api.request('GET', '/reports/sales');
+    assert.equal(status, 200);
+    assert.equal(body.date_to, today);
+    const start = new Date(`${today}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - 29);
+    assert.equal(body.date_from, start.toISOString().slice(0, 10));
+    assert.deepEqual(body.rows.map((row) => row.label), ['Today Traders']);
+
+    const funnel = await api.request('GET', '/reports/funnel');
+    assert.equal(funnel.body.date_to, today);
+});
+
+test('sales add up per dealer, product, unit and month, approved invoices only by default', async () => {
+    await createApproved(
+        { invoice_date: '2025-06-10', Dealer: 'Acme Traders', productname: ['Cement'], quantity: [2], rate: [100], units: ['bags'] },
+        { invoice_date: '2025-06-20', Dealer: 'Acme Traders', productname: ['Cement', 'Sand'], quantity: [1, 4], rate: [100, 25], units: ['bags', 'kg'] },
+        { invoice_date: '2025-07-05', Dealer: 'Bharat Hardware', productname: ['Steel'], quantity: [1], rate: [1000], units: ['kg'] },
+        // The same dealer and product, spelt differently
+        { invoice_date: '2025-07-20', Dealer: ' ACME TRADERS', productname: ['Sand '], quantity: [2], rate: [25], units: ['kg'] }
+    );
+    const open = await api.request('POST', '/invoices', { body: invoicePayload({ invoice_date: '2025-06-15', Dealer: 'Still Open' }) });
+    const sales = (query) => api.request('GET', `/reports/sales?date_from=2025-06-01&date_to=2025-07-31${query}`);
+    const pick = (rows) => rows.map(({ label, invoices, quantity, subtotal, tax, total }) => [label, invoices, quantity, subtotal, tax, total]);
+
+    const dealers = await sales('');
+    assert.equal(dealers.status, 200);
+    assert.deepEqual(dealers.body.status, ['APPROVED', 'SENT', 'PAID']);
+    assert.deepEqual(pick(dealers.body.rows), [
+        ['Bharat Hardware', 1, null, 1000, 180, 1180],
+        ['Acme Traders', 3, null, 450, 81, 531]
+    ]);
+    assert.deepEqual(dealers.body.totals, { invoices: 4, subtotal: 1450, tax: 261, total: 1711 });
+    assert.equal(dealers.body.truncated, false);
+
+    const products = await sales('&group_by=product');
+    assert.deepEqual(pick(products.body.rows), [
+        ['Steel', 1, 1, 1000, 180, 1180],
+        ['Cement', 2, 3, 300, 54, 354],
+        ['Sand', 2, 6, 150, 27, 177]
+    ]);
+    // Counted once each, though the second invoice has two products
+    assert.deepEqual(products.body.totals, { invoices: 4, subtotal: 1450, tax: 261, total: 1711 });
+
+    const units = await sales('&group_by=unit');
+    assert.deepEqual(pick(units.body.rows), [
+        ['kg', 3, 7, 1150, 207, 1357],
+        ['bags', 2, 3, 300, 54, 354]
+    ]);
+
+    const months = await sales('&group_by=month');
+    assert.deepEqual(pick(months.body.rows), [
+        ['2025-06-01', 2, null, 400, 72, 472],
+        ['2025-07-01', 2, null, 1050, 189, 1239]
+    ]);
+
+    // Rankings are cut to the limit, the totals are not
+    const top = await sales('&limit=1');
+    assert.deepEqual(top.body.rows.map((row) => row.label), ['Bharat Hardware']);
+    assert.equal(top.body.truncated, true);
+    assert.equal(top.body.totals.invoices, 4);
+
+    const pending = await sales('&status=CREATED');
+    assert.deepEqual(pick(pending.body.rows), [['Still Open', 1, null, 100, 18, 118]]);
+    assert.equal(open.status, 201);
+
+    const bad = await api.request('GET', '/reports/sales?group_by=year');
+    assert.equal(bad.status, 422);
+    assert.equal(bad.body.errors[0].field, 'group_by');
+});
+
+test('the funnel counts invoices from creation to approval, rejection or cancellation', async () => {
+    const before = (await api.request('GET', '/reports/funnel')).body;
+
+    await createApproved({}, {});
+    for (const status of ['REJECTED', 'CANCELLED', null]) {
+        const { body } = await api.request('POST', '/invoices', { body: invoicePayload() });
+        if (status) {
+            const moved = await api.request('POST', `/invoices/${body.id}/status`, { body: { status, reason: 'Raised twice' } });
+            assert.equal(moved.body.status, status);
+        }
+    }
+
+    const { status, body } = await api.request('GET', '/reports/funnel');
+    assert.equal(status, 200);
+    assert.equal(body.timezone, REPORT_TIMEZONE);
+    assert.equal(body.interval, 'day');
+    const added = Object.fromEntries(['created', 'approved', 'rejected', 'cancelled', 'open']
+        .map((field) => [field, body.summary[field] - before.summary[field]]));
+    assert.deepEqual(added, { created: 5, approved: 2, rejected: 1, cancelled: 1, open: 1 });
+    assert.equal(body.summary.conversion_rate, Math.round((body.summary.approved / body.summary.created) * 10000) / 10000);
+    assert.ok(body.summary.median_hours_to_approve >= 0);
+    assert.equal(body.summary.webhook_failure_rate, null);
+
+    // Everything was created today, in one daily period
+    assert.deepEqual(body.series.map((row) => row.period), [zoneToday()]);
+    assert.equal(body.series[0].created, body.summary.created);
+
+    const bad = await api.request('GET', '/reports/funnel?interval=year');
+    assert.equal(bad.status, 422);
+    assert.equal(bad.body.errors[0].field, 'interval');
+});
@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, tokenOf, invoicePayload } = require('./helpers');
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(() => api.stop());
+
+// The customer's side: the invoice link, no API key
+const edit = async (token, body) => {
+    const { headers } = await api.request('GET', `/invoices/${token}`, { key: null });
+    return api.request('PUT', `/invoices/${token}`, { key: null, body, headers: { 'If-Match': headers.get('etag') } });
+};
+
+test('every edit appends a revision with its changes, against the last one and the original', async () => {
+    const created = await api.request('POST', '/invoices', { body: invoicePayload({ Dealer: 'Acme Traders' }) });
+    const token = tokenOf(created.body.link);
+    assert.equal((await edit(token, { Dealer: 'Acme Hardware' })).status, 200);
+    assert.equal((await edit(token, { productname: ['Cement'], quantity: [3], rate: [100] })).status, 200);
+
+    const { status, body } = await api.request('GET', `/invoices/${token}/revisions`, { key: null });
+    assert.equal(status, 200);
+    assert.deepEqual(body.map((r) => [r.revision, r.action, r.actor.type]), [
+        [0, 'created', 'n8n'],
+        [1, 'updated', 'customer'],
+        [2, 'updated', 'customer']
+    ]);
+    // IP and user agent stay server-side
+    assert.deepEqual(Object.keys(body[1].actor), ['type']);
+
+    // The first edit also makes the invoice a draft
+    assert.deepEqual(body[1].changes, [
+        { field: 'dealer', from: 'Acme Traders', to: 'Acme Hardware' },
+        { field: 'status', from: 'CREATED', to: 'DRAFT' }
+    ]);
+    assert.deepEqual(body[2].changes.map((c) => [c.field, c.from, c.to]), [['total', 118, 354], ['items.0.quantity', 1, 3]]);
+    assert.deepEqual(body[2].changes_from_original.map((c) => c.field), ['dealer', 'status', 'total', 'items.0.quantity']);
+    assert.equal(body[2].snapshot.dealer, 'Acme Hardware');
+});
+
+test('revisions can\'t be changed or deleted, even straight in the database', async () => {
+    const created = await api.request('POST', '/invoices', { body: invoicePayload() });
+    await edit(tokenOf(created.body.link), { Dealer: 'Rewritten' });
+
+    await assert.rejects(
+        api.query("UPDATE client_smd.invoice_revisions SET action = 'forged' WHERE invoice_id = $1", [created.body.id]),
+        /invoice_revisions is append-only/
+    );
+    await assert.rejects(
+        api.query('DELETE FROM client_smd.invoice_revisions WHERE invoice_id = $1', [created.body.id]),
+        /invoice_revisions is append-only/
+    );
+    const rows = await api.query('SELECT action FROM client_smd.invoice_revisions WHERE invoice_id = $1 ORDER BY revision', [created.body.id]);
+    assert.deepEqual(rows.map((r) => r.action), ['created', 'updated']);
+});
+
+test('an invoice from before revisions existed gets its state as revision 0 on the first change', async () => {
+    const id = '22222222-2222-4222-8222-222222222222';
+    await api.query(`
+        INSERT INTO client_smd.backend (id, phonenumber, dealer, status, lines_migrated)
+        VALUES ($1, '919800000001', 'Old Traders', 'CREATED', true)
+    `, [id]);
+    const link = await api.request('POST', `/invoices/${id}/links`, { body: {} });
+    assert.equal((await edit(link.body.token, { Dealer: 'New Traders' })).status, 200);
+
+    const { body } = await api.request('GET', `/invoices/${link.body.token}/revisions`, { key: null });
+    assert.deepEqual(body.map((r) => r.action), ['imported', 'updated']);
+    assert.equal(body[0].snapshot.dealer, 'Old Traders');
+    assert.deepEqual(body[1].changes[0], { field: 'dealer', from: 'Old Traders', to: 'New Traders' });
+});
@@ -0,0 +1,18 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let api;
+before(async () => {
+    // A table in the way of the migrations: they can't index its missing columns
+    api = await startServer({}, { setup: 'CREATE TABLE client_smd.invoice_lines (id INTEGER);' });
+});
+after(() => api.stop());
+
+test('a failed migration makes every route answer 503 instead of serving a half-built schema', async () => {
+    for (const [method, path, key] of [['GET', '/invoices', undefined], ['GET', '/tenant', null], ['POST', '/webhooks/drain', undefined]]) {
+        const { status, body } = await api.request(method, path, { key });
+        assert.equal(status, 503, `${method} ${path}`);
+        assert.equal(body.error, 'Database schema is not ready');
+    }
+});
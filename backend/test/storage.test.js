@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, invoicePayload } = require('./helpers');
+
+// Same as LINK_SECRET in helpers; file URLs are signed with it too
+const LINK_SECRET = 'test-link-secret';
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'invoice-pdfs-'));
+
+let api;
+let pdfUrl;
+before(async () => {
+    api = await startServer({ PDF_STORAGE: 'local', PDF_STORAGE_DIR: storageDir, FILE_URL_TTL_SECONDS: '60' });
+    const created = await api.request('POST', '/invoices', { body: invoicePayload() });
+    await api.request('POST', '/invoices/bulk', { body: { action: 'approve', ids: [created.body.id] } });
+    pdfUrl = (await api.request('GET', `/invoices/${created.body.id}/details`)).body.pdf_url;
+});
+after(async () => {
+    await api.stop();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+// The /files/... path of a signed URL, with its query
+const pathOf = (url) => {
+    const { pathname, search } = new URL(url);
+    return pathname + search;
+};
+
+const signFile = (key, expires) =>
+    crypto.createHmac('sha256', LINK_SECRET).update(`file.${key}.${expires}`).digest('base64url');
+
+test('the approved PDF is stored under the hash of its bytes', async () => {
+    const { pathname, searchParams } = new URL(pdfUrl);
+    const key = pathname.split('/files/')[1];
+    assert.match(key, /^[0-9a-f]{64}\.pdf$/);
+    const expires = Number(searchParams.get('e'));
+    assert.ok(expires > Date.now() / 1000 && expires <= Date.now() / 1000 + 60);
+
+    const stored = fs.readFileSync(path.join(storageDir, key));
+    assert.equal(stored.subarray(0, 5).toString(), '%PDF-');
+    assert.equal(`${crypto.createHash('sha256').update(stored).digest('hex')}.pdf`, key);
+
+    // pdf_url is stored unsigned and signed whenever it is handed out
+    const [row] = await api.query('SELECT pdf_url FROM client_smd.backend WHERE pdf_url IS NOT NULL');
+    assert.equal(new URL(row.pdf_url).search, '');
+});
+
+test('a signed file URL serves the PDF', async () => {
+    const res = await fetch(api.base + pathOf(pdfUrl));
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/pdf');
+    assert.equal(Buffer.from(await res.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+});
+
+test('file URLs without a valid signature, or past their expiry, are refused', async () => {
+    const { pathname, searchParams } = new URL(pdfUrl);
+    const key = pathname.split('/files/')[1];
+    const expires = searchParams.get('e');
+
+    const unsigned = await api.request('GET', pathname, { key: null });
+    assert.equal(unsigned.status, 403);
+    assert.equal(unsigned.body.error, 'Invalid file link');
+
+    // A later expiry needs a new signature
+    const extended = await api.request('GET', `${pathname}?e=${Number(expires) + 3600}&s=${searchParams.get('s')}`, { key: null });
+    assert.equal(extended.status, 403);
+
+    const past = Math.floor(Date.now() / 1000) - 60;
+    const expired = await api.request('GET', `${pathname}?e=${past}&s=${signFile(key, past)}`, { key: null });
+    assert.equal(expired.status, 410);
+    assert.equal(expired.body.error, 'File link has expired');
+
+    const other = `${'0'.repeat(64)}.pdf`;
+    const future = Math.floor(Date.now() / 1000) + 60;
+    const missing = await api.request('GET', `/files/${other}?e=${future}&s=${signFile(other, future)}`, { key: null });
+    assert.equal(missing.status, 404);
+});
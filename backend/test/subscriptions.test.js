@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startReceiver, tokenOf, invoicePayload } = require('./helpers');
+
+let api;
+let crm;
+let accounts;
+before(async () => {
+    api = await startServer();
+    crm = await startReceiver();
+    accounts = await startReceiver();
+});
+after(() => {
+    crm.stop();
+    accounts.stop();
+    return api.stop();
+});
+
+const subscribe = async (url, events, extra = {}) => {
+    const { status, body } = await api.request('POST', '/webhooks/subscriptions', { body: { url, events, ...extra } });
+    assert.equal(status, 201);
+    return body;
+};
+
+const eventsFor = (receiver, invoiceId) => receiver.deliveries
+    .filter(({ body }) => body.invoice_id === invoiceId)
+    .map(({ body }) => body.event);
+
+test('each subscription gets the events it asked for, and only those', async () => {
+    const crmSubscription = await subscribe(crm.url, ['invoice_created', 'invoice_rejected']);
+    const accountsSubscription = await subscribe(accounts.url, ['invoice_rejected', 'invoice_sent']);
+    assert.match(crmSubscription.secret, /^whsec_/);
+    // The secret is shown once, when the subscription is created
+    assert.equal((await api.request('GET', `/webhooks/subscriptions/${crmSubscription.id}`)).body.secret, undefined);
+
+    const created = await api.request('POST', '/invoices', { body: invoicePayload() });
+    const token = tokenOf(created.body.link);
+    const rejected = await api.request('POST', `/invoices/${token}/reject`, { key: null, body: { reason: 'Wrong rate' } });
+    assert.equal(rejected.status, 200);
+
+    const toCrm = await crm.waitFor(({ body }) => body.event === 'invoice_rejected' && body.invoice_id === created.body.id);
+    const toAccounts = await accounts.waitFor(({ body }) => body.event === 'invoice_rejected' && body.invoice_id === created.body.id);
+    assert.equal(toCrm.body.reason, 'Wrong rate');
+    assert.equal(toCrm.body.status, 'REJECTED');
+    // One outbox row per subscriber, each with its own idempotency key
+    assert.notEqual(toCrm.body.idempotency_key, toAccounts.body.idempotency_key);
+    assert.deepEqual(eventsFor(crm, created.body.id), ['invoice_created', 'invoice_rejected']);
+    assert.deepEqual(eventsFor(accounts, created.body.id), ['invoice_rejected']);
+
+    await api.request('DELETE', `/webhooks/subscriptions/${crmSubscription.id}`);
+    await api.request('DELETE', `/webhooks/subscriptions/${accountsSubscription.id}`);
+});
+
+test('the invoice_created event carries only the view link', async () => {
+    const subscription = await subscribe(crm.url, ['invoice_created']);
+    const created = await api.request('POST', '/invoices', { body: invoicePayload() });
+    const { body } = await crm.waitFor((d) => d.body.event === 'invoice_created' && d.body.invoice_id === created.body.id);
+
+    assert.deepEqual(Object.keys(body.links).sort(), ['link_expires_at', 'view_link', 'view_token']);
+    const opened = await api.request('GET', `/invoices/${body.links.view_token}`, { key: null });
+    assert.equal(opened.body.access.scope, 'view');
+    await api.request('DELETE', `/webhooks/subscriptions/${subscription.id}`);
+});
+
+test('disabled and deleted subscriptions get nothing', async () => {
+    const disabled = await subscribe(crm.url, ['invoice_created']);
+    const patched = await api.request('PATCH', `/webhooks/subscriptions/${disabled.id}`, { body: { enabled: false } });
+    assert.equal(patched.body.enabled, false);
+    const deleted = await subscribe(accounts.url, ['invoice_created']);
+    assert.equal((await api.request('DELETE', `/webhooks/subscriptions/${deleted.id}`)).status, 204);
+
+    const created = await api.request('POST', '/invoices', { body: invoicePayload() });
+    const queued = await api.query('SELECT count(*)::int AS n FROM client_smd.webhook_outbox WHERE invoice_id = $1', [created.body.id]);
+    assert.equal(queued[0].n, 0);
+});
+
+test('subscriptions need an http(s) url and known events', async () => {
+    const invalid = [
+        [{ url: 'ftp://example.com', events: ['invoice_created'] }, 'url must be http(s)'],
+        [{ url: crm.url, events: [] }, 'events must be a non-empty array'],
+        [{ url: crm.url, events: ['invoice_printed'] }, /^Unknown events: invoice_printed/]
+    ];
+    for (const [body, error] of invalid) {
+        const res = await api.request('POST', '/webhooks/subscriptions', { body });
+        assert.equal(res.status, 400);
+        if (typeof error === 'string') assert.equal(res.body.error, error);
+        else assert.match(res.body.error, error);
+    }
+});
@@ -0,0 +1,168 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, tokenOf, invoicePayload } = require('./helpers');
+
+// Both tenants bill the same customer, so phone-based lookups have something to leak
+const SHARED_PHONE = '919800000055';
+
+let api;
+const alpha = {};
+const beta = {};
+before(async () => {
+    api = await startServer();
+    for (const [tenant, slug] of [[alpha, 'alpha'], [beta, 'beta']]) {
+        const created = await api.request('POST', '/tenants', { body: { slug, name: `${slug} traders` } });
+        assert.equal(created.status, 201);
+        tenant.key = created.body.api_key;
+        tenant.invoice = (await api.request('POST', '/invoices', {
+            key: tenant.key,
+            body: invoicePayload({ phonenumber: SHARED_PHONE, Dealer: `${slug} dealer`, invoice_number: `${slug}-1` })
+        })).body;
+        const approved = await api.request('POST', '/invoices/bulk', {
+            key: tenant.key,
+            body: { action: 'approve', ids: [tenant.invoice.id] }
+        });
+        assert.equal(approved.body.results[0].status, 'approved');
+    }
+    // A second, open invoice of alpha's for the pending list
+    alpha.open = (await api.request('POST', '/invoices', {
+        key: alpha.key,
+        body: invoicePayload({ phonenumber: SHARED_PHONE, invoice_number: 'alpha-2' })
+    })).body;
+});
+after(() => api.stop());
+
+test('the invoice list only holds the caller\'s invoices', async () => {
+    const { body } = await api.request('GET', '/invoices?per_page=100', { key: beta.key });
+    assert.deepEqual(body.data.map((row) => row.uuid), [beta.invoice.id]);
+    assert.equal(body.total, 1);
+
+    const searched = await api.request('GET', `/invoices?q=alpha&phone=${SHARED_PHONE}`, { key: beta.key });
+    assert.ok(searched.body.data.every((row) => row.uuid === beta.invoice.id));
+});
+
+test('another tenant\'s invoice is not found by id on any operator route', async () => {
+    const id = alpha.invoice.id;
+    const routes = [
+        ['GET', `/invoices/${id}/details`],
+        ['GET', `/invoices/${id}/details/comments`],
+        ['POST', `/invoices/${id}/details/comments`, { body: 'Hello' }],
+        ['GET', `/invoices/${id}/details/approval`],
+        ['POST', `/invoices/${id}/links`, {}],
+        ['POST', `/invoices/${id}/links/revoke`],
+        ['POST', `/invoices/${id}/status`, { status: 'PAID' }]
+    ];
+    for (const [method, path, body] of routes) {
+        const res = await api.request(method, path, { key: beta.key, body });
+        assert.equal(res.status, 404, `${method} ${path}`);
+    }
+    const [row] = await api.query('SELECT status, link_version FROM client_smd.backend WHERE id = $1', [id]);
+    assert.equal(row.status, 'APPROVED');
+    assert.equal(row.link_version, 0);
+});
+
+test('bulk actions skip another tenant\'s invoices', async () => {
+    const approve = await api.request('POST', '/invoices/bulk', {
+        key: beta.key,
+        body: { action: 'approve', ids: [alpha.open.id] }
+    });
+    assert.deepEqual(approve.body.results, [{ id: alpha.open.id, status: 'not_found' }]);
+
+    const exported = await api.request('POST', '/invoices/bulk', {
+        key: beta.key,
+        body: { action: 'export', ids: [alpha.invoice.id, beta.invoice.id] }
+    });
+    assert.match(exported.body, /beta-1/);
+    assert.doesNotMatch(exported.body, /alpha-/);
+});
+
+test('exports only hold the caller\'s invoices', async () => {
+    for (const format of ['csv', 'tally']) {
+        const { status, body } = await api.request('GET', `/exports/invoices?format=${format}`, { key: beta.key });
+        assert.equal(status, 200, format);
+        assert.match(body, /beta dealer/, format);
+        assert.doesNotMatch(body, /alpha/, format);
+    }
+});
+
+test('reports only count the caller\'s invoices', async () => {
+    const sales = await api.request('GET', '/reports/sales?date_from=2025-04-01&date_to=2026-03-31', { key: beta.key });
+    assert.equal(sales.status, 200);
+    assert.deepEqual(sales.body.rows.map((row) => row.label), ['beta dealer']);
+    assert.equal(sales.body.totals.invoices, 1);
+    assert.equal(sales.body.totals.total, beta.invoice.totals.total);
+
+    const funnel = await api.request('GET', '/reports/funnel', { key: beta.key });
+    assert.equal(funnel.status, 200);
+    assert.equal(funnel.body.summary.created, 1);
+    assert.equal(funnel.body.summary.approved, 1);
+});
+
+test('each tenant numbers its invoices from its own series', async () => {
+    for (const tenant of [alpha, beta]) {
+        const { body } = await api.request('GET', `/invoices/${tenant.invoice.id}/details`, { key: tenant.key });
+        assert.equal(body.invoice_number, 'INV/2025-26/0001');
+    }
+});
+
+test('webhook subscriptions and profiles are invisible to other tenants', async () => {
+    const subscription = await api.request('POST', '/webhooks/subscriptions', {
+        key: alpha.key,
+        body: { url: 'http://127.0.0.1:9/alpha', events: ['invoice_created'] }
+    });
+    const profile = await api.request('POST', '/profiles', { key: alpha.key, body: { name: 'Alpha letterhead' } });
+    assert.equal(subscription.status, 201);
+    assert.equal(profile.status, 201);
+
+    const subscriptions = await api.request('GET', '/webhooks/subscriptions', { key: beta.key });
+    assert.deepEqual(subscriptions.body, []);
+    const profiles = await api.request('GET', '/profiles', { key: beta.key });
+    assert.ok(profiles.body.every((row) => row.id !== profile.body.id));
+
+    const routes = [
+        ['GET', `/webhooks/subscriptions/${subscription.body.id}`],
+        ['PATCH', `/webhooks/subscriptions/${subscription.body.id}`, { enabled: false }],
+        ['DELETE', `/webhooks/subscriptions/${subscription.body.id}`],
+        ['GET', `/profiles/${profile.body.id}`],
+        ['PATCH', `/profiles/${profile.body.id}`, { name: 'Taken over' }],
+        ['DELETE', `/profiles/${profile.body.id}`]
+    ];
+    for (const [method, path, body] of routes) {
+        const res = await api.request(method, path, { key: beta.key, body });
+        assert.equal(res.status, 404, `${method} ${path}`);
+    }
+    assert.equal((await api.request('GET', `/profiles/${profile.body.id}`, { key: alpha.key })).body.name, 'Alpha letterhead');
+
+    // Nor can an invoice be created on another tenant's profile
+    const created = await api.request('POST', '/invoices', {
+        key: beta.key,
+        body: invoicePayload({ profile_id: profile.body.id })
+    });
+    assert.equal(created.status, 400);
+    assert.equal(created.body.error, 'Unknown profile_id');
+});
+
+test('a customer link lists and opens only its own tenant\'s invoices', async () => {
+    // An open invoice of beta's for the same phone
+    const betaOpen = await api.request('POST', '/invoices', {
+        key: beta.key,
+        body: invoicePayload({ phonenumber: SHARED_PHONE, invoice_number: 'beta-2' })
+    });
+    assert.equal(betaOpen.status, 201);
+
+    const token = tokenOf(alpha.open.link);
+    const pending = await api.request('GET', `/invoices/${token}/pending`, { key: null });
+    assert.equal(pending.status, 200);
+    assert.deepEqual(pending.body.data.map((row) => row.uuid), [alpha.open.id]);
+    assert.equal((await api.request('GET', `/invoices/${tokenOf(betaOpen.body.link)}`, { key: null })).status, 200);
+
+    // A token claiming another tenant for the invoice is refused, even with a valid signature
+    const claims = JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString('utf8'));
+    const [betaTenant] = await api.query("SELECT id FROM client_smd.tenants WHERE slug = 'beta'");
+    const encoded = Buffer.from(JSON.stringify({ ...claims, t: betaTenant.id })).toString('base64url');
+    // Same as LINK_SECRET in helpers
+    const signature = crypto.createHmac('sha256', 'test-link-secret').update(encoded).digest('base64url');
+    const opened = await api.request('GET', `/invoices/${encoded}.${signature}`, { key: null });
+    assert.equal(opened.status, 401);
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, invoicePayload } = require('./helpers');
+
+// Seller is in Maharashtra (27, see helpers)
+const INTRA_STATE_GSTIN = '27AAGCM1234K1ZH';
+const INTER_STATE_GSTIN = '29AAPFU0939F1ZR'; // Karnataka
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(() => api.stop());
+
+test('intra-state invoices split the tax into CGST and SGST per line', async () => {
+    const { status, body } = await api.request('POST', '/invoices', {
+        body: invoicePayload({
+            gstin: INTRA_STATE_GSTIN,
+            productname: ['Cement', 'Steel'],
+            quantity: [3, 2.5],
+            rate: [333.33, 60.5],
+            gst_rate: [28, 5]
+        })
+    });
+    assert.equal(status, 201);
+    assert.deepEqual(
+        body.items.map(({ amount, cgst, sgst, igst }) => ({ amount, cgst, sgst, igst })),
+        [
+            { amount: 999.99, cgst: 140, sgst: 140, igst: 0 },
+            { amount: 151.25, cgst: 3.78, sgst: 3.78, igst: 0 }
+        ]
+    );
+    assert.equal(body.totals.tax_type, 'CGST_SGST');
+    assert.equal(body.totals.subtotal, 1151.24);
+    assert.equal(body.totals.tax_total, 287.56);
+    // 1438.80 rounded to the rupee
+    assert.equal(body.totals.round_off, 0.2);
+    assert.equal(body.totals.total, 1439);
+});
+
+test('inter-state invoices charge IGST, and lines without a rate take the default 18%', async () => {
+    const { status, body } = await api.request('POST', '/invoices', {
+        body: invoicePayload({
+            gstin: INTER_STATE_GSTIN,
+            productname: ['Cement', 'Steel'],
+            quantity: [10, 2],
+            rate: [350, 60.5],
+            gst_rate: [28, null]
+        })
+    });
+    assert.equal(status, 201);
+    assert.deepEqual(body.items.map((line) => line.gst_rate), [28, 18]);
+    assert.deepEqual(body.items.map((line) => line.igst), [980, 21.78]);
+    assert.equal(body.totals.tax_type, 'IGST');
+    assert.equal(body.totals.cgst, 0);
+    assert.equal(body.totals.sgst, 0);
+    assert.equal(body.totals.igst, 1001.78);
+    assert.equal(body.totals.total, 4623);
+});
+
+test('an odd paisa of tax goes to CGST, so the halves still add up to the tax', async () => {
+    // 1.30 at 5% = 6.5 paise, rounded to 7
+    const { body } = await api.request('POST', '/invoices', {
+        body: invoicePayload({ productname: ['Nails'], quantity: [1], rate: [1.3], gst_rate: [5] })
+    });
+    assert.equal(body.items[0].cgst, 0.04);
+    assert.equal(body.items[0].sgst, 0.03);
+    assert.equal(body.totals.tax_total, 0.07);
+});
+
+test('the stored invoice has the same totals as the create response', async () => {
+    const created = await api.request('POST', '/invoices', {
+        body: invoicePayload({ gstin: INTER_STATE_GSTIN, productname: ['Sand'], quantity: [3], rate: [1200], gst_rate: [5] })
+    });
+    const stored = await api.request('GET', `/invoices/${created.body.id}/details`);
+    assert.equal(stored.status, 200);
+    assert.deepEqual(stored.body.totals, created.body.totals);
+    assert.equal(stored.body.totals.total, 3780);
+});
@@ -0,0 +1,120 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, startReceiver, invoicePayload } = require('./helpers');
+
+let api;
+// n8n, answering every delivery
+let n8n;
+let subscription;
+before(async () => {
+    api = await startServer({ WEBHOOK_MAX_ATTEMPTS: '3' });
+    n8n = await startReceiver();
+    subscription = (await api.request('POST', '/webhooks/subscriptions', {
+        body: { url: n8n.url, events: ['invoice_created', 'webhook_failed'] }
+    })).body;
+});
+after(() => {
+    n8n.stop();
+    return api.stop();
+});
+
+const outboxRow = async (invoiceId, subscriptionId) => {
+    const [row] = await api.query(`
+        SELECT id, status, attempts, idempotency_key, last_error,
+            extract(epoch FROM next_attempt_at - now()) AS retry_in
+        FROM client_smd.webhook_outbox
+        WHERE invoice_id = $1 AND subscription_id = $2
+    `, [invoiceId, subscriptionId]);
+    return row;
+};
+
+// The outbox row once the delivery attempt in flight has settled with `attempts`
+const outboxRowAfter = async (invoiceId, subscriptionId, attempts) => {
+    for (let i = 0; i < 80; i++) {
+        const row = await outboxRow(invoiceId, subscriptionId);
+        if (row.attempts === attempts && row.status !== 'DELIVERING') return row;
+        await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+    return outboxRow(invoiceId, subscriptionId);
+};
+
+// Makes the row due now and drains, as the cron would once its time has come
+const retryNow = async (id) => {
+    await api.query('UPDATE client_smd.webhook_outbox SET next_attempt_at = now() WHERE id = $1', [id]);
+    return api.request('POST', '/webhooks/drain');
+};
+
+test('deliveries are signed with the subscription secret over the timestamp and body', async () => {
+    const created = await api.request('POST', '/invoices', { body: invoicePayload() });
+    const delivery = await n8n.waitFor(({ body }) => body.event === 'invoice_created' && body.invoice_id === created.body.id);
+
+    const timestamp = delivery.headers['x-webhook-timestamp'];
+    assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 60);
+    const expected = crypto.createHmac('sha256', subscription.secret).update(`${timestamp}.${delivery.raw}`).digest('hex');
+    assert.equal(delivery.headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(delivery.headers['x-webhook-event'], 'invoice_created');
+    assert.equal(delivery.headers['idempotency-key'], delivery.body.idempotency_key);
+
+    // Signed with another secret (or another body) it would not match
+    const forged = crypto.createHmac('sha256', 'whsec_other').update(`${timestamp}.${delivery.raw}`).digest('hex');
+    assert.notEqual(delivery.headers['x-webhook-signature'], `sha256=${forged}`);
+
+    const row = await outboxRowAfter(created.body.id, subscription.id, 1);
+    assert.equal(row.status, 'SENT');
+});
+
+test('failed deliveries back off exponentially, give up after the last attempt and can be retried', async () => {
+    const flaky = await startReceiver();
+    flaky.status = 500;
+    try {
+        const flakySubscription = (await api.request('POST', '/webhooks/subscriptions', {
+            body: { url: flaky.url, events: ['invoice_created'] }
+        })).body;
+        const created = await api.request('POST', '/invoices', { body: invoicePayload() });
+        const id = created.body.id;
+
+        // Base 30s, doubled per attempt; equal jitter keeps each wait between half and all of it
+        const first = await outboxRowAfter(id, flakySubscription.id, 1);
+        assert.equal(first.status, 'PENDING');
+        assert.match(first.last_error, /500/);
+        assert.ok(first.retry_in > 14 && first.retry_in <= 30, `retry in ${first.retry_in}s`);
+
+        await retryNow(first.id);
+        const second = await outboxRowAfter(id, flakySubscription.id, 2);
+        assert.equal(second.status, 'PENDING');
+        assert.ok(second.retry_in > 29 && second.retry_in <= 60, `retry in ${second.retry_in}s`);
+
+        // WEBHOOK_MAX_ATTEMPTS=3: the third failure is the last, and is reported
+        await retryNow(first.id);
+        const dead = await outboxRowAfter(id, flakySubscription.id, 3);
+        assert.equal(dead.status, 'DEAD');
+        const failed = await n8n.waitFor(({ body }) => body.event === 'webhook_failed' && String(body.outbox_id) === String(first.id));
+        assert.equal(failed.body.failed_event, 'invoice_created');
+        assert.equal(failed.body.attempts, 3);
+
+        // Every attempt carried the same idempotency key, so the receiver can drop repeats
+        const attempts = flaky.deliveries.filter(({ body }) => body.invoice_id === id);
+        assert.equal(attempts.length, 3);
+        assert.ok(attempts.every(({ headers }) => headers['idempotency-key'] === first.idempotency_key));
+
+        flaky.status = 200;
+        const retried = await api.request('POST', `/webhooks/outbox/${first.id}/retry`);
+        assert.equal(retried.status, 200);
+        assert.equal(retried.body.status, 'PENDING');
+        await api.request('POST', '/webhooks/drain');
+        const sent = await outboxRowAfter(id, flakySubscription.id, 1);
+        assert.equal(sent.status, 'SENT');
+        assert.equal(flaky.deliveries.at(-1).headers['idempotency-key'], first.idempotency_key);
+    } finally {
+        flaky.stop();
+    }
+});
+
+test('a delivered webhook can\'t be queued again by retry', async () => {
+    const created = await api.request('POST', '/invoices', { body: invoicePayload() });
+    const row = await outboxRowAfter(created.body.id, subscription.id, 1);
+    assert.equal(row.status, 'SENT');
+    const { status } = await api.request('POST', `/webhooks/outbox/${row.id}/retry`);
+    assert.equal(status, 404);
+});